@@ -0,0 +1,91 @@
+// ---------- Budgets ----------
+// Monthly budgets in ₹ or kWh for an account or one site: how much of the month's
+// budget is used and which alert thresholds are due. Periods are "YYYY-MM" in UTC.
+const { round2 } = require("../shared/calculations.mjs");
+
+const BUDGET_UNITS = ["cost", "kWh"];
+const DEFAULT_THRESHOLDS = [80, 100]; // % of the budget that trigger an alert
+const MAX_THRESHOLDS = 5;
+
+const toPeriod = (date) => date.toISOString().slice(0, 7);
+
+// First instant of the period and of the month after it
+function periodRange(period) {
+  const [year, month] = period.split("-").map(Number);
+  return { start: new Date(Date.UTC(year, month - 1, 1)), end: new Date(Date.UTC(year, month, 1)) };
+}
+
+// The month before the one `date` falls in
+const periodBefore = (date) =>
+  toPeriod(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1)));
+
+// The budget's thresholds, sorted; the defaults when none are set
+function thresholdsOf(budget) {
+  const thresholds =
+    budget.thresholds && budget.thresholds.length > 0 ? budget.thresholds : DEFAULT_THRESHOLDS;
+  return [...new Set(thresholds.map(Number))].sort((a, b) => a - b);
+}
+
+// Grouped the Indian way with two decimals, e.g. "₹1,25,000.00" or "310.00 kWh"
+const amountText = (value) =>
+  value.toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatBudgetValue = (unit, value) =>
+  unit === "kWh" ? `${amountText(value)} kWh` : `₹${amountText(value)}`;
+
+// How far `budget` ({ unit, amount, thresholds }) is used in the month of `now`.
+// `estimated` is the inventory's monthly { kWh, cost } and `actual` the metered
+// { kWh, cost } so far this month, or null without telemetry. Metered use is compared
+// when there is any, and projected to the month end once a day has passed; without
+// it the estimate stands for the whole month.
+function budgetProgress(budget, { estimated, actual = null, now = new Date() }) {
+  const period = toPeriod(now);
+  const { start, end } = periodRange(period);
+  const elapsed = Math.min(Math.max((now - start) / (end - start), 0), 1);
+  const dayFraction = (24 * 60 * 60 * 1000) / (end - start);
+  const pick = (values) => (budget.unit === "kWh" ? values.kWh : values.cost);
+
+  const used = actual ? pick(actual) : pick(estimated);
+  const projected = actual && elapsed >= dayFraction ? used / elapsed : pick(estimated);
+  const percentOf = (value) => (budget.amount > 0 ? round2((value / budget.amount) * 100) : 0);
+  const percent = percentOf(used);
+  const projectedPercent = percentOf(projected);
+
+  let status = "ok";
+  if (percent >= 100) status = "over";
+  else if (percent >= thresholdsOf(budget)[0] || projectedPercent >= 100) status = "warning";
+
+  return {
+    period,
+    basis: actual ? "actual" : "estimated",
+    used: round2(used),
+    projected: round2(projected),
+    remaining: round2(budget.amount - used),
+    percent,
+    projectedPercent,
+    status,
+    estimated: { kWh: round2(estimated.kWh), cost: round2(estimated.cost) },
+    actual: actual && { kWh: round2(actual.kWh), cost: round2(actual.cost) },
+  };
+}
+
+// Thresholds reached this period that have not been alerted yet
+function dueThresholds(budget, progress) {
+  const sent = new Set(
+    (budget.alertsSent || []).filter((a) => a.period === progress.period).map((a) => a.threshold)
+  );
+  return thresholdsOf(budget).filter((t) => progress.percent >= t && !sent.has(t));
+}
+
+module.exports = {
+  BUDGET_UNITS,
+  DEFAULT_THRESHOLDS,
+  MAX_THRESHOLDS,
+  toPeriod,
+  periodRange,
+  periodBefore,
+  thresholdsOf,
+  formatBudgetValue,
+  budgetProgress,
+  dueThresholds,
+};
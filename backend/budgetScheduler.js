@@ -0,0 +1,40 @@
+// ---------- Budget Scheduler ----------
+// Runs the budget alert and monthly digest checks inside the API process.
+//   BUDGET_CHECK_INTERVAL_MINUTES   default 60; 0 turns the scheduler off
+// Sent alerts and digests are recorded in MongoDB, so restarts do not repeat them.
+const FIRST_CHECK_DELAY_MS = 60 * 1000; // let the server finish starting up
+
+const schedulerConfig = {
+  intervalMinutes:
+    process.env.BUDGET_CHECK_INTERVAL_MINUTES === undefined
+      ? 60
+      : parseFloat(process.env.BUDGET_CHECK_INTERVAL_MINUTES),
+};
+
+// `check()` does one pass; its errors are logged and the next pass runs as usual.
+// Passes never overlap, and the timers do not keep the process alive.
+function startBudgetScheduler(check) {
+  const minutes = schedulerConfig.intervalMinutes;
+  if (!(minutes > 0)) return null;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await check();
+    } catch (err) {
+      console.error("Budget check failed:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  setTimeout(run, FIRST_CHECK_DELAY_MS).unref();
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  console.log(`⏰ Checking budgets every ${minutes} minutes`);
+  return timer;
+}
+
+module.exports = { schedulerConfig, startBudgetScheduler };
@@ -0,0 +1,566 @@
+// ---------- Appliance Catalog ----------
+// Typical Indian household and commercial appliances, inserted when the
+// catalog collection is empty. Wattages are nameplate figures in watts;
+// starVariants hold BEE star-rated alternatives of the same appliance;
+// seasonalPreset names the usage profile in seasonal.js for weather-driven loads;
+// dutyCycle is the share of running time a thermostat or compressor draws full power.
+const DEFAULT_CATALOG = [
+  // Cooling & air
+  {
+    name: "Ceiling Fan",
+    category: "Cooling",
+    seasonalPreset: "fan-season",
+    aliases: ["fan", "pankha"],
+    minWatts: 50,
+    maxWatts: 90,
+    typicalWatts: 75,
+    standbyWatts: 0,
+    defaultHoursPerDay: 12,
+    defaultDaysPerWeek: 7,
+    starVariants: [
+      { stars: 1, watts: 60 },
+      { stars: 3, watts: 50 },
+      { stars: 5, watts: 35, label: "5-star BLDC" },
+    ],
+  },
+  {
+    name: "BLDC Ceiling Fan",
+    category: "Cooling",
+    seasonalPreset: "fan-season",
+    aliases: ["bldc", "energy saving fan"],
+    minWatts: 26,
+    maxWatts: 35,
+    typicalWatts: 28,
+    standbyWatts: 0.5,
+    defaultHoursPerDay: 12,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Table / Pedestal Fan",
+    category: "Cooling",
+    seasonalPreset: "fan-season",
+    aliases: ["pedestal fan", "table fan"],
+    minWatts: 40,
+    maxWatts: 75,
+    typicalWatts: 55,
+    standbyWatts: 0,
+    defaultHoursPerDay: 8,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Exhaust Fan",
+    category: "Cooling",
+    aliases: ["ventilation fan"],
+    minWatts: 30,
+    maxWatts: 60,
+    typicalWatts: 40,
+    standbyWatts: 0,
+    defaultHoursPerDay: 2,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Air Cooler",
+    category: "Cooling",
+    seasonalPreset: "summer-cooling",
+    aliases: ["desert cooler", "cooler"],
+    minWatts: 100,
+    maxWatts: 250,
+    typicalWatts: 180,
+    standbyWatts: 0,
+    defaultHoursPerDay: 8,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Split AC 1 Ton",
+    category: "Cooling",
+    seasonalPreset: "summer-cooling",
+    aliases: ["ac", "air conditioner"],
+    minWatts: 800,
+    maxWatts: 1300,
+    typicalWatts: 1100,
+    standbyWatts: 3,
+    dutyCycle: 70,
+    defaultHoursPerDay: 8,
+    defaultDaysPerWeek: 7,
+    starVariants: [
+      { stars: 3, watts: 1100 },
+      { stars: 5, watts: 900 },
+      { stars: 5, watts: 700, label: "5-star Inverter" },
+    ],
+  },
+  {
+    name: "Split AC 1.5 Ton",
+    category: "Cooling",
+    seasonalPreset: "summer-cooling",
+    aliases: ["ac", "air conditioner"],
+    minWatts: 1100,
+    maxWatts: 1900,
+    typicalWatts: 1600,
+    standbyWatts: 3,
+    dutyCycle: 70,
+    defaultHoursPerDay: 8,
+    defaultDaysPerWeek: 7,
+    starVariants: [
+      { stars: 3, watts: 1600 },
+      { stars: 5, watts: 1350 },
+      { stars: 5, watts: 1050, label: "5-star Inverter" },
+    ],
+  },
+  {
+    name: "Split AC 2 Ton",
+    category: "Cooling",
+    seasonalPreset: "summer-cooling",
+    aliases: ["ac", "air conditioner"],
+    minWatts: 1600,
+    maxWatts: 2600,
+    typicalWatts: 2200,
+    standbyWatts: 4,
+    dutyCycle: 70,
+    defaultHoursPerDay: 8,
+    defaultDaysPerWeek: 7,
+    starVariants: [
+      { stars: 3, watts: 2200 },
+      { stars: 5, watts: 1850 },
+      { stars: 5, watts: 1450, label: "5-star Inverter" },
+    ],
+  },
+  {
+    name: "Window AC 1.5 Ton",
+    category: "Cooling",
+    seasonalPreset: "summer-cooling",
+    aliases: ["ac", "air conditioner"],
+    minWatts: 1400,
+    maxWatts: 2000,
+    typicalWatts: 1700,
+    standbyWatts: 2,
+    dutyCycle: 70,
+    defaultHoursPerDay: 8,
+    defaultDaysPerWeek: 7,
+    starVariants: [
+      { stars: 3, watts: 1700 },
+      { stars: 5, watts: 1450 },
+    ],
+  },
+  {
+    name: "Cassette AC 3 Ton",
+    category: "Cooling",
+    seasonalPreset: "summer-cooling",
+    aliases: ["ac", "commercial ac", "ductable"],
+    minWatts: 3000,
+    maxWatts: 4200,
+    typicalWatts: 3600,
+    standbyWatts: 8,
+    dutyCycle: 70,
+    defaultHoursPerDay: 10,
+    defaultDaysPerWeek: 6,
+  },
+
+  // Lighting
+  {
+    name: "LED Bulb",
+    category: "Lighting",
+    aliases: ["bulb", "led lamp"],
+    minWatts: 5,
+    maxWatts: 15,
+    typicalWatts: 9,
+    standbyWatts: 0,
+    defaultHoursPerDay: 6,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Incandescent Bulb",
+    category: "Lighting",
+    aliases: ["bulb", "filament bulb"],
+    minWatts: 40,
+    maxWatts: 100,
+    typicalWatts: 60,
+    standbyWatts: 0,
+    defaultHoursPerDay: 6,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "CFL",
+    category: "Lighting",
+    aliases: ["compact fluorescent"],
+    minWatts: 11,
+    maxWatts: 25,
+    typicalWatts: 15,
+    standbyWatts: 0,
+    defaultHoursPerDay: 6,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Fluorescent Tube Light",
+    category: "Lighting",
+    aliases: ["tube light", "ftl", "t8"],
+    minWatts: 36,
+    maxWatts: 55,
+    typicalWatts: 40,
+    standbyWatts: 0,
+    defaultHoursPerDay: 8,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "LED Tube Light",
+    category: "Lighting",
+    aliases: ["tube light", "led batten"],
+    minWatts: 16,
+    maxWatts: 22,
+    typicalWatts: 20,
+    standbyWatts: 0,
+    defaultHoursPerDay: 8,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "LED Panel Light",
+    category: "Lighting",
+    aliases: ["panel", "office light"],
+    minWatts: 18,
+    maxWatts: 45,
+    typicalWatts: 36,
+    standbyWatts: 0,
+    defaultHoursPerDay: 10,
+    defaultDaysPerWeek: 6,
+  },
+
+  // Kitchen
+  {
+    name: "Refrigerator (Single Door)",
+    category: "Kitchen",
+    aliases: ["fridge"],
+    minWatts: 100,
+    maxWatts: 200,
+    typicalWatts: 150,
+    standbyWatts: 0,
+    dutyCycle: 40,
+    defaultHoursPerDay: 24,
+    defaultDaysPerWeek: 7,
+    starVariants: [
+      { stars: 2, watts: 170 },
+      { stars: 3, watts: 150 },
+      { stars: 5, watts: 110 },
+    ],
+  },
+  {
+    name: "Refrigerator (Double Door)",
+    category: "Kitchen",
+    aliases: ["fridge", "frost free"],
+    minWatts: 150,
+    maxWatts: 350,
+    typicalWatts: 250,
+    standbyWatts: 0,
+    dutyCycle: 40,
+    defaultHoursPerDay: 24,
+    defaultDaysPerWeek: 7,
+    starVariants: [
+      { stars: 2, watts: 280 },
+      { stars: 3, watts: 250 },
+      { stars: 5, watts: 180, label: "5-star Inverter" },
+    ],
+  },
+  {
+    name: "Microwave Oven",
+    category: "Kitchen",
+    aliases: ["microwave", "otg"],
+    minWatts: 800,
+    maxWatts: 1500,
+    typicalWatts: 1200,
+    standbyWatts: 3,
+    defaultHoursPerDay: 0.5,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Induction Cooktop",
+    category: "Kitchen",
+    aliases: ["induction", "induction stove"],
+    minWatts: 1200,
+    maxWatts: 2200,
+    typicalWatts: 2000,
+    standbyWatts: 1,
+    defaultHoursPerDay: 1,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Mixer Grinder",
+    category: "Kitchen",
+    aliases: ["mixer", "grinder", "juicer"],
+    minWatts: 500,
+    maxWatts: 1000,
+    typicalWatts: 750,
+    standbyWatts: 0,
+    defaultHoursPerDay: 0.25,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Electric Kettle",
+    category: "Kitchen",
+    aliases: ["kettle"],
+    minWatts: 1200,
+    maxWatts: 2000,
+    typicalWatts: 1500,
+    standbyWatts: 0,
+    defaultHoursPerDay: 0.25,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Water Purifier (RO)",
+    category: "Kitchen",
+    aliases: ["ro", "purifier"],
+    minWatts: 25,
+    maxWatts: 60,
+    typicalWatts: 40,
+    standbyWatts: 2,
+    defaultHoursPerDay: 2,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Water Dispenser / Cooler",
+    category: "Kitchen",
+    aliases: ["water cooler", "dispenser"],
+    minWatts: 300,
+    maxWatts: 700,
+    typicalWatts: 500,
+    standbyWatts: 0,
+    dutyCycle: 50,
+    defaultHoursPerDay: 10,
+    defaultDaysPerWeek: 6,
+  },
+
+  // Water heating & laundry
+  {
+    name: "Storage Water Heater",
+    category: "Water Heating",
+    seasonalPreset: "water-heating",
+    aliases: ["geyser", "water heater"],
+    minWatts: 1500,
+    maxWatts: 3000,
+    typicalWatts: 2000,
+    standbyWatts: 0,
+    dutyCycle: 50,
+    defaultHoursPerDay: 1,
+    defaultDaysPerWeek: 7,
+    starVariants: [
+      { stars: 3, watts: 2000 },
+      { stars: 5, watts: 2000, label: "5-star (lower standing loss)" },
+    ],
+  },
+  {
+    name: "Instant Water Heater",
+    category: "Water Heating",
+    seasonalPreset: "water-heating",
+    aliases: ["geyser", "instant geyser"],
+    minWatts: 3000,
+    maxWatts: 4500,
+    typicalWatts: 3000,
+    standbyWatts: 0,
+    defaultHoursPerDay: 0.5,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Immersion Rod",
+    category: "Water Heating",
+    seasonalPreset: "water-heating",
+    aliases: ["rod", "water heating rod"],
+    minWatts: 1000,
+    maxWatts: 2000,
+    typicalWatts: 1500,
+    standbyWatts: 0,
+    defaultHoursPerDay: 0.5,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Washing Machine",
+    category: "Laundry",
+    aliases: ["washer", "front load", "top load"],
+    minWatts: 350,
+    maxWatts: 2000,
+    typicalWatts: 500,
+    standbyWatts: 1,
+    defaultHoursPerDay: 1,
+    defaultDaysPerWeek: 3,
+    starVariants: [
+      { stars: 3, watts: 500 },
+      { stars: 5, watts: 400 },
+    ],
+  },
+  {
+    name: "Electric Iron",
+    category: "Laundry",
+    aliases: ["iron", "press"],
+    minWatts: 750,
+    maxWatts: 1500,
+    typicalWatts: 1000,
+    standbyWatts: 0,
+    dutyCycle: 50,
+    defaultHoursPerDay: 0.5,
+    defaultDaysPerWeek: 5,
+  },
+  {
+    name: "Room Heater",
+    category: "Heating",
+    seasonalPreset: "winter-heating",
+    aliases: ["heater", "blower", "oil heater"],
+    minWatts: 800,
+    maxWatts: 2500,
+    typicalWatts: 2000,
+    standbyWatts: 0,
+    dutyCycle: 70,
+    defaultHoursPerDay: 4,
+    defaultDaysPerWeek: 7,
+  },
+
+  // Entertainment & IT
+  {
+    name: "LED Television",
+    category: "Entertainment",
+    aliases: ["tv", "television", "smart tv"],
+    minWatts: 40,
+    maxWatts: 200,
+    typicalWatts: 80,
+    standbyWatts: 1,
+    defaultHoursPerDay: 5,
+    defaultDaysPerWeek: 7,
+    starVariants: [
+      { stars: 3, watts: 90 },
+      { stars: 5, watts: 65 },
+    ],
+  },
+  {
+    name: "Set-Top Box",
+    category: "Entertainment",
+    aliases: ["dth", "cable box"],
+    minWatts: 8,
+    maxWatts: 25,
+    typicalWatts: 15,
+    standbyWatts: 8,
+    defaultHoursPerDay: 5,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Wi-Fi Router",
+    category: "IT",
+    aliases: ["router", "modem", "wifi"],
+    minWatts: 6,
+    maxWatts: 20,
+    typicalWatts: 10,
+    standbyWatts: 0,
+    defaultHoursPerDay: 24,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Laptop",
+    category: "IT",
+    aliases: ["notebook"],
+    minWatts: 30,
+    maxWatts: 100,
+    typicalWatts: 60,
+    standbyWatts: 1,
+    defaultHoursPerDay: 8,
+    defaultDaysPerWeek: 6,
+  },
+  {
+    name: "Desktop Computer",
+    category: "IT",
+    aliases: ["pc", "computer", "workstation"],
+    minWatts: 100,
+    maxWatts: 400,
+    typicalWatts: 200,
+    standbyWatts: 3,
+    defaultHoursPerDay: 9,
+    defaultDaysPerWeek: 6,
+  },
+  {
+    name: "Laser Printer",
+    category: "IT",
+    aliases: ["printer"],
+    minWatts: 300,
+    maxWatts: 800,
+    typicalWatts: 450,
+    standbyWatts: 5,
+    defaultHoursPerDay: 1,
+    defaultDaysPerWeek: 6,
+  },
+  {
+    name: "Photocopier",
+    category: "IT",
+    aliases: ["xerox", "copier", "mfp"],
+    minWatts: 800,
+    maxWatts: 1600,
+    typicalWatts: 1200,
+    standbyWatts: 30,
+    defaultHoursPerDay: 2,
+    defaultDaysPerWeek: 6,
+  },
+  {
+    name: "Server Rack",
+    category: "IT",
+    aliases: ["server", "rack"],
+    minWatts: 500,
+    maxWatts: 5000,
+    typicalWatts: 1500,
+    standbyWatts: 0,
+    defaultHoursPerDay: 24,
+    defaultDaysPerWeek: 7,
+  },
+
+  // Utilities & commercial
+  {
+    name: "Water Pump 1 HP",
+    category: "Utilities",
+    aliases: ["motor", "pump", "borewell"],
+    minWatts: 750,
+    maxWatts: 1100,
+    typicalWatts: 750,
+    standbyWatts: 0,
+    defaultHoursPerDay: 1,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Inverter / UPS",
+    category: "Utilities",
+    aliases: ["inverter", "ups", "battery backup"],
+    minWatts: 20,
+    maxWatts: 100,
+    typicalWatts: 50,
+    standbyWatts: 20,
+    defaultHoursPerDay: 24,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Visi Cooler",
+    category: "Commercial",
+    aliases: ["display fridge", "beverage cooler"],
+    minWatts: 250,
+    maxWatts: 600,
+    typicalWatts: 400,
+    standbyWatts: 0,
+    dutyCycle: 50,
+    defaultHoursPerDay: 24,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Deep Freezer",
+    category: "Commercial",
+    aliases: ["freezer", "chest freezer"],
+    minWatts: 200,
+    maxWatts: 500,
+    typicalWatts: 350,
+    standbyWatts: 0,
+    dutyCycle: 50,
+    defaultHoursPerDay: 24,
+    defaultDaysPerWeek: 7,
+  },
+  {
+    name: "Passenger Lift",
+    category: "Commercial",
+    aliases: ["elevator", "lift"],
+    minWatts: 3700,
+    maxWatts: 11000,
+    typicalWatts: 7500,
+    standbyWatts: 150,
+    defaultHoursPerDay: 3,
+    defaultDaysPerWeek: 7,
+  },
+];
+
+module.exports = { DEFAULT_CATALOG };
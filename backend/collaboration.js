@@ -0,0 +1,36 @@
+// ---------- Collaboration ----------
+// A workspace is one account's inventory. Its holder can invite others by email as an
+// owner, editor or viewer of the whole workspace or of a single site.
+const MEMBER_ROLES = ["owner", "editor", "viewer"];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+const INVITE_TTL_DAYS = 14;
+
+// Strongest role the memberships give on `siteId`; workspace-wide ones cover every site,
+// and with no `siteId` only they count. null when none apply.
+function resolveRole(memberships, siteId = null) {
+  let best = null;
+  for (const m of memberships) {
+    const covers = !m.siteId || (siteId && m.siteId.toString() === siteId.toString());
+    if (covers && (!best || ROLE_RANK[m.role] > ROLE_RANK[best])) best = m.role;
+  }
+  return best;
+}
+
+const canEdit = (role) => role === "owner" || role === "editor";
+const canManage = (role) => role === "owner";
+
+// Sites a member may see: null means all of them (a workspace-wide membership)
+function visibleSiteIds(memberships) {
+  if (memberships.some((m) => !m.siteId)) return null;
+  return memberships.map((m) => m.siteId);
+}
+
+module.exports = {
+  MEMBER_ROLES,
+  ROLE_RANK,
+  INVITE_TTL_DAYS,
+  resolveRole,
+  canEdit,
+  canManage,
+  visibleSiteIds,
+};
@@ -0,0 +1,117 @@
+// ---------- Connected Load & Maximum Demand ----------
+// Connected load is every appliance at full rating at once; maximum demand applies a
+// diversity factor per category for loads that rarely all run together. Compares
+// that demand with the sanctioned load billed as fixed charges.
+const { round2 } = require("../shared/calculations.mjs");
+
+// Share of a category's connected load expected to run at the same time
+const DEFAULT_DIVERSITY_FACTORS = {
+  Cooling: 0.8,
+  Heating: 0.5,
+  "Water Heating": 0.4,
+  Kitchen: 0.4,
+  Lighting: 0.9,
+  IT: 0.7,
+  Entertainment: 0.6,
+  Laundry: 0.3,
+  Utilities: 0.6,
+  Commercial: 0.7,
+  Other: 0.6, // appliances not picked from the catalog
+};
+
+const AT_RISK_PERCENT = 90; // maximum demand above this share of the sanctioned load
+const OVERSIZED_PERCENT = 50; // ... and below this one
+const HEADROOM = 1.1; // recommended sanctioned load over the maximum demand
+const LOAD_STEP_KW = 0.5; // sanctioned load is applied for in these steps
+const MIN_SANCTIONED_KW = 1;
+// DISCOMs typically bill demand above the sanctioned load at twice the fixed charge
+const EXCESS_DEMAND_MULTIPLIER = 2;
+
+const roundUp = (n, step) => Math.ceil(n / step - 1e-9) * step;
+
+// User overrides on top of the defaults
+const resolveDiversityFactors = (overrides = {}) => ({ ...DEFAULT_DIVERSITY_FACTORS, ...overrides });
+
+// `appliances` carry a `category` (null for ones outside the catalog);
+// `fixedChargePerKW` comes from the tariff, 0 when there is none.
+function checkLoad({ appliances, sanctionedLoadKW, factors, fixedChargePerKW = 0 }) {
+  const byCategory = new Map();
+  for (const a of appliances) {
+    const category = a.category && a.category in factors ? a.category : "Other";
+    if (!byCategory.has(category)) byCategory.set(category, { category, appliances: 0, connectedKW: 0 });
+    const row = byCategory.get(category);
+    row.appliances += a.quantity;
+    row.connectedKW += a.rating * a.quantity;
+  }
+
+  const categories = [...byCategory.values()]
+    .map((row) => ({
+      ...row,
+      connectedKW: round2(row.connectedKW),
+      factor: factors[row.category],
+      demandKW: round2(row.connectedKW * factors[row.category]),
+    }))
+    .sort((a, b) => b.demandKW - a.demandKW);
+
+  const connectedLoadKW = round2(categories.reduce((sum, c) => sum + c.connectedKW, 0));
+  const maxDemandKW = round2(categories.reduce((sum, c) => sum + c.demandKW, 0));
+  const recommendedKW =
+    maxDemandKW > 0 ? Math.max(MIN_SANCTIONED_KW, roundUp(maxDemandKW * HEADROOM, LOAD_STEP_KW)) : null;
+
+  const sanctioned = sanctionedLoadKW > 0 ? sanctionedLoadKW : null;
+  const utilisationPercent = sanctioned ? round2((maxDemandKW / sanctioned) * 100) : null;
+  let status = "unknown";
+  if (sanctioned && maxDemandKW > 0) {
+    if (utilisationPercent > 100) status = "overload";
+    else if (utilisationPercent > AT_RISK_PERCENT) status = "at-risk";
+    else if (utilisationPercent < OVERSIZED_PERCENT && recommendedKW < sanctioned) status = "oversized";
+    else status = "ok";
+  }
+
+  const excessKW = sanctioned ? round2(Math.max(0, maxDemandKW - sanctioned)) : 0;
+  const fixedChargeFor = (kW) => round2(kW * fixedChargePerKW);
+
+  return {
+    sanctionedLoadKW: sanctioned,
+    connectedLoadKW,
+    maxDemandKW,
+    diversityPercent: connectedLoadKW > 0 ? round2((maxDemandKW / connectedLoadKW) * 100) : null,
+    utilisationPercent,
+    status,
+    connectedExceedsSanctioned: !!sanctioned && connectedLoadKW > sanctioned,
+    excessKW,
+    // Monthly penalty if the meter records the estimated maximum demand
+    penaltyRisk: fixedChargeFor(excessKW * EXCESS_DEMAND_MULTIPLIER),
+    recommendedKW,
+    fixedCharge: {
+      ratePerKW: fixedChargePerKW,
+      current: sanctioned ? fixedChargeFor(sanctioned) : null,
+      recommended: recommendedKW ? fixedChargeFor(recommendedKW) : null,
+      // Positive when moving to the recommended load costs more each month
+      monthlyChange: sanctioned && recommendedKW ? fixedChargeFor(recommendedKW - sanctioned) : null,
+    },
+    categories,
+  };
+}
+
+// Fixed charge and penalty risk with the sanctioned load changed to `proposedKW`
+function proposeSanctionedLoad(check, proposedKW, fixedChargePerKW = 0) {
+  const excessKW = round2(Math.max(0, check.maxDemandKW - proposedKW));
+  const fixedCharge = round2(proposedKW * fixedChargePerKW);
+  return {
+    sanctionedLoadKW: proposedKW,
+    utilisationPercent: proposedKW > 0 ? round2((check.maxDemandKW / proposedKW) * 100) : null,
+    excessKW,
+    penaltyRisk: round2(excessKW * EXCESS_DEMAND_MULTIPLIER * fixedChargePerKW),
+    fixedCharge,
+    monthlyChange: check.fixedCharge.current !== null ? round2(fixedCharge - check.fixedCharge.current) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_DIVERSITY_FACTORS,
+  AT_RISK_PERCENT,
+  resolveDiversityFactors,
+  checkLoad,
+  proposeSanctionedLoad,
+};
@@ -0,0 +1,21 @@
+// ---------- Carbon Footprint ----------
+// Converts kWh into kg CO2e using a grid emission factor (kg CO2e per kWh).
+// The conversion itself is shared with the browser, see shared/calculations.mjs.
+const { NATIONAL_GRID_FACTOR, calculateEmissions } = require("../shared/calculations.mjs");
+
+// Seeded as the national default; admins can revise it and add state factors.
+const DEFAULT_GRID_FACTORS = [
+  { state: null, name: "India (national grid)", factor: NATIONAL_GRID_FACTOR, source: "CEA CO2 Baseline Database" },
+];
+
+// A site's custom factor wins, then its state's factor, then the national one.
+function resolveGridFactor(site, stateFactors, nationalFactor) {
+  if (site && site.gridFactor !== null && site.gridFactor !== undefined) return site.gridFactor;
+  if (site && site.state) {
+    const stateFactor = stateFactors.get(site.state.toLowerCase());
+    if (stateFactor !== undefined) return stateFactor;
+  }
+  return nationalFactor;
+}
+
+module.exports = { NATIONAL_GRID_FACTOR, DEFAULT_GRID_FACTORS, resolveGridFactor, calculateEmissions };
@@ -0,0 +1,149 @@
+// ---------- Appliance History ----------
+// Audit entries for appliance changes, named snapshots of an inventory and the
+// comparison between two snapshots used to show what a retrofit saved.
+const { round2 } = require("../shared/calculations.mjs");
+
+const AUDIT_ACTIONS = ["create", "update", "delete", "restore"];
+// What an audit entry keeps of the appliance on either side of a change
+const AUDITED_FIELDS = [
+  "applianceName",
+  "siteId",
+  "zoneId",
+  "rating",
+  "hourlyUsage",
+  "quantity",
+  "dayFrequency",
+  "unitRate",
+  "catalogId",
+  "starRating",
+  "usageWindows",
+  "flexible",
+  "seasonalPreset",
+  "dutyCycle",
+  "standbyWatts",
+  "consumptionPerMonth",
+  "monthlyCost",
+];
+// A difference in any of these makes an appliance "changed" between two snapshots
+const COMPARED_FIELDS = [
+  "applianceName",
+  "site",
+  "room",
+  "rating",
+  "quantity",
+  "hourlyUsage",
+  "dayFrequency",
+  "unitRate",
+  "starRating",
+  "consumptionPerMonth",
+  "monthlyCost",
+];
+const MAX_SNAPSHOTS = 50;
+
+// Audited fields of an appliance document or plain object, null for none
+function auditValues(appliance) {
+  if (!appliance) return null;
+  const doc = typeof appliance.toObject === "function" ? appliance.toObject() : appliance;
+  const values = {};
+  for (const field of AUDITED_FIELDS) if (doc[field] !== undefined) values[field] = doc[field];
+  return values;
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Audited fields that differ between two auditValues() results
+function changedFields(before, after) {
+  if (!before || !after) return [];
+  return AUDITED_FIELDS.filter((f) => !sameValue(before[f], after[f]));
+}
+
+// One snapshot row; site and room are kept by name so renaming or removing them later
+// does not change the snapshot
+function snapshotRow(appliance, { site = null, room = null } = {}) {
+  return {
+    applianceId: appliance._id,
+    applianceName: appliance.applianceName,
+    site,
+    room,
+    rating: appliance.rating,
+    quantity: appliance.quantity,
+    hourlyUsage: appliance.hourlyUsage,
+    dayFrequency: appliance.dayFrequency,
+    unitRate: appliance.unitRate,
+    starRating: appliance.starRating ?? null,
+    consumptionPerMonth: round2(appliance.consumptionPerMonth || 0),
+    monthlyCost: round2(appliance.monthlyCost || 0),
+  };
+}
+
+function snapshotTotals(rows) {
+  return {
+    applianceCount: rows.length,
+    consumptionPerMonth: round2(rows.reduce((sum, r) => sum + r.consumptionPerMonth, 0)),
+    monthlyCost: round2(rows.reduce((sum, r) => sum + r.monthlyCost, 0)),
+  };
+}
+
+// What changed from `base` to `target` ({ name, createdAt, appliances, totals } each):
+// appliances are matched by id, so a replaced appliance shows as removed plus added.
+// Negative changes are savings.
+function compareSnapshots(base, target) {
+  const baseById = new Map(base.appliances.map((a) => [a.applianceId.toString(), a]));
+  const targetIds = new Set(target.appliances.map((a) => a.applianceId.toString()));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const after of target.appliances) {
+    const before = baseById.get(after.applianceId.toString());
+    if (!before) {
+      added.push(after);
+      continue;
+    }
+    const fields = COMPARED_FIELDS.filter((f) => !sameValue(before[f], after[f]));
+    if (fields.length === 0) {
+      unchanged += 1;
+      continue;
+    }
+    changed.push({
+      applianceId: after.applianceId,
+      applianceName: after.applianceName,
+      fields,
+      before,
+      after,
+      kWhChange: round2(after.consumptionPerMonth - before.consumptionPerMonth),
+      costChange: round2(after.monthlyCost - before.monthlyCost),
+    });
+  }
+  const removed = base.appliances.filter((a) => !targetIds.has(a.applianceId.toString()));
+
+  const baseKWh = base.totals.consumptionPerMonth;
+  const kWhChange = round2(target.totals.consumptionPerMonth - baseKWh);
+  const costChange = round2(target.totals.monthlyCost - base.totals.monthlyCost);
+  return {
+    base: { _id: base._id ?? null, name: base.name, createdAt: base.createdAt, totals: base.totals },
+    target: { _id: target._id ?? null, name: target.name, createdAt: target.createdAt, totals: target.totals },
+    totals: {
+      applianceCountChange: target.totals.applianceCount - base.totals.applianceCount,
+      kWhChange,
+      costChange,
+      kWhChangePercent: baseKWh > 0 ? round2((kWhChange / baseKWh) * 100) : 0,
+      annualSavings: round2(-costChange * 12),
+    },
+    added,
+    removed,
+    changed,
+    unchanged,
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDITED_FIELDS,
+  MAX_SNAPSHOTS,
+  auditValues,
+  changedFields,
+  snapshotRow,
+  snapshotTotals,
+  compareSnapshots,
+};
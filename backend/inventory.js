@@ -0,0 +1,214 @@
+// ---------- Inventory Import / Export ----------
+// Reads CSV/XLSX appliance inventories and meter readings, and writes the computed
+// appliance list back out.
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const { round2 } = require("../shared/calculations.mjs");
+
+// Normalised header → appliance field. Rating columns in watts are converted to kW.
+const COLUMN_ALIASES = {
+  appliance: "applianceName",
+  appliancename: "applianceName",
+  name: "applianceName",
+  ratingw: "ratingWatts",
+  rating: "ratingWatts",
+  watts: "ratingWatts",
+  wattage: "ratingWatts",
+  powerw: "ratingWatts",
+  ratingkw: "rating",
+  kw: "rating",
+  hourlyusage: "hourlyUsage",
+  hourlyusagehrs: "hourlyUsage",
+  hoursperday: "hourlyUsage",
+  hours: "hourlyUsage",
+  quantity: "quantity",
+  qty: "quantity",
+  dayfrequency: "dayFrequency",
+  daysusedweek: "dayFrequency",
+  daysperweek: "dayFrequency",
+  days: "dayFrequency",
+  unitrate: "unitRate",
+  unitratekwh: "unitRate",
+  rate: "unitRate",
+  dutycycle: "dutyCycle",
+  dutycyclepercent: "dutyCycle",
+  standby: "standbyWatts",
+  standbyw: "standbyWatts",
+  standbywatts: "standbyWatts",
+  site: "site",
+  room: "room",
+  zone: "room",
+};
+
+const NUMERIC_FIELDS = ["rating", "hourlyUsage", "quantity", "dayFrequency", "unitRate", "dutyCycle", "standbyWatts"];
+
+const OPTIONAL_FIELDS = ["dutyCycle", "standbyWatts"];
+
+const normaliseHeader = (header) => String(header).toLowerCase().replace(/[^a-z]/g, "");
+
+// Text typed by users; keep spreadsheets from running it as a formula. The quote
+// is dropped again when an exported file is imported.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const safeText = (text) => (FORMULA_START.test(text) ? `'${text}` : text);
+const unquoteText = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// Cell values from ExcelJS can be rich objects (formulas, hyperlinks, rich text).
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10); // ExcelJS dates are UTC
+  if (typeof value === "object") {
+    if ("result" in value) return cellText(value.result);
+    if ("text" in value) return cellText(value.text);
+    if (Array.isArray(value.richText)) return value.richText.map((r) => r.text).join("");
+  }
+  return String(value).trim();
+}
+
+async function readWorkbook(buffer, format) {
+  const workbook = new ExcelJS.Workbook();
+  if (format === "xlsx") await workbook.xlsx.load(buffer);
+  else await workbook.csv.read(Readable.from(buffer), { parserOptions: { trim: true } });
+  return workbook.worksheets[0];
+}
+
+// Returns [{ rowNumber, raw }] with cell text keyed by the field each header maps to.
+async function readRows(buffer, format, aliases) {
+  const sheet = await readWorkbook(buffer, format);
+  if (!sheet || sheet.rowCount < 2) return [];
+
+  const columns = {};
+  sheet.getRow(1).eachCell((cell, col) => {
+    const field = aliases[normaliseHeader(cellText(cell.value))];
+    if (field) columns[col] = field;
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const raw = {};
+    for (const [col, field] of Object.entries(columns))
+      raw[field] = cellText(row.getCell(Number(col)).value);
+    if (Object.values(raw).every((v) => v === "")) return;
+
+    rows.push({ rowNumber, raw });
+  });
+  return rows;
+}
+
+// Returns [{ rowNumber, fields }] with fields keyed by appliance schema names.
+async function parseInventory(buffer, format) {
+  const rows = await readRows(buffer, format, COLUMN_ALIASES);
+  return rows.map(({ rowNumber, raw }) => ({ rowNumber, fields: mapRow(raw) }));
+}
+
+// Meter readings or bills, one row per month. Only the columns present are returned.
+const READING_ALIASES = {
+  month: "period",
+  period: "period",
+  billingmonth: "period",
+  date: "period",
+  kwh: "kWh",
+  units: "kWh",
+  unitsconsumed: "kWh",
+  consumptionkwh: "kWh",
+  meterreading: "meterReading",
+  reading: "meterReading",
+  amount: "amount",
+  billamount: "amount",
+  amountrs: "amount",
+  billamountrs: "amount",
+  bill: "amount",
+  note: "note",
+  site: "site",
+};
+
+const READING_NUMERIC_FIELDS = ["kWh", "meterReading", "amount"];
+
+async function parseMeterReadings(buffer, format) {
+  const rows = await readRows(buffer, format, READING_ALIASES);
+  return rows.map(({ rowNumber, raw }) => {
+    const fields = {};
+    for (const [key, value] of Object.entries(raw)) {
+      if (value === "") continue;
+      const number = Number(value.replace(/,/g, "")); // "2,450" as printed on bills
+      fields[key] = READING_NUMERIC_FIELDS.includes(key) && !isNaN(number) ? number : value;
+    }
+    return { rowNumber, fields };
+  });
+}
+
+function mapRow(raw) {
+  const fields = { ...raw };
+  if (fields.rating === undefined && fields.ratingWatts !== undefined) {
+    const watts = Number(fields.ratingWatts);
+    fields.rating = fields.ratingWatts === "" || isNaN(watts) ? fields.ratingWatts : watts / 1000;
+  }
+  delete fields.ratingWatts;
+
+  for (const key of ["applianceName", "site", "room"])
+    if (typeof fields[key] === "string") fields[key] = unquoteText(fields[key]);
+
+  // Blank optional columns fall back to the appliance defaults
+  for (const key of OPTIONAL_FIELDS) if (fields[key] === "") delete fields[key];
+
+  for (const key of NUMERIC_FIELDS) {
+    if (fields[key] !== undefined && fields[key] !== "" && !isNaN(Number(fields[key])))
+      fields[key] = Number(fields[key]);
+  }
+  return fields;
+}
+
+const EXPORT_COLUMNS = [
+  { header: "Appliance", key: "applianceName", width: 28 },
+  { header: "Site", key: "site", width: 18 },
+  { header: "Room", key: "room", width: 18 },
+  { header: "Rating (W)", key: "ratingWatts", width: 12 },
+  { header: "Hourly Usage (hrs)", key: "hourlyUsage", width: 18 },
+  { header: "Quantity", key: "quantity", width: 10 },
+  { header: "Days Used / Week", key: "dayFrequency", width: 16 },
+  { header: "Unit Rate (₹/kWh)", key: "unitRate", width: 16 },
+  { header: "Duty Cycle (%)", key: "dutyCycle", width: 14 },
+  { header: "Standby (W)", key: "standbyWatts", width: 12 },
+  { header: "Consumption / Day (kWh)", key: "consumptionPerDay", width: 22 },
+  { header: "Consumption / Week (kWh)", key: "consumptionPerWeek", width: 22 },
+  { header: "Consumption / Month (kWh)", key: "consumptionPerMonth", width: 24 },
+  { header: "Monthly Cost (₹)", key: "monthlyCost", width: 16 },
+  { header: "Standby / Month (kWh)", key: "standbyPerMonth", width: 20 },
+  { header: "Bill Share (₹)", key: "billShare", width: 14 },
+  { header: "CO₂e / Month (kg)", key: "co2PerMonth", width: 18 },
+];
+
+// `rows` are appliances with site/room names and bill share already resolved.
+async function buildInventoryExport(rows, format) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Appliances");
+  sheet.columns = EXPORT_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+
+  for (const a of rows) {
+    sheet.addRow({
+      applianceName: safeText(a.applianceName),
+      site: safeText(a.site || ""),
+      room: safeText(a.room || ""),
+      ratingWatts: round2((a.rating || 0) * 1000),
+      hourlyUsage: a.hourlyUsage,
+      quantity: a.quantity,
+      dayFrequency: a.dayFrequency,
+      unitRate: a.unitRate,
+      dutyCycle: a.dutyCycle ?? 100,
+      standbyWatts: a.standbyWatts || 0,
+      consumptionPerDay: round2(a.consumptionPerDay || 0),
+      consumptionPerWeek: round2(a.consumptionPerWeek || 0),
+      consumptionPerMonth: round2(a.consumptionPerMonth || 0),
+      monthlyCost: round2(a.monthlyCost || 0),
+      standbyPerMonth: round2(a.standbyPerMonth || 0),
+      billShare: round2(a.billShare || 0),
+      co2PerMonth: round2(a.co2PerMonth || 0),
+    });
+  }
+
+  return format === "xlsx" ? workbook.xlsx.writeBuffer() : workbook.csv.writeBuffer();
+}
+
+module.exports = { safeText, parseInventory, parseMeterReadings, buildInventoryExport };
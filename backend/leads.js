@@ -0,0 +1,317 @@
+// ---------- Leads ----------
+// Per-user totals for the sales console: what each prospect uses, spends and could
+// save, with the filters, sort orders and CSV export the console offers.
+const ExcelJS = require("exceljs");
+const { WEEKS_PER_MONTH } = require("../shared/calculations.mjs");
+const { safeText } = require("./inventory");
+const { escapeRegex } = require("./text");
+
+const ROLES = ["user", "sales", "admin"];
+const LEAD_SORTS = [
+  "potentialSavings",
+  "monthlyCost",
+  "monthlyKWh",
+  "applianceCount",
+  "joinedAt",
+  "lastSeenAt",
+  "name",
+];
+
+const LEADS_PAGE_SIZE = 50;
+const MAX_LEADS_PAGE_SIZE = 200;
+
+const round2Expr = (expr) => ({ $round: [expr, 2] });
+
+// Monthly kWh of an appliance document replaced by one of `rating` kW used for `hours`
+// (null keeps its own), as calculateConsumption() and proposedMonthlyConsumption() in
+// savings.js work it out: standby is drawn outside the hours of use and on idle days.
+function proposedMonthlyKWhExpr(rating, hours) {
+  return {
+    $let: {
+      vars: {
+        hours: { $ifNull: [hours, "$hourlyUsage"] },
+        standbyKW: { $multiply: [{ $divide: [{ $ifNull: ["$standbyWatts", 0] }, 1000] }, "$quantity"] },
+      },
+      in: {
+        $multiply: [
+          {
+            $add: [
+              {
+                $multiply: [
+                  rating,
+                  "$$hours",
+                  "$quantity",
+                  { $divide: [{ $ifNull: ["$dutyCycle", 100] }, 100] },
+                  "$dayFrequency",
+                ],
+              },
+              { $multiply: ["$$standbyKW", { $subtract: [24, "$$hours"] }, "$dayFrequency"] },
+              { $multiply: ["$$standbyKW", 24, { $subtract: [7, "$dayFrequency"] }] },
+            ],
+          },
+          WEEKS_PER_MONTH,
+        ],
+      },
+    },
+  };
+}
+
+// Monthly ₹ one appliance could save by being replaced: with the owner's own saved
+// scenarios, the best of them; otherwise the catalog's most efficient star variant at
+// the same usage. Scenarios are priced at the appliance's unit rate, like the upgrade.
+const replacementSavingsStages = (collections) => [
+  {
+    $lookup: {
+      from: collections.catalog,
+      localField: "catalogId",
+      foreignField: "_id",
+      pipeline: [{ $project: { bestWatts: { $min: "$starVariants.watts" } } }],
+      as: "catalog",
+    },
+  },
+  {
+    $lookup: {
+      from: collections.scenarios,
+      localField: "_id",
+      foreignField: "applianceId",
+      pipeline: [{ $project: { proposedRating: 1, proposedHourlyUsage: 1 } }],
+      as: "scenarios",
+    },
+  },
+  {
+    $set: {
+      upgradeSavings: {
+        $let: {
+          vars: {
+            bestKW: { $divide: [{ $ifNull: [{ $first: "$catalog.bestWatts" }, 0] }, 1000] },
+            activeKWh: {
+              $subtract: [{ $ifNull: ["$consumptionPerMonth", 0] }, { $ifNull: ["$standbyPerMonth", 0] }],
+            },
+          },
+          in: {
+            $cond: [
+              { $and: [{ $gt: ["$$bestKW", 0] }, { $gt: ["$rating", 0] }, { $lt: ["$$bestKW", "$rating"] }] },
+              {
+                $multiply: [
+                  "$$activeKWh",
+                  { $subtract: [1, { $divide: ["$$bestKW", "$rating"] }] },
+                  { $ifNull: ["$unitRate", 0] },
+                ],
+              },
+              0,
+            ],
+          },
+        },
+      },
+      scenarioSavings: {
+        $max: {
+          $map: {
+            input: "$scenarios",
+            as: "s",
+            in: {
+              $multiply: [
+                {
+                  $subtract: [
+                    { $ifNull: ["$consumptionPerMonth", 0] },
+                    proposedMonthlyKWhExpr("$$s.proposedRating", "$$s.proposedHourlyUsage"),
+                  ],
+                },
+                { $ifNull: ["$unitRate", 0] },
+              ],
+            },
+          },
+        },
+      },
+    },
+  },
+  {
+    $set: {
+      upgradeSavings: { $cond: [{ $gt: [{ $size: "$scenarios" }, 0] }, 0, "$upgradeSavings"] },
+      scenarioSavings: { $max: [{ $ifNull: ["$scenarioSavings", 0] }, 0] },
+    },
+  },
+];
+
+// Aggregation over the users collection giving one console row per user: what they use,
+// spend and could save (standby cut with smart plugs plus replacements), filtered by
+// `q` (name or email), `role` and `minKWh`. `userId` narrows it to one user.
+// `collections` names the appliance, catalog, scenario and session collections.
+function leadStages({ q, role, minKWh, userId } = {}, collections) {
+  const match = {};
+  if (userId) match._id = userId;
+  if (role) match.role = role === "user" ? { $in: ["user", null] } : role;
+  const text = typeof q === "string" ? q.trim() : "";
+  if (text) {
+    const pattern = new RegExp(escapeRegex(text), "i");
+    match.$or = [{ name: pattern }, { mail: pattern }];
+  }
+
+  const stages = [
+    { $match: match },
+    {
+      $lookup: {
+        from: collections.appliances,
+        localField: "_id",
+        foreignField: "userId",
+        pipeline: [
+          {
+            $project: {
+              catalogId: 1,
+              rating: 1,
+              hourlyUsage: 1,
+              quantity: 1,
+              dayFrequency: 1,
+              dutyCycle: 1,
+              standbyWatts: 1,
+              unitRate: 1,
+              consumptionPerMonth: 1,
+              monthlyCost: 1,
+              standbyPerMonth: 1,
+              standbyCost: 1,
+            },
+          },
+          ...replacementSavingsStages(collections),
+        ],
+        as: "appliances",
+      },
+    },
+    {
+      $lookup: {
+        from: collections.sessions,
+        localField: "_id",
+        foreignField: "userId",
+        pipeline: [{ $group: { _id: null, lastSeenAt: { $max: "$lastSeenAt" } } }],
+        as: "activity",
+      },
+    },
+    {
+      $project: {
+        name: 1,
+        mail: 1,
+        role: { $ifNull: ["$role", "user"] },
+        joinedAt: { $toDate: "$_id" },
+        lastSeenAt: { $ifNull: [{ $first: "$activity.lastSeenAt" }, null] },
+        applianceCount: { $size: "$appliances" },
+        monthlyKWh: round2Expr({ $sum: "$appliances.consumptionPerMonth" }),
+        monthlyCost: round2Expr({ $sum: "$appliances.monthlyCost" }),
+        savingsBreakdown: {
+          standby: round2Expr({ $sum: "$appliances.standbyCost" }),
+          upgrades: round2Expr({ $sum: "$appliances.upgradeSavings" }),
+          scenarios: round2Expr({ $sum: "$appliances.scenarioSavings" }),
+        },
+      },
+    },
+    {
+      $set: {
+        "savingsBreakdown.total": round2Expr({
+          $add: ["$savingsBreakdown.standby", "$savingsBreakdown.upgrades", "$savingsBreakdown.scenarios"],
+        }),
+      },
+    },
+    { $set: { potentialSavings: "$savingsBreakdown.total" } },
+  ];
+
+  const min = parseFloat(minKWh);
+  if (!isNaN(min)) stages.push({ $match: { monthlyKWh: { $gte: min } } });
+  return stages;
+}
+
+// Unknown sort keys fall back to potential savings, biggest first; ties keep a stable order
+function leadSort(sort, order) {
+  const key = LEAD_SORTS.includes(sort) ? sort : "potentialSavings";
+  const direction = order === "asc" ? 1 : -1;
+  return { $sort: { [key]: direction, _id: 1 } };
+}
+
+// `page` is 1-based; returns what the console lists with the totals over every match
+function leadPageStages(filters, collections) {
+  const pageSize = Math.min(
+    Math.max(parseInt(filters.pageSize) || LEADS_PAGE_SIZE, 1),
+    MAX_LEADS_PAGE_SIZE
+  );
+  const page = Math.max(parseInt(filters.page) || 1, 1);
+  return [
+    ...leadStages(filters, collections),
+    leadSort(filters.sort, filters.order),
+    {
+      $facet: {
+        leads: [{ $skip: (page - 1) * pageSize }, { $limit: pageSize }],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              monthlyKWh: { $sum: "$monthlyKWh" },
+              potentialSavings: { $sum: "$potentialSavings" },
+            },
+          },
+        ],
+      },
+    },
+    {
+      $project: {
+        page: { $literal: page },
+        pageSize: { $literal: pageSize },
+        total: { $ifNull: [{ $first: "$totals.total" }, 0] },
+        totals: {
+          monthlyKWh: round2Expr({ $ifNull: [{ $first: "$totals.monthlyKWh" }, 0] }),
+          potentialSavings: round2Expr({ $ifNull: [{ $first: "$totals.potentialSavings" }, 0] }),
+        },
+        leads: 1,
+      },
+    },
+  ];
+}
+
+const EXPORT_COLUMNS = [
+  { header: "Name", key: "name", width: 24 },
+  { header: "Email", key: "mail", width: 30 },
+  { header: "Role", key: "role", width: 8 },
+  { header: "Joined", key: "joinedAt", width: 12 },
+  { header: "Last Active", key: "lastSeenAt", width: 12 },
+  { header: "Appliances", key: "applianceCount", width: 11 },
+  { header: "kWh / Month", key: "monthlyKWh", width: 12 },
+  { header: "Cost / Month (Rs)", key: "monthlyCost", width: 16 },
+  { header: "Potential Savings / Month (Rs)", key: "potentialSavings", width: 26 },
+  { header: "Standby Savings (Rs)", key: "standbySavings", width: 18 },
+  { header: "Upgrade Savings (Rs)", key: "upgradeSavings", width: 18 },
+  { header: "Scenario Savings (Rs)", key: "scenarioSavings", width: 18 },
+];
+
+const isoDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
+
+async function buildLeadsExport(leads) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Leads");
+  sheet.columns = EXPORT_COLUMNS;
+
+  for (const l of leads) {
+    sheet.addRow({
+      name: safeText(l.name || ""),
+      mail: safeText(l.mail),
+      role: l.role,
+      joinedAt: isoDate(l.joinedAt),
+      lastSeenAt: isoDate(l.lastSeenAt),
+      applianceCount: l.applianceCount,
+      monthlyKWh: l.monthlyKWh,
+      monthlyCost: l.monthlyCost,
+      potentialSavings: l.potentialSavings,
+      standbySavings: l.savingsBreakdown.standby,
+      upgradeSavings: l.savingsBreakdown.upgrades,
+      scenarioSavings: l.savingsBreakdown.scenarios,
+    });
+  }
+
+  return workbook.csv.writeBuffer();
+}
+
+module.exports = {
+  ROLES,
+  LEAD_SORTS,
+  MAX_LEADS_PAGE_SIZE,
+  proposedMonthlyKWhExpr,
+  leadStages,
+  leadSort,
+  leadPageStages,
+  buildLeadsExport,
+};
@@ -0,0 +1,129 @@
+// ---------- Mail ----------
+// Picks the outgoing transport from config:
+//   MAIL_TRANSPORT=smtp     SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   MAIL_TRANSPORT=gmail    EMAIL_USER, EMAIL_PASS
+//   MAIL_TRANSPORT=capture  nothing is sent; messages are kept in memory or written
+//                           to MAIL_CAPTURE_DIR when MAIL_CAPTURE_STORE=disk
+// Without MAIL_TRANSPORT, Gmail is used when EMAIL_USER is set. Capture is never
+// chosen implicitly: with neither set there is no transport and the server refuses to start.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+const MAX_CAPTURED = 100; // older captured messages are dropped, in memory and on disk
+
+const mailConfig = {
+  transport: process.env.MAIL_TRANSPORT || (process.env.EMAIL_USER ? "gmail" : null),
+  from: process.env.EMAIL_FROM || `"Energy Calculator" <${process.env.EMAIL_USER}>`,
+  captureStore: process.env.MAIL_CAPTURE_STORE === "disk" ? "disk" : "memory",
+  captureDir: process.env.MAIL_CAPTURE_DIR || path.join(os.tmpdir(), "energy-calculator-mail"),
+};
+
+let transporter = null;
+const captured = [];
+
+function createTransport(config) {
+  switch (config.transport) {
+    case "smtp":
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    case "gmail":
+      return nodemailer.createTransport({
+        service: "gmail",
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      });
+    case "capture":
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${config.transport}"`);
+  }
+}
+
+function getTransport() {
+  if (!transporter) transporter = createTransport(mailConfig);
+  return transporter;
+}
+
+// jsonTransport gives addresses as [{ address, name }]; kept as text so they can be searched
+const addressText = (addresses) =>
+  [addresses || []]
+    .flat()
+    .map((a) => (a.name ? `"${a.name}" <${a.address}>` : a.address))
+    .join(", ");
+
+// jsonTransport hands back the rendered message as JSON; keep what a developer needs to read it
+function storeCaptured(info) {
+  const message = JSON.parse(info.message);
+  const record = {
+    id: crypto.randomUUID(),
+    date: new Date().toISOString(),
+    from: addressText(message.from),
+    to: addressText(message.to),
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    attachments: (message.attachments || []).map((a) => ({
+      filename: a.filename,
+      contentType: a.contentType,
+      size: Buffer.byteLength(a.content, a.encoding === "base64" ? "base64" : "utf8"),
+    })),
+  };
+
+  if (mailConfig.captureStore === "disk") {
+    fs.mkdirSync(mailConfig.captureDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(mailConfig.captureDir, `${Date.now()}-${record.id}.json`),
+      JSON.stringify(record, null, 2)
+    );
+    for (const f of capturedFiles().slice(MAX_CAPTURED))
+      fs.unlinkSync(path.join(mailConfig.captureDir, f));
+  } else {
+    captured.unshift(record);
+    captured.length = Math.min(captured.length, MAX_CAPTURED);
+  }
+  return record;
+}
+
+async function sendMail(options) {
+  const info = await getTransport().sendMail({ from: mailConfig.from, ...options });
+  if (mailConfig.transport === "capture") storeCaptured(info);
+  return info;
+}
+
+// Newest first
+const capturedFiles = () =>
+  fs
+    .readdirSync(mailConfig.captureDir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .reverse();
+
+function getCapturedMessages() {
+  if (mailConfig.captureStore !== "disk") return [...captured];
+  if (!fs.existsSync(mailConfig.captureDir)) return [];
+
+  return capturedFiles()
+    .slice(0, MAX_CAPTURED)
+    .map((f) => JSON.parse(fs.readFileSync(path.join(mailConfig.captureDir, f), "utf8")));
+}
+
+function clearCapturedMessages() {
+  captured.length = 0;
+  if (mailConfig.captureStore === "disk" && fs.existsSync(mailConfig.captureDir)) {
+    for (const f of fs.readdirSync(mailConfig.captureDir))
+      if (f.endsWith(".json")) fs.unlinkSync(path.join(mailConfig.captureDir, f));
+  }
+}
+
+module.exports = { mailConfig, sendMail, getCapturedMessages, clearCapturedMessages };
@@ -0,0 +1,101 @@
+// ---------- Email Templates ----------
+// Pure functions returning { subject, html, text } for each outgoing email.
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Antar IoT branded frame shared by every outgoing email
+function brandedEmail(content) {
+  return `
+      <div style="font-family: 'Arial', sans-serif; background-color: #f4f6f8; padding: 20px;"> <div style="max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.08);"> <!-- Header --> <div style="background: #007bff; color: #ffffff; text-align: center; padding: 18px 16px; font-size: 20px; font-weight: bold;"> ⚡︎ Energy Savings Calculator </div> <!-- Body --> <div style="padding: 28px; color: #333333; line-height: 1.6;"> ${content} <hr style="border: none; border-top: 1px solid #ddd; margin: 32px 0 20px;" /> <!-- Footer --> <div style="text-align: center;"> <a href="https://www.antariot.com" style="color: #007bff; text-decoration: none; font-weight: 500;"> www.antariot.com </a> <br /> <a href="mailto:sales@antariot.com" style="color: #007bff; text-decoration: none; font-weight: 500;"> sales@antariot.com </a> <p style="font-size: 13px; color: #777; margin-top: 14px;"> © ${new Date().getFullYear()} <span style="font-weight: bold;">Antar IoT Energy Savings Calculator</span>. All rights reserved. </p> </div> </div> </div> </div>
+    `;
+}
+
+function otpEmail({ name, otp, ttlMinutes = 10 }) {
+  return {
+    subject: "Your OTP Code for Energy Calculator",
+    html: brandedEmail(
+      `<p style="margin: 0 0 12px;">Hello <strong>${escapeHtml(name)}</strong>,</p> <p style="margin: 0 0 20px;">Your one-time password (OTP) is:</p> <!-- OTP Box --> <div style="background: #f1f5ff; border-radius: 8px; padding: 18px; text-align: center; font-size: 30px; font-weight: bold; letter-spacing: 6px; color: #007bff; margin: 24px 0;"> ${otp} </div> <p style="margin: 0 0 12px;">This OTP will expire in <strong>${ttlMinutes} minutes</strong>.</p> <p style="margin: 0;">If you did not request this, please ignore this email.</p>`
+    ),
+    text: `Hello ${name},\n\nYour one-time password (OTP) is: ${otp}\n\nThis OTP will expire in ${ttlMinutes} minutes. If you did not request this, please ignore this email.\n\nwww.antariot.com`,
+  };
+}
+
+function reportEmail({ name, title }) {
+  return {
+    subject: `${title} — Antar IoT Energy Calculator`,
+    html: brandedEmail(
+      `<p style="margin: 0 0 12px;">Hello <strong>${escapeHtml(name)}</strong>,</p> <p style="margin: 0 0 12px;">Please find attached your energy audit report <strong>${escapeHtml(title)}</strong>.</p> <p style="margin: 0;">It covers your appliance inventory, consumption totals, each appliance's share of consumption and our savings recommendations.</p>`
+    ),
+    text: `Hello ${name},\n\nPlease find attached your energy audit report "${title}".\n\nwww.antariot.com`,
+  };
+}
+
+function inviteEmail({ inviterName, workspaceName, siteName, role, link, ttlDays }) {
+  const scope = siteName
+    ? `the site ${siteName} in ${workspaceName}'s workspace`
+    : `${workspaceName}'s workspace`;
+  return {
+    subject: `${inviterName} invited you to collaborate — Antar IoT Energy Calculator`,
+    html: brandedEmail(
+      `<p style="margin: 0 0 12px;">Hello,</p> <p style="margin: 0 0 12px;"><strong>${escapeHtml(inviterName)}</strong> has invited you to ${escapeHtml(scope)} as <strong>${escapeHtml(role)}</strong>.</p> <p style="margin: 0 0 20px;">Log in with this email address and accept the invitation on the Team page.</p> <div style="text-align: center; margin: 24px 0;"> <a href="${escapeHtml(link)}" style="background: #007bff; color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 6px; font-weight: bold;"> Open Energy Calculator </a> </div> <p style="margin: 0;">The invitation expires in <strong>${ttlDays} days</strong>. If you were not expecting it, you can ignore this email.</p>`
+    ),
+    text: `Hello,\n\n${inviterName} has invited you to ${scope} as ${role}.\n\nLog in with this email address at ${link} and accept the invitation on the Team page. The invitation expires in ${ttlDays} days.\n\nwww.antariot.com`,
+  };
+}
+
+// `used`, `amount` and `projected` come formatted by formatBudgetValue, e.g. "₹1,250.00"
+// or "310.00 kWh"
+function budgetAlertEmail({ name, scope, threshold, basis, used, amount, percent, projected, link }) {
+  const summary =
+    basis === "actual"
+      ? `You have used ${used} of your ${amount} monthly budget for ${scope} (${percent}%), passing your ${threshold}% alert. At this rate the month will end at ${projected}.`
+      : `The estimated month for ${scope} comes to ${used}, ${percent}% of your ${amount} budget, passing your ${threshold}% alert.`;
+  return {
+    subject: `Budget alert for ${scope}: ${percent}% used — Antar IoT Energy Calculator`,
+    html: brandedEmail(
+      `<p style="margin: 0 0 12px;">Hello <strong>${escapeHtml(name)}</strong>,</p> <p style="margin: 0 0 12px;">${escapeHtml(summary)}</p> <p style="margin: 0 0 20px;">The savings page lists the changes that would bring it down.</p> <div style="text-align: center; margin: 24px 0;"> <a href="${escapeHtml(link)}" style="background: #007bff; color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 6px; font-weight: bold;"> View Savings </a> </div> <p style="margin: 0; font-size: 13px; color: #777;">You can turn these alerts off in the calculator's budget settings.</p>`
+    ),
+    text: `Hello ${name},\n\n${summary}\n\nSee where to save: ${link}\n\nYou can turn these alerts off in the calculator's budget settings.\n\nwww.antariot.com`,
+  };
+}
+
+// `rows` are { scope, used, amount, percent } with values formatted; `totals` the
+// formatted estimate and metered use for the whole account
+function budgetDigestEmail({ name, periodLabel, rows, totals, link }) {
+  const tableRows = rows
+    .map(
+      (r) =>
+        `<tr><td style="padding: 6px 8px; border-bottom: 1px solid #eee;">${escapeHtml(r.scope)}</td><td style="padding: 6px 8px; border-bottom: 1px solid #eee;">${escapeHtml(r.used)}</td><td style="padding: 6px 8px; border-bottom: 1px solid #eee;">${escapeHtml(r.amount)}</td><td style="padding: 6px 8px; border-bottom: 1px solid #eee; font-weight: bold; color: ${r.percent >= 100 ? "#dc2626" : "#16a34a"};">${r.percent}%</td></tr>`
+    )
+    .join("");
+  const budgetTable =
+    rows.length > 0
+      ? `<table style="width: 100%; border-collapse: collapse; font-size: 14px; margin: 16px 0;"><tr style="background: #f1f5ff; text-align: left;"><th style="padding: 6px 8px;">Budget</th><th style="padding: 6px 8px;">Used</th><th style="padding: 6px 8px;">Budget</th><th style="padding: 6px 8px;">%</th></tr>${tableRows}</table>`
+      : `<p style="margin: 0 0 12px;">You have not set a budget yet; setting one gets you an alert before the month runs over.</p>`;
+  const metered = totals.metered ? ` Your devices metered <strong>${escapeHtml(totals.metered)}</strong>.` : "";
+  return {
+    subject: `Your ${periodLabel} energy summary — Antar IoT Energy Calculator`,
+    html: brandedEmail(
+      `<p style="margin: 0 0 12px;">Hello <strong>${escapeHtml(name)}</strong>,</p> <p style="margin: 0 0 12px;">Here is how ${escapeHtml(periodLabel)} went. Your inventory estimates <strong>${escapeHtml(totals.kWh)}</strong> costing <strong>${escapeHtml(totals.cost)}</strong> a month.${metered}</p> ${budgetTable} <div style="text-align: center; margin: 24px 0;"> <a href="${escapeHtml(link)}" style="background: #007bff; color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 6px; font-weight: bold;"> Open Energy Calculator </a> </div> <p style="margin: 0; font-size: 13px; color: #777;">You can stop this monthly summary in the calculator's budget settings.</p>`
+    ),
+    text: `Hello ${name},\n\nHere is how ${periodLabel} went. Your inventory estimates ${totals.kWh} costing ${totals.cost} a month.${
+      totals.metered ? ` Your devices metered ${totals.metered}.` : ""
+    }\n\n${rows.map((r) => `${r.scope}: ${r.used} of ${r.amount} (${r.percent}%)`).join("\n")}\n\n${link}\n\nwww.antariot.com`,
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  brandedEmail,
+  otpEmail,
+  reportEmail,
+  inviteEmail,
+  budgetAlertEmail,
+  budgetDigestEmail,
+};
@@ -0,0 +1,62 @@
+// ---------- MQTT Telemetry Listener ----------
+// Optional: subscribes to a broker when MQTT_URL is set (e.g. mqtt://localhost:1883).
+//   MQTT_TOPIC      default "antar/+/telemetry"; the "+" level is the device serial
+//   MQTT_USERNAME   MQTT_PASSWORD
+// Payloads are the same JSON as POST /api/telemetry plus the device's "apiKey".
+const mqtt = require("mqtt");
+
+const mqttConfig = {
+  url: process.env.MQTT_URL || null,
+  topic: process.env.MQTT_TOPIC || "antar/+/telemetry",
+};
+
+// Serial from the topic level matched by "+", or null when the topic has no wildcard
+function serialFromTopic(pattern, topic) {
+  const index = pattern.split("/").indexOf("+");
+  return index === -1 ? null : topic.split("/")[index] || null;
+}
+
+// `ingest({ serial, apiKey, readings })` authenticates and stores a payload; its
+// errors are logged, since there is nobody to reply to.
+function startMqttListener(ingest) {
+  if (!mqttConfig.url) return null;
+
+  const client = mqtt.connect(mqttConfig.url, {
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    reconnectPeriod: 10 * 1000,
+  });
+
+  client.on("connect", () => {
+    client.subscribe(mqttConfig.topic, { qos: 1 }, (err) => {
+      if (err) console.error("MQTT subscribe failed:", err);
+      else console.log(`📡 Listening for telemetry on ${mqttConfig.topic}`);
+    });
+  });
+  client.on("error", (err) => console.error("MQTT error:", err.message));
+
+  client.on("message", async (topic, message) => {
+    let payload;
+    try {
+      payload = JSON.parse(message.toString());
+    } catch {
+      return console.error(`MQTT telemetry on ${topic} is not JSON`);
+    }
+
+    try {
+      const result = await ingest({
+        serial: serialFromTopic(mqttConfig.topic, topic),
+        apiKey: payload.apiKey,
+        readings: Array.isArray(payload.readings) ? payload.readings : [payload],
+      });
+      if (result.rejected.length > 0)
+        console.warn(`MQTT telemetry on ${topic}: ${result.rejected.length} reading(s) rejected`);
+    } catch (err) {
+      console.error(`MQTT telemetry on ${topic} failed:`, err.message);
+    }
+  });
+
+  return client;
+}
+
+module.exports = { mqttConfig, startMqttListener };
@@ -0,0 +1,60 @@
+// ---------- OTP Limits ----------
+// Decisions behind the login-code limits, from the counters stored on the user:
+// each code allows `maxAttemptsPerCode` guesses, `maxFailuresPerEmail` wrong guesses
+// in a row lock the address for `lockoutMs`, and a new code can be requested once
+// `resendCooldownMs` has passed since the last one.
+
+const isLocked = (user, now = new Date()) => Boolean(user?.lockedUntil && user.lockedUntil > now);
+
+// Seconds until another code may be sent to `user`, 0 when one may be sent now
+function resendWait(user, config, now = new Date()) {
+  if (!user?.otpSentAt) return 0;
+  const wait = user.otpSentAt.getTime() + config.resendCooldownMs - now.getTime();
+  return wait > 0 ? Math.ceil(wait / 1000) : 0;
+}
+
+// Query filter that claims one guess at the user's current code. It matches nothing
+// once the code is used up or expired or the address is locked, so guesses made in
+// parallel cannot go past the limit.
+function guessFilter(mail, config, now = new Date()) {
+  return {
+    mail,
+    otpHash: { $exists: true, $ne: null },
+    otpExpires: { $gt: now },
+    otpAttempts: { $lt: config.maxAttemptsPerCode },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  };
+}
+
+// Why no guess could be claimed for `user` (null when there is no such user),
+// as the { status, body } to respond with
+function guessRejection(user, config, now = new Date()) {
+  if (!user) return { status: 404, body: { message: "User not found" } };
+  if (isLocked(user, now))
+    return {
+      status: 423,
+      body: {
+        message: "Account temporarily locked after too many incorrect codes",
+        lockedUntil: user.lockedUntil,
+      },
+    };
+  if (user.otpHash && user.otpExpires > now && user.otpAttempts >= config.maxAttemptsPerCode)
+    return {
+      status: 400,
+      body: { message: "Too many incorrect attempts, please request a new code", attemptsRemaining: 0 },
+    };
+  return { status: 400, body: { message: "Invalid or expired OTP" } };
+}
+
+// After a wrong guess has been counted on `user`: the lock it earns, if any, and the
+// guesses left on the current code
+function wrongGuessOutcome(user, config, now = new Date()) {
+  if (user.otpFailures >= config.maxFailuresPerEmail)
+    return { lockedUntil: new Date(now.getTime() + config.lockoutMs), attemptsRemaining: 0 };
+  return {
+    lockedUntil: null,
+    attemptsRemaining: Math.max(config.maxAttemptsPerCode - user.otpAttempts, 0),
+  };
+}
+
+module.exports = { isLocked, resendWait, guessFilter, guessRejection, wrongGuessOutcome };
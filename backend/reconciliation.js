@@ -0,0 +1,151 @@
+// ---------- Bill Reconciliation ----------
+// Compares recorded meter readings and bills with the inventory's estimate for the
+// same month. Periods are "YYYY-MM" strings.
+const { round2 } = require("../shared/calculations.mjs");
+const { MONTH_LABELS, projectYear } = require("./seasonal");
+
+const HISTORY_MONTHS = 24;
+// Actual use this far above the estimate means appliances are missing from the inventory
+const UNACCOUNTED_THRESHOLD_PERCENT = 20;
+
+const isValidPeriod = (period) => typeof period === "string" && /^\d{4}-(0[1-9]|1[0-2])$/.test(period);
+
+const toPeriod = (year, month) => `${year}-${String(month).padStart(2, "0")}`;
+const validOrNull = (period) => (isValidPeriod(period) ? period : null);
+
+// "2026-03", "2026-03-15", "03/2026", "Mar 2026" or "March-2026" → "2026-03"; null when unreadable
+function parsePeriod(value) {
+  const text = String(value ?? "").trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?$/);
+  if (match) return validOrNull(toPeriod(match[1], +match[2]));
+
+  match = text.match(/^(\d{1,2})[/-](\d{4})$/);
+  if (match) return validOrNull(toPeriod(match[2], +match[1]));
+
+  match = text.match(/^([A-Za-z]{3})[A-Za-z]*[\s'-]+(\d{4})$/);
+  if (match) {
+    const month = MONTH_LABELS.findIndex((m) => m.toLowerCase() === match[1].toLowerCase());
+    return month === -1 ? null : toPeriod(match[2], month + 1);
+  }
+  return null;
+}
+
+// The `count` periods ending with the month of `end`, newest first
+function recentPeriods(count = HISTORY_MONTHS, end = new Date()) {
+  return Array.from({ length: count }, (_, i) => {
+    const date = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - i, 1));
+    return toPeriod(date.getUTCFullYear(), date.getUTCMonth() + 1);
+  });
+}
+
+const previousPeriod = (period) => {
+  const [year, month] = period.split("-").map(Number);
+  return month === 1 ? toPeriod(year - 1, 12) : toPeriod(year, month - 1);
+};
+
+// kWh used in a reading's month: entered directly, or the difference from the
+// previous month's cumulative meter reading. null when neither is known.
+function usedKWh(reading, byPeriod) {
+  if (reading.kWh !== null && reading.kWh !== undefined) return reading.kWh;
+  const previous = byPeriod.get(previousPeriod(reading.period));
+  if (reading.meterReading == null || !previous || previous.meterReading == null) return null;
+  const used = reading.meterReading - previous.meterReading;
+  return used >= 0 ? used : null; // meter replaced or mistyped
+}
+
+const percentOf = (difference, base) => (base > 0 ? round2((difference / base) * 100) : null);
+
+// "unaccounted" when actual use is well above the estimate, "overestimated" when well
+// below. kWh is compared when known, otherwise the bill amount.
+function varianceStatus(percent, thresholdPercent) {
+  if (percent === null) return "unknown";
+  if (percent > thresholdPercent) return "unaccounted";
+  if (percent < -thresholdPercent) return "overestimated";
+  return "ok";
+}
+
+// One row per reading, newest first. Estimates come from the current appliances
+// projected into that month (seasonal factors and month length included); with
+// `priceMonth(kWh)` both sides are priced as a tariff bill, otherwise the
+// estimate uses each appliance's unit rate and only entered bill amounts are shown.
+// Readings before `since` are only used for the meter difference of the next month.
+function reconcile({
+  readings,
+  appliances,
+  priceMonth = null,
+  thresholdPercent = UNACCOUNTED_THRESHOLD_PERCENT,
+  since = null,
+}) {
+  const byPeriod = new Map(readings.map((r) => [r.period, r]));
+  const projections = new Map();
+  const estimateFor = (period) => {
+    const [year, month] = period.split("-").map(Number);
+    if (!projections.has(year)) projections.set(year, projectYear({ appliances, year, priceMonth }));
+    return projections.get(year).months[month - 1];
+  };
+
+  const rows = readings
+    .filter((r) => !since || r.period >= since)
+    .sort((a, b) => b.period.localeCompare(a.period))
+    .map((r) => {
+      const estimate = estimateFor(r.period);
+      const estimatedCost = priceMonth ? estimate.bill : estimate.cost;
+      const actualKWh = usedKWh(r, byPeriod);
+      let actualCost = r.amount ?? null;
+      if (actualCost === null && actualKWh !== null && priceMonth) actualCost = round2(priceMonth(actualKWh));
+
+      const varianceKWh = actualKWh === null ? null : round2(actualKWh - estimate.kWh);
+      const costVariance = actualCost === null ? null : round2(actualCost - estimatedCost);
+      const variancePercent =
+        varianceKWh !== null
+          ? percentOf(varianceKWh, estimate.kWh)
+          : costVariance !== null
+            ? percentOf(costVariance, estimatedCost)
+            : null;
+
+      return {
+        readingId: r._id,
+        period: r.period,
+        source: r.source,
+        note: r.note || "",
+        meterReading: r.meterReading ?? null,
+        estimatedKWh: estimate.kWh,
+        actualKWh: actualKWh === null ? null : round2(actualKWh),
+        varianceKWh,
+        estimatedCost,
+        actualCost,
+        costVariance,
+        variancePercent,
+        status: varianceStatus(variancePercent, thresholdPercent),
+      };
+    });
+
+  const compared = rows.filter((r) => r.actualKWh !== null);
+  const estimatedKWh = compared.reduce((sum, r) => sum + r.estimatedKWh, 0);
+  const actualKWh = compared.reduce((sum, r) => sum + r.actualKWh, 0);
+
+  return {
+    thresholdPercent,
+    rows,
+    totals: {
+      months: compared.length,
+      estimatedKWh: round2(estimatedKWh),
+      actualKWh: round2(actualKWh),
+      varianceKWh: round2(actualKWh - estimatedKWh),
+      variancePercent: percentOf(actualKWh - estimatedKWh, estimatedKWh),
+      // Average monthly kWh the inventory does not explain
+      unaccountedKWhPerMonth:
+        compared.length > 0 ? round2(Math.max(0, actualKWh - estimatedKWh) / compared.length) : 0,
+    },
+    unaccountedMonths: rows.filter((r) => r.status === "unaccounted").length,
+  };
+}
+
+module.exports = {
+  HISTORY_MONTHS,
+  UNACCOUNTED_THRESHOLD_PERCENT,
+  isValidPeriod,
+  parsePeriod,
+  recentPeriods,
+  reconcile,
+};
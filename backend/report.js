@@ -0,0 +1,358 @@
+// ---------- Energy Audit Report ----------
+// Renders a stored report snapshot as branded HTML and PDF.
+const path = require("path");
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+const { escapeHtml } = require("./mailTemplates");
+
+const LOGO_PATH = path.join(__dirname, "antar-logo-removebg.png");
+const BRAND_COLOR = "#007bff";
+
+const fmt = (n, digits = 2) => Number(n || 0).toFixed(digits);
+
+function formatPayback(months) {
+  if (months === null || months === undefined) return "Never";
+  return months < 12 ? `${fmt(months, 1)} months` : `${fmt(months / 12, 1)} years`;
+}
+
+// One line per figure of the rooftop solar estimate, shared by HTML and PDF
+function solarLines(solar, currency) {
+  const payback =
+    solar.paybackYears === null
+      ? `not within ${solar.lifetimeYears} years`
+      : `${fmt(solar.paybackYears, 1)} years`;
+  const lines = [
+    ["Recommended system", `${fmt(solar.systemKW, 1)} kWp (${solar.location})`],
+    [
+      "Annual generation",
+      `${fmt(solar.annualGenerationKWh, 0)} kWh (${fmt(solar.offsetPercent, 0)}% of use)`,
+    ],
+    [
+      "Monthly bill",
+      `${currency}${fmt(solar.monthlyBillBefore)} now, ${currency}${fmt(solar.monthlyBillAfter)} with solar`,
+    ],
+    ["Savings / year", `${currency}${fmt(solar.annualSavings)}`],
+    ["Cost after subsidy", `${currency}${fmt(solar.netCost)}`],
+    ["Payback", payback],
+    [`Net savings over ${solar.lifetimeYears} years`, `${currency}${fmt(solar.netLifetimeSavings)}`],
+    ["CO₂e avoided / year", `${fmt(solar.annualCO2Avoided)} kg`],
+  ];
+  if (solar.battery) {
+    const { kWh, backupLoadKW, backupHours, cost } = solar.battery;
+    lines.splice(5, 0, [
+      "Backup battery",
+      `${fmt(kWh, 1)} kWh for ${fmt(backupLoadKW)} kW over ${backupHours} h (${currency}${fmt(cost)})`,
+    ]);
+  }
+  return lines;
+}
+
+// ---------- HTML ----------
+function renderReportHtml(data) {
+  const logo = fs.existsSync(LOGO_PATH)
+    ? `data:image/png;base64,${fs.readFileSync(LOGO_PATH).toString("base64")}`
+    : null;
+
+  const applianceRows = data.appliances
+    .map(
+      (a) => `
+        <tr>
+          <td>${escapeHtml(a.applianceName)}</td>
+          <td>${escapeHtml(a.room || "-")}</td>
+          <td class="num">${fmt(a.rating * 1000, 0)}</td>
+          <td class="num">${a.quantity}</td>
+          <td class="num">${fmt(a.hourlyUsage, 1)}</td>
+          <td class="num">${fmt(a.consumptionPerDay)}</td>
+          <td class="num">${fmt(a.consumptionPerMonth)}</td>
+          <td class="num">₹${fmt(a.monthlyCost)}</td>
+          <td class="num">${fmt(a.co2PerMonth)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const shareRows = [...data.appliances]
+    .sort((a, b) => b.share - a.share)
+    .map(
+      (a) => `
+        <div class="share">
+          <span class="share-label">${escapeHtml(a.applianceName)}</span>
+          <span class="share-bar"><span style="width: ${Math.max(a.share, 0.5)}%"></span></span>
+          <span class="share-value">${fmt(a.share, 1)}%</span>
+        </div>`
+    )
+    .join("");
+
+  const recommendationRows = data.recommendations
+    .map(
+      (r) => `
+        <tr>
+          <td>${escapeHtml(r.applianceName)} → ${escapeHtml(r.proposedName)}</td>
+          <td class="num">${fmt(r.annualKWhSaved)}</td>
+          <td class="num">₹${fmt(r.annualSavings)}</td>
+          <td class="num">${fmt(r.annualCO2Avoided)}</td>
+          <td class="num">₹${fmt(r.purchaseCost)}</td>
+          <td class="num">${formatPayback(r.paybackMonths)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const solar = data.solar
+    ? `<h2>Rooftop Solar</h2>
+    <table><tbody>${solarLines(data.solar, "₹")
+      .map(
+        ([label, value]) =>
+          `<tr><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`
+      )
+      .join("")}</tbody></table>`
+    : "";
+
+  const bill = data.bill
+    ? `<p>Estimated bill under <strong>${escapeHtml(data.bill.tariffName)}</strong>:
+         <strong>₹${fmt(data.bill.total)}</strong> / month
+         (energy ₹${fmt(data.bill.energyCharge)}, fixed ₹${fmt(data.bill.fixedCharge)},
+         fuel surcharge ₹${fmt(data.bill.fuelSurcharge)}, duty ₹${fmt(data.bill.electricityDuty)})</p>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(data.title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; background: #f4f6f8; color: #333; margin: 0; padding: 20px; }
+  .page { max-width: 900px; margin: 0 auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.08); }
+  .header { background: ${BRAND_COLOR}; color: #fff; padding: 18px 24px; display: flex; align-items: center; gap: 16px; }
+  .header img { height: 56px; width: 56px; }
+  .header h1 { margin: 0; font-size: 22px; }
+  .content { padding: 24px; line-height: 1.5; }
+  h2 { color: ${BRAND_COLOR}; font-size: 18px; margin-top: 28px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th { background: ${BRAND_COLOR}; color: #fff; text-align: left; padding: 8px; }
+  td { border-bottom: 1px solid #e5e7eb; padding: 8px; }
+  .num { text-align: right; }
+  .totals { display: flex; gap: 16px; flex-wrap: wrap; }
+  .totals div { background: #f1f5ff; border-radius: 8px; padding: 12px 16px; min-width: 160px; }
+  .totals strong { display: block; font-size: 20px; color: ${BRAND_COLOR}; }
+  .share { display: flex; align-items: center; gap: 8px; font-size: 13px; margin: 4px 0; }
+  .share-label { width: 200px; }
+  .share-bar { flex: 1; background: #e5e7eb; border-radius: 4px; height: 12px; }
+  .share-bar span { display: block; height: 12px; border-radius: 4px; background: ${BRAND_COLOR}; }
+  .share-value { width: 60px; text-align: right; }
+  .footer { text-align: center; font-size: 13px; color: #777; padding: 20px; border-top: 1px solid #ddd; }
+  .footer a { color: ${BRAND_COLOR}; text-decoration: none; }
+</style>
+</head>
+<body>
+<div class="page">
+  <div class="header">
+    ${logo ? `<img src="${logo}" alt="Antar IoT" />` : ""}
+    <div>
+      <h1>⚡︎ ${escapeHtml(data.title)}</h1>
+      <div>Antar IoT Energy Savings Calculator</div>
+    </div>
+  </div>
+  <div class="content">
+    <p>Prepared for <strong>${escapeHtml(data.customer.name)}</strong> (${escapeHtml(data.customer.mail)})
+      ${data.siteName ? ` · Site: <strong>${escapeHtml(data.siteName)}</strong>` : ""}
+      <br />Generated on ${new Date(data.generatedAt).toLocaleString("en-IN")}</p>
+
+    <h2>Totals</h2>
+    <div class="totals">
+      <div>Appliances<strong>${data.totals.applianceCount}</strong></div>
+      <div>Daily consumption<strong>${fmt(data.totals.consumptionPerDay)} kWh</strong></div>
+      <div>Monthly consumption<strong>${fmt(data.totals.consumptionPerMonth)} kWh</strong></div>
+      <div>Monthly cost<strong>₹${fmt(data.totals.monthlyCost)}</strong></div>
+      <div>Emissions / month<strong>${fmt(data.totals.co2PerMonth)} kg CO₂e</strong></div>
+      <div>Emissions / year<strong>${fmt(data.totals.co2PerYear)} kg CO₂e</strong></div>
+    </div>
+    ${bill}
+
+    <h2>Appliances</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>Appliance</th><th>Room</th><th class="num">Rating (W)</th><th class="num">Qty</th>
+          <th class="num">Hours / Day</th><th class="num">kWh / Day</th><th class="num">kWh / Month</th>
+          <th class="num">Monthly Cost</th><th class="num">kg CO₂e / Month</th>
+        </tr>
+      </thead>
+      <tbody>${applianceRows || `<tr><td colspan="9">No appliances recorded.</td></tr>`}</tbody>
+    </table>
+
+    <h2>Share of Consumption</h2>
+    ${shareRows || "<p>No consumption recorded.</p>"}
+
+    <h2>Savings Recommendations</h2>
+    ${
+      recommendationRows
+        ? `<table>
+      <thead>
+        <tr>
+          <th>Upgrade</th><th class="num">kWh Saved / Year</th><th class="num">Savings / Year</th>
+          <th class="num">kg CO₂e Avoided / Year</th><th class="num">Cost</th><th class="num">Payback</th>
+        </tr>
+      </thead>
+      <tbody>${recommendationRows}</tbody>
+    </table>`
+        : "<p>No upgrades proposed yet.</p>"
+    }
+
+    ${solar}
+  </div>
+  <div class="footer">
+    <a href="https://www.antariot.com">www.antariot.com</a> ·
+    <a href="mailto:sales@antariot.com">sales@antariot.com</a>
+    <p>© ${new Date(data.generatedAt).getFullYear()} <strong>Antar IoT Energy Savings Calculator</strong>. All rights reserved.</p>
+  </div>
+</div>
+</body>
+</html>`;
+}
+
+// ---------- PDF ----------
+// Standard PDF fonts have no ₹ glyph, so amounts are printed as "Rs.".
+function renderReportPdf(data) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const pageWidth = doc.page.width - 80;
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 90).fill(BRAND_COLOR);
+    if (fs.existsSync(LOGO_PATH)) doc.image(LOGO_PATH, 40, 17, { width: 56, height: 56 });
+    doc
+      .fillColor("#ffffff")
+      .font("Helvetica-Bold")
+      .fontSize(20)
+      .text(data.title, 110, 28)
+      .font("Helvetica")
+      .fontSize(11)
+      .text("Antar IoT Energy Savings Calculator", 110, 54);
+
+    doc.fillColor("#333333").fontSize(10).text("", 40, 110);
+    doc.text(`Prepared for: ${data.customer.name} (${data.customer.mail})`);
+    if (data.siteName) doc.text(`Site: ${data.siteName}`);
+    doc.text(`Generated on: ${new Date(data.generatedAt).toLocaleString("en-IN")}`);
+
+    const heading = (text) => {
+      doc.moveDown(1.2).font("Helvetica-Bold").fontSize(13).fillColor(BRAND_COLOR).text(text, 40);
+      doc.moveDown(0.4).font("Helvetica").fontSize(9).fillColor("#333333");
+    };
+
+    const table = (columns, rows) => {
+      const drawRow = (cells, bold) => {
+        if (doc.y > doc.page.height - 60) doc.addPage();
+        const y = doc.y;
+        let x = 40;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+        cells.forEach((cell, i) => {
+          doc.text(String(cell), x, y, {
+            width: columns[i].width * pageWidth - 4,
+            align: columns[i].align || "left",
+          });
+          x += columns[i].width * pageWidth;
+        });
+        doc.y = y + 14;
+      };
+      drawRow(columns.map((c) => c.label), true);
+      rows.forEach((r) => drawRow(r, false));
+    };
+
+    heading("Totals");
+    doc.text(`Appliances: ${data.totals.applianceCount}`);
+    doc.text(`Daily consumption: ${fmt(data.totals.consumptionPerDay)} kWh`);
+    doc.text(`Monthly consumption: ${fmt(data.totals.consumptionPerMonth)} kWh`);
+    doc.text(`Monthly cost: Rs. ${fmt(data.totals.monthlyCost)}`);
+    doc.text(
+      `Emissions: ${fmt(data.totals.co2PerMonth)} kg CO2e / month, ${fmt(data.totals.co2PerYear)} kg CO2e / year`
+    );
+    if (data.bill)
+      doc.text(
+        `Estimated bill (${data.bill.tariffName}): Rs. ${fmt(data.bill.total)} / month`
+      );
+
+    heading("Appliances");
+    table(
+      [
+        { label: "Appliance", width: 0.22 },
+        { label: "Room", width: 0.12 },
+        { label: "Rating (W)", width: 0.1, align: "right" },
+        { label: "Qty", width: 0.06, align: "right" },
+        { label: "Hrs/Day", width: 0.09, align: "right" },
+        { label: "kWh/Month", width: 0.13, align: "right" },
+        { label: "Cost/Month", width: 0.14, align: "right" },
+        { label: "kg CO2e/Mo", width: 0.14, align: "right" },
+      ],
+      data.appliances.map((a) => [
+        a.applianceName,
+        a.room || "-",
+        fmt(a.rating * 1000, 0),
+        a.quantity,
+        fmt(a.hourlyUsage, 1),
+        fmt(a.consumptionPerMonth),
+        `Rs. ${fmt(a.monthlyCost)}`,
+        fmt(a.co2PerMonth),
+      ])
+    );
+
+    heading("Share of Consumption");
+    [...data.appliances]
+      .sort((a, b) => b.share - a.share)
+      .forEach((a) => {
+        if (doc.y > doc.page.height - 60) doc.addPage();
+        const y = doc.y;
+        doc.text(a.applianceName, 40, y, { width: 160 });
+        doc.rect(205, y, 260, 9).fill("#e5e7eb");
+        doc.rect(205, y, (260 * Math.max(a.share, 0.5)) / 100, 9).fill(BRAND_COLOR);
+        doc.fillColor("#333333").text(`${fmt(a.share, 1)}%`, 475, y, { width: 60, align: "right" });
+        doc.y = y + 14;
+      });
+
+    heading("Savings Recommendations");
+    if (data.recommendations.length === 0) doc.text("No upgrades proposed yet.");
+    else
+      table(
+        [
+          { label: "Upgrade", width: 0.32 },
+          { label: "kWh Saved/Yr", width: 0.13, align: "right" },
+          { label: "Savings/Yr", width: 0.14, align: "right" },
+          { label: "kg CO2e Avoided/Yr", width: 0.15, align: "right" },
+          { label: "Cost", width: 0.13, align: "right" },
+          { label: "Payback", width: 0.13, align: "right" },
+        ],
+        data.recommendations.map((r) => [
+          `${r.applianceName} -> ${r.proposedName}`,
+          fmt(r.annualKWhSaved),
+          `Rs. ${fmt(r.annualSavings)}`,
+          fmt(r.annualCO2Avoided),
+          `Rs. ${fmt(r.purchaseCost)}`,
+          formatPayback(r.paybackMonths),
+        ])
+      );
+
+    if (data.solar) {
+      heading("Rooftop Solar");
+      table(
+        [
+          { label: "Estimate", width: 0.4 },
+          { label: "", width: 0.6, align: "right" },
+        ],
+        solarLines(data.solar, "Rs. ").map(([label, value]) => [label.replace("₂", "2"), value])
+      );
+    }
+
+    doc
+      .moveDown(2)
+      .fontSize(9)
+      .fillColor("#777777")
+      .text("www.antariot.com  |  sales@antariot.com", 40, doc.y, { width: pageWidth, align: "center" });
+
+    doc.end();
+  });
+}
+
+module.exports = { renderReportHtml, renderReportPdf };
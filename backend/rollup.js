@@ -0,0 +1,75 @@
+// ---------- Site / Zone Roll-ups ----------
+// Groups a user's appliances by zone and site with consumption, cost and emission subtotals.
+const { round2 } = require("../shared/calculations.mjs");
+
+const emptyTotals = () => ({
+  applianceCount: 0,
+  consumptionPerDay: 0,
+  consumptionPerWeek: 0,
+  consumptionPerMonth: 0,
+  monthlyCost: 0,
+  billShare: 0,
+  co2PerMonth: 0,
+  standbyPerMonth: 0,
+});
+
+function addAppliance(totals, appliance, billShare) {
+  totals.applianceCount += 1;
+  totals.consumptionPerDay += appliance.consumptionPerDay || 0;
+  totals.consumptionPerWeek += appliance.consumptionPerWeek || 0;
+  totals.consumptionPerMonth += appliance.consumptionPerMonth || 0;
+  totals.monthlyCost += appliance.monthlyCost || 0;
+  totals.billShare += billShare || 0;
+  totals.co2PerMonth += appliance.co2PerMonth || 0;
+  totals.standbyPerMonth += appliance.standbyPerMonth || 0;
+}
+
+const roundTotals = (totals) => ({
+  ...totals,
+  consumptionPerDay: round2(totals.consumptionPerDay),
+  consumptionPerWeek: round2(totals.consumptionPerWeek),
+  consumptionPerMonth: round2(totals.consumptionPerMonth),
+  monthlyCost: round2(totals.monthlyCost),
+  billShare: round2(totals.billShare),
+  co2PerMonth: round2(totals.co2PerMonth),
+  standbyPerMonth: round2(totals.standbyPerMonth),
+});
+
+// `billShares` maps applianceId → tariff bill share (see splitBill); emissions are
+// summed from each appliance's co2PerMonth when present.
+// Appliances without a zone are reported in `unassigned`.
+function rollupBySite({ appliances, sites, zones, billShares = {} }) {
+  const siteMap = new Map(
+    sites.map((s) => [s._id.toString(), { siteId: s._id, name: s.name, ...emptyTotals(), zones: new Map() }])
+  );
+  const zoneMap = new Map();
+  for (const z of zones) {
+    const site = siteMap.get(z.siteId.toString());
+    if (!site) continue;
+    const zone = { zoneId: z._id, name: z.name, ...emptyTotals() };
+    site.zones.set(z._id.toString(), zone);
+    zoneMap.set(z._id.toString(), { zone, site });
+  }
+
+  const unassigned = emptyTotals();
+  for (const a of appliances) {
+    const share = billShares[a._id.toString()];
+    const match = a.zoneId && zoneMap.get(a.zoneId.toString());
+    if (!match) {
+      addAppliance(unassigned, a, share);
+      continue;
+    }
+    addAppliance(match.zone, a, share);
+    addAppliance(match.site, a, share);
+  }
+
+  return {
+    sites: [...siteMap.values()].map(({ zones: siteZones, ...site }) => ({
+      ...roundTotals(site),
+      zones: [...siteZones.values()].map(roundTotals),
+    })),
+    unassigned: roundTotals(unassigned),
+  };
+}
+
+module.exports = { rollupBySite };
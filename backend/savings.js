@@ -0,0 +1,65 @@
+// ---------- Savings Scenarios ----------
+// What-if evaluation of replacing one appliance with a more efficient one.
+const { calculateConsumption, round2 } = require("../shared/calculations.mjs");
+const { estimateBill } = require("./tariff");
+
+// Monthly kWh for the proposed replacement, keeping the current usage pattern,
+// duty cycle and standby draw unless the scenario overrides the hours of use. Standby
+// is drawn outside the proposed hours, so changing them changes it too.
+function proposedMonthlyConsumption(appliance, scenario) {
+  return calculateConsumption({
+    rating: scenario.proposedRating,
+    hourlyUsage: scenario.proposedHourlyUsage ?? appliance.hourlyUsage,
+    quantity: appliance.quantity,
+    dayFrequency: appliance.dayFrequency,
+    unitRate: appliance.unitRate || 0,
+    dutyCycle: appliance.dutyCycle,
+    standbyWatts: appliance.standbyWatts,
+  }).consumptionPerMonth;
+}
+
+// Money saved is the drop in the whole bill, so slab savings at the top of the
+// telescopic scale are counted at the marginal rate. Without a tariff the
+// appliance's own unitRate is used. Emissions avoided use the grid factor of
+// the appliance's site (kg CO2e per kWh), zero when none is given.
+function evaluateScenario({ appliance, scenario, tariff, totalUnits, sanctionedLoadKW, gridFactor = 0 }) {
+  const currentMonthlyKWh = appliance.consumptionPerMonth || 0;
+  const proposedMonthlyKWh = proposedMonthlyConsumption(appliance, scenario);
+  const monthlyKWhSaved = currentMonthlyKWh - proposedMonthlyKWh;
+
+  let monthlySavings;
+  if (tariff) {
+    const before = estimateBill(tariff, totalUnits, sanctionedLoadKW);
+    const after = estimateBill(tariff, totalUnits - monthlyKWhSaved, sanctionedLoadKW);
+    monthlySavings = before.total - after.total;
+  } else {
+    monthlySavings = monthlyKWhSaved * (appliance.unitRate || 0);
+  }
+
+  const annualSavings = monthlySavings * 12;
+  const purchaseCost = scenario.purchaseCost || 0;
+  const paybackMonths = monthlySavings > 0 ? purchaseCost / monthlySavings : null;
+
+  return {
+    currentMonthlyKWh: round2(currentMonthlyKWh),
+    proposedMonthlyKWh: round2(proposedMonthlyKWh),
+    monthlyKWhSaved: round2(monthlyKWhSaved),
+    annualKWhSaved: round2(monthlyKWhSaved * 12),
+    monthlyCO2Avoided: round2(monthlyKWhSaved * gridFactor),
+    annualCO2Avoided: round2(monthlyKWhSaved * 12 * gridFactor),
+    monthlySavings: round2(monthlySavings),
+    annualSavings: round2(annualSavings),
+    paybackMonths: paybackMonths === null ? null : round2(paybackMonths),
+    paybackYears: paybackMonths === null ? null : round2(paybackMonths / 12),
+    roiPercent: purchaseCost > 0 ? round2((annualSavings / purchaseCost) * 100) : null,
+  };
+}
+
+// Best upgrades first: shortest payback, scenarios that never pay back last.
+function rankByPayback(results) {
+  return [...results].sort(
+    (a, b) => (a.paybackMonths ?? Infinity) - (b.paybackMonths ?? Infinity)
+  );
+}
+
+module.exports = { proposedMonthlyConsumption, evaluateScenario, rankByPayback };
@@ -0,0 +1,90 @@
+// ---------- Seasonal Usage ----------
+// Month-by-month usage factors and the 12-month projection built from them.
+// A profile is 12 factors, January first: 1 means the hours per day the user
+// entered, 0.5 half of them, 0 the appliance is off all month.
+const { WEEKS_PER_MONTH, round2 } = require("../shared/calculations.mjs");
+
+const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Built-in presets for a typical Indian climate; users can define their own.
+const SEASONAL_PRESETS = [
+  { key: "year-round", name: "Year-round", months: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1] },
+  {
+    key: "summer-cooling",
+    name: "Summer cooling",
+    months: [0, 0.1, 0.5, 0.9, 1, 1, 0.7, 0.6, 0.7, 0.5, 0.1, 0],
+  },
+  {
+    key: "fan-season",
+    name: "Fans",
+    months: [0.3, 0.5, 0.8, 1, 1, 1, 1, 1, 1, 0.9, 0.5, 0.3],
+  },
+  {
+    key: "winter-heating",
+    name: "Winter heating",
+    months: [1, 0.7, 0.2, 0, 0, 0, 0, 0, 0, 0, 0.4, 1],
+  },
+  {
+    key: "water-heating",
+    name: "Water heating",
+    months: [1, 0.9, 0.6, 0.3, 0.2, 0.2, 0.3, 0.3, 0.3, 0.5, 0.8, 1],
+  },
+];
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const isValidProfile = (months) =>
+  Array.isArray(months) && months.length === 12 && months.every((m) => Number.isFinite(m) && m >= 0);
+
+// kWh per calendar month for one appliance: its active energy on the days it is
+// used, scaled by the month's seasonal factor, plus standby draw, which does not.
+// Both are averaged over the week, so days it is not used count too.
+function applianceMonths(appliance, year) {
+  const profile = isValidProfile(appliance.seasonalProfile) ? appliance.seasonalProfile : null;
+  const standbyPerDay = (appliance.standbyPerMonth || 0) / WEEKS_PER_MONTH / 7;
+  const activePerDay = ((appliance.consumptionPerWeek || 0) - standbyPerDay * 7) / 7;
+  return MONTH_LABELS.map((_, month) => {
+    const days = daysInMonth(year, month);
+    const factor = profile ? profile[month] : 1;
+    return activePerDay * days * factor + standbyPerDay * days;
+  });
+}
+
+// 12-month projection of kWh and cost. With a tariff each month's total is also
+// priced as its own bill through `priceMonth(kWh)`.
+function projectYear({ appliances, year, priceMonth = null }) {
+  const perAppliance = appliances.map((a) => ({ appliance: a, months: applianceMonths(a, year) }));
+
+  const months = MONTH_LABELS.map((label, month) => {
+    const kWh = perAppliance.reduce((sum, p) => sum + p.months[month], 0);
+    const cost = perAppliance.reduce((sum, p) => sum + p.months[month] * (p.appliance.unitRate || 0), 0);
+    const bill = priceMonth ? priceMonth(kWh) : null;
+    return {
+      month: month + 1,
+      label,
+      days: daysInMonth(year, month),
+      kWh: round2(kWh),
+      cost: round2(cost),
+      bill: bill === null ? null : round2(bill),
+    };
+  });
+
+  return {
+    year,
+    months,
+    appliances: perAppliance.map(({ appliance, months: kWh }) => ({
+      applianceId: appliance._id,
+      applianceName: appliance.applianceName,
+      seasonalPreset: appliance.seasonalPreset || null,
+      months: kWh.map(round2),
+      annualKWh: round2(kWh.reduce((sum, k) => sum + k, 0)),
+    })),
+    totals: {
+      kWh: round2(months.reduce((sum, m) => sum + m.kWh, 0)),
+      cost: round2(months.reduce((sum, m) => sum + m.cost, 0)),
+      bill: priceMonth ? round2(months.reduce((sum, m) => sum + m.bill, 0)) : null,
+    },
+  };
+}
+
+module.exports = { MONTH_LABELS, SEASONAL_PRESETS, isValidProfile, projectYear };
@@ -1,18 +1,125 @@
 // ---------- Imports ----------
 require("dotenv").config();
+const crypto = require("crypto");
 const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
-const nodemailer = require("nodemailer");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const jwt = require("jsonwebtoken");
-const { body, validationResult } = require("express-validator");
+const multer = require("multer");
+const { body, query, validationResult } = require("express-validator");
+const {
+  WEEKS_PER_MONTH,
+  round2,
+  windowHours,
+  calculateConsumption,
+} = require("../shared/calculations.mjs");
+const { DEFAULT_TARIFFS, estimateBill, splitBill } = require("./tariff");
+const { evaluateScenario, rankByPayback } = require("./savings");
+const { DEFAULT_CATALOG } = require("./catalog");
+const { rollupBySite } = require("./rollup");
+const { escapeRegex } = require("./text");
+const { parseInventory, parseMeterReadings, buildInventoryExport } = require("./inventory");
+const { renderReportHtml, renderReportPdf } = require("./report");
+const {
+  NATIONAL_GRID_FACTOR,
+  DEFAULT_GRID_FACTORS,
+  resolveGridFactor,
+  calculateEmissions,
+} = require("./emissions");
+const { SEASONAL_PRESETS, isValidProfile, projectYear } = require("./seasonal");
+const {
+  HISTORY_MONTHS,
+  UNACCOUNTED_THRESHOLD_PERCENT,
+  isValidPeriod,
+  parsePeriod,
+  recentPeriods,
+  reconcile,
+} = require("./reconciliation");
+const {
+  MAX_BATCH,
+  DAY_MS,
+  generateApiKey,
+  hashApiKey,
+  normaliseReadings,
+  integrateReadings,
+  rollupIncrements,
+} = require("./telemetry");
+const { startMqttListener } = require("./mqttListener");
+const {
+  ROLES,
+  LEAD_SORTS,
+  MAX_LEADS_PAGE_SIZE,
+  leadStages,
+  leadSort,
+  leadPageStages,
+  buildLeadsExport,
+} = require("./leads");
+const { IRRADIANCE_PRESETS, SOLAR_DEFAULTS, findPreset, estimateSolar } = require("./solar");
+const {
+  DEFAULT_DIVERSITY_FACTORS,
+  AT_RISK_PERCENT,
+  resolveDiversityFactors,
+  checkLoad,
+  proposeSanctionedLoad,
+} = require("./demand");
+const { hourlyProfile, costByBand, shiftingSuggestions } = require("./tod");
+const {
+  MEMBER_ROLES,
+  INVITE_TTL_DAYS,
+  resolveRole,
+  canEdit,
+  canManage,
+  visibleSiteIds,
+} = require("./collaboration");
+const {
+  AUDIT_ACTIONS,
+  MAX_SNAPSHOTS,
+  auditValues,
+  changedFields,
+  snapshotRow,
+  snapshotTotals,
+  compareSnapshots,
+} = require("./history");
+const {
+  BUDGET_UNITS,
+  MAX_THRESHOLDS,
+  toPeriod,
+  periodRange,
+  periodBefore,
+  thresholdsOf,
+  formatBudgetValue,
+  budgetProgress,
+  dueThresholds,
+} = require("./budget");
+const { startBudgetScheduler } = require("./budgetScheduler");
+const { isLocked, resendWait, guessFilter, guessRejection, wrongGuessOutcome } = require("./otpLimits");
+const { sendMail, getCapturedMessages, clearCapturedMessages, mailConfig } = require("./mail");
+const {
+  otpEmail,
+  reportEmail,
+  inviteEmail,
+  budgetAlertEmail,
+  budgetDigestEmail,
+} = require("./mailTemplates");
 
 // ---------- Initialize ----------
 const app = express();
 const port = process.env.PORT || 3000;
 
+if (!mailConfig.transport) {
+  console.error("❌ No mail transport: set EMAIL_USER, or MAIL_TRANSPORT to smtp, gmail or capture");
+  process.exit(1);
+}
+
+// Behind a reverse proxy set TRUST_PROXY to its hop count (e.g. 1) or addresses, so
+// req.ip is the client's and the rate limits and per-IP code cap apply per client
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // ---------- Middlewares ----------
 app.use(helmet());
 app.use(express.json());
@@ -25,182 +132,4444 @@ app.use(
   })
 );
 
-// ---------- Rate Limiting ----------
-const limiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 60, // max requests per minute
-  message: { message: "Too many requests, please try again later." },
-});
-app.use(limiter);
+// ---------- Rate Limiting ----------
+const limiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // max requests per minute
+  message: { message: "Too many requests, please try again later." },
+});
+app.use(limiter);
+
+// ---------- File Uploads ----------
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2 MB
+});
+
+// ---------- MongoDB Connection ----------
+mongoose
+  .connect(process.env.MONGO_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    startMqttListener(ingestMqttTelemetry);
+    startBudgetScheduler(runBudgetChecks);
+    return Promise.all([seedTariffs(), seedCatalog(), seedGridFactors(), lowercaseUserMail()]);
+  })
+  .catch((err) => {
+    console.error("❌ MongoDB connection error:", err);
+    process.exit(1);
+  });
+
+// ---------- Schemas ----------
+const userSchema = new mongoose.Schema({
+  name: String,
+  mail: { type: String, unique: true, lowercase: true, trim: true },
+  role: { type: String, enum: ROLES, default: "user" }, // sales and admin see the leads console
+  otpHash: String, // HMAC of the current code, never the code itself
+  otpExpires: Date,
+  otpAttempts: { type: Number, default: 0 }, // wrong guesses against the current code
+  otpSentAt: Date,
+  otpFailures: { type: Number, default: 0 }, // wrong guesses since the last lockout or login
+  lockedUntil: Date,
+  tariffId: { type: mongoose.Schema.Types.ObjectId, ref: "Tariff" },
+  sanctionedLoadKW: { type: Number, default: 1 },
+  // Catalog category -> share of its connected load running at once, over DEFAULT_DIVERSITY_FACTORS
+  diversityFactors: { type: Map, of: Number, default: undefined },
+  // Last saved rooftop solar inputs, used by the solar view and reports
+  solarInputs: {
+    type: {
+      _id: false,
+      roofAreaM2: Number,
+      irradiancePreset: String, // key of IRRADIANCE_PRESETS, or "custom"
+      peakSunHours: Number, // only for "custom"
+      costPerKW: Number,
+      exportRate: Number,
+      subsidy: Number,
+      battery: {
+        enabled: Boolean,
+        backupApplianceIds: [mongoose.Schema.Types.ObjectId],
+        backupHours: Number,
+        costPerKWh: Number,
+      },
+    },
+    default: null,
+  },
+  notificationPrefs: {
+    budgetAlerts: { type: Boolean, default: true },
+    monthlyDigest: { type: Boolean, default: false },
+  },
+  lastDigestPeriod: String, // "YYYY-MM" of the last monthly digest sent
+});
+
+// One per login; the refresh token rotates on every use
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    refreshTokenHash: { type: String, required: true, index: true },
+    previousTokenHash: { type: String, index: true }, // replaying it revokes the session
+    userAgent: String,
+    ip: String,
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true, expires: 0 },
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// One row per OTP sent, kept for a day to enforce the daily caps
+const otpRequestSchema = new mongoose.Schema({
+  mail: { type: String, required: true, index: true },
+  ip: { type: String, index: true },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 },
+});
+
+const tariffSchema = new mongoose.Schema(
+  {
+    // null for built-in tariffs, set for tariffs a user defined for their own DISCOM
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    name: { type: String, required: true },
+    category: { type: String, default: "domestic" },
+    slabs: [
+      {
+        _id: false,
+        upTo: { type: Number, default: null }, // kWh, null = no upper bound
+        rate: { type: Number, required: true }, // ₹ per kWh
+      },
+    ],
+    fixedChargePerKW: { type: Number, default: 0 }, // ₹ per kW per month
+    electricityDutyPercent: { type: Number, default: 0 },
+    fuelSurchargePerUnit: { type: Number, default: 0 }, // ₹ per kWh
+    // Time-of-day bands; energy used in a band costs the slab rate adjusted by its percentage
+    todBands: [
+      {
+        _id: false,
+        name: { type: String, required: true }, // e.g. peak, off-peak
+        start: { type: Number, required: true }, // hour of day, 0–24
+        end: { type: Number, required: true }, // before start = wraps past midnight
+        adjustmentPercent: { type: Number, default: 0 }, // +20 = 20% surcharge, -20 = rebate
+      },
+    ],
+    isDefault: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+const applianceSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    siteId: { type: mongoose.Schema.Types.ObjectId, ref: "Site", default: null },
+    zoneId: { type: mongoose.Schema.Types.ObjectId, ref: "Zone", default: null },
+    applianceName: { type: String, required: true },
+    rating: { type: Number, required: true }, // kW
+    hourlyUsage: { type: Number, required: true },
+    quantity: { type: Number, required: true },
+    dayFrequency: { type: Number, required: true },
+    unitRate: { type: Number, required: true }, // ₹ per kWh
+    catalogId: { type: mongoose.Schema.Types.ObjectId, ref: "CatalogEntry" },
+    starRating: Number, // BEE stars of the chosen catalog variant
+    // When the appliance runs; hourlyUsage is derived from these when present
+    usageWindows: [{ _id: false, start: Number, end: Number }],
+    flexible: { type: Boolean, default: false }, // can be moved to off-peak hours
+    // Built-in preset key or the id of a user preset, plus the 12 monthly factors it resolved to
+    seasonalPreset: String,
+    seasonalProfile: { type: [Number], default: undefined },
+    dutyCycle: { type: Number, default: 100 }, // % of running time at full rating
+    standbyWatts: { type: Number, default: 0 }, // per unit, drawn whenever it is not running
+    consumptionPerDay: Number,
+    consumptionPerWeek: Number,
+    consumptionPerMonth: Number,
+    monthlyCost: Number,
+    standbyPerDay: Number, // kWh of the totals above that is standby draw
+    standbyPerMonth: Number,
+    standbyCost: Number,
+    // Who added it and who last changed it; a collaborator when not the owner
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+const scenarioSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    applianceId: { type: mongoose.Schema.Types.ObjectId, ref: "Appliance", required: true, index: true },
+    proposedName: { type: String, required: true },
+    proposedRating: { type: Number, required: true }, // kW
+    proposedHourlyUsage: Number, // defaults to the current appliance's usage
+    purchaseCost: { type: Number, required: true }, // ₹ for all units
+    notes: String,
+  },
+  { timestamps: true }
+);
+
+const siteSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true },
+    address: String,
+    state: String, // picks the state grid emission factor
+    gridFactor: { type: Number, default: null }, // custom kg CO2e per kWh, overrides the state
+    sanctionedLoadKW: { type: Number, default: null }, // the site's own connection, if it has one
+  },
+  { timestamps: true }
+);
+
+// A room, floor or area within a site
+const zoneSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    siteId: { type: mongoose.Schema.Types.ObjectId, ref: "Site", required: true },
+    name: { type: String, required: true },
+    floor: String,
+  },
+  { timestamps: true }
+);
+
+const catalogEntrySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    category: { type: String, required: true },
+    aliases: [String],
+    minWatts: { type: Number, required: true },
+    maxWatts: { type: Number, required: true },
+    typicalWatts: { type: Number, required: true },
+    standbyWatts: { type: Number, default: 0 },
+    defaultHoursPerDay: { type: Number, default: 0 },
+    defaultDaysPerWeek: { type: Number, default: 7 },
+    seasonalPreset: String, // key of a built-in seasonal preset
+    dutyCycle: Number, // default duty cycle % for thermostat and compressor loads
+    starVariants: [
+      {
+        _id: false,
+        stars: { type: Number, required: true }, // BEE star rating
+        watts: { type: Number, required: true },
+        label: String,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// A user's own month-by-month usage factors, January first
+const seasonalPresetSchema = new mongoose.Schema(
+  {
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true },
+    months: { type: [Number], required: true },
+  },
+  { timestamps: true }
+);
+
+// kg CO2e per kWh; the row without a state is the national default
+const gridFactorSchema = new mongoose.Schema(
+  {
+    state: { type: String, default: null, unique: true },
+    name: { type: String, required: true },
+    factor: { type: Number, required: true },
+    source: String,
+  },
+  { timestamps: true }
+);
+
+// One month's meter reading or bill for a site; siteId null is the account's own meter.
+// kWh may be left out when a cumulative meterReading is given for consecutive months.
+const meterReadingSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    siteId: { type: mongoose.Schema.Types.ObjectId, ref: "Site", default: null },
+    period: { type: String, required: true }, // "YYYY-MM"
+    kWh: { type: Number, default: null },
+    meterReading: { type: Number, default: null },
+    amount: { type: Number, default: null }, // ₹ on the bill
+    source: { type: String, enum: ["manual", "import"], default: "manual" },
+    note: String,
+  },
+  { timestamps: true }
+);
+meterReadingSchema.index({ userId: 1, siteId: 1, period: 1 }, { unique: true });
+
+// A metering device (smart plug or meter) bound to one of the user's appliances
+const deviceSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    applianceId: { type: mongoose.Schema.Types.ObjectId, ref: "Appliance", default: null },
+    name: { type: String, required: true },
+    serial: { type: String, required: true, unique: true },
+    apiKeyHash: { type: String, required: true, unique: true, select: false },
+    apiKeyHint: String, // last characters of the key, to tell keys apart
+    lastSeenAt: Date,
+    lastReading: { _id: false, timestamp: Date, powerW: Number, energyKWh: Number },
+  },
+  { timestamps: true }
+);
+
+// Raw device readings; kWh is the energy used since the device's previous reading
+const telemetrySchema = new mongoose.Schema(
+  {
+    timestamp: { type: Date, required: true },
+    meta: {
+      deviceId: mongoose.Schema.Types.ObjectId,
+      userId: mongoose.Schema.Types.ObjectId,
+      applianceId: mongoose.Schema.Types.ObjectId,
+    },
+    powerW: Number,
+    energyKWh: Number,
+    kWh: Number,
+  },
+  {
+    timeseries: { timeField: "timestamp", metaField: "meta", granularity: "minutes" },
+    expireAfterSeconds: (parseInt(process.env.TELEMETRY_RETENTION_DAYS) || 90) * 24 * 60 * 60,
+    versionKey: false,
+  }
+);
+
+// Hourly and daily totals per device, kept after the raw readings expire
+const telemetryRollupSchema = new mongoose.Schema({
+  deviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Device", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  applianceId: { type: mongoose.Schema.Types.ObjectId, ref: "Appliance", default: null },
+  granularity: { type: String, enum: ["hour", "day"], required: true },
+  periodStart: { type: Date, required: true },
+  kWh: { type: Number, default: 0 },
+  samples: { type: Number, default: 0 },
+  powerSum: { type: Number, default: 0 }, // for the average power
+  powerSamples: { type: Number, default: 0 },
+  maxPowerW: { type: Number, default: 0 },
+});
+telemetryRollupSchema.index({ deviceId: 1, granularity: 1, periodStart: 1 }, { unique: true });
+telemetryRollupSchema.index({ applianceId: 1, granularity: 1, periodStart: 1 });
+
+// Stored audit report: the snapshot it was built from plus the rendered files
+const reportSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    siteId: { type: mongoose.Schema.Types.ObjectId, ref: "Site", default: null },
+    title: { type: String, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+    html: { type: String, required: true },
+    pdf: { type: Buffer, required: true },
+    emailedTo: [{ _id: false, mail: String, sentAt: Date }],
+  },
+  { timestamps: true }
+);
+
+// Read-only link to the appliance list (or one site); only the token's hash is stored.
+// Expired shares are removed by the TTL index, revoked ones stay until they expire.
+const shareSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    siteId: { type: mongoose.Schema.Types.ObjectId, ref: "Site", default: null },
+    label: String,
+    tokenHash: { type: String, required: true, unique: true },
+    tokenHint: String, // last characters, to tell links apart
+    expiresAt: { type: Date, required: true, expires: 0 },
+    revokedAt: { type: Date, default: null },
+    viewCount: { type: Number, default: 0 },
+    lastViewedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Someone invited by email to another account's workspace, or to one of its sites.
+// memberId is set when they accept while logged in with the invited address.
+const membershipSchema = new mongoose.Schema(
+  {
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    siteId: { type: mongoose.Schema.Types.ObjectId, ref: "Site", default: null }, // null = whole workspace
+    mail: { type: String, required: true, lowercase: true, trim: true, index: true },
+    role: { type: String, enum: MEMBER_ROLES, required: true },
+    memberId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    inviteExpiresAt: Date, // only matters until accepted
+    acceptedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+membershipSchema.index({ ownerId: 1, siteId: 1, mail: 1 }, { unique: true });
+
+const APPLIANCE_RESTORE_MINUTES = 10;
+
+// A deleted appliance kept for a few minutes with what was removed alongside it, so the
+// calculator's undo can put it back under the same id
+const deletedApplianceSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  applianceId: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+  appliance: { type: mongoose.Schema.Types.Mixed, required: true },
+  scenarios: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  deviceIds: [mongoose.Schema.Types.ObjectId], // devices that were bound to it
+  createdAt: { type: Date, default: Date.now, expires: APPLIANCE_RESTORE_MINUTES * 60 },
+});
+
+// One create, update, delete or restore of an appliance, with its values either side and who made it
+const applianceChangeSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // the workspace
+    applianceId: { type: mongoose.Schema.Types.ObjectId, ref: "Appliance", required: true, index: true },
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null }, // null for a create
+    after: { type: mongoose.Schema.Types.Mixed, default: null }, // null for a delete
+    changedFields: [String],
+  },
+  { timestamps: true }
+);
+applianceChangeSchema.index({ userId: 1, createdAt: -1 });
+
+// A named copy of the inventory at one moment, e.g. "Pre-audit" and "Post-retrofit"
+const snapshotSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    appliances: [
+      {
+        _id: false,
+        applianceId: mongoose.Schema.Types.ObjectId,
+        applianceName: String,
+        site: String,
+        room: String,
+        rating: Number, // kW
+        quantity: Number,
+        hourlyUsage: Number,
+        dayFrequency: Number,
+        unitRate: Number,
+        starRating: Number,
+        consumptionPerMonth: Number,
+        monthlyCost: Number,
+      },
+    ],
+    totals: { applianceCount: Number, consumptionPerMonth: Number, monthlyCost: Number },
+  },
+  { timestamps: true }
+);
+
+// Monthly budget for the account (siteId null) or one site. alertsSent records the
+// thresholds already emailed, so each is sent once per month.
+const budgetSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    siteId: { type: mongoose.Schema.Types.ObjectId, ref: "Site", default: null },
+    unit: { type: String, enum: BUDGET_UNITS, required: true }, // ₹ or kWh per month
+    amount: { type: Number, required: true },
+    thresholds: [Number], // % of the amount
+    alertsSent: [{ _id: false, period: String, threshold: Number }],
+  },
+  { timestamps: true }
+);
+budgetSchema.index({ userId: 1, siteId: 1 }, { unique: true });
+
+const User = mongoose.model("User", userSchema);
+const OtpRequest = mongoose.model("OtpRequest", otpRequestSchema);
+const Session = mongoose.model("Session", sessionSchema);
+const Appliance = mongoose.model("Appliance", applianceSchema);
+const Tariff = mongoose.model("Tariff", tariffSchema);
+const Scenario = mongoose.model("Scenario", scenarioSchema);
+const CatalogEntry = mongoose.model("CatalogEntry", catalogEntrySchema);
+const Site = mongoose.model("Site", siteSchema);
+const Zone = mongoose.model("Zone", zoneSchema);
+const Report = mongoose.model("Report", reportSchema);
+const GridFactor = mongoose.model("GridFactor", gridFactorSchema);
+const SeasonalPreset = mongoose.model("SeasonalPreset", seasonalPresetSchema);
+const MeterReading = mongoose.model("MeterReading", meterReadingSchema);
+const Device = mongoose.model("Device", deviceSchema);
+const Telemetry = mongoose.model("Telemetry", telemetrySchema);
+const TelemetryRollup = mongoose.model("TelemetryRollup", telemetryRollupSchema);
+const Share = mongoose.model("Share", shareSchema);
+const Membership = mongoose.model("Membership", membershipSchema);
+const ApplianceChange = mongoose.model("ApplianceChange", applianceChangeSchema);
+const DeletedAppliance = mongoose.model("DeletedAppliance", deletedApplianceSchema);
+const Snapshot = mongoose.model("Snapshot", snapshotSchema);
+const Budget = mongoose.model("Budget", budgetSchema);
+
+// ---------- Helper: Seed Tariffs ----------
+async function seedTariffs() {
+  const count = await Tariff.countDocuments({ ownerId: null });
+  if (count > 0) return;
+  await Tariff.insertMany(DEFAULT_TARIFFS);
+  console.log(`⚡ Seeded ${DEFAULT_TARIFFS.length} default tariffs`);
+}
+
+// ---------- Helper: Seed Catalog ----------
+async function seedCatalog() {
+  const count = await CatalogEntry.countDocuments();
+  if (count === 0) {
+    await CatalogEntry.insertMany(DEFAULT_CATALOG);
+    console.log(`📚 Seeded ${DEFAULT_CATALOG.length} catalog entries`);
+    return;
+  }
+
+  // Catalogs seeded before these fields existed pick them up by name
+  const backfill = ["seasonalPreset", "dutyCycle"];
+  await Promise.all(
+    DEFAULT_CATALOG.flatMap((c) =>
+      backfill
+        .filter((field) => c[field] !== undefined)
+        .map((field) =>
+          CatalogEntry.updateOne(
+            { name: c.name, [field]: { $exists: false } },
+            { $set: { [field]: c[field] } }
+          )
+        )
+    )
+  );
+}
+
+// ---------- Helper: Seed Grid Factors ----------
+async function seedGridFactors() {
+  const count = await GridFactor.countDocuments();
+  if (count > 0) return;
+  await GridFactor.insertMany(DEFAULT_GRID_FACTORS);
+  console.log(`🌍 Seeded ${DEFAULT_GRID_FACTORS.length} grid emission factors`);
+}
+
+// ---------- Helper: Lowercase Stored Addresses ----------
+// Logins are matched on the lowercased address, so accounts saved before that keep
+// working once theirs is lowercased too. An address whose lowercase form already
+// belongs to another account is left alone and reported, to be merged by hand.
+async function lowercaseUserMail() {
+  const mixedCase = await User.find({ $expr: { $ne: ["$mail", { $toLower: "$mail" }] } }, "mail");
+  let lowercased = 0;
+  for (const user of mixedCase) {
+    const mail = user.mail.trim().toLowerCase();
+    const taken = await User.exists({ _id: { $ne: user._id }, mail });
+    if (taken) {
+      console.warn(`⚠️ Not lowercasing ${user.mail} (${user._id}): ${mail} is account ${taken._id}`);
+      continue;
+    }
+    await User.updateOne({ _id: user._id }, { $set: { mail } });
+    lowercased += 1;
+  }
+  if (lowercased > 0) console.log(`✉️ Lowercased ${lowercased} login address(es)`);
+}
+
+// Tariff chosen by the user, falling back to the built-in default.
+async function getUserTariff(user) {
+  if (user.tariffId) {
+    const tariff = await Tariff.findById(user.tariffId);
+    if (tariff) return tariff;
+  }
+  return Tariff.findOne({ ownerId: null, isDefault: true });
+}
+
+// User, tariff and appliances needed to price the user's total consumption.
+async function getBillingContext(userId) {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const tariff = await getUserTariff(user);
+  const appliances = await Appliance.find({ userId: user._id });
+  const totalUnits = appliances.reduce((sum, a) => sum + (a.consumptionPerMonth || 0), 0);
+
+  return { user, tariff, appliances, totalUnits, sanctionedLoadKW: user.sanctionedLoadKW };
+}
+
+// ---------- Helper: Send OTP Email ----------
+async function sendOtpEmail(mail, name, otp) {
+  await sendMail({ to: mail, ...otpEmail({ name, otp, ttlMinutes: OTP_TTL_MINUTES }) });
+}
+
+// ---------- Helper: Send Report Email ----------
+async function sendReportEmail(mail, name, report) {
+  await sendMail({
+    to: mail,
+    ...reportEmail({ name, title: report.title }),
+    attachments: [
+      {
+        filename: `energy-report-${report._id}.pdf`,
+        content: report.pdf,
+        contentType: "application/pdf",
+      },
+    ],
+  });
+}
+
+// ---------- Helper: Send Invite Email ----------
+// Links in emails point here; the first allowed origin when APP_URL is not set
+const APP_URL = (process.env.APP_URL || process.env.ALLOWED_ORIGIN || "http://localhost:5173")
+  .split(",")[0]
+  .trim();
+
+async function sendInviteEmail(membership, { inviterName, workspaceName, siteName }) {
+  await sendMail({
+    to: membership.mail,
+    ...inviteEmail({
+      inviterName,
+      workspaceName,
+      siteName,
+      role: membership.role,
+      link: `${APP_URL}/team`,
+      ttlDays: INVITE_TTL_DAYS,
+    }),
+  });
+}
+
+// ---------- Helper: OTP ----------
+const OTP_TTL_MINUTES = 10;
+const OTP_CONFIG = {
+  length: parseInt(process.env.OTP_LENGTH) || 6,
+  ttlMs: OTP_TTL_MINUTES * 60 * 1000,
+  maxAttemptsPerCode: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+  maxFailuresPerEmail: parseInt(process.env.OTP_MAX_FAILURES) || 10,
+  lockoutMs: (parseInt(process.env.OTP_LOCKOUT_MINUTES) || 30) * 60 * 1000,
+  resendCooldownMs: (parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60) * 1000,
+  dailyCapPerEmail: parseInt(process.env.OTP_DAILY_CAP_EMAIL) || 5,
+  dailyCapPerIp: parseInt(process.env.OTP_DAILY_CAP_IP) || 20,
+};
+
+function generateOtp() {
+  return Array.from({ length: OTP_CONFIG.length }, () => crypto.randomInt(0, 10)).join("");
+}
+
+// Keyed with the mail address so equal codes for different users hash differently
+function hashOtp(mail, otp) {
+  return crypto
+    .createHmac("sha256", process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${mail.toLowerCase()}:${otp}`)
+    .digest("hex");
+}
+
+function otpMatches(user, otp) {
+  if (!user.otpHash) return false;
+  const expected = Buffer.from(user.otpHash, "hex");
+  const actual = Buffer.from(hashOtp(user.mail, otp), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ---------- Helper: Energy Calculations ----------
+// round2, windowHours and calculateConsumption come from shared/calculations.mjs
+
+// applianceId → share of the tariff bill, empty when no tariff applies
+function getBillShares({ tariff, appliances, totalUnits, sanctionedLoadKW }) {
+  const billShares = {};
+  if (!tariff) return billShares;
+  const bill = estimateBill(tariff, totalUnits, sanctionedLoadKW);
+  for (const s of splitBill(bill, appliances)) billShares[s.applianceId.toString()] = s.billShare;
+  return billShares;
+}
+
+// The user's savings scenarios evaluated against their tariff, best payback first
+async function getRankedScenarios(context) {
+  const [scenarios, factors] = await Promise.all([
+    Scenario.find({ userId: context.user._id }),
+    getEmissionFactors(context.user._id),
+  ]);
+  const appliancesById = new Map(context.appliances.map((a) => [a._id.toString(), a]));
+
+  const results = scenarios
+    .filter((s) => appliancesById.has(s.applianceId.toString()))
+    .map((s) => {
+      const appliance = appliancesById.get(s.applianceId.toString());
+      return {
+        ...s.toObject(),
+        applianceName: appliance.applianceName,
+        currentRating: appliance.rating,
+        ...evaluateScenario({
+          appliance,
+          scenario: s,
+          ...context,
+          gridFactor: factors.forAppliance(appliance),
+        }),
+      };
+    });
+
+  return rankByPayback(results);
+}
+
+// Grid factor (kg CO2e per kWh) for each of the user's appliances, by site.
+async function getEmissionFactors(userId) {
+  const [factors, sites] = await Promise.all([GridFactor.find(), Site.find({ userId })]);
+  const national = factors.find((f) => !f.state)?.factor ?? NATIONAL_GRID_FACTOR;
+  const stateFactors = new Map(
+    factors.filter((f) => f.state).map((f) => [f.state.toLowerCase(), f.factor])
+  );
+  const siteFactors = new Map(
+    sites.map((s) => [s._id.toString(), resolveGridFactor(s, stateFactors, national)])
+  );
+
+  return {
+    national,
+    forAppliance: (a) => (a.siteId && siteFactors.get(a.siteId.toString())) ?? national,
+  };
+}
+
+// Appliance as returned by the API, with its kg CO2e per day/week/month/year
+function withEmissions(appliance, factors) {
+  const doc = typeof appliance.toObject === "function" ? appliance.toObject() : appliance;
+  return { ...doc, ...calculateEmissions(doc, factors.forAppliance(doc)) };
+}
+
+// { key, months } for a built-in preset key or one of the user's presets, else null
+async function resolveSeasonalPreset(userId, key) {
+  const builtIn = SEASONAL_PRESETS.find((p) => p.key === key);
+  if (builtIn) return { key: builtIn.key, months: builtIn.months };
+  if (!mongoose.isValidObjectId(key)) return null;
+
+  const preset = await SeasonalPreset.findOne({ _id: key, ownerId: userId });
+  return preset ? { key: preset._id.toString(), months: preset.months } : null;
+}
+
+// Zone owned by the user, or null when missing, malformed or someone else's.
+async function findUserZone(userId, zoneId) {
+  if (!mongoose.isValidObjectId(zoneId)) return null;
+  return Zone.findOne({ _id: zoneId, userId });
+}
+
+// Site a meter reading belongs to: null for the account's own meter ("" or "none"),
+// undefined when the site is missing or someone else's.
+async function findReadingSiteId(userId, siteId) {
+  if (!siteId || siteId === "none") return null;
+  if (!mongoose.isValidObjectId(siteId)) return undefined;
+  const site = await Site.findOne({ _id: siteId, userId });
+  return site ? site._id : undefined;
+}
+
+// ---------- Helper: Telemetry ----------
+const INGEST_ATTEMPTS = 5;
+
+// Stores a batch of readings for the device, adds them to its roll-ups and keeps
+// the latest reading for the next batch's energy difference. The latest reading is
+// moved on only if no other batch has moved it since this one read it; otherwise the
+// batch is integrated again from the newer reading, so overlapping batches for one
+// device never count the same interval twice.
+async function ingestTelemetry(device, batch) {
+  const { readings, rejected } = normaliseReadings(batch);
+  for (let attempt = 0; attempt < INGEST_ATTEMPTS; attempt += 1) {
+    const { samples, last, skipped } = integrateReadings(device.lastReading, readings);
+    if (samples.length === 0) return { accepted: 0, skipped, rejected };
+
+    const claimed = await Device.findOneAndUpdate(
+      { _id: device._id, "lastReading.timestamp": device.lastReading?.timestamp ?? null },
+      { lastReading: last, lastSeenAt: new Date() },
+      { new: true }
+    );
+    if (claimed) {
+      await storeSamples(claimed, samples);
+      device.lastReading = claimed.lastReading;
+      return { accepted: samples.length, skipped, rejected };
+    }
+
+    device = await Device.findById(device._id);
+    if (!device) throw new Error("Device not found");
+  }
+  throw new Error("Telemetry batch kept conflicting with other batches for the device");
+}
+
+async function storeSamples(device, samples) {
+  const meta = { deviceId: device._id, userId: device.userId, applianceId: device.applianceId };
+  await Telemetry.insertMany(samples.map((sample) => ({ ...sample, meta })));
+  await TelemetryRollup.bulkWrite(
+    rollupIncrements(samples).map((b) => ({
+      updateOne: {
+        filter: { deviceId: device._id, granularity: b.granularity, periodStart: b.periodStart },
+        update: {
+          $set: { userId: device.userId, applianceId: device.applianceId },
+          $inc: { kWh: b.kWh, samples: b.samples, powerSum: b.powerSum, powerSamples: b.powerSamples },
+          $max: { maxPowerW: b.maxPowerW },
+        },
+        upsert: true,
+      },
+    }))
+  );
+}
+
+// MQTT payloads carry the key themselves; it must belong to the serial in the topic
+async function ingestMqttTelemetry({ serial, apiKey, readings }) {
+  const device = apiKey ? await Device.findOne({ apiKeyHash: hashApiKey(apiKey) }) : null;
+  if (!device || (serial && device.serial !== serial)) throw new Error("Invalid API key");
+  return ingestTelemetry(device, readings.slice(0, MAX_BATCH));
+}
+
+// ---------- Helper: Collaboration ----------
+// Accepted memberships the user holds in someone else's workspace
+const findMemberships = (userId, ownerId) =>
+  Membership.find({ ownerId, memberId: userId, acceptedAt: { $ne: null } });
+
+// The user's role on a workspace, or on one of its sites: "owner" for the account
+// holder, otherwise the strongest membership covering it, null without one.
+async function getMemberRole(userId, ownerId, siteId = null) {
+  if (ownerId.toString() === userId.toString()) return "owner";
+  return resolveRole(await findMemberships(userId, ownerId), siteId);
+}
+
+// The workspace a request names (the user's own when `workspaceId` is left out):
+// { ownerId, memberships, siteIds } where siteIds null means every site, or null
+// when the id is malformed or the user is not a member.
+async function resolveWorkspace(userId, workspaceId) {
+  if (!workspaceId || workspaceId === userId.toString())
+    return { ownerId: new mongoose.Types.ObjectId(`${userId}`), memberships: null, siteIds: null };
+  if (typeof workspaceId !== "string" || !mongoose.isValidObjectId(workspaceId)) return null;
+
+  const memberships = await findMemberships(userId, workspaceId);
+  if (memberships.length === 0) return null;
+  return {
+    ownerId: new mongoose.Types.ObjectId(workspaceId),
+    memberships,
+    siteIds: visibleSiteIds(memberships),
+  };
+}
+
+const workspaceRole = (workspace, siteId = null) =>
+  workspace.memberships ? resolveRole(workspace.memberships, siteId) : "owner";
+
+// Narrows a query filter to the sites the workspace member can see; false when
+// `filter.siteId` already names one they cannot.
+function limitToVisibleSites(filter, workspace) {
+  if (!workspace.siteIds) return true;
+  if (filter.siteId === undefined) {
+    filter.siteId = { $in: workspace.siteIds };
+    return true;
+  }
+  return Boolean(filter.siteId) && workspace.siteIds.some((id) => id.equals(filter.siteId));
+}
+
+// The ones among already loaded appliances that the workspace member can see
+const onVisibleSites = (appliances, workspace) =>
+  workspace.siteIds
+    ? appliances.filter((a) => a.siteId && workspace.siteIds.some((id) => id.equals(a.siteId)))
+    : appliances;
+
+// Display names for the users behind createdBy / updatedBy
+async function userNames(ids) {
+  const unique = [...new Set(ids.filter(Boolean).map((id) => id.toString()))];
+  if (unique.length === 0) return new Map();
+  const users = await User.find({ _id: { $in: unique } }, "name mail");
+  return new Map(users.map((u) => [u._id.toString(), u.name || u.mail]));
+}
+
+// ---------- Helper: Appliance History ----------
+// Writes audit entries for `changes`: { action, before, after } with the appliance
+// document or plain object either side. Updates that changed nothing are left out.
+async function recordApplianceChanges(actorId, changes) {
+  const entries = [];
+  for (const { action, before, after } of changes) {
+    const beforeValues = auditValues(before);
+    const afterValues = auditValues(after);
+    const fields = action === "update" ? changedFields(beforeValues, afterValues) : [];
+    if (action === "update" && fields.length === 0) continue;
+
+    const doc = after || before;
+    entries.push({
+      userId: doc.userId,
+      applianceId: doc._id,
+      action,
+      actorId,
+      before: beforeValues,
+      after: afterValues,
+      changedFields: fields,
+    });
+  }
+  if (entries.length > 0) await ApplianceChange.insertMany(entries);
+}
+
+// Audit changes for appliances left without a site when their site or room is removed
+const unassignedChanges = (appliances) =>
+  appliances.map((a) => ({
+    action: "update",
+    before: a,
+    after: { ...a.toObject(), siteId: null, zoneId: null },
+  }));
+
+// The workspace's inventory as snapshot rows, with site and room names resolved
+async function currentSnapshot(ownerId) {
+  const [appliances, sites, zones] = await Promise.all([
+    Appliance.find({ userId: ownerId }).sort({ createdAt: 1 }),
+    Site.find({ userId: ownerId }, "name"),
+    Zone.find({ userId: ownerId }, "name"),
+  ]);
+  const siteNames = new Map(sites.map((s) => [s._id.toString(), s.name]));
+  const zoneNames = new Map(zones.map((z) => [z._id.toString(), z.name]));
+  const rows = appliances.map((a) =>
+    snapshotRow(a, {
+      site: a.siteId ? siteNames.get(a.siteId.toString()) || null : null,
+      room: a.zoneId ? zoneNames.get(a.zoneId.toString()) || null : null,
+    })
+  );
+  return { appliances: rows, totals: snapshotTotals(rows) };
+}
+
+// ---------- Helper: Budgets ----------
+// The inventory's estimated monthly { kWh, cost } for the budget's account or site, and
+// what its devices metered in `period` from the daily roll-ups (null without any).
+// Metered kWh is priced at the inventory's average rate.
+async function measureBudget(budget, period) {
+  const filter = { userId: budget.userId };
+  if (budget.siteId) filter.siteId = budget.siteId;
+  const appliances = await Appliance.find(filter, "consumptionPerMonth monthlyCost");
+  const estimated = {
+    kWh: appliances.reduce((sum, a) => sum + (a.consumptionPerMonth || 0), 0),
+    cost: appliances.reduce((sum, a) => sum + (a.monthlyCost || 0), 0),
+  };
+
+  const { start, end } = periodRange(period);
+  const match = {
+    userId: new mongoose.Types.ObjectId(`${budget.userId}`),
+    granularity: "day",
+    periodStart: { $gte: start, $lt: end },
+  };
+  if (budget.siteId) match.applianceId = { $in: appliances.map((a) => a._id) };
+  const [metered] = await TelemetryRollup.aggregate([
+    { $match: match },
+    { $group: { _id: null, kWh: { $sum: "$kWh" } } },
+  ]);
+  if (!metered) return { estimated, actual: null };
+
+  const rate = estimated.kWh > 0 ? estimated.cost / estimated.kWh : 0;
+  return { estimated, actual: { kWh: metered.kWh, cost: metered.kWh * rate } };
+}
+
+const budgetScope = (site) => (site ? site.name : "your account");
+
+async function sendBudgetAlertEmail(user, budget, progress, threshold) {
+  const site = budget.siteId ? await Site.findById(budget.siteId, "name") : null;
+  await sendMail({
+    to: user.mail,
+    ...budgetAlertEmail({
+      name: user.name || user.mail,
+      scope: budgetScope(site),
+      threshold,
+      basis: progress.basis,
+      used: formatBudgetValue(budget.unit, progress.used),
+      amount: formatBudgetValue(budget.unit, budget.amount),
+      percent: progress.percent,
+      projected: formatBudgetValue(budget.unit, progress.projected),
+      link: `${APP_URL}/savings`,
+    }),
+  });
+}
+
+// Every budget as it stood at the end of `period`, with the account's totals
+async function sendBudgetDigestEmail(user, period) {
+  const { start, end } = periodRange(period);
+  const monthEnd = new Date(end.getTime() - 1);
+  const budgets = await Budget.find({ userId: user._id }).sort({ siteId: 1 });
+  const siteNames = await siteNamesFor(budgets.map((b) => b.siteId));
+
+  const rows = [];
+  for (const budget of budgets) {
+    const measured = await measureBudget(budget, period);
+    const progress = budgetProgress(budget, { ...measured, now: monthEnd });
+    rows.push({
+      scope: budget.siteId ? siteNames.get(budget.siteId.toString()) || "Site" : "Account",
+      used: formatBudgetValue(budget.unit, progress.used),
+      amount: formatBudgetValue(budget.unit, budget.amount),
+      percent: progress.percent,
+    });
+  }
+  const { estimated, actual } = await measureBudget({ userId: user._id, siteId: null }, period);
+
+  await sendMail({
+    to: user.mail,
+    ...budgetDigestEmail({
+      name: user.name || user.mail,
+      periodLabel: start.toLocaleString("en-IN", { month: "long", year: "numeric", timeZone: "UTC" }),
+      rows,
+      totals: {
+        kWh: formatBudgetValue("kWh", estimated.kWh),
+        cost: formatBudgetValue("cost", estimated.cost),
+        metered: actual ? formatBudgetValue("kWh", actual.kWh) : null,
+      },
+      link: `${APP_URL}/calculator`,
+    }),
+  });
+}
+
+// One scheduler pass: emails each threshold a budget newly reached this month, then
+// last month's digest to those who asked for it. Each alert and digest is claimed in
+// MongoDB before it is sent, so a restart or a second process does not repeat it.
+async function runBudgetChecks(now = new Date()) {
+  const period = toPeriod(now);
+  await Budget.updateMany(
+    { alertsSent: { $elemMatch: { period: { $ne: period } } } },
+    { $pull: { alertsSent: { period: { $ne: period } } } }
+  );
+
+  const users = new Map();
+  const findUser = async (id) => {
+    const key = id.toString();
+    if (!users.has(key)) users.set(key, await User.findById(id, "name mail notificationPrefs"));
+    return users.get(key);
+  };
+
+  for await (const budget of Budget.find()) {
+    try {
+      const user = await findUser(budget.userId);
+      if (!user || user.notificationPrefs?.budgetAlerts === false) continue;
+
+      const measured = await measureBudget(budget, period);
+      const progress = budgetProgress(budget, { ...measured, now });
+      const due = dueThresholds(budget, progress);
+      if (due.length === 0) continue;
+
+      // Thresholds passed together are sent as one email, for the highest
+      const top = due[due.length - 1];
+      const claimed = await Budget.updateOne(
+        { _id: budget._id, alertsSent: { $not: { $elemMatch: { period, threshold: top } } } },
+        { $push: { alertsSent: { $each: due.map((threshold) => ({ period, threshold })) } } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+      await sendBudgetAlertEmail(user, budget, progress, top);
+    } catch (err) {
+      console.error("Error checking budget:", err);
+    }
+  }
+
+  const lastMonth = periodBefore(now);
+  const digestFilter = {
+    "notificationPrefs.monthlyDigest": true,
+    lastDigestPeriod: { $ne: lastMonth },
+  };
+  for await (const user of User.find(digestFilter, "name mail")) {
+    try {
+      const claimed = await User.updateOne(
+        { _id: user._id, ...digestFilter },
+        { lastDigestPeriod: lastMonth }
+      );
+      if (claimed.modifiedCount === 0) continue;
+      await sendBudgetDigestEmail(user, lastMonth);
+    } catch (err) {
+      console.error("Error sending budget digest:", err);
+    }
+  }
+}
+
+// ---------- JWT Helpers ----------
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+function signToken(payload) {
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const generateRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+// Opens a session and returns the first access/refresh token pair for it
+async function createSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  const token = signToken({ userId: user._id, mail: user.mail, sid: session._id });
+  return { token, refreshToken, session };
+}
+
+// Access tokens are only honoured while their session is still open. With roles given,
+// the user's current role must be one of them; it is read from the database rather
+// than the token, so a role change applies at once.
+function authorize(...roles) {
+  return async (req, res, next) => {
+    const token = req.headers.authorization?.split(" ")[1];
+    if (!token) return res.status(401).json({ message: "Unauthorized" });
+
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+
+    try {
+      const session = payload.sid && (await Session.findById(payload.sid));
+      if (!session || session.revokedAt || session.expiresAt < new Date())
+        return res.status(401).json({ message: "Session expired" });
+
+      if (roles.length > 0) {
+        const user = await User.findById(payload.userId, "role");
+        if (!user || !roles.includes(user.role)) return res.status(403).json({ message: "Forbidden" });
+        payload.role = user.role;
+      }
+
+      if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+        session.lastSeenAt = new Date();
+        session.ip = req.ip;
+        await session.save();
+      }
+
+      req.user = payload;
+      req.session = session;
+      next();
+    } catch (err) {
+      console.error("Error checking session:", err);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  };
+}
+
+const authMiddleware = authorize();
+
+// Addresses in ADMIN_EMAILS become admins on their next login, so a fresh
+// deployment has someone who can hand out roles in the console
+const isBootstrapAdmin = (mail) =>
+  (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+    .includes(String(mail).toLowerCase());
+
+// Devices send their own key in X-Api-Key instead of a user session
+async function deviceAuthMiddleware(req, res, next) {
+  const apiKey = req.headers["x-api-key"];
+  if (!apiKey) return res.status(401).json({ message: "API key required" });
+
+  try {
+    const device = await Device.findOne({ apiKeyHash: hashApiKey(apiKey) });
+    if (!device) return res.status(401).json({ message: "Invalid API key" });
+    req.device = device;
+    next();
+  } catch (err) {
+    console.error("Error checking device key:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+}
+
+// ---------- Routes ----------
+
+// Health Check
+app.get("/", (req, res) => res.send("⚡ Energy Calculator API is running!"));
+
+// ---------- Send OTP ----------
+app.post(
+  "/api/send-otp",
+  [
+    // One account, cooldown and daily cap per address however it is capitalised
+    body("mail").trim().isEmail().withMessage("Valid email required").toLowerCase(),
+    body("name").isLength({ min: 1 }).withMessage("Name required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    const { mail, name } = req.body;
+
+    try {
+      const existing = await User.findOne({ mail });
+      if (isLocked(existing)) {
+        return res.status(423).json({
+          message: "Account temporarily locked after too many incorrect codes",
+          lockedUntil: existing.lockedUntil,
+        });
+      }
+
+      const retryAfter = resendWait(existing, OTP_CONFIG);
+      if (retryAfter > 0) {
+        return res.status(429).json({
+          message: `Please wait ${retryAfter} seconds before requesting a new code`,
+          retryAfter,
+        });
+      }
+
+      const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const [mailCount, ipCount] = await Promise.all([
+        OtpRequest.countDocuments({ mail, createdAt: { $gte: since } }),
+        OtpRequest.countDocuments({ ip: req.ip, createdAt: { $gte: since } }),
+      ]);
+      if (mailCount >= OTP_CONFIG.dailyCapPerEmail || ipCount >= OTP_CONFIG.dailyCapPerIp) {
+        return res.status(429).json({
+          message: "Daily limit for login codes reached, please try again tomorrow",
+        });
+      }
+
+      const otp = generateOtp();
+      await User.findOneAndUpdate(
+        { mail },
+        {
+          name,
+          mail,
+          otpHash: hashOtp(mail, otp),
+          otpExpires: new Date(Date.now() + OTP_CONFIG.ttlMs),
+          otpAttempts: 0,
+          otpSentAt: new Date(),
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      await OtpRequest.create({ mail, ip: req.ip });
+
+      await sendOtpEmail(mail, name, otp);
+      return res.status(200).json({
+        message: "OTP sent successfully",
+        otpLength: OTP_CONFIG.length,
+        resendAvailableIn: OTP_CONFIG.resendCooldownMs / 1000,
+      });
+    } catch (error) {
+      console.error("Error in /api/send-otp:", error);
+      return res.status(500).json({ message: "Failed to send OTP" });
+    }
+  }
+);
+
+// ---------- Verify OTP ----------
+app.post(
+  "/api/verify-otp",
+  [
+    body("mail").trim().isEmail().toLowerCase(),
+    body("otp")
+      .isNumeric()
+      .isLength({ min: OTP_CONFIG.length, max: OTP_CONFIG.length })
+      .withMessage("Invalid OTP"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    const { mail, otp } = req.body;
+    try {
+      // Every guess is counted before the code is checked, in one conditional update
+      const now = new Date();
+      const user = await User.findOneAndUpdate(
+        guessFilter(mail, OTP_CONFIG, now),
+        { $inc: { otpAttempts: 1, otpFailures: 1 } },
+        { new: true }
+      );
+      if (!user) {
+        const { status, body } = guessRejection(await User.findOne({ mail }), OTP_CONFIG, now);
+        return res.status(status).json(body);
+      }
+
+      if (!otpMatches(user, otp)) {
+        const { lockedUntil, attemptsRemaining } = wrongGuessOutcome(user, OTP_CONFIG, now);
+        if (lockedUntil) {
+          await User.updateOne(
+            { _id: user._id },
+            { $set: { lockedUntil, otpFailures: 0 }, $unset: { otpHash: 1, otpExpires: 1 } }
+          );
+          return res.status(423).json({
+            message: "Too many incorrect codes, account temporarily locked",
+            lockedUntil,
+          });
+        }
+
+        return res.status(400).json({
+          message:
+            attemptsRemaining > 0
+              ? "Invalid or expired OTP"
+              : "Too many incorrect attempts, please request a new code",
+          attemptsRemaining,
+        });
+      }
+
+      // clear OTP
+      user.otpHash = undefined;
+      user.otpExpires = undefined;
+      user.otpAttempts = 0;
+      user.otpFailures = 0;
+      user.lockedUntil = undefined;
+      if (user.role !== "admin" && isBootstrapAdmin(user.mail)) user.role = "admin";
+      await user.save();
+
+      // open session
+      const { token, refreshToken } = await createSession(user, req);
+      return res.status(200).json({
+        token,
+        refreshToken,
+        userId: user._id,
+        name: user.name,
+        mail: user.mail,
+        role: user.role,
+      });
+    } catch (err) {
+      console.error("Error in /api/verify-otp:", err);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// ---------- Refresh Session ----------
+// Exchanges a refresh token for a new access token and a new refresh token.
+// Presenting an already-rotated token means it leaked, so the session is revoked.
+app.post(
+  "/api/refresh",
+  [body("refreshToken").isString().isLength({ min: 1 }).withMessage("Refresh token required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const tokenHash = hashToken(req.body.refreshToken);
+      const refreshToken = generateRefreshToken();
+      const now = new Date();
+
+      // Rotated in one conditional update, so only one request can exchange a token
+      const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+          $set: {
+            previousTokenHash: tokenHash,
+            refreshTokenHash: hashToken(refreshToken),
+            lastSeenAt: now,
+            ip: req.ip,
+          },
+        },
+        { new: true }
+      );
+
+      if (!session) {
+        if (await Session.exists({ refreshTokenHash: tokenHash }))
+          return res.status(401).json({ message: "Session expired" });
+        // Anything else is a rotated token presented again, including the loser of a race
+        await Session.updateOne({ previousTokenHash: tokenHash, revokedAt: null }, { revokedAt: now });
+        return res.status(401).json({ message: "Invalid refresh token" });
+      }
+
+      const user = await User.findById(session.userId);
+      if (!user) return res.status(401).json({ message: "Session expired" });
+
+      const token = signToken({ userId: user._id, mail: user.mail, sid: session._id });
+      return res.status(200).json({ token, refreshToken });
+    } catch (err) {
+      console.error("Error in /api/refresh:", err);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// ---------- Logout ----------
+app.post("/api/logout", authMiddleware, async (req, res) => {
+  try {
+    req.session.revokedAt = new Date();
+    await req.session.save();
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Error in /api/logout:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.post("/api/logout-all", authMiddleware, async (req, res) => {
+  try {
+    await Session.updateMany(
+      { userId: req.user.userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    res.json({ message: "Logged out of all devices" });
+  } catch (err) {
+    console.error("Error in /api/logout-all:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Sessions ----------
+app.get("/api/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.json(
+      sessions.map((s) => ({
+        _id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastSeenAt: s.lastSeenAt,
+        current: s._id.equals(req.session._id),
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.delete("/api/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    if (!session.userId.equals(req.user.userId))
+      return res.status(403).json({ message: "Forbidden" });
+
+    session.revokedAt = new Date();
+    await session.save();
+    res.json({ message: "Session revoked successfully" });
+  } catch (err) {
+    console.error("Error revoking session:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Create Appliance ----------
+const usageWindowValidators = [
+  body("usageWindows").optional().isArray({ max: 6 }).withMessage("Usage windows must be a list"),
+  body("usageWindows.*.start")
+    .isFloat({ min: 0, max: 24 })
+    .withMessage("Window start must be an hour between 0 and 24"),
+  body("usageWindows.*.end")
+    .isFloat({ min: 0, max: 24 })
+    .withMessage("Window end must be an hour between 0 and 24"),
+  body("flexible").optional().isBoolean(),
+  body("seasonalPreset").optional({ nullable: true }).isString(),
+  body("dutyCycle")
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage("Duty cycle must be between 1 and 100%"),
+  body("standbyWatts")
+    .optional()
+    .isFloat({ min: 0, max: 500 })
+    .withMessage("Standby power must be between 0 and 500 W"),
+];
+
+// Windows replace the typed hours per day so the two cannot disagree
+const normaliseWindows = (windows) => windows.map(({ start, end }) => ({ start: +start, end: +end }));
+
+const applianceValidators = [
+  body("applianceName")
+    .isString()
+    .withMessage("Appliance name must be text")
+    .bail()
+    .isLength({ min: 1 })
+    .withMessage("Appliance name required"),
+  body("rating").isFloat({ min: 0 }).withMessage("Rating must be a number"),
+  body("hourlyUsage")
+    .isFloat({ min: 0, max: 24 })
+    .withMessage("Hourly usage must be between 0 and 24"),
+  body("quantity").isInt({ min: 1 }).withMessage("Quantity must be a whole number of at least 1"),
+  body("dayFrequency")
+    .isInt({ min: 0, max: 7 })
+    .withMessage("Days per week must be a whole number between 0 and 7"),
+  body("unitRate").isFloat({ min: 0 }).withMessage("Unit rate must be a number"),
+  body("catalogId").optional().isMongoId(),
+  body("starRating").optional().isInt({ min: 1, max: 5 }),
+  body("zoneId").optional({ nullable: true }).isMongoId(),
+  body("workspaceId").optional().isMongoId().withMessage("Invalid workspace"),
+  ...usageWindowValidators,
+];
+
+app.post(
+  "/api/appliances",
+  authMiddleware,
+  applianceValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const {
+        applianceName,
+        rating,
+        hourlyUsage,
+        quantity,
+        dayFrequency,
+        unitRate,
+        catalogId,
+        starRating,
+        zoneId,
+        usageWindows,
+        flexible,
+        seasonalPreset,
+      } = req.body;
+      let { dutyCycle, standbyWatts } = req.body;
+      const windows = usageWindows ? normaliseWindows(usageWindows) : [];
+      const hours = windows.length > 0 ? windowHours(windows) : hourlyUsage;
+
+      // Editors add to the workspace they were invited to; a site editor only into its rooms
+      const workspace = await resolveWorkspace(req.user.userId, req.body.workspaceId);
+      if (!workspace) return res.status(403).json({ message: "Forbidden" });
+
+      const zone = zoneId ? await findUserZone(workspace.ownerId, zoneId) : null;
+      if (zoneId && !zone) return res.status(404).json({ message: "Zone not found" });
+      if (!canEdit(workspaceRole(workspace, zone ? zone.siteId : null)))
+        return res.status(403).json({ message: "Forbidden" });
+
+      // Fields left out fall back to the catalog entry's defaults
+      const entry = catalogId ? await CatalogEntry.findById(catalogId) : null;
+      let presetKey = seasonalPreset;
+      if (entry) {
+        if (presetKey === undefined) presetKey = entry.seasonalPreset;
+        if (dutyCycle === undefined) dutyCycle = entry.dutyCycle;
+        if (standbyWatts === undefined) standbyWatts = entry.standbyWatts;
+      }
+      const season = presetKey ? await resolveSeasonalPreset(workspace.ownerId, presetKey) : null;
+      if (seasonalPreset && !season)
+        return res.status(404).json({ message: "Seasonal preset not found" });
+
+      const appliance = new Appliance({
+        userId: workspace.ownerId,
+        createdBy: req.user.userId,
+        updatedBy: req.user.userId,
+        siteId: zone ? zone.siteId : null,
+        zoneId: zone ? zone._id : null,
+        applianceName,
+        rating,
+        hourlyUsage: hours,
+        quantity,
+        dayFrequency,
+        unitRate,
+        catalogId,
+        starRating,
+        usageWindows: windows,
+        flexible,
+        seasonalPreset: season ? season.key : undefined,
+        seasonalProfile: season ? season.months : undefined,
+        dutyCycle,
+        standbyWatts,
+        ...calculateConsumption({
+          rating,
+          hourlyUsage: hours,
+          quantity,
+          dayFrequency,
+          unitRate,
+          dutyCycle,
+          standbyWatts,
+        }),
+      });
+
+      await appliance.save();
+      await recordApplianceChanges(req.user.userId, [{ action: "create", after: appliance }]);
+      res.status(201).json(withEmissions(appliance, await getEmissionFactors(workspace.ownerId)));
+    } catch (err) {
+      console.error("Error creating appliance:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// ---------- Import Appliances ----------
+const IMPORT_FORMATS = { ".csv": "csv", ".xlsx": "xlsx" };
+const MAX_IMPORT_ROWS = 2000;
+
+// Runs the create-route validators against one imported or synced row
+async function validateImportRow(fields) {
+  const row = { body: fields };
+  await Promise.all(applianceValidators.map((v) => v.run(row)));
+  return validationResult(row)
+    .array()
+    .map((e) => `${e.path}: ${e.msg}`);
+}
+
+// Accepts a CSV/XLSX "file"; with ?dryRun=true nothing is saved and the
+// computed rows are returned for preview. Rejected rows are never saved.
+// ?workspaceId= imports into a workspace the user edits; a site editor only into its rooms.
+app.post("/api/appliances/import", authMiddleware, upload.single("file"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ message: "File required" });
+
+  const extension = (req.file.originalname.match(/\.[^.]+$/) || [""])[0].toLowerCase();
+  const format = IMPORT_FORMATS[extension];
+  if (!format) return res.status(400).json({ message: "Only .csv and .xlsx files are supported" });
+
+  const dryRun = req.query.dryRun === "true";
+
+  try {
+    let rows;
+    try {
+      rows = await parseInventory(req.file.buffer, format);
+    } catch (err) {
+      return res.status(400).json({ message: "Could not read file" });
+    }
+    if (rows.length === 0) return res.status(400).json({ message: "No rows found" });
+    if (rows.length > MAX_IMPORT_ROWS)
+      return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} rows per import` });
+
+    // Viewers cannot import at all; whether a site editor may add each row is checked below
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace) return res.status(403).json({ message: "Forbidden" });
+    if (workspace.memberships && !workspace.memberships.some((m) => canEdit(m.role)))
+      return res.status(403).json({ message: "Forbidden" });
+
+    const zoneFilter = { userId: workspace.ownerId };
+    limitToVisibleSites(zoneFilter, workspace);
+    const [sites, zones] = await Promise.all([
+      Site.find({ userId: workspace.ownerId }),
+      Zone.find(zoneFilter),
+    ]);
+    const siteNames = new Map(sites.map((s) => [s._id.toString(), s.name.toLowerCase()]));
+    const factors = await getEmissionFactors(workspace.ownerId);
+
+    const accepted = [];
+    const rejected = [];
+    for (const { rowNumber, fields } of rows) {
+      const errors = await validateImportRow(fields);
+
+      let zone = null;
+      if (fields.room) {
+        const candidates = zones.filter(
+          (z) =>
+            z.name.toLowerCase() === fields.room.toLowerCase() &&
+            (!fields.site || siteNames.get(z.siteId.toString()) === fields.site.toLowerCase())
+        );
+        if (candidates.length === 1) zone = candidates[0];
+        else if (candidates.length === 0) errors.push(`room: Unknown room "${fields.room}"`);
+        else errors.push(`room: "${fields.room}" exists in several sites, add a Site column`);
+      }
+      if (errors.length === 0 && !canEdit(workspaceRole(workspace, zone ? zone.siteId : null)))
+        errors.push(fields.room ? `room: You cannot edit "${fields.room}"` : "room: Pick a room you can edit");
+
+      if (errors.length > 0) {
+        rejected.push({ row: rowNumber, applianceName: fields.applianceName || "", errors });
+        continue;
+      }
+
+      const { applianceName, rating, hourlyUsage, quantity, dayFrequency, unitRate, dutyCycle, standbyWatts } =
+        fields;
+      accepted.push({
+        row: rowNumber,
+        userId: workspace.ownerId,
+        createdBy: req.user.userId,
+        updatedBy: req.user.userId,
+        siteId: zone ? zone.siteId : null,
+        zoneId: zone ? zone._id : null,
+        applianceName,
+        rating,
+        hourlyUsage,
+        quantity,
+        dayFrequency,
+        unitRate,
+        dutyCycle,
+        standbyWatts,
+        ...calculateConsumption({
+          rating,
+          hourlyUsage,
+          quantity,
+          dayFrequency,
+          unitRate,
+          dutyCycle,
+          standbyWatts,
+        }),
+      });
+    }
+
+    let imported = 0;
+    if (!dryRun && accepted.length > 0) {
+      const docs = await Appliance.insertMany(accepted.map(({ row, ...doc }) => doc));
+      await recordApplianceChanges(
+        req.user.userId,
+        docs.map((a) => ({ action: "create", after: a }))
+      );
+      imported = docs.length;
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      total: rows.length,
+      valid: accepted.length,
+      imported,
+      preview: accepted.map(({ userId, ...doc }) => withEmissions(doc, factors)),
+      rejected,
+    });
+  } catch (err) {
+    console.error("Error importing appliances:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Sync Guest Appliances ----------
+const MAX_BULK_APPLIANCES = 200;
+
+// Same appliance when everything the guest could enter matches
+const sameAppliance = (a, b) =>
+  a.applianceName.trim().toLowerCase() === b.applianceName.trim().toLowerCase() &&
+  ["rating", "hourlyUsage", "quantity", "dayFrequency", "unitRate"].every((k) => +a[k] === +b[k]);
+
+// Merges appliances kept in the browser before login into the user's inventory.
+// Ones already in the inventory are skipped, so a repeated sync adds nothing.
+app.post("/api/appliances/bulk", authMiddleware, async (req, res) => {
+  const items = req.body.appliances;
+  if (!Array.isArray(items) || items.length === 0)
+    return res.status(400).json({ message: "Appliances required" });
+  if (items.length > MAX_BULK_APPLIANCES)
+    return res.status(400).json({ message: `At most ${MAX_BULK_APPLIANCES} appliances per sync` });
+
+  try {
+    const existing = await Appliance.find({ userId: req.user.userId });
+    const accepted = [];
+    const rejected = [];
+    let skipped = 0;
+
+    for (const [index, item] of items.entries()) {
+      const fields = item && typeof item === "object" ? item : {};
+      const errors = await validateImportRow(fields);
+      if (errors.length > 0) {
+        const applianceName = typeof fields.applianceName === "string" ? fields.applianceName : "";
+        rejected.push({ index, applianceName, errors });
+        continue;
+      }
+      if ([...existing, ...accepted].some((a) => sameAppliance(a, fields))) {
+        skipped += 1;
+        continue;
+      }
+
+      const { applianceName, rating, quantity, dayFrequency, unitRate, dutyCycle, standbyWatts, flexible } =
+        fields;
+      const windows = fields.usageWindows ? normaliseWindows(fields.usageWindows) : [];
+      const hourlyUsage = windows.length > 0 ? windowHours(windows) : +fields.hourlyUsage;
+      accepted.push({
+        userId: req.user.userId,
+        createdBy: req.user.userId,
+        updatedBy: req.user.userId,
+        applianceName: applianceName.trim(),
+        rating: +rating,
+        hourlyUsage,
+        quantity: +quantity,
+        dayFrequency: +dayFrequency,
+        unitRate: +unitRate,
+        usageWindows: windows,
+        flexible,
+        dutyCycle,
+        standbyWatts,
+        ...calculateConsumption({
+          rating: +rating,
+          hourlyUsage,
+          quantity: +quantity,
+          dayFrequency: +dayFrequency,
+          unitRate: +unitRate,
+          dutyCycle,
+          standbyWatts,
+        }),
+      });
+    }
+
+    const docs = accepted.length > 0 ? await Appliance.insertMany(accepted) : [];
+    await recordApplianceChanges(
+      req.user.userId,
+      docs.map((a) => ({ action: "create", after: a }))
+    );
+    const factors = await getEmissionFactors(req.user.userId);
+    res.status(201).json({
+      created: docs.length,
+      skipped,
+      rejected,
+      appliances: docs.map((a) => withEmissions(a, factors)),
+    });
+  } catch (err) {
+    console.error("Error syncing guest appliances:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Export Appliances ----------
+// ?workspaceId= exports a workspace the user was invited to, limited to the sites they can see
+app.get("/api/appliances/export", authMiddleware, async (req, res) => {
+  const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+
+  try {
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace) return res.status(403).json({ message: "Forbidden" });
+
+    const context = await getBillingContext(workspace.ownerId);
+    if (!context) return res.status(404).json({ message: "User not found" });
+
+    const appliances = onVisibleSites(context.appliances, workspace);
+    const [sites, zones] = await Promise.all([
+      Site.find({ userId: workspace.ownerId }),
+      Zone.find({ userId: workspace.ownerId }),
+    ]);
+    const siteNames = new Map(sites.map((s) => [s._id.toString(), s.name]));
+    const zoneNames = new Map(zones.map((z) => [z._id.toString(), z.name]));
+
+    const billShares = getBillShares(context);
+    const factors = await getEmissionFactors(workspace.ownerId);
+
+    const rows = appliances.map((a) => ({
+      ...withEmissions(a, factors),
+      site: a.siteId ? siteNames.get(a.siteId.toString()) : "",
+      room: a.zoneId ? zoneNames.get(a.zoneId.toString()) : "",
+      billShare: billShares[a._id.toString()],
+    }));
+
+    const buffer = await buildInventoryExport(rows, format);
+    res.setHeader(
+      "Content-Type",
+      format === "xlsx"
+        ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        : "text/csv; charset=utf-8"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="appliances.${format}"`);
+    res.send(Buffer.from(buffer));
+  } catch (err) {
+    console.error("Error exporting appliances:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Appliance Summary ----------
+// Headline totals, each appliance's share and the top consumers, biggest first
+app.get("/api/appliances/summary", authMiddleware, async (req, res) => {
+  const top = Math.min(Math.max(parseInt(req.query.top) || 5, 1), 20);
+
+  try {
+    const match = { userId: new mongoose.Types.ObjectId(req.user.userId) };
+    if (typeof req.query.siteId === "string" && req.query.siteId) {
+      if (req.query.siteId === "none") match.siteId = null;
+      else if (mongoose.isValidObjectId(req.query.siteId))
+        match.siteId = new mongoose.Types.ObjectId(req.query.siteId);
+      else return res.status(400).json({ message: "Invalid site" });
+    }
+
+    const [summary] = await Appliance.aggregate([
+      { $match: match },
+      { $sort: { consumptionPerMonth: -1 } },
+      {
+        $group: {
+          _id: null,
+          applianceCount: { $sum: 1 },
+          consumptionPerDay: { $sum: "$consumptionPerDay" },
+          consumptionPerWeek: { $sum: "$consumptionPerWeek" },
+          consumptionPerMonth: { $sum: "$consumptionPerMonth" },
+          costPerDay: { $sum: { $multiply: ["$consumptionPerDay", "$unitRate"] } },
+          costPerWeek: { $sum: { $multiply: ["$consumptionPerWeek", "$unitRate"] } },
+          costPerMonth: { $sum: "$monthlyCost" },
+          standbyPerMonth: { $sum: { $ifNull: ["$standbyPerMonth", 0] } },
+          standbyCostPerMonth: { $sum: { $ifNull: ["$standbyCost", 0] } },
+          appliances: {
+            $push: {
+              applianceId: "$_id",
+              applianceName: "$applianceName",
+              quantity: "$quantity",
+              consumptionPerMonth: "$consumptionPerMonth",
+              monthlyCost: "$monthlyCost",
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          applianceCount: 1,
+          consumptionPerDay: 1,
+          consumptionPerWeek: 1,
+          consumptionPerMonth: 1,
+          consumptionPerYear: { $multiply: ["$consumptionPerMonth", 12] },
+          costPerDay: 1,
+          costPerWeek: 1,
+          costPerMonth: 1,
+          costPerYear: { $multiply: ["$costPerMonth", 12] },
+          standbyPerMonth: 1,
+          standbyCostPerMonth: 1,
+          appliances: {
+            $map: {
+              input: "$appliances",
+              as: "a",
+              in: {
+                $mergeObjects: [
+                  "$$a",
+                  {
+                    share: {
+                      $cond: [
+                        { $gt: ["$consumptionPerMonth", 0] },
+                        { $multiply: [{ $divide: ["$$a.consumptionPerMonth", "$consumptionPerMonth"] }, 100] },
+                        0,
+                      ],
+                    },
+                    costShare: {
+                      $cond: [
+                        { $gt: ["$costPerMonth", 0] },
+                        { $multiply: [{ $divide: ["$$a.monthlyCost", "$costPerMonth"] }, 100] },
+                        0,
+                      ],
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      },
+    ]);
+
+    const totalFields = [
+      "consumptionPerDay",
+      "consumptionPerWeek",
+      "consumptionPerMonth",
+      "consumptionPerYear",
+      "costPerDay",
+      "costPerWeek",
+      "costPerMonth",
+      "costPerYear",
+      "standbyPerMonth",
+      "standbyCostPerMonth",
+    ];
+    const totals = Object.fromEntries(totalFields.map((f) => [f, round2(summary?.[f] || 0)]));
+    const appliances = (summary?.appliances || []).map((a) => ({
+      ...a,
+      consumptionPerMonth: round2(a.consumptionPerMonth || 0),
+      monthlyCost: round2(a.monthlyCost || 0),
+      share: round2(a.share),
+      costShare: round2(a.costShare),
+    }));
+
+    res.json({
+      applianceCount: summary?.applianceCount || 0,
+      totals,
+      appliances,
+      topConsumers: appliances.slice(0, top),
+    });
+  } catch (err) {
+    console.error("Error building appliance summary:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Get Appliances ----------
+// ?workspaceId= lists a workspace the user was invited to, limited to the sites they can see
+app.get("/api/appliances", authMiddleware, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace) return res.status(403).json({ message: "Forbidden" });
+
+    const filter = { userId: workspace.ownerId };
+    if (typeof req.query.siteId === "string" && req.query.siteId) {
+      if (req.query.siteId === "none") filter.siteId = null;
+      else if (mongoose.isValidObjectId(req.query.siteId)) filter.siteId = req.query.siteId;
+      else return res.status(400).json({ message: "Invalid site" });
+    }
+    if (!limitToVisibleSites(filter, workspace))
+      return res.status(403).json({ message: "Forbidden" });
+
+    const [appliances, factors] = await Promise.all([
+      Appliance.find(filter).sort({ createdAt: -1 }),
+      getEmissionFactors(workspace.ownerId),
+    ]);
+    const names = await userNames(appliances.map((a) => a.updatedBy));
+    res.json(
+      appliances.map((a) => ({
+        ...withEmissions(a, factors),
+        updatedByName: a.updatedBy ? names.get(a.updatedBy.toString()) || null : null,
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Update Appliance ----------
+// Only these fields can be changed; owner, ids and computed values never come from the client
+const UPDATABLE_APPLIANCE_FIELDS = [
+  "applianceName",
+  "rating",
+  "hourlyUsage",
+  "quantity",
+  "dayFrequency",
+  "unitRate",
+  "catalogId",
+  "starRating",
+  "zoneId",
+  "usageWindows",
+  "flexible",
+  "seasonalPreset",
+  "dutyCycle",
+  "standbyWatts",
+];
+
+const applianceUpdateValidators = [
+  body("applianceName")
+    .optional()
+    .isString()
+    .withMessage("Appliance name must be text")
+    .bail()
+    .isLength({ min: 1 })
+    .withMessage("Appliance name required"),
+  body("rating").optional().isFloat({ min: 0 }).withMessage("Rating must be a number"),
+  body("hourlyUsage")
+    .optional()
+    .isFloat({ min: 0, max: 24 })
+    .withMessage("Hourly usage must be between 0 and 24"),
+  body("quantity").optional().isInt({ min: 1 }).withMessage("Quantity must be a whole number of at least 1"),
+  body("dayFrequency")
+    .optional()
+    .isInt({ min: 0, max: 7 })
+    .withMessage("Days per week must be a whole number between 0 and 7"),
+  body("unitRate").optional().isFloat({ min: 0 }).withMessage("Unit rate must be a number"),
+  body("catalogId").optional({ nullable: true }).isMongoId(),
+  body("starRating").optional({ nullable: true }).isInt({ min: 1, max: 5 }),
+  body("zoneId").optional({ nullable: true }).isMongoId(),
+  ...usageWindowValidators,
+];
+
+// Partial update: send only the fields that changed, derived values are recalculated
+async function updateAppliance(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ message: errors.array()[0].msg });
+
+  const unknown = Object.keys(req.body).filter((k) => !UPDATABLE_APPLIANCE_FIELDS.includes(k));
+  if (unknown.length > 0)
+    return res.status(400).json({ message: `Field cannot be updated: ${unknown[0]}` });
+
+  try {
+    const appliance = await Appliance.findById(req.params.id);
+    if (!appliance) return res.status(404).json({ message: "Appliance not found" });
+
+    const role = await getMemberRole(req.user.userId, appliance.userId, appliance.siteId);
+    if (!canEdit(role)) return res.status(403).json({ message: "Forbidden" });
+
+    const before = appliance.toObject();
+    const updates = {};
+    for (const field of UPDATABLE_APPLIANCE_FIELDS)
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+
+    // Moving it needs edit rights where it lands as well
+    if (updates.zoneId !== undefined) {
+      const zone = updates.zoneId ? await findUserZone(appliance.userId, updates.zoneId) : null;
+      if (updates.zoneId && !zone) return res.status(404).json({ message: "Zone not found" });
+      const target = await getMemberRole(req.user.userId, appliance.userId, zone ? zone.siteId : null);
+      if (!canEdit(target)) return res.status(403).json({ message: "Forbidden" });
+      updates.zoneId = zone ? zone._id : null;
+      updates.siteId = zone ? zone.siteId : null;
+    }
+    if (updates.seasonalPreset !== undefined) {
+      const season = updates.seasonalPreset
+        ? await resolveSeasonalPreset(appliance.userId, updates.seasonalPreset)
+        : null;
+      if (updates.seasonalPreset && !season)
+        return res.status(404).json({ message: "Seasonal preset not found" });
+      updates.seasonalPreset = season ? season.key : undefined;
+      updates.seasonalProfile = season ? season.months : undefined;
+    }
+    if (updates.usageWindows !== undefined) {
+      updates.usageWindows = normaliseWindows(updates.usageWindows);
+      if (updates.usageWindows.length > 0) updates.hourlyUsage = windowHours(updates.usageWindows);
+    } else if (updates.hourlyUsage !== undefined && appliance.usageWindows?.length > 0) {
+      // Hours sent on their own replace the windows they would contradict
+      updates.usageWindows = [];
+    }
+
+    Object.assign(appliance, updates);
+    Object.assign(appliance, calculateConsumption(appliance));
+    appliance.updatedBy = req.user.userId;
+
+    await appliance.save();
+    await recordApplianceChanges(req.user.userId, [{ action: "update", before, after: appliance }]);
+    res.json(withEmissions(appliance, await getEmissionFactors(appliance.userId)));
+  } catch (err) {
+    console.error("Error updating appliance:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+}
+
+app.patch("/api/appliances/:id", authMiddleware, applianceUpdateValidators, updateAppliance);
+app.put("/api/appliances/:id", authMiddleware, applianceUpdateValidators, updateAppliance);
+
+// ---------- Delete Appliance ----------
+// Its scenarios go and its devices are unbound; all of it can be restored for
+// APPLIANCE_RESTORE_MINUTES
+app.delete("/api/appliances/:id", authMiddleware, async (req, res) => {
+  try {
+    const appliance = await Appliance.findById(req.params.id);
+    if (!appliance) return res.status(404).json({ message: "Appliance not found" });
+
+    const role = await getMemberRole(req.user.userId, appliance.userId, appliance.siteId);
+    if (!canEdit(role)) return res.status(403).json({ message: "Forbidden" });
+
+    const [scenarios, devices] = await Promise.all([
+      Scenario.find({ applianceId: appliance._id }).lean(),
+      Device.find({ applianceId: appliance._id }, "_id"),
+    ]);
+    await DeletedAppliance.findOneAndUpdate(
+      { applianceId: appliance._id },
+      {
+        userId: appliance.userId,
+        appliance: appliance.toObject(),
+        scenarios,
+        deviceIds: devices.map((d) => d._id),
+        createdAt: new Date(),
+      },
+      { upsert: true }
+    );
+
+    await Appliance.findByIdAndDelete(appliance._id);
+    await recordApplianceChanges(req.user.userId, [{ action: "delete", before: appliance }]);
+    await Scenario.deleteMany({ applianceId: appliance._id });
+    await Device.updateMany({ applianceId: appliance._id }, { applianceId: null });
+    res.json({ message: "Appliance deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting appliance:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Undo of a recent delete: the appliance comes back under its old id with its scenarios
+// and any devices not bound elsewhere since. A site or room removed meanwhile is left off.
+app.post("/api/appliances/:id/restore", authMiddleware, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id))
+    return res.status(404).json({ message: "Appliance can no longer be restored" });
+
+  try {
+    const deleted = await DeletedAppliance.findOne({ applianceId: req.params.id });
+    if (!deleted) return res.status(404).json({ message: "Appliance can no longer be restored" });
+
+    const role = await getMemberRole(req.user.userId, deleted.userId, deleted.appliance.siteId);
+    if (!canEdit(role)) return res.status(403).json({ message: "Forbidden" });
+
+    // Claimed first, so restoring twice at once brings it back once
+    if (!(await DeletedAppliance.findOneAndDelete({ _id: deleted._id })))
+      return res.status(404).json({ message: "Appliance can no longer be restored" });
+
+    const values = { ...deleted.appliance, updatedBy: req.user.userId };
+    if (values.siteId && !(await Site.exists({ _id: values.siteId }))) values.siteId = null;
+    if (values.zoneId && !(values.siteId && (await Zone.exists({ _id: values.zoneId }))))
+      values.zoneId = null;
+
+    const appliance = await Appliance.create(values);
+    if (deleted.scenarios.length > 0) await Scenario.insertMany(deleted.scenarios);
+    await Device.updateMany(
+      { _id: { $in: deleted.deviceIds }, userId: appliance.userId, applianceId: null },
+      { applianceId: appliance._id }
+    );
+    await recordApplianceChanges(req.user.userId, [{ action: "restore", after: appliance }]);
+    res.status(201).json(withEmissions(appliance, await getEmissionFactors(appliance.userId)));
+  } catch (err) {
+    console.error("Error restoring appliance:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Appliance History ----------
+// Newest first; ?applianceId= narrows to one appliance, including deleted ones.
+// Site-only members cannot see it, as entries span the whole workspace.
+app.get("/api/appliances/history", authMiddleware, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace || workspace.siteIds) return res.status(403).json({ message: "Forbidden" });
+
+    const filter = { userId: workspace.ownerId };
+    if (typeof req.query.applianceId === "string" && req.query.applianceId) {
+      if (!mongoose.isValidObjectId(req.query.applianceId))
+        return res.status(400).json({ message: "Invalid appliance" });
+      filter.applianceId = req.query.applianceId;
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    const changes = await ApplianceChange.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    const names = await userNames(changes.map((c) => c.actorId));
+    res.json(
+      changes.map((c) => ({
+        ...c,
+        applianceName: (c.after || c.before).applianceName,
+        actorName: names.get(c.actorId.toString()) || null,
+      }))
+    );
+  } catch (err) {
+    console.error("Error fetching appliance history:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Snapshots ----------
+// Anyone with a role on the whole workspace can view and compare; editors take and delete
+const describeSnapshot = (snapshot, names) => ({
+  _id: snapshot._id,
+  name: snapshot.name,
+  createdAt: snapshot.createdAt,
+  createdBy: snapshot.createdBy ? names.get(snapshot.createdBy.toString()) || null : null,
+  totals: snapshot.totals,
+});
+
+app.get("/api/snapshots", authMiddleware, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace || workspace.siteIds) return res.status(403).json({ message: "Forbidden" });
+
+    const snapshots = await Snapshot.find({ userId: workspace.ownerId }, "-appliances").sort({
+      createdAt: -1,
+    });
+    const names = await userNames(snapshots.map((s) => s.createdBy));
+    res.json(snapshots.map((s) => describeSnapshot(s, names)));
+  } catch (err) {
+    console.error("Error listing snapshots:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.post(
+  "/api/snapshots",
+  authMiddleware,
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 80 })
+      .withMessage("Snapshot name required (up to 80 characters)"),
+    body("workspaceId").optional().isMongoId().withMessage("Invalid workspace"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const workspace = await resolveWorkspace(req.user.userId, req.body.workspaceId);
+      if (!workspace || !canEdit(workspaceRole(workspace)))
+        return res.status(403).json({ message: "Forbidden" });
+
+      const count = await Snapshot.countDocuments({ userId: workspace.ownerId });
+      if (count >= MAX_SNAPSHOTS)
+        return res.status(400).json({
+          message: `A workspace keeps at most ${MAX_SNAPSHOTS} snapshots; delete an old one first`,
+        });
+
+      const snapshot = new Snapshot({
+        userId: workspace.ownerId,
+        name: req.body.name,
+        createdBy: req.user.userId,
+        ...(await currentSnapshot(workspace.ownerId)),
+      });
+      await snapshot.save();
+      res.status(201).json(describeSnapshot(snapshot, await userNames([snapshot.createdBy])));
+    } catch (err) {
+      console.error("Error taking snapshot:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// ?base=<id>&target=<id|current>; "current" compares against the live inventory
+app.get("/api/snapshots/compare", authMiddleware, async (req, res) => {
+  const { base, target } = req.query;
+  if (typeof base !== "string" || !mongoose.isValidObjectId(base))
+    return res.status(400).json({ message: "Pick the snapshot to compare from" });
+  if (typeof target !== "string" || (target !== "current" && !mongoose.isValidObjectId(target)))
+    return res.status(400).json({ message: "Pick the snapshot to compare to" });
+
+  try {
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace || workspace.siteIds) return res.status(403).json({ message: "Forbidden" });
+
+    const [from, to] = await Promise.all([
+      Snapshot.findOne({ _id: base, userId: workspace.ownerId }).lean(),
+      target === "current"
+        ? currentSnapshot(workspace.ownerId).then((current) => ({
+            ...current,
+            name: "Current inventory",
+            createdAt: new Date(),
+          }))
+        : Snapshot.findOne({ _id: target, userId: workspace.ownerId }).lean(),
+    ]);
+    if (!from || !to) return res.status(404).json({ message: "Snapshot not found" });
+
+    res.json(compareSnapshots(from, to));
+  } catch (err) {
+    console.error("Error comparing snapshots:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.delete("/api/snapshots/:id", authMiddleware, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id))
+    return res.status(400).json({ message: "Invalid snapshot" });
+
+  try {
+    const snapshot = await Snapshot.findById(req.params.id, "userId");
+    if (!snapshot) return res.status(404).json({ message: "Snapshot not found" });
+
+    if (!canEdit(await getMemberRole(req.user.userId, snapshot.userId)))
+      return res.status(403).json({ message: "Forbidden" });
+
+    await Snapshot.findByIdAndDelete(snapshot._id);
+    res.json({ message: "Snapshot deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting snapshot:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Tariffs ----------
+app.get("/api/tariffs", authMiddleware, async (req, res) => {
+  try {
+    const tariffs = await Tariff.find({
+      $or: [{ ownerId: null }, { ownerId: req.user.userId }],
+    }).sort({ ownerId: 1, name: 1 });
+    res.json(tariffs);
+  } catch (err) {
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+const tariffValidators = [
+  body("name").isLength({ min: 1 }).withMessage("Tariff name required"),
+  body("slabs").isArray({ min: 1 }).withMessage("At least one slab required"),
+  body("slabs.*.rate").isFloat({ min: 0 }).withMessage("Slab rate must be a positive number"),
+  body("slabs.*.upTo").optional({ nullable: true }).isFloat({ min: 0 }),
+  body("fixedChargePerKW").optional().isFloat({ min: 0 }),
+  body("electricityDutyPercent").optional().isFloat({ min: 0, max: 100 }),
+  body("fuelSurchargePerUnit").optional().isFloat({ min: 0 }),
+  body("todBands").optional().isArray({ max: 6 }).withMessage("TOD bands must be a list"),
+  body("todBands.*.name").isLength({ min: 1 }).withMessage("TOD band name required"),
+  body("todBands.*.start")
+    .isFloat({ min: 0, max: 24 })
+    .withMessage("TOD band start must be an hour between 0 and 24"),
+  body("todBands.*.end")
+    .isFloat({ min: 0, max: 24 })
+    .withMessage("TOD band end must be an hour between 0 and 24"),
+  body("todBands.*.adjustmentPercent")
+    .isFloat({ min: -100, max: 200 })
+    .withMessage("TOD adjustment must be a percentage"),
+];
+
+const pickTariffFields = ({
+  name,
+  category,
+  slabs,
+  fixedChargePerKW,
+  electricityDutyPercent,
+  fuelSurchargePerUnit,
+  todBands,
+}) => ({
+  name,
+  category,
+  slabs: slabs.map(({ upTo, rate }) => ({ upTo: upTo ?? null, rate })),
+  fixedChargePerKW,
+  electricityDutyPercent,
+  fuelSurchargePerUnit,
+  todBands: (todBands || []).map(({ name: band, start, end, adjustmentPercent }) => ({
+    name: band,
+    start,
+    end,
+    adjustmentPercent,
+  })),
+});
+
+app.post("/api/tariffs", authMiddleware, tariffValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ message: errors.array()[0].msg });
+
+  try {
+    const tariff = new Tariff({ ownerId: req.user.userId, ...pickTariffFields(req.body) });
+
+    await tariff.save();
+    res.status(201).json(tariff);
+  } catch (err) {
+    console.error("Error creating tariff:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Only tariffs the user defined can be changed; built-in ones are copied instead
+app.put("/api/tariffs/:id", authMiddleware, tariffValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ message: errors.array()[0].msg });
+
+  try {
+    const tariff = await Tariff.findById(req.params.id);
+    if (!tariff) return res.status(404).json({ message: "Tariff not found" });
+
+    if (!tariff.ownerId || !tariff.ownerId.equals(req.user.userId))
+      return res.status(403).json({ message: "Forbidden" });
+
+    Object.assign(tariff, pickTariffFields(req.body));
+    await tariff.save();
+    res.json(tariff);
+  } catch (err) {
+    console.error("Error updating tariff:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Select Tariff ----------
+app.put(
+  "/api/users/me/tariff",
+  authMiddleware,
+  [
+    body("tariffId").isMongoId().withMessage("Valid tariff required"),
+    body("sanctionedLoadKW").optional().isFloat({ min: 0 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const { tariffId, sanctionedLoadKW } = req.body;
+      const tariff = await Tariff.findOne({
+        _id: tariffId,
+        $or: [{ ownerId: null }, { ownerId: req.user.userId }],
+      });
+      if (!tariff) return res.status(404).json({ message: "Tariff not found" });
+
+      const user = await User.findById(req.user.userId);
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      user.tariffId = tariff._id;
+      if (sanctionedLoadKW !== undefined) user.sanctionedLoadKW = sanctionedLoadKW;
+      await user.save();
+
+      res.json({ tariffId: user.tariffId, sanctionedLoadKW: user.sanctionedLoadKW });
+    } catch (err) {
+      console.error("Error selecting tariff:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// ---------- Bill Estimate ----------
+app.get("/api/bill", authMiddleware, async (req, res) => {
+  try {
+    const context = await getBillingContext(req.user.userId);
+    if (!context) return res.status(404).json({ message: "User not found" });
+
+    const { tariff, appliances, totalUnits, sanctionedLoadKW } = context;
+    if (!tariff) return res.status(404).json({ message: "No tariff configured" });
+
+    const bill = estimateBill(tariff, totalUnits, sanctionedLoadKW);
+
+    res.json({ bill, appliances: splitBill(bill, appliances) });
+  } catch (err) {
+    console.error("Error estimating bill:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Budgets ----------
+const describeBudget = (budget, siteNames, progress) => ({
+  _id: budget._id,
+  siteId: budget.siteId,
+  siteName: budget.siteId ? siteNames.get(budget.siteId.toString()) || null : null,
+  unit: budget.unit,
+  amount: budget.amount,
+  thresholds: thresholdsOf(budget),
+  progress,
+  updatedAt: budget.updatedAt,
+});
+
+// The user's budgets, account first, each with this month's progress
+app.get("/api/budgets", authMiddleware, async (req, res) => {
+  try {
+    const now = new Date();
+    const budgets = await Budget.find({ userId: req.user.userId }).sort({ siteId: 1 });
+    const siteNames = await siteNamesFor(budgets.map((b) => b.siteId));
+
+    const result = [];
+    for (const budget of budgets) {
+      const measured = await measureBudget(budget, toPeriod(now));
+      result.push(describeBudget(budget, siteNames, budgetProgress(budget, { ...measured, now })));
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("Error fetching budgets:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Sets the budget for the account (no siteId) or a site, replacing any there was. A new
+// unit or amount starts this month's alerts afresh; other edits only forget the alerts
+// of thresholds that were removed, so saving again does not send them twice.
+app.put(
+  "/api/budgets",
+  authMiddleware,
+  [
+    body("siteId").optional({ nullable: true }).isMongoId().withMessage("Invalid site"),
+    body("unit").isIn(BUDGET_UNITS).withMessage("Unit must be cost or kWh"),
+    body("amount").isFloat({ gt: 0 }).withMessage("Budget must be greater than zero"),
+    body("thresholds")
+      .optional()
+      .isArray({ min: 1, max: MAX_THRESHOLDS })
+      .withMessage(`Give 1 to ${MAX_THRESHOLDS} alert thresholds`),
+    body("thresholds.*")
+      .isInt({ min: 1, max: 200 })
+      .withMessage("Thresholds must be whole percentages from 1 to 200"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      let site = null;
+      if (req.body.siteId) {
+        site = await Site.findOne({ _id: req.body.siteId, userId: req.user.userId });
+        if (!site) return res.status(404).json({ message: "Site not found" });
+      }
+
+      const siteId = site ? site._id : null;
+      const existing = await Budget.findOne({ userId: req.user.userId, siteId }, "unit amount thresholds");
+      const set = { unit: req.body.unit, amount: parseFloat(req.body.amount) };
+      if (req.body.thresholds) set.thresholds = thresholdsOf({ thresholds: req.body.thresholds });
+      const update = { $set: set };
+      if (!existing || existing.unit !== set.unit || existing.amount !== set.amount) set.alertsSent = [];
+      else
+        update.$pull = {
+          alertsSent: { threshold: { $nin: set.thresholds || thresholdsOf(existing) } },
+        };
+      const budget = await Budget.findOneAndUpdate({ userId: req.user.userId, siteId }, update, {
+        new: true,
+        upsert: true,
+        setDefaultsOnInsert: true,
+      });
+
+      const now = new Date();
+      const measured = await measureBudget(budget, toPeriod(now));
+      const siteNames = new Map(site ? [[site._id.toString(), site.name]] : []);
+      res.json(describeBudget(budget, siteNames, budgetProgress(budget, { ...measured, now })));
+    } catch (err) {
+      console.error("Error saving budget:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+app.delete("/api/budgets/:id", authMiddleware, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id))
+    return res.status(404).json({ message: "Budget not found" });
+
+  try {
+    const budget = await Budget.findById(req.params.id);
+    if (!budget) return res.status(404).json({ message: "Budget not found" });
+
+    if (!budget.userId.equals(req.user.userId))
+      return res.status(403).json({ message: "Forbidden" });
+
+    await Budget.findByIdAndDelete(budget._id);
+    res.json({ message: "Budget deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting budget:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Notification Preferences ----------
+const describePrefs = (user) => ({
+  budgetAlerts: user.notificationPrefs?.budgetAlerts !== false,
+  monthlyDigest: Boolean(user.notificationPrefs?.monthlyDigest),
+});
+
+app.get("/api/notification-preferences", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, "notificationPrefs");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json(describePrefs(user));
+  } catch (err) {
+    console.error("Error fetching notification preferences:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.put(
+  "/api/notification-preferences",
+  authMiddleware,
+  [
+    body("budgetAlerts")
+      .optional()
+      .isBoolean()
+      .withMessage("budgetAlerts must be true or false")
+      .toBoolean(),
+    body("monthlyDigest")
+      .optional()
+      .isBoolean()
+      .withMessage("monthlyDigest must be true or false")
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      const prefs = describePrefs(user);
+      const { budgetAlerts, monthlyDigest } = req.body;
+      if (budgetAlerts !== undefined) prefs.budgetAlerts = budgetAlerts;
+      if (monthlyDigest !== undefined) {
+        // The first digest covers the first whole month after it is turned on
+        if (monthlyDigest && !prefs.monthlyDigest) user.lastDigestPeriod = periodBefore(new Date());
+        prefs.monthlyDigest = monthlyDigest;
+      }
+      user.notificationPrefs = prefs;
+      await user.save();
+      res.json(describePrefs(user));
+    } catch (err) {
+      console.error("Error updating notification preferences:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// ---------- Seasonal Presets ----------
+app.get("/api/seasonal-presets", authMiddleware, async (req, res) => {
+  try {
+    const own = await SeasonalPreset.find({ ownerId: req.user.userId }).sort({ name: 1 });
+    res.json([
+      ...SEASONAL_PRESETS.map((p) => ({ ...p, builtIn: true })),
+      ...own.map((p) => ({ key: p._id.toString(), name: p.name, months: p.months, builtIn: false })),
+    ]);
+  } catch (err) {
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.post(
+  "/api/seasonal-presets",
+  authMiddleware,
+  [
+    body("name").isLength({ min: 1, max: 60 }).withMessage("Preset name required"),
+    body("months")
+      .custom((months) => isValidProfile(months) && months.every((m) => m <= 3))
+      .withMessage("Months must be 12 factors between 0 and 3"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const preset = new SeasonalPreset({
+        ownerId: req.user.userId,
+        name: req.body.name,
+        months: req.body.months,
+      });
+      await preset.save();
+      res.status(201).json({ key: preset._id.toString(), name: preset.name, months: preset.months, builtIn: false });
+    } catch (err) {
+      console.error("Error creating seasonal preset:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Appliances keep the factors they were given, so deleting a preset changes no projection
+app.delete("/api/seasonal-presets/:id", authMiddleware, async (req, res) => {
+  try {
+    const preset = await SeasonalPreset.findById(req.params.id);
+    if (!preset) return res.status(404).json({ message: "Seasonal preset not found" });
+
+    if (!preset.ownerId.equals(req.user.userId))
+      return res.status(403).json({ message: "Forbidden" });
+
+    await SeasonalPreset.findByIdAndDelete(preset._id);
+    res.json({ message: "Seasonal preset deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting seasonal preset:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Annual Projection ----------
+// Month-by-month kWh and cost for a calendar year, using each month's real length
+app.get("/api/projection", authMiddleware, async (req, res) => {
+  const year = parseInt(req.query.year) || new Date().getFullYear();
+  if (year < 2000 || year > 2100) return res.status(400).json({ message: "Invalid year" });
+
+  try {
+    const context = await getBillingContext(req.user.userId);
+    if (!context) return res.status(404).json({ message: "User not found" });
+
+    const { tariff, appliances, sanctionedLoadKW } = context;
+    const priceMonth = tariff ? (kWh) => estimateBill(tariff, kWh, sanctionedLoadKW).total : null;
+
+    res.json({
+      tariffName: tariff ? tariff.name : null,
+      ...projectYear({ appliances, year, priceMonth }),
+    });
+  } catch (err) {
+    console.error("Error building projection:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Meter Readings ----------
+const MAX_HISTORY_MONTHS = 120;
+const READING_VALUE_FIELDS = ["kWh", "meterReading", "amount"];
+
+const historyMonths = (value) =>
+  Math.min(Math.max(parseInt(value) || HISTORY_MONTHS, 1), MAX_HISTORY_MONTHS);
+
+const meterReadingValidators = [
+  body("period").custom(isValidPeriod).withMessage("Month must be in YYYY-MM format"),
+  body("kWh").optional({ nullable: true }).isFloat({ min: 0 }).withMessage("Units must be a positive number"),
+  body("meterReading")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Meter reading must be a positive number"),
+  body("amount")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Bill amount must be a positive number"),
+  body("note").optional().isString().isLength({ max: 200 }),
+  body()
+    .custom((b) => READING_VALUE_FIELDS.some((f) => b[f] !== undefined && b[f] !== null))
+    .withMessage("Enter the units used, the meter reading or the bill amount"),
+];
+
+// A month is recorded once per site; saving it again replaces the earlier values
+function saveMeterReading(userId, siteId, fields, source) {
+  return MeterReading.findOneAndUpdate(
+    { userId, siteId, period: fields.period },
+    {
+      kWh: fields.kWh ?? null,
+      meterReading: fields.meterReading ?? null,
+      amount: fields.amount ?? null,
+      note: fields.note,
+      source,
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+}
+
+app.get("/api/meter-readings", authMiddleware, async (req, res) => {
+  try {
+    const siteId = await findReadingSiteId(req.user.userId, req.query.siteId);
+    if (siteId === undefined) return res.status(404).json({ message: "Site not found" });
+
+    const periods = recentPeriods(historyMonths(req.query.months));
+    const readings = await MeterReading.find({
+      userId: req.user.userId,
+      siteId,
+      period: { $gte: periods[periods.length - 1] },
+    }).sort({ period: -1 });
+    res.json(readings);
+  } catch (err) {
+    console.error("Error fetching meter readings:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.post(
+  "/api/meter-readings",
+  authMiddleware,
+  [body("siteId").optional({ nullable: true }).isString(), ...meterReadingValidators],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const siteId = await findReadingSiteId(req.user.userId, req.body.siteId);
+      if (siteId === undefined) return res.status(404).json({ message: "Site not found" });
+
+      const reading = await saveMeterReading(req.user.userId, siteId, req.body, "manual");
+      res.status(201).json(reading);
+    } catch (err) {
+      console.error("Error saving meter reading:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// CSV/XLSX with a Month column and Units, Meter Reading and/or Bill Amount. A Site
+// column matches site names; otherwise rows go to ?siteId. With ?dryRun=true
+// nothing is saved.
+app.post(
+  "/api/meter-readings/import",
+  authMiddleware,
+  upload.single("file"),
+  async (req, res) => {
+    if (!req.file) return res.status(400).json({ message: "File required" });
+
+    const extension = (req.file.originalname.match(/\.[^.]+$/) || [""])[0].toLowerCase();
+    const format = IMPORT_FORMATS[extension];
+    if (!format) return res.status(400).json({ message: "Only .csv and .xlsx files are supported" });
+
+    const dryRun = req.query.dryRun === "true";
+
+    try {
+      const defaultSiteId = await findReadingSiteId(req.user.userId, req.query.siteId);
+      if (defaultSiteId === undefined) return res.status(404).json({ message: "Site not found" });
+
+      let rows;
+      try {
+        rows = await parseMeterReadings(req.file.buffer, format);
+      } catch (err) {
+        return res.status(400).json({ message: "Could not read file" });
+      }
+      if (rows.length === 0) return res.status(400).json({ message: "No rows found" });
+      if (rows.length > MAX_IMPORT_ROWS)
+        return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} rows per import` });
+
+      const sites = await Site.find({ userId: req.user.userId });
+      const siteByName = new Map(sites.map((s) => [s.name.toLowerCase(), s._id]));
+
+      const accepted = [];
+      const rejected = [];
+      for (const { rowNumber, fields } of rows) {
+        const reading = { ...fields, period: parsePeriod(fields.period) };
+        const row = { body: reading };
+        await Promise.all(meterReadingValidators.map((v) => v.run(row)));
+        const errors = validationResult(row)
+          .array()
+          .map((e) => (e.path ? `${e.path}: ${e.msg}` : e.msg));
+
+        let siteId = defaultSiteId;
+        if (fields.site) {
+          siteId = siteByName.get(fields.site.toLowerCase());
+          if (!siteId) errors.push(`site: Unknown site "${fields.site}"`);
+        }
+
+        if (errors.length > 0) rejected.push({ row: rowNumber, period: fields.period || "", errors });
+        else accepted.push({ row: rowNumber, siteId, reading });
+      }
+
+      let imported = 0;
+      if (!dryRun) {
+        for (const { siteId, reading } of accepted) {
+          await saveMeterReading(req.user.userId, siteId, reading, "import");
+          imported += 1;
+        }
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        total: rows.length,
+        valid: accepted.length,
+        imported,
+        preview: accepted.map(({ row, siteId, reading }) => ({ row, siteId, ...reading })),
+        rejected,
+      });
+    } catch (err) {
+      console.error("Error importing meter readings:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+app.delete("/api/meter-readings/:id", authMiddleware, async (req, res) => {
+  try {
+    const reading = await MeterReading.findById(req.params.id);
+    if (!reading) return res.status(404).json({ message: "Meter reading not found" });
+
+    if (!reading.userId.equals(req.user.userId))
+      return res.status(403).json({ message: "Forbidden" });
+
+    await MeterReading.findByIdAndDelete(reading._id);
+    res.json({ message: "Meter reading deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting meter reading:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Bill Reconciliation ----------
+// Estimated vs actual kWh and cost for each recorded month. A site is compared with
+// its own appliances; the account meter (no siteId) with the whole inventory.
+app.get("/api/reconciliation", authMiddleware, async (req, res) => {
+  try {
+    const siteId = await findReadingSiteId(req.user.userId, req.query.siteId);
+    if (siteId === undefined) return res.status(404).json({ message: "Site not found" });
+
+    const context = await getBillingContext(req.user.userId);
+    if (!context) return res.status(404).json({ message: "User not found" });
+
+    // One extra month so the oldest meter reading has a previous one to subtract
+    const months = historyMonths(req.query.months);
+    const periods = recentPeriods(months + 1);
+    const readings = await MeterReading.find({
+      userId: req.user.userId,
+      siteId,
+      period: { $gte: periods[months] },
+    });
+
+    const { tariff, sanctionedLoadKW } = context;
+    const appliances = siteId
+      ? context.appliances.filter((a) => a.siteId && a.siteId.equals(siteId))
+      : context.appliances;
+    const priceMonth = tariff ? (kWh) => estimateBill(tariff, kWh, sanctionedLoadKW).total : null;
+
+    res.json({
+      siteId,
+      months,
+      tariffName: tariff ? tariff.name : null,
+      applianceCount: appliances.length,
+      ...reconcile({
+        readings,
+        appliances,
+        priceMonth,
+        thresholdPercent: UNACCOUNTED_THRESHOLD_PERCENT,
+        since: periods[months - 1],
+      }),
+    });
+  } catch (err) {
+    console.error("Error building reconciliation:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Devices ----------
+const devicePublicFields = (device) => {
+  const { apiKeyHash, ...fields } = device.toObject();
+  return fields;
+};
+
+// The appliance to bind a device to, or null; undefined when it is not the user's
+async function findDeviceAppliance(userId, applianceId) {
+  if (!applianceId) return null;
+  return (await Appliance.findOne({ _id: applianceId, userId })) || undefined;
+}
+
+const deviceValidators = [
+  body("name").optional().trim().isLength({ min: 1, max: 60 }).withMessage("Device name required"),
+  body("applianceId").optional({ nullable: true }).isMongoId().withMessage("Invalid appliance"),
+];
+
+app.get("/api/devices", authMiddleware, async (req, res) => {
+  try {
+    const devices = await Device.find({ userId: req.user.userId }).sort({ name: 1 });
+    res.json(devices);
+  } catch (err) {
+    console.error("Error fetching devices:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// The API key is only returned here and when it is rotated
+app.post(
+  "/api/devices",
+  authMiddleware,
+  [
+    body("name").trim().isLength({ min: 1, max: 60 }).withMessage("Device name required"),
+    body("serial")
+      .trim()
+      .matches(/^[A-Za-z0-9_.:-]{1,64}$/)
+      .withMessage("Serial may only contain letters, digits and _ . : -"),
+    ...deviceValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const appliance = await findDeviceAppliance(req.user.userId, req.body.applianceId);
+      if (appliance === undefined) return res.status(404).json({ message: "Appliance not found" });
+
+      const apiKey = generateApiKey();
+      const device = new Device({
+        userId: req.user.userId,
+        applianceId: appliance ? appliance._id : null,
+        name: req.body.name,
+        serial: req.body.serial,
+        apiKeyHash: hashApiKey(apiKey),
+        apiKeyHint: apiKey.slice(-4),
+      });
+      await device.save();
+      res.status(201).json({ ...devicePublicFields(device), apiKey });
+    } catch (err) {
+      if (err.code === 11000)
+        return res.status(409).json({ message: "A device with this serial is already registered" });
+      console.error("Error registering device:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+app.patch("/api/devices/:id", authMiddleware, deviceValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ message: errors.array()[0].msg });
+
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: "Device not found" });
+
+    if (!device.userId.equals(req.user.userId))
+      return res.status(403).json({ message: "Forbidden" });
+
+    if (req.body.applianceId !== undefined) {
+      const appliance = await findDeviceAppliance(req.user.userId, req.body.applianceId);
+      if (appliance === undefined) return res.status(404).json({ message: "Appliance not found" });
+      device.applianceId = appliance ? appliance._id : null;
+    }
+    if (req.body.name !== undefined) device.name = req.body.name;
+    await device.save();
+    res.json(device);
+  } catch (err) {
+    console.error("Error updating device:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Issues a new key; the old one stops working immediately
+app.post("/api/devices/:id/key", authMiddleware, async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: "Device not found" });
+
+    if (!device.userId.equals(req.user.userId))
+      return res.status(403).json({ message: "Forbidden" });
+
+    const apiKey = generateApiKey();
+    device.apiKeyHash = hashApiKey(apiKey);
+    device.apiKeyHint = apiKey.slice(-4);
+    await device.save();
+    res.json({ apiKey, apiKeyHint: device.apiKeyHint });
+  } catch (err) {
+    console.error("Error rotating device key:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Removes the device and its roll-ups; raw readings expire on their own
+app.delete("/api/devices/:id", authMiddleware, async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: "Device not found" });
+
+    if (!device.userId.equals(req.user.userId))
+      return res.status(403).json({ message: "Forbidden" });
+
+    await TelemetryRollup.deleteMany({ deviceId: device._id });
+    await Device.findByIdAndDelete(device._id);
+    res.json({ message: "Device deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting device:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Hourly or daily roll-ups for the last ?days (default 7)
+app.get("/api/devices/:id/telemetry", authMiddleware, async (req, res) => {
+  const granularity = req.query.granularity === "day" ? "day" : "hour";
+  const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 366);
+
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) return res.status(404).json({ message: "Device not found" });
+
+    if (!device.userId.equals(req.user.userId))
+      return res.status(403).json({ message: "Forbidden" });
+
+    const rollups = await TelemetryRollup.find({
+      deviceId: device._id,
+      granularity,
+      periodStart: { $gte: new Date(Date.now() - days * DAY_MS) },
+    }).sort({ periodStart: 1 });
+
+    res.json({
+      deviceId: device._id,
+      granularity,
+      periods: rollups.map((r) => ({
+        periodStart: r.periodStart,
+        kWh: r.kWh,
+        avgPowerW: r.powerSamples > 0 ? Math.round(r.powerSum / r.powerSamples) : null,
+        maxPowerW: r.maxPowerW,
+        samples: r.samples,
+      })),
+    });
+  } catch (err) {
+    console.error("Error fetching device telemetry:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Telemetry ----------
+// Body: { readings: [{ timestamp, powerW, energyKWh }] } or a single reading.
+// Rejected readings are reported by index; the rest of the batch is still stored.
+app.post("/api/telemetry", deviceAuthMiddleware, async (req, res) => {
+  const batch = Array.isArray(req.body?.readings) ? req.body.readings : [req.body];
+  if (batch.length === 0) return res.status(400).json({ message: "No readings" });
+  if (batch.length > MAX_BATCH)
+    return res.status(400).json({ message: `At most ${MAX_BATCH} readings per request` });
+
+  try {
+    const result = await ingestTelemetry(req.device, batch);
+    res.status(202).json(result);
+  } catch (err) {
+    console.error("Error ingesting telemetry:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Measured daily and monthly kWh per appliance from the last ?days (default 7) of
+// completed daily roll-ups, averaged over the days that have data.
+app.get("/api/appliances/measured", authMiddleware, async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+  const today = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+
+  try {
+    const measured = await TelemetryRollup.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(req.user.userId),
+          applianceId: { $ne: null },
+          granularity: "day",
+          periodStart: { $gte: new Date(today.getTime() - days * DAY_MS), $lt: today },
+        },
+      },
+      // Several devices on one appliance add up within a day
+      {
+        $group: {
+          _id: { applianceId: "$applianceId", day: "$periodStart" },
+          kWh: { $sum: "$kWh" },
+          maxPowerW: { $max: "$maxPowerW" },
+        },
+      },
+      {
+        $group: {
+          _id: "$_id.applianceId",
+          days: { $sum: 1 },
+          kWh: { $sum: "$kWh" },
+          maxPowerW: { $max: "$maxPowerW" },
+        },
+      },
+    ]);
+
+    res.json(
+      measured.map((m) => {
+        const kWhPerDay = m.kWh / m.days;
+        return {
+          applianceId: m._id,
+          days: m.days,
+          kWhPerDay: round2(kWhPerDay),
+          kWhPerMonth: round2(kWhPerDay * 7 * WEEKS_PER_MONTH), // same month as the estimates
+          maxPowerW: m.maxPowerW,
+        };
+      })
+    );
+  } catch (err) {
+    console.error("Error fetching measured consumption:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Rooftop Solar ----------
+const solarValidators = [
+  body("roofAreaM2").isFloat({ min: 0, max: 100000 }).withMessage("Roof area must be in m²"),
+  body("irradiancePreset")
+    .isIn([...IRRADIANCE_PRESETS.map((p) => p.key), "custom"])
+    .withMessage("Unknown location preset"),
+  body("peakSunHours")
+    .if(body("irradiancePreset").equals("custom"))
+    .isFloat({ min: 1, max: 8 })
+    .withMessage("Peak sun hours must be between 1 and 8"),
+  body("costPerKW").isFloat({ min: 0 }).withMessage("Cost per kW must be a number"),
+  body("exportRate").isFloat({ min: 0, max: 50 }).withMessage("Export rate must be ₹ per kWh"),
+  body("subsidy").optional().isFloat({ min: 0 }).withMessage("Subsidy must be a number"),
+  body("battery.enabled").optional().isBoolean(),
+  body("battery.backupApplianceIds").optional().isArray(),
+  body("battery.backupApplianceIds.*").isMongoId().withMessage("Invalid backup appliance"),
+  body("battery.backupHours").optional().isFloat({ min: 0, max: 48 }),
+  body("battery.costPerKWh").optional().isFloat({ min: 0 }),
+];
+
+const pickSolarInputs = (src) => ({
+  roofAreaM2: +src.roofAreaM2,
+  irradiancePreset: src.irradiancePreset,
+  peakSunHours: src.irradiancePreset === "custom" ? +src.peakSunHours : undefined,
+  costPerKW: +src.costPerKW,
+  exportRate: +src.exportRate,
+  subsidy: +(src.subsidy || 0),
+  battery: {
+    enabled: !!src.battery?.enabled,
+    backupApplianceIds: src.battery?.backupApplianceIds || [],
+    backupHours: +(src.battery?.backupHours ?? SOLAR_DEFAULTS.battery.backupHours),
+    costPerKWh: +(src.battery?.costPerKWh ?? SOLAR_DEFAULTS.battery.costPerKWh),
+  },
+});
+
+// Solar estimate for a set of appliances. Only the whole account is priced with the
+// tariff (the bill covers the connection); a site uses its appliances' unit rates.
+async function buildSolarEstimate(context, inputs, { appliances = context.appliances, site = null } = {}) {
+  const factors = await getEmissionFactors(context.user._id);
+  const enriched = appliances.map((a) => withEmissions(a, factors));
+  const monthlyKWh = enriched.reduce((sum, a) => sum + (a.consumptionPerMonth || 0), 0);
+  const monthlyCost = enriched.reduce((sum, a) => sum + (a.monthlyCost || 0), 0);
+  const co2PerMonth = enriched.reduce((sum, a) => sum + (a.co2PerMonth || 0), 0);
+  const averageRate = monthlyKWh > 0 ? monthlyCost / monthlyKWh : 0;
+
+  const { tariff, sanctionedLoadKW } = context;
+  const billFor =
+    !site && tariff
+      ? (kWh) => estimateBill(tariff, kWh, sanctionedLoadKW).total
+      : (kWh) => kWh * averageRate;
+
+  const preset = findPreset(inputs.irradiancePreset);
+  const battery = inputs.battery?.enabled
+    ? {
+        backupLoadKW: appliances
+          .filter((a) => (inputs.battery.backupApplianceIds || []).some((id) => a._id.equals(id)))
+          .reduce((sum, a) => sum + a.rating * a.quantity, 0),
+        backupHours: inputs.battery.backupHours,
+        costPerKWh: inputs.battery.costPerKWh,
+      }
+    : null;
+
+  return {
+    location: preset ? preset.name : "Custom",
+    peakSunHours: preset ? preset.peakSunHours : inputs.peakSunHours,
+    monthlyKWh: round2(monthlyKWh),
+    pricedWith: !site && tariff ? tariff.name : null,
+    ...estimateSolar({
+      monthlyKWh,
+      roofAreaM2: inputs.roofAreaM2,
+      peakSunHours: preset ? preset.peakSunHours : inputs.peakSunHours,
+      costPerKW: inputs.costPerKW,
+      exportRate: inputs.exportRate,
+      subsidy: inputs.subsidy || 0,
+      limitKW: site ? null : sanctionedLoadKW, // net metering is capped at the sanctioned load
+      billFor,
+      gridFactor: monthlyKWh > 0 ? co2PerMonth / monthlyKWh : factors.national,
+      battery,
+    }),
+  };
+}
+
+// Saved (or default) inputs with their estimate, and the presets for the form
+app.get("/api/solar", authMiddleware, async (req, res) => {
+  try {
+    const context = await getBillingContext(req.user.userId);
+    if (!context) return res.status(404).json({ message: "User not found" });
+
+    const inputs = context.user.solarInputs ? context.user.toObject().solarInputs : SOLAR_DEFAULTS;
+    res.json({
+      presets: IRRADIANCE_PRESETS,
+      saved: !!context.user.solarInputs,
+      inputs,
+      estimate: await buildSolarEstimate(context, inputs),
+    });
+  } catch (err) {
+    console.error("Error building solar estimate:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Estimate without saving, for trying out inputs
+app.post("/api/solar/estimate", authMiddleware, solarValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ message: errors.array()[0].msg });
+
+  try {
+    const context = await getBillingContext(req.user.userId);
+    if (!context) return res.status(404).json({ message: "User not found" });
+
+    res.json(await buildSolarEstimate(context, pickSolarInputs(req.body)));
+  } catch (err) {
+    console.error("Error building solar estimate:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Saves the inputs so generated reports include the solar estimate
+app.put("/api/solar", authMiddleware, solarValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ message: errors.array()[0].msg });
+
+  try {
+    const context = await getBillingContext(req.user.userId);
+    if (!context) return res.status(404).json({ message: "User not found" });
+
+    const inputs = pickSolarInputs(req.body);
+    context.user.solarInputs = inputs;
+    await context.user.save();
+    res.json({ saved: true, inputs, estimate: await buildSolarEstimate(context, inputs) });
+  } catch (err) {
+    console.error("Error saving solar inputs:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.delete("/api/solar", authMiddleware, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.userId, { solarInputs: null });
+    res.json({ message: "Solar inputs cleared" });
+  } catch (err) {
+    console.error("Error clearing solar inputs:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Load Check ----------
+// Appliances with the catalog category their diversity factor is looked up by
+async function withCategories(appliances) {
+  const catalogIds = appliances.map((a) => a.catalogId).filter(Boolean);
+  const entries = await CatalogEntry.find({ _id: { $in: catalogIds } }, "category");
+  const categories = new Map(entries.map((e) => [e._id.toString(), e.category]));
+  return appliances.map((a) => ({
+    siteId: a.siteId,
+    rating: a.rating,
+    quantity: a.quantity,
+    category: a.catalogId ? categories.get(a.catalogId.toString()) || null : null,
+  }));
+}
+
+// Connected load and maximum demand for the whole account and each site. Sites are
+// billed under the account's tariff, so its fixed charge per kW is used for them too.
+// ?siteId=<id|account>&proposedKW= adds the effect of a different sanctioned load.
+app.get("/api/load-check", authMiddleware, async (req, res) => {
+  try {
+    const context = await getBillingContext(req.user.userId);
+    if (!context) return res.status(404).json({ message: "User not found" });
+
+    const { proposedKW, siteId } = req.query;
+    if (proposedKW !== undefined && !(parseFloat(proposedKW) >= 0))
+      return res.status(400).json({ message: "Proposed load must be in kW" });
+
+    const factors = resolveDiversityFactors(Object.fromEntries(context.user.diversityFactors || []));
+    const fixedChargePerKW = context.tariff ? context.tariff.fixedChargePerKW || 0 : 0;
+    const appliances = await withCategories(context.appliances);
+    const sites = await Site.find({ userId: req.user.userId }).sort({ name: 1 });
+
+    const connections = [
+      { siteId: null, name: "Whole account", sanctionedLoadKW: context.sanctionedLoadKW, appliances },
+      ...sites.map((site) => ({
+        siteId: site._id,
+        name: site.name,
+        sanctionedLoadKW: site.sanctionedLoadKW,
+        appliances: appliances.filter((a) => site._id.equals(a.siteId)),
+      })),
+    ].map(({ appliances: connected, ...connection }) => {
+      const check = checkLoad({
+        appliances: connected,
+        sanctionedLoadKW: connection.sanctionedLoadKW,
+        factors,
+        fixedChargePerKW,
+      });
+      const proposal =
+        proposedKW !== undefined && String(connection.siteId ?? "account") === siteId
+          ? proposeSanctionedLoad(check, parseFloat(proposedKW), fixedChargePerKW)
+          : null;
+      return { ...connection, ...check, proposal };
+    });
+
+    res.json({
+      tariffId: context.tariff ? context.tariff._id : null,
+      tariff: context.tariff ? context.tariff.name : null,
+      atRiskPercent: AT_RISK_PERCENT,
+      factors,
+      defaultFactors: DEFAULT_DIVERSITY_FACTORS,
+      connections,
+    });
+  } catch (err) {
+    console.error("Error checking load:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Replaces the user's diversity factors; categories left out go back to the default
+app.put(
+  "/api/diversity-factors",
+  authMiddleware,
+  [
+    body("factors").isObject().withMessage("Factors required"),
+    body("factors.*").isFloat({ min: 0, max: 1 }).withMessage("Diversity factors must be between 0 and 1"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      // Own keys only, so "constructor" and the like are not taken for categories
+      const unknown = Object.keys(req.body.factors).find(
+        (c) => !Object.hasOwn(DEFAULT_DIVERSITY_FACTORS, c)
+      );
+      if (unknown) return res.status(400).json({ message: `Unknown category: ${unknown}` });
+
+      const user = await User.findById(req.user.userId);
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      const overrides = Object.entries(req.body.factors)
+        .map(([category, factor]) => [category, parseFloat(factor)])
+        .filter(([category, factor]) => factor !== DEFAULT_DIVERSITY_FACTORS[category]);
+      user.diversityFactors = overrides.length > 0 ? Object.fromEntries(overrides) : undefined;
+      await user.save();
+      res.json({ factors: resolveDiversityFactors(Object.fromEntries(overrides)) });
+    } catch (err) {
+      console.error("Error saving diversity factors:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// ---------- Load Profile ----------
+// Typical-day hourly load, cost per TOD band and off-peak shifting suggestions
+app.get("/api/load-profile", authMiddleware, async (req, res) => {
+  try {
+    const context = await getBillingContext(req.user.userId);
+    if (!context) return res.status(404).json({ message: "User not found" });
+
+    const { tariff, appliances, totalUnits, sanctionedLoadKW } = context;
+    const bands = tariff ? tariff.todBands || [] : [];
+
+    // Outside any band energy costs the tariff's average slab rate, or the
+    // appliance's own unit rate when no tariff applies
+    const bill = tariff ? estimateBill(tariff, totalUnits, sanctionedLoadKW) : null;
+    const energyRate = bill && bill.totalUnits > 0 ? bill.energyCharge / bill.totalUnits : null;
+    const baseRateFor = (a) => energyRate ?? (a.unitRate || 0);
+
+    const bandCosts = costByBand({ appliances, bands, baseRateFor });
+    res.json({
+      tariffId: tariff ? tariff._id : null,
+      tariffName: tariff ? tariff.name : null,
+      todBands: bands,
+      profile: hourlyProfile(appliances, bands),
+      bands: bandCosts,
+      energyCostPerMonth: round2(bandCosts.reduce((sum, b) => sum + b.costPerMonth, 0)),
+      suggestions: shiftingSuggestions({ appliances, bands, baseRateFor }),
+    });
+  } catch (err) {
+    console.error("Error building load profile:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Savings Scenarios ----------
+app.post(
+  "/api/scenarios",
+  authMiddleware,
+  [
+    body("applianceId").isMongoId().withMessage("Valid appliance required"),
+    body("proposedName").isLength({ min: 1 }).withMessage("Replacement name required"),
+    body("proposedRating").isFloat({ min: 0 }).withMessage("Replacement rating required"),
+    body("proposedHourlyUsage").optional().isFloat({ min: 0, max: 24 }),
+    body("purchaseCost").isFloat({ min: 0 }).withMessage("Purchase cost required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const { applianceId, proposedName, proposedRating, proposedHourlyUsage, purchaseCost, notes } =
+        req.body;
+
+      const appliance = await Appliance.findById(applianceId);
+      if (!appliance) return res.status(404).json({ message: "Appliance not found" });
+
+      if (!appliance.userId.equals(req.user.userId))
+        return res.status(403).json({ message: "Forbidden" });
+
+      const scenario = new Scenario({
+        userId: req.user.userId,
+        applianceId,
+        proposedName,
+        proposedRating,
+        proposedHourlyUsage,
+        purchaseCost,
+        notes,
+      });
+
+      await scenario.save();
+      res.status(201).json(scenario);
+    } catch (err) {
+      console.error("Error creating scenario:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Ranked by payback so the quickest wins come first
+app.get("/api/scenarios", authMiddleware, async (req, res) => {
+  try {
+    const context = await getBillingContext(req.user.userId);
+    if (!context) return res.status(404).json({ message: "User not found" });
+
+    res.json(await getRankedScenarios(context));
+  } catch (err) {
+    console.error("Error fetching scenarios:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.delete("/api/scenarios/:id", authMiddleware, async (req, res) => {
+  try {
+    const scenario = await Scenario.findById(req.params.id);
+    if (!scenario) return res.status(404).json({ message: "Scenario not found" });
+
+    if (!scenario.userId.equals(req.user.userId))
+      return res.status(403).json({ message: "Forbidden" });
+
+    await Scenario.findByIdAndDelete(req.params.id);
+    res.json({ message: "Scenario deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting scenario:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Appliance Catalog ----------
+const catalogValidators = [
+  body("name").isLength({ min: 1 }).withMessage("Name required"),
+  body("category").isLength({ min: 1 }).withMessage("Category required"),
+  body("minWatts").isFloat({ min: 0 }).withMessage("Minimum wattage required"),
+  body("maxWatts").isFloat({ min: 0 }).withMessage("Maximum wattage required"),
+  body("typicalWatts").isFloat({ min: 0 }).withMessage("Typical wattage required"),
+  body("standbyWatts").optional().isFloat({ min: 0 }),
+  body("defaultHoursPerDay").optional().isFloat({ min: 0, max: 24 }),
+  body("defaultDaysPerWeek").optional().isInt({ min: 0, max: 7 }),
+  body("aliases").optional().isArray(),
+  body("starVariants").optional().isArray(),
+  body("starVariants.*.stars").optional().isInt({ min: 1, max: 5 }),
+  body("starVariants.*.watts").optional().isFloat({ min: 0 }),
+  body("seasonalPreset")
+    .optional({ nullable: true })
+    .isIn(SEASONAL_PRESETS.map((p) => p.key))
+    .withMessage("Unknown seasonal preset"),
+  body("dutyCycle").optional().isFloat({ min: 1, max: 100 }),
+];
+
+const pickCatalogFields = (src) => {
+  const fields = [
+    "name",
+    "category",
+    "aliases",
+    "minWatts",
+    "maxWatts",
+    "typicalWatts",
+    "standbyWatts",
+    "defaultHoursPerDay",
+    "defaultDaysPerWeek",
+    "starVariants",
+    "seasonalPreset",
+    "dutyCycle",
+  ];
+  return Object.fromEntries(fields.filter((f) => src[f] !== undefined).map((f) => [f, src[f]]));
+};
+
+app.get("/api/catalog", authMiddleware, async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    const filter = q
+      ? {
+          $or: [
+            { name: { $regex: escapeRegex(q), $options: "i" } },
+            { aliases: { $regex: escapeRegex(q), $options: "i" } },
+          ],
+        }
+      : {};
+    const entries = await CatalogEntry.find(filter)
+      .sort({ category: 1, name: 1 })
+      .limit(q ? 20 : 200);
+    res.json(entries);
+  } catch (err) {
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.get("/api/catalog/:id", authMiddleware, async (req, res) => {
+  try {
+    const entry = await CatalogEntry.findById(req.params.id);
+    if (!entry) return res.status(404).json({ message: "Catalog entry not found" });
+    res.json(entry);
+  } catch (err) {
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.post("/api/catalog", authorize("admin"), catalogValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ message: errors.array()[0].msg });
+
+  try {
+    const entry = new CatalogEntry(pickCatalogFields(req.body));
+    await entry.save();
+    res.status(201).json(entry);
+  } catch (err) {
+    if (err.code === 11000)
+      return res.status(409).json({ message: "Catalog entry already exists" });
+    console.error("Error creating catalog entry:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.put("/api/catalog/:id", authorize("admin"), catalogValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ message: errors.array()[0].msg });
+
+  try {
+    const entry = await CatalogEntry.findById(req.params.id);
+    if (!entry) return res.status(404).json({ message: "Catalog entry not found" });
+
+    Object.assign(entry, pickCatalogFields(req.body));
+    await entry.save();
+    res.json(entry);
+  } catch (err) {
+    if (err.code === 11000)
+      return res.status(409).json({ message: "Catalog entry already exists" });
+    console.error("Error updating catalog entry:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.delete("/api/catalog/:id", authorize("admin"), async (req, res) => {
+  try {
+    const entry = await CatalogEntry.findByIdAndDelete(req.params.id);
+    if (!entry) return res.status(404).json({ message: "Catalog entry not found" });
+    res.json({ message: "Catalog entry deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting catalog entry:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Grid Emission Factors ----------
+const gridFactorValidators = [
+  body("name").isLength({ min: 1 }).withMessage("Name required"),
+  body("factor").isFloat({ min: 0, max: 5 }).withMessage("Factor must be kg CO2e per kWh"),
+  body("state").optional({ nullable: true }).isString(),
+];
+
+app.get("/api/grid-factors", authMiddleware, async (req, res) => {
+  try {
+    const factors = await GridFactor.find().sort({ state: 1, name: 1 });
+    res.json(factors);
+  } catch (err) {
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.post("/api/grid-factors", authorize("admin"), gridFactorValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ message: errors.array()[0].msg });
+
+  try {
+    const { state, name, factor, source } = req.body;
+    const gridFactor = new GridFactor({ state: state || null, name, factor, source });
+    await gridFactor.save();
+    res.status(201).json(gridFactor);
+  } catch (err) {
+    if (err.code === 11000)
+      return res.status(409).json({ message: "A factor for this state already exists" });
+    console.error("Error creating grid factor:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.put("/api/grid-factors/:id", authorize("admin"), gridFactorValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ message: errors.array()[0].msg });
+
+  try {
+    const gridFactor = await GridFactor.findById(req.params.id);
+    if (!gridFactor) return res.status(404).json({ message: "Grid factor not found" });
+
+    const { state, name, factor, source } = req.body;
+    // The national row keeps its null state
+    if (gridFactor.state && state !== undefined) gridFactor.state = state;
+    Object.assign(gridFactor, { name, factor });
+    if (source !== undefined) gridFactor.source = source;
+    await gridFactor.save();
+    res.json(gridFactor);
+  } catch (err) {
+    if (err.code === 11000)
+      return res.status(409).json({ message: "A factor for this state already exists" });
+    console.error("Error updating grid factor:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.delete("/api/grid-factors/:id", authorize("admin"), async (req, res) => {
+  try {
+    const gridFactor = await GridFactor.findById(req.params.id);
+    if (!gridFactor) return res.status(404).json({ message: "Grid factor not found" });
+    if (!gridFactor.state)
+      return res.status(400).json({ message: "The national factor cannot be deleted" });
+
+    await GridFactor.findByIdAndDelete(gridFactor._id);
+    res.json({ message: "Grid factor deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting grid factor:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Sites ----------
+const siteEmissionValidators = [
+  body("state").optional({ nullable: true }).isString(),
+  body("gridFactor")
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 5 })
+    .withMessage("Grid factor must be kg CO2e per kWh"),
+  body("sanctionedLoadKW")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Sanctioned load must be in kW"),
+];
+
+app.get("/api/sites", authMiddleware, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace) return res.status(403).json({ message: "Forbidden" });
+
+    const filter = { userId: workspace.ownerId };
+    if (workspace.siteIds) filter._id = { $in: workspace.siteIds };
+    const sites = await Site.find(filter).sort({ name: 1 });
+    res.json(sites);
+  } catch (err) {
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Consumption and cost rolled up per zone and per site
+app.get("/api/sites/summary", authMiddleware, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace) return res.status(403).json({ message: "Forbidden" });
+
+    const context = await getBillingContext(workspace.ownerId);
+    if (!context) return res.status(404).json({ message: "User not found" });
+
+    const appliances = onVisibleSites(context.appliances, workspace);
+    const siteFilter = { userId: workspace.ownerId };
+    if (workspace.siteIds) siteFilter._id = { $in: workspace.siteIds };
+    const zoneFilter = { userId: workspace.ownerId };
+    limitToVisibleSites(zoneFilter, workspace);
+    const [sites, zones] = await Promise.all([
+      Site.find(siteFilter).sort({ name: 1 }),
+      Zone.find(zoneFilter).sort({ name: 1 }),
+    ]);
+
+    const billShares = getBillShares(context);
+    const factors = await getEmissionFactors(workspace.ownerId);
+
+    res.json(
+      rollupBySite({
+        appliances: appliances.map((a) => withEmissions(a, factors)),
+        sites,
+        zones,
+        billShares,
+      })
+    );
+  } catch (err) {
+    console.error("Error building site summary:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.post(
+  "/api/sites",
+  authMiddleware,
+  [
+    body("name").isLength({ min: 1 }).withMessage("Site name required"),
+    body("workspaceId").optional().isMongoId().withMessage("Invalid workspace"),
+    ...siteEmissionValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      // A new site needs edit rights on the whole workspace
+      const workspace = await resolveWorkspace(req.user.userId, req.body.workspaceId);
+      if (!workspace || !canEdit(workspaceRole(workspace)))
+        return res.status(403).json({ message: "Forbidden" });
+
+      const site = new Site({
+        userId: workspace.ownerId,
+        name: req.body.name,
+        address: req.body.address,
+        state: req.body.state,
+        gridFactor: req.body.gridFactor ?? null,
+        sanctionedLoadKW: req.body.sanctionedLoadKW ?? null,
+      });
+      await site.save();
+      res.status(201).json(site);
+    } catch (err) {
+      console.error("Error creating site:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+app.put(
+  "/api/sites/:id",
+  authMiddleware,
+  [
+    body("name").optional().isLength({ min: 1 }).withMessage("Site name required"),
+    ...siteEmissionValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const site = await Site.findById(req.params.id);
+      if (!site) return res.status(404).json({ message: "Site not found" });
+
+      if (!canEdit(await getMemberRole(req.user.userId, site.userId, site._id)))
+        return res.status(403).json({ message: "Forbidden" });
+
+      if (req.body.name !== undefined) site.name = req.body.name;
+      if (req.body.address !== undefined) site.address = req.body.address;
+      if (req.body.state !== undefined) site.state = req.body.state;
+      if (req.body.gridFactor !== undefined) site.gridFactor = req.body.gridFactor;
+      if (req.body.sanctionedLoadKW !== undefined) site.sanctionedLoadKW = req.body.sanctionedLoadKW;
+      await site.save();
+      res.json(site);
+    } catch (err) {
+      console.error("Error updating site:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Removes the site with its zones, meter readings, share links, members and budget; its
+// appliances are kept but unassigned. Only the account holder can delete a site: an
+// owner invited to just this site manages its members but not the owner's data.
+app.delete("/api/sites/:id", authMiddleware, async (req, res) => {
+  try {
+    const site = await Site.findById(req.params.id);
+    if (!site) return res.status(404).json({ message: "Site not found" });
+
+    if (!site.userId.equals(req.user.userId))
+      return res.status(403).json({ message: "Forbidden" });
+
+    const unassigned = await Appliance.find({ siteId: site._id });
+    await Appliance.updateMany(
+      { siteId: site._id },
+      { siteId: null, zoneId: null, updatedBy: req.user.userId }
+    );
+    await recordApplianceChanges(req.user.userId, unassignedChanges(unassigned));
+    await Zone.deleteMany({ siteId: site._id });
+    await MeterReading.deleteMany({ siteId: site._id });
+    await Share.deleteMany({ siteId: site._id });
+    await Membership.deleteMany({ siteId: site._id });
+    await Budget.deleteMany({ siteId: site._id });
+    await Site.findByIdAndDelete(site._id);
+    res.json({ message: "Site deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting site:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Zones ----------
+app.get("/api/zones", authMiddleware, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace) return res.status(403).json({ message: "Forbidden" });
+
+    const filter = { userId: workspace.ownerId };
+    if (typeof req.query.siteId === "string" && req.query.siteId) {
+      if (!mongoose.isValidObjectId(req.query.siteId))
+        return res.status(400).json({ message: "Invalid site" });
+      filter.siteId = req.query.siteId;
+    }
+    if (!limitToVisibleSites(filter, workspace))
+      return res.status(403).json({ message: "Forbidden" });
+    const zones = await Zone.find(filter).sort({ name: 1 });
+    res.json(zones);
+  } catch (err) {
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.post(
+  "/api/zones",
+  authMiddleware,
+  [
+    body("siteId").isMongoId().withMessage("Valid site required"),
+    body("name").isLength({ min: 1 }).withMessage("Room name required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const site = await Site.findById(req.body.siteId);
+      if (!site) return res.status(404).json({ message: "Site not found" });
+
+      if (!canEdit(await getMemberRole(req.user.userId, site.userId, site._id)))
+        return res.status(403).json({ message: "Forbidden" });
+
+      const zone = new Zone({
+        userId: site.userId,
+        siteId: site._id,
+        name: req.body.name,
+        floor: req.body.floor,
+      });
+      await zone.save();
+      res.status(201).json(zone);
+    } catch (err) {
+      console.error("Error creating zone:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+app.put(
+  "/api/zones/:id",
+  authMiddleware,
+  [body("name").optional().isLength({ min: 1 }).withMessage("Room name required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const zone = await Zone.findById(req.params.id);
+      if (!zone) return res.status(404).json({ message: "Zone not found" });
+
+      if (!canEdit(await getMemberRole(req.user.userId, zone.userId, zone.siteId)))
+        return res.status(403).json({ message: "Forbidden" });
+
+      if (req.body.name !== undefined) zone.name = req.body.name;
+      if (req.body.floor !== undefined) zone.floor = req.body.floor;
+      await zone.save();
+      res.json(zone);
+    } catch (err) {
+      console.error("Error updating zone:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+app.delete("/api/zones/:id", authMiddleware, async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.id);
+    if (!zone) return res.status(404).json({ message: "Zone not found" });
+
+    if (!canEdit(await getMemberRole(req.user.userId, zone.userId, zone.siteId)))
+      return res.status(403).json({ message: "Forbidden" });
+
+    const unassigned = await Appliance.find({ zoneId: zone._id });
+    await Appliance.updateMany(
+      { zoneId: zone._id },
+      { siteId: null, zoneId: null, updatedBy: req.user.userId }
+    );
+    await recordApplianceChanges(req.user.userId, unassignedChanges(unassigned));
+    await Zone.findByIdAndDelete(zone._id);
+    res.json({ message: "Zone deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting zone:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Collaboration ----------
+const describeMembership = (m, siteNames) => ({
+  _id: m._id,
+  mail: m.mail,
+  role: m.role,
+  siteId: m.siteId,
+  siteName: m.siteId ? siteNames.get(m.siteId.toString()) || null : null,
+  status: m.acceptedAt ? "active" : m.inviteExpiresAt > new Date() ? "pending" : "expired",
+  invitedAt: m.updatedAt,
+  acceptedAt: m.acceptedAt,
+});
+
+const siteNamesFor = async (siteIds) => {
+  const ids = siteIds.filter(Boolean);
+  if (ids.length === 0) return new Map();
+  const sites = await Site.find({ _id: { $in: ids } }, "name");
+  return new Map(sites.map((s) => [s._id.toString(), s.name]));
+};
+
+// Owners invite by email to the whole workspace or one site. Inviting the same address to
+// the same place again changes the role, and resends the email while it is still pending.
+app.post(
+  "/api/members",
+  authMiddleware,
+  [
+    body("mail").isEmail().withMessage("Valid email required"),
+    body("role").isIn(MEMBER_ROLES).withMessage("Role must be owner, editor or viewer"),
+    body("siteId").optional({ nullable: true }).isMongoId().withMessage("Invalid site"),
+    body("workspaceId").optional().isMongoId().withMessage("Invalid workspace"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const ownerId = req.body.workspaceId || req.user.userId;
+      const siteId = req.body.siteId || null;
+      const [owner, inviter, site] = await Promise.all([
+        User.findById(ownerId, "name mail"),
+        User.findById(req.user.userId, "name mail"),
+        siteId ? Site.findOne({ _id: siteId, userId: ownerId }) : null,
+      ]);
+      if (!owner || !inviter) return res.status(404).json({ message: "Workspace not found" });
+      if (siteId && !site) return res.status(404).json({ message: "Site not found" });
+
+      if (!canManage(await getMemberRole(req.user.userId, owner._id, siteId)))
+        return res.status(403).json({ message: "Forbidden" });
+
+      const mail = req.body.mail.trim().toLowerCase();
+      if (mail === owner.mail.toLowerCase())
+        return res.status(400).json({ message: "That address already owns this workspace" });
+
+      let membership = await Membership.findOne({ ownerId: owner._id, siteId, mail });
+      if (!membership) membership = new Membership({ ownerId: owner._id, siteId, mail });
+      membership.role = req.body.role;
+      membership.invitedBy = req.user.userId;
+      const pending = !membership.acceptedAt;
+      if (pending) membership.inviteExpiresAt = new Date(Date.now() + INVITE_TTL_DAYS * DAY_MS);
+      await membership.save();
+
+      if (pending)
+        await sendInviteEmail(membership, {
+          inviterName: inviter.name || inviter.mail,
+          workspaceName: owner.name || owner.mail,
+          siteName: site ? site.name : null,
+        });
+      res.status(201).json(describeMembership(membership, await siteNamesFor([siteId])));
+    } catch (err) {
+      console.error("Error inviting member:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Members and invitations of the workspace the user may manage: all of them for a
+// workspace owner, a site owner only sees their site's
+app.get("/api/members", authMiddleware, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace) return res.status(403).json({ message: "Forbidden" });
+
+    const memberships = (
+      await Membership.find({ ownerId: workspace.ownerId }).sort({ createdAt: 1 })
+    ).filter((m) => canManage(workspaceRole(workspace, m.siteId)));
+    const siteNames = await siteNamesFor(memberships.map((m) => m.siteId));
+    res.json(memberships.map((m) => describeMembership(m, siteNames)));
+  } catch (err) {
+    console.error("Error listing members:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.put(
+  "/api/members/:id",
+  authMiddleware,
+  [body("role").isIn(MEMBER_ROLES).withMessage("Role must be owner, editor or viewer")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: "Invalid member" });
+
+    try {
+      const membership = await Membership.findById(req.params.id);
+      if (!membership) return res.status(404).json({ message: "Member not found" });
+
+      if (!canManage(await getMemberRole(req.user.userId, membership.ownerId, membership.siteId)))
+        return res.status(403).json({ message: "Forbidden" });
+      if (membership.memberId && membership.memberId.equals(req.user.userId))
+        return res.status(400).json({ message: "You cannot change your own role" });
+
+      membership.role = req.body.role;
+      await membership.save();
+      res.json(describeMembership(membership, await siteNamesFor([membership.siteId])));
+    } catch (err) {
+      console.error("Error updating member:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Owners remove members or withdraw invitations; members can also leave
+app.delete("/api/members/:id", authMiddleware, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id))
+    return res.status(400).json({ message: "Invalid member" });
 
-// ---------- MongoDB Connection ----------
-mongoose
-  .connect(process.env.MONGO_URI, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-  })
-  .then(() => console.log("✅ MongoDB connected"))
-  .catch((err) => {
-    console.error("❌ MongoDB connection error:", err);
-    process.exit(1);
-  });
+  try {
+    const membership = await Membership.findById(req.params.id);
+    if (!membership) return res.status(404).json({ message: "Member not found" });
 
-// ---------- Schemas ----------
-const userSchema = new mongoose.Schema({
-  name: String,
-  mail: { type: String, unique: true },
-  otp: String,
-  otpExpires: Date,
+    const leaving = membership.memberId && membership.memberId.equals(req.user.userId);
+    if (
+      !leaving &&
+      !canManage(await getMemberRole(req.user.userId, membership.ownerId, membership.siteId))
+    )
+      return res.status(403).json({ message: "Forbidden" });
+
+    await Membership.findByIdAndDelete(membership._id);
+    res.json({ message: leaving ? "You left the workspace" : "Member removed" });
+  } catch (err) {
+    console.error("Error removing member:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
 });
 
-const applianceSchema = new mongoose.Schema(
-  {
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-    applianceName: { type: String, required: true },
-    rating: { type: Number, required: true }, // kW
-    hourlyUsage: { type: Number, required: true },
-    quantity: { type: Number, required: true },
-    dayFrequency: { type: Number, required: true },
-    unitRate: { type: Number, required: true }, // ₹ per kWh
-    consumptionPerDay: Number,
-    consumptionPerWeek: Number,
-    consumptionPerMonth: Number,
-    monthlyCost: Number,
-  },
-  { timestamps: true }
-);
+// Invitation addressed to the logged-in user's email that can still be accepted
+async function findOpenInvitation(userId, id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const [user, membership] = await Promise.all([User.findById(userId, "mail"), Membership.findById(id)]);
+  if (!user || !membership || membership.acceptedAt) return null;
+  if (membership.mail !== user.mail.toLowerCase() || !(membership.inviteExpiresAt > new Date()))
+    return null;
+  return membership;
+}
 
-const User = mongoose.model("User", userSchema);
-const Appliance = mongoose.model("Appliance", applianceSchema);
+app.get("/api/invitations", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, "mail");
+    if (!user) return res.status(404).json({ message: "User not found" });
 
-// ---------- Helper: Send OTP Email ----------
-async function sendOtpEmail(mail, name, otp) {
-  const transporter = nodemailer.createTransport({
-    service: "gmail", // use your email service
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-  });
+    const invitations = await Membership.find({
+      mail: user.mail.toLowerCase(),
+      acceptedAt: null,
+      inviteExpiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+    const [names, siteNames] = await Promise.all([
+      userNames(invitations.flatMap((m) => [m.ownerId, m.invitedBy])),
+      siteNamesFor(invitations.map((m) => m.siteId)),
+    ]);
+    res.json(
+      invitations.map((m) => ({
+        _id: m._id,
+        role: m.role,
+        workspaceName: names.get(m.ownerId.toString()) || null,
+        siteName: m.siteId ? siteNames.get(m.siteId.toString()) || null : null,
+        invitedBy: names.get(m.invitedBy.toString()) || null,
+        expiresAt: m.inviteExpiresAt,
+      }))
+    );
+  } catch (err) {
+    console.error("Error listing invitations:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
 
-  const mailOptions = {
-    from: `"Energy Calculator" <${process.env.EMAIL_USER}>`,
-    to: mail,
-    subject: "Your OTP Code for Energy Calculator",
-    html: `
-      <div style="font-family: 'Arial', sans-serif; background-color: #f4f6f8; padding: 20px;"> <div style="max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.08);"> <!-- Header --> <div style="background: #007bff; color: #ffffff; text-align: center; padding: 18px 16px; font-size: 20px; font-weight: bold;"> ⚡︎ Energy Savings Calculator </div> <!-- Body --> <div style="padding: 28px; color: #333333; line-height: 1.6;"> <p style="margin: 0 0 12px;">Hello <strong>${name}</strong>,</p> <p style="margin: 0 0 20px;">Your one-time password (OTP) is:</p> <!-- OTP Box --> <div style="background: #f1f5ff; border-radius: 8px; padding: 18px; text-align: center; font-size: 30px; font-weight: bold; letter-spacing: 6px; color: #007bff; margin: 24px 0;"> ${otp} </div> <p style="margin: 0 0 12px;">This OTP will expire in <strong>10 minutes</strong>.</p> <p style="margin: 0;">If you did not request this, please ignore this email.</p> <hr style="border: none; border-top: 1px solid #ddd; margin: 32px 0 20px;" /> <!-- Footer --> <div style="text-align: center;"> <a href="https://www.antariot.com" style="color: #007bff; text-decoration: none; font-weight: 500;"> www.antariot.com </a> <br /> <a href="mailto:sales@antariot.com" style="color: #007bff; text-decoration: none; font-weight: 500;"> sales@antariot.com </a> <p style="font-size: 13px; color: #777; margin-top: 14px;"> © ${new Date().getFullYear()} <span style="font-weight: bold;">Antar IoT Energy Savings Calculator</span>. All rights reserved. </p> </div> </div> </div> </div>
-    `,
-  };
+app.post("/api/invitations/:id/accept", authMiddleware, async (req, res) => {
+  try {
+    const membership = await findOpenInvitation(req.user.userId, req.params.id);
+    if (!membership) return res.status(404).json({ message: "Invitation not found or expired" });
 
-  await transporter.sendMail(mailOptions);
-}
+    membership.memberId = req.user.userId;
+    membership.acceptedAt = new Date();
+    await membership.save();
+    res.json({ message: "Invitation accepted", workspaceId: membership.ownerId });
+  } catch (err) {
+    console.error("Error accepting invitation:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
 
-// ---------- JWT Helpers ----------
-function signToken(payload) {
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "7d" });
-}
+app.delete("/api/invitations/:id", authMiddleware, async (req, res) => {
+  try {
+    const membership = await findOpenInvitation(req.user.userId, req.params.id);
+    if (!membership) return res.status(404).json({ message: "Invitation not found or expired" });
 
-function authMiddleware(req, res, next) {
-  const token = req.headers.authorization?.split(" ")[1];
-  if (!token) return res.status(401).json({ message: "Unauthorized" });
+    await Membership.findByIdAndDelete(membership._id);
+    res.json({ message: "Invitation declined" });
+  } catch (err) {
+    console.error("Error declining invitation:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
 
+// Workspaces shared with the user, with their role on the whole workspace (null when they
+// were only given sites) and on each site they were invited to
+app.get("/api/workspaces", authMiddleware, async (req, res) => {
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
-    next();
-  } catch {
-    return res.status(401).json({ message: "Invalid token" });
+    const memberships = await Membership.find({ memberId: req.user.userId, acceptedAt: { $ne: null } });
+    const [names, siteNames] = await Promise.all([
+      userNames(memberships.map((m) => m.ownerId)),
+      siteNamesFor(memberships.map((m) => m.siteId)),
+    ]);
+
+    const workspaces = new Map();
+    for (const m of memberships) {
+      const key = m.ownerId.toString();
+      if (!workspaces.has(key))
+        workspaces.set(key, {
+          workspaceId: key,
+          name: names.get(key) || null,
+          membershipId: null,
+          role: null,
+          sites: [],
+        });
+      const workspace = workspaces.get(key);
+      if (!m.siteId) Object.assign(workspace, { membershipId: m._id, role: m.role });
+      else
+        workspace.sites.push({
+          membershipId: m._id,
+          siteId: m.siteId,
+          name: siteNames.get(m.siteId.toString()) || null,
+          role: m.role,
+        });
+    }
+    res.json([...workspaces.values()]);
+  } catch (err) {
+    console.error("Error listing workspaces:", err);
+    res.status(500).json({ message: "Internal server error" });
   }
-}
+});
 
-// ---------- Routes ----------
+// ---------- Reports ----------
+// Snapshot of the user's inventory (optionally one site) for an audit report
+async function buildReportData(context, site, title) {
+  const [zones, factors] = await Promise.all([
+    Zone.find({ userId: context.user._id }),
+    getEmissionFactors(context.user._id),
+  ]);
+  const zoneNames = new Map(zones.map((z) => [z._id.toString(), z.name]));
 
-// Health Check
-app.get("/", (req, res) => res.send("⚡ Energy Calculator API is running!"));
+  const appliances = (
+    site
+      ? context.appliances.filter((a) => a.siteId && a.siteId.equals(site._id))
+      : context.appliances
+  ).map((a) => withEmissions(a, factors));
+  const totalMonthly = appliances.reduce((sum, a) => sum + (a.consumptionPerMonth || 0), 0);
+  const applianceIds = new Set(appliances.map((a) => a._id.toString()));
 
-// ---------- Send OTP ----------
+  const recommendations = (await getRankedScenarios(context)).filter((r) =>
+    applianceIds.has(r.applianceId.toString())
+  );
+  const solar = context.user.solarInputs
+    ? await buildSolarEstimate(context, context.user.toObject().solarInputs, {
+        appliances,
+        site,
+      })
+    : null;
+
+  return {
+    title,
+    generatedAt: new Date(),
+    customer: { name: context.user.name, mail: context.user.mail },
+    siteName: site ? site.name : null,
+    appliances: appliances.map((a) => ({
+      applianceName: a.applianceName,
+      room: a.zoneId ? zoneNames.get(a.zoneId.toString()) : null,
+      rating: a.rating,
+      quantity: a.quantity,
+      hourlyUsage: a.hourlyUsage,
+      dayFrequency: a.dayFrequency,
+      consumptionPerDay: round2(a.consumptionPerDay || 0),
+      consumptionPerMonth: round2(a.consumptionPerMonth || 0),
+      monthlyCost: round2(a.monthlyCost || 0),
+      co2PerMonth: a.co2PerMonth,
+      share: totalMonthly > 0 ? round2(((a.consumptionPerMonth || 0) / totalMonthly) * 100) : 0,
+    })),
+    totals: {
+      applianceCount: appliances.length,
+      consumptionPerDay: round2(appliances.reduce((sum, a) => sum + (a.consumptionPerDay || 0), 0)),
+      consumptionPerMonth: round2(totalMonthly),
+      monthlyCost: round2(appliances.reduce((sum, a) => sum + (a.monthlyCost || 0), 0)),
+      co2PerMonth: round2(appliances.reduce((sum, a) => sum + a.co2PerMonth, 0)),
+      co2PerYear: round2(appliances.reduce((sum, a) => sum + a.co2PerYear, 0)),
+    },
+    // The tariff bill covers the whole connection, so it is left out of site reports
+    bill:
+      !site && context.tariff
+        ? estimateBill(context.tariff, context.totalUnits, context.sanctionedLoadKW)
+        : null,
+    recommendations: recommendations.map((r) => ({
+      applianceName: r.applianceName,
+      proposedName: r.proposedName,
+      annualKWhSaved: r.annualKWhSaved,
+      annualSavings: r.annualSavings,
+      annualCO2Avoided: r.annualCO2Avoided,
+      purchaseCost: r.purchaseCost,
+      paybackMonths: r.paybackMonths,
+    })),
+    // Only set once the user has saved solar inputs
+    solar: solar && {
+      location: solar.location,
+      systemKW: solar.systemKW,
+      limitedBy: solar.limitedBy,
+      annualGenerationKWh: solar.annualGenerationKWh,
+      offsetPercent: solar.offsetPercent,
+      monthlyBillBefore: solar.monthlyBillBefore,
+      monthlyBillAfter: solar.monthlyBillAfter,
+      annualSavings: solar.annualSavings,
+      netCost: solar.netCost,
+      battery: solar.battery,
+      paybackYears: solar.paybackYears,
+      lifetimeYears: solar.lifetimeYears,
+      netLifetimeSavings: solar.netLifetimeSavings,
+      annualCO2Avoided: solar.annualCO2Avoided,
+    },
+  };
+}
+
+// Members see the reports on what they can see; editors generate, email and delete them
 app.post(
-  "/api/send-otp",
+  "/api/reports",
+  authMiddleware,
   [
-    body("mail").isEmail().withMessage("Valid email required"),
-    body("name").isLength({ min: 1 }).withMessage("Name required"),
+    body("siteId").optional({ nullable: true }).isMongoId().withMessage("Invalid site"),
+    body("title").optional().isLength({ min: 1, max: 120 }),
+    body("workspaceId").optional().isMongoId().withMessage("Invalid workspace"),
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty())
       return res.status(400).json({ message: errors.array()[0].msg });
 
-    const { mail, name } = req.body;
-    const otp = Math.floor(1000 + Math.random() * 9000).toString();
-    const otpExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 min
-
     try {
-      await User.findOneAndUpdate(
-        { mail },
-        { name, mail, otp, otpExpires },
-        { upsert: true, new: true, setDefaultsOnInsert: true }
-      );
+      const workspace = await resolveWorkspace(req.user.userId, req.body.workspaceId);
+      if (!workspace) return res.status(403).json({ message: "Forbidden" });
 
-      await sendOtpEmail(mail, name, otp);
-      return res.status(200).json({ message: "OTP sent successfully" });
-    } catch (error) {
-      console.error("Error in /api/send-otp:", error);
-      return res.status(500).json({ message: "Failed to send OTP" });
+      const context = await getBillingContext(workspace.ownerId);
+      if (!context) return res.status(404).json({ message: "User not found" });
+
+      let site = null;
+      if (req.body.siteId) {
+        site = await Site.findOne({ _id: req.body.siteId, userId: workspace.ownerId });
+        if (!site) return res.status(404).json({ message: "Site not found" });
+      }
+      if (!canEdit(workspaceRole(workspace, site ? site._id : null)))
+        return res.status(403).json({ message: "Forbidden" });
+
+      const title = req.body.title || (site ? `Energy Audit — ${site.name}` : "Energy Audit Report");
+      const data = await buildReportData(context, site, title);
+
+      const report = new Report({
+        userId: workspace.ownerId,
+        siteId: site ? site._id : null,
+        title,
+        data,
+        html: renderReportHtml(data),
+        pdf: await renderReportPdf(data),
+      });
+      await report.save();
+
+      const { html, pdf, ...meta } = report.toObject();
+      res.status(201).json(meta);
+    } catch (err) {
+      console.error("Error generating report:", err);
+      res.status(500).json({ message: "Internal server error" });
     }
   }
 );
 
-// ---------- Verify OTP ----------
+// ?workspaceId= lists a workspace's reports, only those on their sites for site members
+app.get("/api/reports", authMiddleware, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace) return res.status(403).json({ message: "Forbidden" });
+
+    const filter = { userId: workspace.ownerId };
+    limitToVisibleSites(filter, workspace);
+    const reports = await Report.find(filter)
+      .select("-html -pdf -data")
+      .sort({ createdAt: -1 });
+    res.json(reports);
+  } catch (err) {
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ?format=pdf for the PDF, HTML otherwise
+app.get("/api/reports/:id", authMiddleware, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id);
+    if (!report) return res.status(404).json({ message: "Report not found" });
+
+    if (!(await getMemberRole(req.user.userId, report.userId, report.siteId)))
+      return res.status(403).json({ message: "Forbidden" });
+
+    if (req.query.format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="energy-report-${report._id}.pdf"`);
+      return res.send(report.pdf);
+    }
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.send(report.html);
+  } catch (err) {
+    console.error("Error fetching report:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 app.post(
-  "/api/verify-otp",
-  [
-    body("mail").isEmail(),
-    body("otp").isLength({ min: 3 }).withMessage("Invalid OTP"),
-  ],
+  "/api/reports/:id/email",
+  authMiddleware,
+  [body("to").optional().isEmail().withMessage("Valid email required")],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty())
       return res.status(400).json({ message: errors.array()[0].msg });
 
-    const { mail, otp } = req.body;
     try {
-      const user = await User.findOne({ mail });
-      if (!user) return res.status(404).json({ message: "User not found" });
+      const report = await Report.findById(req.params.id);
+      if (!report) return res.status(404).json({ message: "Report not found" });
 
-      if (!user.otp || user.otp !== otp || new Date() > user.otpExpires) {
-        return res.status(400).json({ message: "Invalid or expired OTP" });
-      }
+      if (!canEdit(await getMemberRole(req.user.userId, report.userId, report.siteId)))
+        return res.status(403).json({ message: "Forbidden" });
 
-      // clear OTP
-      user.otp = undefined;
-      user.otpExpires = undefined;
-      await user.save();
+      const to = req.body.to || report.data.customer.mail;
+      await sendReportEmail(to, report.data.customer.name, report);
 
-      // sign token
-      const token = signToken({ userId: user._id, mail: user.mail });
-      return res.status(200).json({
-        token,
-        userId: user._id,
-        name: user.name,
-        mail: user.mail,
-      });
+      report.emailedTo.push({ mail: to, sentAt: new Date() });
+      await report.save();
+      res.json({ message: "Report sent successfully" });
     } catch (err) {
-      console.error("Error in /api/verify-otp:", err);
-      return res.status(500).json({ message: "Internal server error" });
+      console.error("Error emailing report:", err);
+      res.status(500).json({ message: "Failed to send report" });
     }
   }
 );
 
-// ---------- Create Appliance ----------
+app.delete("/api/reports/:id", authMiddleware, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id);
+    if (!report) return res.status(404).json({ message: "Report not found" });
+
+    if (!canEdit(await getMemberRole(req.user.userId, report.userId, report.siteId)))
+      return res.status(403).json({ message: "Forbidden" });
+
+    await Report.findByIdAndDelete(req.params.id);
+    res.json({ message: "Report deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting report:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------- Shared Links ----------
+const SHARE_DEFAULT_DAYS = 7;
+const SHARE_MAX_DAYS = 90;
+
+const generateShareToken = () => crypto.randomBytes(24).toString("base64url");
+
+// Owner-facing view of a share; never includes the token or its hash
+const describeShare = (share, siteNames) => ({
+  _id: share._id,
+  label: share.label || null,
+  siteId: share.siteId,
+  siteName: share.siteId ? siteNames.get(share.siteId.toString()) || null : null,
+  tokenHint: share.tokenHint,
+  expiresAt: share.expiresAt,
+  viewCount: share.viewCount,
+  lastViewedAt: share.lastViewedAt || null,
+  createdAt: share.createdAt,
+});
+
+// What a link shows: the appliance table and totals, without the owner's identity
+async function buildShareSnapshot(share) {
+  const context = await getBillingContext(share.userId);
+  if (!context) return null;
+  const site = share.siteId ? await Site.findOne({ _id: share.siteId, userId: share.userId }) : null;
+  if (share.siteId && !site) return null;
+
+  const title = share.label || (site ? site.name : "Appliance Breakdown");
+  const { appliances, totals, bill, generatedAt } = await buildReportData(context, site, title);
+  return {
+    title,
+    siteName: site ? site.name : null,
+    generatedAt,
+    expiresAt: share.expiresAt,
+    appliances,
+    totals,
+    bill: bill && {
+      tariffName: bill.tariffName,
+      totalUnits: bill.totalUnits,
+      energyCharge: bill.energyCharge,
+      fixedCharge: bill.fixedCharge,
+      fuelSurcharge: bill.fuelSurcharge,
+      electricityDuty: bill.electricityDuty,
+      total: bill.total,
+    },
+  };
+}
+
+// The token is only returned here; the owner copies the link now or creates a new one
 app.post(
-  "/api/appliances",
+  "/api/shares",
   authMiddleware,
   [
-    body("applianceName").isLength({ min: 1 }),
-    body("rating").isNumeric(),
-    body("hourlyUsage").isNumeric(),
-    body("quantity").isInt({ min: 1 }),
-    body("dayFrequency").isInt({ min: 0 }),
-    body("unitRate").isNumeric(),
+    body("siteId").optional({ nullable: true }).isMongoId().withMessage("Invalid site"),
+    body("label").optional().isString().isLength({ max: 80 }).withMessage("Label is too long"),
+    body("expiresInDays")
+      .optional()
+      .isInt({ min: 1, max: SHARE_MAX_DAYS })
+      .withMessage(`Links can last 1 to ${SHARE_MAX_DAYS} days`),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -208,100 +4577,243 @@ app.post(
       return res.status(400).json({ message: errors.array()[0].msg });
 
     try {
-      const { applianceName, rating, hourlyUsage, quantity, dayFrequency, unitRate } =
-        req.body;
-
-      // Energy calculations
-      const consumptionPerDay = rating * hourlyUsage * quantity;
-      const consumptionPerWeek = consumptionPerDay * dayFrequency;
-      const consumptionPerMonth = consumptionPerWeek * 4.33;
-      const monthlyCost = consumptionPerMonth * unitRate;
+      let site = null;
+      if (req.body.siteId) {
+        site = await Site.findOne({ _id: req.body.siteId, userId: req.user.userId });
+        if (!site) return res.status(404).json({ message: "Site not found" });
+      }
 
-      const appliance = new Appliance({
+      const token = generateShareToken();
+      const days = parseInt(req.body.expiresInDays) || SHARE_DEFAULT_DAYS;
+      const share = await Share.create({
         userId: req.user.userId,
-        applianceName,
-        rating,
-        hourlyUsage,
-        quantity,
-        dayFrequency,
-        unitRate,
-        consumptionPerDay,
-        consumptionPerWeek,
-        consumptionPerMonth,
-        monthlyCost,
+        siteId: site ? site._id : null,
+        label: req.body.label?.trim() || undefined,
+        tokenHash: hashToken(token),
+        tokenHint: token.slice(-6),
+        expiresAt: new Date(Date.now() + days * DAY_MS),
       });
 
-      await appliance.save();
-      res.status(201).json(appliance);
+      const siteNames = new Map(site ? [[site._id.toString(), site.name]] : []);
+      res.status(201).json({ ...describeShare(share, siteNames), token });
     } catch (err) {
-      console.error("Error creating appliance:", err);
+      console.error("Error creating share:", err);
       res.status(500).json({ message: "Internal server error" });
     }
   }
 );
 
-// ---------- Get Appliances ----------
-app.get("/api/appliances", authMiddleware, async (req, res) => {
+// The owner's links that still work
+app.get("/api/shares", authMiddleware, async (req, res) => {
   try {
-    const appliances = await Appliance.find({ userId: req.user.userId }).sort({
-      createdAt: -1,
-    });
-    res.json(appliances);
+    const [shares, sites] = await Promise.all([
+      Share.find({ userId: req.user.userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({
+        createdAt: -1,
+      }),
+      Site.find({ userId: req.user.userId }, "name"),
+    ]);
+    const siteNames = new Map(sites.map((s) => [s._id.toString(), s.name]));
+    res.json(shares.map((s) => describeShare(s, siteNames)));
   } catch (err) {
+    console.error("Error listing shares:", err);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
-// ---------- Update Appliance ----------
-app.put("/api/appliances/:id", authMiddleware, async (req, res) => {
+// Public: anyone with the token sees the current figures until it expires or is revoked
+app.get("/api/shares/:token", async (req, res) => {
   try {
-    const appliance = await Appliance.findById(req.params.id);
-    if (!appliance) return res.status(404).json({ message: "Appliance not found" });
+    const share = await Share.findOne({ tokenHash: hashToken(req.params.token) });
+    if (!share || share.revokedAt || share.expiresAt < new Date())
+      return res.status(404).json({ message: "This link has expired or was revoked" });
 
-    if (!appliance.userId.equals(req.user.userId))
+    const snapshot = await buildShareSnapshot(share);
+    if (!snapshot) return res.status(404).json({ message: "This link has expired or was revoked" });
+
+    await Share.updateOne({ _id: share._id }, { $inc: { viewCount: 1 }, lastViewedAt: new Date() });
+    res.json(snapshot);
+  } catch (err) {
+    console.error("Error opening share:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+app.delete("/api/shares/:id", authMiddleware, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id))
+    return res.status(400).json({ message: "Invalid share" });
+
+  try {
+    const share = await Share.findById(req.params.id);
+    if (!share) return res.status(404).json({ message: "Share not found" });
+
+    if (!share.userId.equals(req.user.userId))
       return res.status(403).json({ message: "Forbidden" });
 
-    const updates = req.body;
-    const merged = { ...appliance.toObject(), ...updates };
+    share.revokedAt = new Date();
+    await share.save();
+    res.json({ message: "Share link revoked" });
+  } catch (err) {
+    console.error("Error revoking share:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
 
-    // Recalculate
-    const consumptionPerDay = merged.rating * merged.hourlyUsage * merged.quantity;
-    const consumptionPerWeek = consumptionPerDay * merged.dayFrequency;
-    const consumptionPerMonth = consumptionPerWeek * 4.33;
-    const monthlyCost = consumptionPerMonth * merged.unitRate;
+// ---------- Admin Console ----------
+const leadQueryValidators = [
+  query("role").optional().isIn(ROLES).withMessage("Unknown role"),
+  query("minKWh").optional().isFloat({ min: 0 }).withMessage("Minimum kWh must be a number"),
+  query("sort").optional().isIn(LEAD_SORTS).withMessage("Unknown sort"),
+  query("order").optional().isIn(["asc", "desc"]),
+];
 
-    Object.assign(appliance, updates, {
-      consumptionPerDay,
-      consumptionPerWeek,
-      consumptionPerMonth,
-      monthlyCost,
-    });
+const leadPageValidators = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive number"),
+  query("pageSize")
+    .optional()
+    .isInt({ min: 1, max: MAX_LEADS_PAGE_SIZE })
+    .withMessage(`Page size must be 1 to ${MAX_LEADS_PAGE_SIZE}`),
+];
 
-    await appliance.save();
-    res.json(appliance);
+// Filtering, totals and sorting run in the database so the console never loads every user
+const leadCollections = () => ({
+  appliances: Appliance.collection.name,
+  catalog: CatalogEntry.collection.name,
+  scenarios: Scenario.collection.name,
+  sessions: Session.collection.name,
+});
+const LEAD_COLLATION = { locale: "en" };
+
+app.get(
+  "/api/admin/leads",
+  authorize("sales", "admin"),
+  [...leadQueryValidators, ...leadPageValidators],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+
+    try {
+      const [result] = await User.aggregate(leadPageStages(req.query, leadCollections())).collation(
+        LEAD_COLLATION
+      );
+      res.json(result);
+    } catch (err) {
+      console.error("Error listing leads:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Same filters and order as the list, every page
+app.get("/api/admin/leads/export", authorize("sales", "admin"), leadQueryValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ message: errors.array()[0].msg });
+
+  try {
+    const leads = await User.aggregate([
+      ...leadStages(req.query, leadCollections()),
+      leadSort(req.query.sort, req.query.order),
+    ]).collation(LEAD_COLLATION);
+    const buffer = await buildLeadsExport(leads);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", 'attachment; filename="leads.csv"');
+    res.send(Buffer.from(buffer));
   } catch (err) {
-    console.error("Error updating appliance:", err);
+    console.error("Error exporting leads:", err);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
-// ---------- Delete Appliance ----------
-app.delete("/api/appliances/:id", authMiddleware, async (req, res) => {
+// A user's inventory as they see it, for read-only review
+app.get("/api/admin/users/:id", authorize("sales", "admin"), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id))
+    return res.status(400).json({ message: "Invalid user" });
+
   try {
-    const appliance = await Appliance.findById(req.params.id);
-    if (!appliance) return res.status(404).json({ message: "Appliance not found" });
+    const context = await getBillingContext(req.params.id);
+    if (!context) return res.status(404).json({ message: "User not found" });
 
-    if (!appliance.userId.equals(req.user.userId))
-      return res.status(403).json({ message: "Forbidden" });
+    const { user, tariff, appliances } = context;
+    const [sites, zones, factors, [lead]] = await Promise.all([
+      Site.find({ userId: user._id }),
+      Zone.find({ userId: user._id }),
+      getEmissionFactors(user._id),
+      User.aggregate(leadStages({ userId: user._id }, leadCollections())),
+    ]);
+    const siteNames = new Map(sites.map((s) => [s._id.toString(), s.name]));
+    const zoneNames = new Map(zones.map((z) => [z._id.toString(), z.name]));
 
-    await Appliance.findByIdAndDelete(req.params.id);
-    res.json({ message: "Appliance deleted successfully" });
+    res.json({
+      lead,
+      tariffName: tariff ? tariff.name : null,
+      bill: tariff ? estimateBill(tariff, context.totalUnits, context.sanctionedLoadKW) : null,
+      appliances: appliances.map((a) => ({
+        ...withEmissions(a, factors),
+        site: a.siteId ? siteNames.get(a.siteId.toString()) : null,
+        room: a.zoneId ? zoneNames.get(a.zoneId.toString()) : null,
+      })),
+    });
   } catch (err) {
-    console.error("Error deleting appliance:", err);
+    console.error("Error fetching user inventory:", err);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
+app.put(
+  "/api/admin/users/:id/role",
+  authorize("admin"),
+  [body("role").isIn(ROLES).withMessage("Unknown role")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ message: errors.array()[0].msg });
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: "Invalid user" });
+
+    try {
+      // Keeps the console from being left without an admin by accident
+      if (req.params.id === String(req.user.userId) && req.body.role !== "admin")
+        return res.status(400).json({ message: "You cannot remove your own admin role" });
+
+      const user = await User.findById(req.params.id);
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      user.role = req.body.role;
+      await user.save();
+      res.json({ _id: user._id, role: user.role });
+    } catch (err) {
+      console.error("Error changing role:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// ---------- Dev: Captured Mail ----------
+// Lets the OTP flow be completed offline. Anyone who can reach it can read every login
+// code, so it needs MAIL_TRANSPORT=capture and DEV_MAIL_ROUTES=true, and never runs
+// in production.
+if (
+  process.env.DEV_MAIL_ROUTES === "true" &&
+  process.env.NODE_ENV !== "production" &&
+  mailConfig.transport === "capture"
+) {
+  app.get("/api/dev/mail", (req, res) => {
+    const to = typeof req.query.to === "string" ? req.query.to.toLowerCase() : null;
+    const messages = getCapturedMessages().filter(
+      (m) => !to || String(m.to).toLowerCase().includes(to)
+    );
+    res.json(messages);
+  });
+
+  app.delete("/api/dev/mail", (req, res) => {
+    clearCapturedMessages();
+    res.json({ message: "Captured mail cleared" });
+  });
+
+  console.log(`📭 Capturing outgoing mail (${mailConfig.captureStore}); view at /api/dev/mail`);
+}
+
 // ---------- Start Server ----------
 app.listen(port, () => console.log(`🚀 Server running at http://localhost:${port}`));
 
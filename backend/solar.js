@@ -0,0 +1,131 @@
+// ---------- Rooftop Solar ----------
+// Sizes a grid-tied rooftop system for the user's consumption and estimates its
+// payback under net metering: generation first offsets the month's own use, the
+// surplus is credited at the export rate.
+const { round2 } = require("../shared/calculations.mjs");
+
+// Average peak sun hours (kWh/m²/day on the panel plane) by region
+const IRRADIANCE_PRESETS = [
+  { key: "rajasthan-gujarat", name: "Rajasthan / Gujarat", peakSunHours: 5.8 },
+  { key: "central", name: "Madhya Pradesh / Maharashtra", peakSunHours: 5.4 },
+  { key: "south", name: "Karnataka / Telangana / Andhra Pradesh", peakSunHours: 5.3 },
+  { key: "tamil-nadu", name: "Tamil Nadu", peakSunHours: 5.2 },
+  { key: "north-plains", name: "Delhi NCR / Punjab / Haryana / Uttar Pradesh", peakSunHours: 5.0 },
+  { key: "coastal-west", name: "Kerala / Goa / Konkan", peakSunHours: 4.8 },
+  { key: "east", name: "West Bengal / Odisha / Bihar", peakSunHours: 4.6 },
+  { key: "north-east", name: "North-East", peakSunHours: 4.2 },
+  { key: "himalayan", name: "Himalayan states", peakSunHours: 4.5 },
+];
+
+const SOLAR_DEFAULTS = {
+  roofAreaM2: 30,
+  irradiancePreset: "north-plains",
+  costPerKW: 55000, // ₹ installed, before subsidy
+  exportRate: 3, // ₹/kWh credited for surplus
+  subsidy: 0,
+  battery: { enabled: false, backupApplianceIds: [], backupHours: 4, costPerKWh: 15000 },
+};
+
+const AREA_PER_KW = 10; // m² of shadow-free roof per kWp
+const PERFORMANCE_RATIO = 0.77; // inverter, wiring, temperature and soiling losses
+const DEGRADATION_PER_YEAR = 0.005;
+const LIFETIME_YEARS = 25;
+const BATTERY_DEPTH_OF_DISCHARGE = 0.8;
+const BATTERY_LIFETIME_YEARS = 10;
+
+const roundDown = (n, step) => Math.floor(n / step + 1e-9) * step;
+
+const findPreset = (key) => IRRADIANCE_PRESETS.find((p) => p.key === key) || null;
+
+// Battery for the chosen backup loads; it gives backup only and does not change
+// the net-metering savings. Replaced every BATTERY_LIFETIME_YEARS.
+function sizeBattery({ backupLoadKW, backupHours, costPerKWh }) {
+  const kWh = Math.ceil(((backupLoadKW * backupHours) / BATTERY_DEPTH_OF_DISCHARGE) * 2) / 2;
+  return { backupLoadKW: round2(backupLoadKW), backupHours, kWh, cost: round2(kWh * costPerKWh) };
+}
+
+// `billFor(kWh)` prices a month's grid import; the bill before solar is billFor(monthlyKWh).
+// `limitKW` caps the system, e.g. at the sanctioned load allowed for net metering.
+function estimateSolar({
+  monthlyKWh,
+  roofAreaM2,
+  peakSunHours,
+  costPerKW,
+  exportRate,
+  subsidy = 0,
+  limitKW = null,
+  billFor,
+  gridFactor = 0,
+  battery = null,
+}) {
+  const annualKWh = monthlyKWh * 12;
+  const yieldPerKW = peakSunHours * 365 * PERFORMANCE_RATIO; // kWh per kWp per year
+
+  const limits = {
+    consumption: yieldPerKW > 0 ? annualKWh / yieldPerKW : 0,
+    roof: roofAreaM2 / AREA_PER_KW,
+    sanctionedLoad: limitKW ?? Infinity,
+  };
+  const [limitedBy] = Object.entries(limits).sort((a, b) => a[1] - b[1])[0];
+  const systemKW = round2(roundDown(Math.min(...Object.values(limits)), 0.1));
+
+  const batteryPlan = battery ? sizeBattery(battery) : null;
+  const systemCost = systemKW * costPerKW;
+  const netCost = Math.max(0, systemCost - subsidy) + (batteryPlan ? batteryPlan.cost : 0);
+
+  const billBefore = billFor(monthlyKWh);
+  const monthlySavingsFor = (generationPerMonth) => {
+    const imported = Math.max(0, monthlyKWh - generationPerMonth);
+    const exported = Math.max(0, generationPerMonth - monthlyKWh);
+    return billBefore - billFor(imported) + exported * exportRate;
+  };
+
+  const years = [];
+  let cumulative = -netCost;
+  let paybackYears = null;
+  for (let year = 1; year <= LIFETIME_YEARS; year++) {
+    const generationKWh = systemKW * yieldPerKW * (1 - DEGRADATION_PER_YEAR) ** (year - 1);
+    const replacement =
+      batteryPlan && year > 1 && (year - 1) % BATTERY_LIFETIME_YEARS === 0 ? batteryPlan.cost : 0;
+    const savings = monthlySavingsFor(generationKWh / 12) * 12;
+    const before = cumulative;
+    cumulative += savings - replacement;
+    if (paybackYears === null && before < 0 && cumulative >= 0)
+      paybackYears = round2(year - 1 + -before / (savings - replacement));
+    years.push({
+      year,
+      generationKWh: round2(generationKWh),
+      savings: round2(savings),
+      batteryReplacement: replacement,
+      cumulative: round2(cumulative),
+    });
+  }
+  if (netCost === 0) paybackYears = systemKW > 0 ? 0 : null;
+
+  const first = years[0];
+  return {
+    systemKW,
+    limitedBy: systemKW > 0 ? limitedBy : null,
+    neededKW: round2(limits.consumption),
+    roofLimitKW: round2(limits.roof),
+    panelAreaM2: round2(systemKW * AREA_PER_KW),
+    annualGenerationKWh: first.generationKWh,
+    monthlyGenerationKWh: round2(first.generationKWh / 12),
+    offsetPercent: annualKWh > 0 ? round2(Math.min(100, (first.generationKWh / annualKWh) * 100)) : 0,
+    monthlyBillBefore: round2(billBefore),
+    monthlyBillAfter: round2(billBefore - first.savings / 12),
+    annualSavings: first.savings,
+    systemCost: round2(systemCost),
+    subsidy: round2(Math.min(subsidy, systemCost)),
+    battery: batteryPlan,
+    netCost: round2(netCost),
+    paybackYears,
+    lifetimeYears: LIFETIME_YEARS,
+    lifetimeSavings: round2(years.reduce((sum, y) => sum + y.savings, 0)),
+    netLifetimeSavings: years[years.length - 1].cumulative,
+    annualCO2Avoided: round2(first.generationKWh * gridFactor),
+    years,
+  };
+}
+
+module.exports = { IRRADIANCE_PRESETS, SOLAR_DEFAULTS, findPreset, estimateSolar };
@@ -0,0 +1,114 @@
+// ---------- Tariff Engine ----------
+// Telescopic (slab-based) bill estimation, applied to a household's total kWh.
+const { round2 } = require("../shared/calculations.mjs");
+
+// Starter tariffs inserted when the tariffs collection is empty.
+// Slab `upTo` is the upper kWh bound of the slab; null means "and above".
+const DEFAULT_TARIFFS = [
+  {
+    name: "Generic Domestic (LT-1)",
+    category: "domestic",
+    slabs: [
+      { upTo: 100, rate: 3.0 },
+      { upTo: 200, rate: 4.5 },
+      { upTo: 400, rate: 6.0 },
+      { upTo: null, rate: 7.5 },
+    ],
+    fixedChargePerKW: 50, // ₹ per kW of sanctioned load per month
+    electricityDutyPercent: 5, // % of energy charge
+    fuelSurchargePerUnit: 0.25, // ₹ per kWh
+    isDefault: true,
+  },
+  {
+    name: "Generic Commercial (LT-2)",
+    category: "commercial",
+    slabs: [
+      { upTo: 100, rate: 6.0 },
+      { upTo: 300, rate: 7.5 },
+      { upTo: null, rate: 9.0 },
+    ],
+    fixedChargePerKW: 120,
+    electricityDutyPercent: 8,
+    fuelSurchargePerUnit: 0.35,
+    isDefault: false,
+  },
+];
+
+// Energy charge for `units` kWh, each slab billed only for the units falling inside it.
+function computeEnergyCharge(slabs, units) {
+  const sorted = [...slabs].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+  const breakdown = [];
+  let previousLimit = 0;
+  let energyCharge = 0;
+
+  for (const slab of sorted) {
+    if (units <= previousLimit) break;
+    const limit = slab.upTo ?? Infinity;
+    const slabUnits = Math.min(units, limit) - previousLimit;
+    const amount = slabUnits * slab.rate;
+
+    breakdown.push({
+      from: previousLimit,
+      upTo: slab.upTo ?? null,
+      rate: slab.rate,
+      units: round2(slabUnits),
+      amount: round2(amount),
+    });
+    energyCharge += amount;
+    previousLimit = limit;
+  }
+
+  return { energyCharge, breakdown };
+}
+
+// Monthly bill for the total consumption under `tariff`.
+function estimateBill(tariff, totalUnits, sanctionedLoadKW = 1) {
+  const units = Math.max(0, totalUnits || 0);
+  const { energyCharge, breakdown } = computeEnergyCharge(tariff.slabs || [], units);
+  const fixedCharge = (tariff.fixedChargePerKW || 0) * (sanctionedLoadKW || 0);
+  const fuelSurcharge = (tariff.fuelSurchargePerUnit || 0) * units;
+  const electricityDuty = (energyCharge * (tariff.electricityDutyPercent || 0)) / 100;
+  const total = energyCharge + fixedCharge + fuelSurcharge + electricityDuty;
+
+  return {
+    tariffId: tariff._id,
+    tariffName: tariff.name,
+    totalUnits: round2(units),
+    sanctionedLoadKW,
+    slabs: breakdown,
+    energyCharge: round2(energyCharge),
+    fixedCharge: round2(fixedCharge),
+    fuelSurcharge: round2(fuelSurcharge),
+    electricityDuty: round2(electricityDuty),
+    total: round2(total),
+    averageRate: units > 0 ? round2(total / units) : 0,
+  };
+}
+
+// Splits the bill total across appliances in proportion to their monthly kWh. Shares
+// are whole paise, the leftover paise going to the largest remainders, so they add up
+// to the total exactly.
+function splitBill(bill, appliances) {
+  const totalUnits = appliances.reduce((sum, a) => sum + (a.consumptionPerMonth || 0), 0);
+  const shares = appliances.map((a) => (totalUnits > 0 ? (a.consumptionPerMonth || 0) / totalUnits : 0));
+
+  const totalPaise = Math.round(bill.total * 100);
+  const exact = shares.map((share) => totalPaise * share);
+  const paise = exact.map(Math.floor);
+  const leftover = totalUnits > 0 ? totalPaise - paise.reduce((sum, p) => sum + p, 0) : 0;
+  exact
+    .map((value, index) => ({ index, remainder: value - paise[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .slice(0, leftover)
+    .forEach(({ index }) => (paise[index] += 1));
+
+  return appliances.map((a, index) => ({
+    applianceId: a._id,
+    applianceName: a.applianceName,
+    consumptionPerMonth: round2(a.consumptionPerMonth || 0),
+    share: round2(shares[index] * 100),
+    billShare: paise[index] / 100,
+  }));
+}
+
+module.exports = { DEFAULT_TARIFFS, computeEnergyCharge, estimateBill, splitBill };
@@ -0,0 +1,130 @@
+// ---------- Device Telemetry ----------
+// Validates batched readings from metering devices, turns them into energy per
+// interval and sums that into hourly and daily roll-ups (UTC buckets).
+// A reading is { timestamp, powerW, energyKWh }: powerW is instantaneous power,
+// energyKWh the device's cumulative energy counter; either may be left out.
+const crypto = require("crypto");
+
+const MAX_BATCH = 1000;
+// Without an energy counter, power is only integrated across gaps up to this long
+const MAX_POWER_GAP_HOURS = 1;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+// Keys are shown once; only their hash is stored
+const generateApiKey = () => `ek_${crypto.randomBytes(24).toString("hex")}`;
+const hashApiKey = (key) => crypto.createHash("sha256").update(String(key)).digest("hex");
+
+// Seconds or milliseconds since the epoch, or an ISO string
+function parseTimestamp(value) {
+  if (typeof value === "number") return new Date(value < 1e12 ? value * 1000 : value);
+  if (typeof value === "string" && value.trim()) return new Date(value);
+  return null;
+}
+
+const optionalNumber = (value) => (value === undefined || value === null ? null : Number(value));
+
+// { readings, rejected }: readings sorted oldest first, rejected as { index, message }
+// with the index into the batch. Readings from the future (beyond clock skew) are rejected.
+function normaliseReadings(batch, now = new Date()) {
+  const readings = [];
+  const rejected = [];
+  batch.forEach((raw, index) => {
+    const reject = (message) => rejected.push({ index, message });
+    if (!raw || typeof raw !== "object") return reject("Reading must be an object");
+
+    const timestamp = parseTimestamp(raw.timestamp);
+    if (!timestamp || isNaN(timestamp)) return reject("Invalid timestamp");
+    if (timestamp - now > 5 * 60 * 1000) return reject("Timestamp is in the future");
+
+    const powerW = optionalNumber(raw.powerW);
+    const energyKWh = optionalNumber(raw.energyKWh);
+    if (powerW === null && energyKWh === null) return reject("powerW or energyKWh required");
+    if ((powerW !== null && !(powerW >= 0)) || (energyKWh !== null && !(energyKWh >= 0)))
+      return reject("powerW and energyKWh must be positive numbers");
+
+    readings.push({ timestamp, powerW, energyKWh });
+  });
+  readings.sort((a, b) => a.timestamp - b.timestamp);
+  return { readings, rejected };
+}
+
+// Energy used since the previous reading: the counter difference when both have one,
+// otherwise the average power over the gap. A counter that went backwards was reset.
+function intervalKWh(previous, reading) {
+  if (!previous) return 0;
+  if (reading.energyKWh !== null && previous.energyKWh != null && reading.energyKWh >= previous.energyKWh)
+    return reading.energyKWh - previous.energyKWh;
+
+  const hours = (reading.timestamp - previous.timestamp) / HOUR_MS;
+  if (hours <= 0 || hours > MAX_POWER_GAP_HOURS) return 0;
+  const powers = [previous.powerW, reading.powerW].filter((p) => p !== null && p !== undefined);
+  if (powers.length === 0) return 0;
+  const averageW = powers.reduce((sum, p) => sum + p, 0) / powers.length;
+  return (averageW / 1000) * hours;
+}
+
+// Samples with kWh for each reading, and the device state to keep for the next batch.
+// Readings not newer than `last` are skipped as duplicates.
+function integrateReadings(last, readings) {
+  let previous = last && last.timestamp ? last : null;
+  const samples = [];
+  let skipped = 0;
+  for (const reading of readings) {
+    if (previous && reading.timestamp <= previous.timestamp) {
+      skipped += 1;
+      continue;
+    }
+    samples.push({ ...reading, kWh: round4(intervalKWh(previous, reading)) });
+    previous = {
+      timestamp: reading.timestamp,
+      powerW: reading.powerW ?? (previous ? previous.powerW : null),
+      energyKWh: reading.energyKWh,
+    };
+  }
+  return { samples, last: previous, skipped };
+}
+
+const bucketStart = (timestamp, size) => new Date(Math.floor(timestamp.getTime() / size) * size);
+
+// Amounts to add to each hourly and daily roll-up touched by the samples
+function rollupIncrements(samples) {
+  const buckets = new Map();
+  for (const s of samples) {
+    for (const [granularity, size] of [["hour", HOUR_MS], ["day", DAY_MS]]) {
+      const periodStart = bucketStart(s.timestamp, size);
+      const key = `${granularity}:${periodStart.getTime()}`;
+      if (!buckets.has(key))
+        buckets.set(key, {
+          granularity,
+          periodStart,
+          kWh: 0,
+          samples: 0,
+          powerSum: 0,
+          powerSamples: 0,
+          maxPowerW: 0,
+        });
+      const b = buckets.get(key);
+      b.kWh += s.kWh;
+      b.samples += 1;
+      if (s.powerW !== null) {
+        b.powerSum += s.powerW;
+        b.powerSamples += 1;
+        b.maxPowerW = Math.max(b.maxPowerW, s.powerW);
+      }
+    }
+  }
+  return [...buckets.values()].map((b) => ({ ...b, kWh: round4(b.kWh) }));
+}
+
+module.exports = {
+  MAX_BATCH,
+  DAY_MS,
+  generateApiKey,
+  hashApiKey,
+  normaliseReadings,
+  integrateReadings,
+  rollupIncrements,
+};
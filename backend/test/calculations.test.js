@@ -0,0 +1,121 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  WEEKS_PER_MONTH,
+  NATIONAL_GRID_FACTOR,
+  round2,
+  windowHours,
+  calculateConsumption,
+  calculateEmissions,
+} = require("../../shared/calculations.mjs");
+
+const near = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+// 2 units of 1 kW for 6 h, 5 days a week, 10 W standby each, ₹8 / kWh
+const tv = {
+  rating: 1,
+  hourlyUsage: 6,
+  quantity: 2,
+  dayFrequency: 5,
+  unitRate: 8,
+  standbyWatts: 10,
+};
+
+test("a day of use is the active energy plus standby for the other hours", () => {
+  const result = calculateConsumption(tv);
+  // 1 kW × 6 h × 2 = 12 kWh active; 0.02 kW × 18 h = 0.36 kWh standby
+  near(result.standbyPerDay, 0.36);
+  near(result.consumptionPerDay, 12.36);
+});
+
+test("weeks count standby all day on the days the appliance is not used", () => {
+  const result = calculateConsumption(tv);
+  // 5 days of 12.36 kWh and 2 idle days of 0.02 kW × 24 h
+  near(result.consumptionPerWeek, 12.36 * 5 + 0.48 * 2);
+  near(result.consumptionPerMonth, result.consumptionPerWeek * WEEKS_PER_MONTH);
+  near(result.standbyPerMonth, (0.36 * 5 + 0.48 * 2) * WEEKS_PER_MONTH);
+});
+
+test("costs are the monthly figures at the unit rate", () => {
+  const result = calculateConsumption(tv);
+  near(result.monthlyCost, result.consumptionPerMonth * 8);
+  near(result.standbyCost, result.standbyPerMonth * 8);
+});
+
+test("the duty cycle scales active energy only", () => {
+  const full = calculateConsumption(tv);
+  const half = calculateConsumption({ ...tv, dutyCycle: 50 });
+  near(half.consumptionPerDay, 6.36);
+  near(half.standbyPerDay, full.standbyPerDay);
+});
+
+test("duty cycle defaults to 100 and standby to none", () => {
+  const result = calculateConsumption({ rating: 1, hourlyUsage: 6, quantity: 2, dayFrequency: 5, unitRate: 8 });
+  near(result.consumptionPerDay, 12);
+  assert.equal(result.standbyPerDay, 0);
+  assert.equal(result.standbyPerMonth, 0);
+  assert.equal(result.standbyCost, 0);
+});
+
+test("an appliance running all day has no standby on the days it is used", () => {
+  // A fridge: 0.2 kW compressor running half the time, every day
+  const result = calculateConsumption({
+    rating: 0.2,
+    hourlyUsage: 24,
+    quantity: 1,
+    dayFrequency: 7,
+    unitRate: 8,
+    dutyCycle: 50,
+    standbyWatts: 5,
+  });
+  assert.equal(result.standbyPerDay, 0);
+  assert.equal(result.standbyPerMonth, 0);
+  near(result.consumptionPerWeek, 16.8);
+});
+
+test("form values given as strings give the same figures", () => {
+  const fromForm = calculateConsumption({ ...tv, hourlyUsage: "6", dayFrequency: "5" });
+  assert.deepEqual(fromForm, calculateConsumption(tv));
+});
+
+test("an appliance never used draws only standby", () => {
+  const result = calculateConsumption({ ...tv, dayFrequency: 0 });
+  near(result.consumptionPerWeek, 0.48 * 7);
+  near(result.standbyPerMonth, result.consumptionPerMonth);
+});
+
+test("window hours wrap past midnight and cap at a full day", () => {
+  assert.equal(windowHours(), 0);
+  assert.equal(windowHours([{ start: 9, end: 17 }]), 8);
+  assert.equal(windowHours([{ start: 22, end: 6 }]), 8);
+  assert.equal(windowHours([{ start: 6, end: 6 }]), 24);
+  assert.equal(windowHours([{ start: 6, end: 9 }, { start: 18, end: 22 }]), 7);
+  assert.equal(windowHours([{ start: 0, end: 20 }, { start: 10, end: 22 }]), 24);
+});
+
+test("emissions apply the grid factor to each period", () => {
+  const result = calculateEmissions(
+    { consumptionPerDay: 10, consumptionPerWeek: 70, consumptionPerMonth: 303.1 },
+    NATIONAL_GRID_FACTOR
+  );
+  assert.deepEqual(result, {
+    gridFactor: 0.716,
+    co2PerDay: 7.16,
+    co2PerWeek: 50.12,
+    co2PerMonth: 217.02,
+    co2PerYear: 2604.24,
+  });
+});
+
+test("missing consumption counts as no emissions", () => {
+  const result = calculateEmissions({}, NATIONAL_GRID_FACTOR);
+  assert.equal(result.co2PerDay, 0);
+  assert.equal(result.co2PerYear, 0);
+});
+
+test("round2 rounds to paise", () => {
+  assert.equal(round2(1.005 * 1000), 1005);
+  assert.equal(round2(271.7508), 271.75);
+  assert.equal(round2(2.345), 2.35);
+});
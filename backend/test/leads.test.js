@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateConsumption } = require("../../shared/calculations.mjs");
+const { proposedMonthlyConsumption } = require("../savings");
+const { proposedMonthlyKWhExpr } = require("../leads");
+
+// Evaluates the few aggregation operators the lead expressions use against `doc`
+function evaluate(expr, doc, vars = {}) {
+  if (typeof expr === "string" && expr.startsWith("$$")) {
+    const [name, ...path] = expr.slice(2).split(".");
+    return path.reduce((value, key) => value?.[key], vars[name]);
+  }
+  if (typeof expr === "string" && expr.startsWith("$")) return doc[expr.slice(1)];
+  if (expr === null || typeof expr !== "object") return expr;
+
+  const [[op, args]] = Object.entries(expr);
+  const values = () => args.map((a) => evaluate(a, doc, vars));
+  switch (op) {
+    case "$add":
+      return values().reduce((a, b) => a + b, 0);
+    case "$multiply":
+      return values().reduce((a, b) => a * b, 1);
+    case "$subtract":
+      return values()[0] - values()[1];
+    case "$divide":
+      return values()[0] / values()[1];
+    case "$ifNull": {
+      const [value, fallback] = values();
+      return value ?? fallback;
+    }
+    case "$let": {
+      const scoped = { ...vars };
+      for (const [name, value] of Object.entries(args.vars)) scoped[name] = evaluate(value, doc, vars);
+      return evaluate(args.in, doc, scoped);
+    }
+    default:
+      throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+const appliances = [
+  { rating: 1.5, hourlyUsage: 8, quantity: 2, dayFrequency: 7, unitRate: 8, standbyWatts: 5 },
+  { rating: 0.2, hourlyUsage: 24, quantity: 1, dayFrequency: 5, unitRate: 6, dutyCycle: 40 },
+  { rating: 2, hourlyUsage: 1.5, quantity: 1, dayFrequency: 3, unitRate: 7, standbyWatts: 12 },
+].map((inputs) => ({ ...inputs, ...calculateConsumption(inputs) }));
+
+const scenarios = [
+  { proposedRating: 1 },
+  { proposedRating: 0.8, proposedHourlyUsage: 4 },
+  { proposedRating: 2.5, proposedHourlyUsage: 12 },
+];
+
+test("the leads console prices scenarios like the savings page", () => {
+  for (const appliance of appliances)
+    for (const scenario of scenarios) {
+      const expr = proposedMonthlyKWhExpr("$$s.proposedRating", "$$s.proposedHourlyUsage");
+      const fromPipeline = evaluate(expr, appliance, { s: scenario });
+      const expected = proposedMonthlyConsumption(appliance, scenario);
+      assert.ok(Math.abs(fromPipeline - expected) < 1e-9, `${fromPipeline} != ${expected}`);
+    }
+});
@@ -0,0 +1,70 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.MAIL_TRANSPORT = "capture";
+process.env.EMAIL_FROM = '"Energy Calculator" <noreply@example.com>';
+const { mailConfig, sendMail, getCapturedMessages, clearCapturedMessages } = require("../mail");
+const { otpEmail } = require("../mailTemplates");
+
+beforeEach(() => {
+  mailConfig.captureStore = "memory";
+  clearCapturedMessages();
+});
+
+test("an OTP email sent through the capture transport is kept, not sent", async () => {
+  await sendMail({ to: "asha@example.com", ...otpEmail({ name: "Asha", otp: "482913", ttlMinutes: 10 }) });
+
+  const [message] = getCapturedMessages();
+  assert.equal(message.to, "asha@example.com");
+  assert.equal(message.from, '"Energy Calculator" <noreply@example.com>');
+  assert.equal(message.subject, "Your OTP Code for Energy Calculator");
+  assert.match(message.text, /482913/);
+  assert.match(message.html, /482913/);
+  assert.deepEqual(message.attachments, []);
+});
+
+test("captured messages list newest first and report attachment sizes", async () => {
+  await sendMail({ to: "a@example.com", subject: "first", text: "1" });
+  await sendMail({
+    to: "b@example.com",
+    subject: "second",
+    text: "2",
+    attachments: [{ filename: "report.pdf", content: Buffer.from("%PDF-1.4"), contentType: "application/pdf" }],
+  });
+
+  const messages = getCapturedMessages();
+  assert.deepEqual(
+    messages.map((m) => m.subject),
+    ["second", "first"]
+  );
+  assert.deepEqual(messages[0].attachments, [{ filename: "report.pdf", contentType: "application/pdf", size: 8 }]);
+});
+
+test("the in-memory capture keeps the latest 100 messages", async () => {
+  for (let i = 0; i < 105; i++) await sendMail({ to: "a@example.com", subject: `m${i}`, text: "x" });
+
+  const messages = getCapturedMessages();
+  assert.equal(messages.length, 100);
+  assert.equal(messages[0].subject, "m104");
+  assert.equal(messages.at(-1).subject, "m5");
+});
+
+test("the disk capture writes each message to the capture directory", async () => {
+  mailConfig.captureStore = "disk";
+  mailConfig.captureDir = fs.mkdtempSync(path.join(os.tmpdir(), "mail-test-"));
+  try {
+    await sendMail({ to: "asha@example.com", ...otpEmail({ name: "Asha", otp: "111222" }) });
+
+    assert.equal(fs.readdirSync(mailConfig.captureDir).length, 1);
+    const [message] = getCapturedMessages();
+    assert.match(message.text, /111222/);
+
+    clearCapturedMessages();
+    assert.deepEqual(getCapturedMessages(), []);
+  } finally {
+    fs.rmSync(mailConfig.captureDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,129 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeHtml, otpEmail, inviteEmail, budgetAlertEmail, budgetDigestEmail } = require("../mailTemplates");
+const { formatBudgetValue } = require("../budget");
+
+const HOSTILE = `<script>alert("x")</script> & 'co'`;
+const ESCAPED = "&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;co&#39;";
+
+test("escapeHtml escapes markup, quotes and ampersands and tolerates null", () => {
+  assert.equal(escapeHtml(HOSTILE), ESCAPED);
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(42), "42");
+});
+
+test("the OTP email carries the code and expiry in both parts", () => {
+  const mail = otpEmail({ name: "Asha", otp: "482913", ttlMinutes: 7 });
+  assert.equal(mail.subject, "Your OTP Code for Energy Calculator");
+  assert.match(mail.html, /482913/);
+  assert.match(mail.html, /<strong>7 minutes<\/strong>/);
+  assert.match(mail.text, /Your one-time password \(OTP\) is: 482913/);
+  assert.match(mail.text, /expire in 7 minutes/);
+});
+
+test("the OTP email escapes the name in HTML only", () => {
+  const mail = otpEmail({ name: HOSTILE, otp: "123456" });
+  assert.ok(mail.html.includes(`<strong>${ESCAPED}</strong>`));
+  assert.ok(!mail.html.includes("<script>"));
+  assert.ok(mail.text.startsWith(`Hello ${HOSTILE},`));
+  assert.match(mail.html, /10 minutes/);
+});
+
+test("the invite names the workspace, or the site within it", () => {
+  const base = { inviterName: "Ravi", workspaceName: "Ravi", role: "editor", link: "https://app/x", ttlDays: 14 };
+  assert.match(inviteEmail(base).text, /invited you to Ravi's workspace as editor/);
+  const site = inviteEmail({ ...base, siteName: "Pune Office" });
+  assert.match(site.text, /the site Pune Office in Ravi's workspace/);
+  assert.match(site.subject, /^Ravi invited you to collaborate/);
+  assert.match(site.html, /<strong>14 days<\/strong>/);
+});
+
+test("the invite escapes names and the link", () => {
+  const mail = inviteEmail({
+    inviterName: HOSTILE,
+    workspaceName: "A&B",
+    siteName: "<b>Lab</b>",
+    role: "viewer",
+    link: `https://app/?a=1&b="2"`,
+    ttlDays: 14,
+  });
+  assert.ok(!mail.html.includes("<script>"));
+  assert.ok(!mail.html.includes("<b>Lab</b>"));
+  assert.ok(mail.html.includes("the site &lt;b&gt;Lab&lt;/b&gt; in A&amp;B&#39;s workspace"));
+  assert.ok(mail.html.includes(`href="https://app/?a=1&amp;b=&quot;2&quot;"`));
+});
+
+test("a budget alert on metered use reports the projection", () => {
+  const mail = budgetAlertEmail({
+    name: "Asha",
+    scope: "your account",
+    threshold: 80,
+    basis: "actual",
+    used: formatBudgetValue("cost", 1250),
+    amount: formatBudgetValue("cost", 1500),
+    percent: 83.33,
+    projected: formatBudgetValue("cost", 1800),
+    link: "https://app/savings",
+  });
+  assert.equal(mail.subject, "Budget alert for your account: 83.33% used — Antar IoT Energy Calculator");
+  assert.match(mail.text, /You have used ₹1,250\.00 of your ₹1,500\.00 monthly budget/);
+  assert.match(mail.text, /passing your 80% alert\. At this rate the month will end at ₹1,800\.00\./);
+  assert.match(mail.html, /href="https:\/\/app\/savings"/);
+});
+
+test("a budget alert on the estimate leaves the projection out and escapes the scope", () => {
+  const mail = budgetAlertEmail({
+    name: HOSTILE,
+    scope: "<i>Site</i>",
+    threshold: 100,
+    basis: "estimated",
+    used: formatBudgetValue("kWh", 310),
+    amount: formatBudgetValue("kWh", 300),
+    percent: 103.33,
+    projected: formatBudgetValue("kWh", 310),
+    link: "https://app/savings",
+  });
+  assert.match(mail.text, /The estimated month for <i>Site<\/i> comes to 310\.00 kWh, 103\.33% of your 300\.00 kWh/);
+  assert.doesNotMatch(mail.text, /At this rate/);
+  assert.ok(mail.html.includes("&lt;i&gt;Site&lt;/i&gt;"));
+  assert.ok(!mail.html.includes("<i>Site</i>"));
+  assert.ok(!mail.html.includes("<script>"));
+});
+
+test("the digest lists each budget and flags the ones over", () => {
+  const mail = budgetDigestEmail({
+    name: "Asha",
+    periodLabel: "September 2026",
+    rows: [
+      { scope: "Your account", used: "₹900.00", amount: "₹1,000.00", percent: 90 },
+      { scope: "<b>Shop</b>", used: "120.00 kWh", amount: "100.00 kWh", percent: 120 },
+    ],
+    totals: { kWh: "410.00 kWh", cost: "₹2,870.00", metered: "395.50 kWh" },
+    link: "https://app",
+  });
+  assert.equal(mail.subject, "Your September 2026 energy summary — Antar IoT Energy Calculator");
+  assert.match(mail.text, /Your account: ₹900\.00 of ₹1,000\.00 \(90%\)/);
+  assert.match(mail.text, /Your devices metered 395\.50 kWh\./);
+  assert.match(mail.html, /color: #16a34a;">90%/);
+  assert.match(mail.html, /color: #dc2626;">120%/);
+  assert.ok(mail.html.includes("&lt;b&gt;Shop&lt;/b&gt;"));
+});
+
+test("the digest without budgets suggests setting one and skips metered use", () => {
+  const mail = budgetDigestEmail({
+    name: "Asha",
+    periodLabel: "September 2026",
+    rows: [],
+    totals: { kWh: "10.00 kWh", cost: "₹70.00", metered: null },
+    link: "https://app",
+  });
+  assert.match(mail.html, /You have not set a budget yet/);
+  assert.doesNotMatch(mail.html, /<table/);
+  assert.doesNotMatch(mail.text, /metered/);
+});
+
+test("budget values are grouped with two decimals", () => {
+  assert.equal(formatBudgetValue("cost", 1250), "₹1,250.00");
+  assert.equal(formatBudgetValue("cost", 125000.456), "₹1,25,000.46");
+  assert.equal(formatBudgetValue("kWh", 310), "310.00 kWh");
+});
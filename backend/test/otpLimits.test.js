@@ -0,0 +1,95 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isLocked,
+  resendWait,
+  guessFilter,
+  guessRejection,
+  wrongGuessOutcome,
+} = require("../otpLimits");
+
+const CONFIG = {
+  maxAttemptsPerCode: 5,
+  maxFailuresPerEmail: 10,
+  lockoutMs: 30 * 60 * 1000,
+  resendCooldownMs: 60 * 1000,
+};
+const NOW = new Date("2026-10-19T10:00:00Z");
+const later = (ms) => new Date(NOW.getTime() + ms);
+
+const freshCode = (user = {}) => ({
+  mail: "user@example.com",
+  otpFailures: 0,
+  ...user,
+  otpHash: "hash",
+  otpExpires: later(10 * 60 * 1000),
+  otpAttempts: 0,
+  otpSentAt: NOW,
+});
+
+// What the verify route's conditional $inc does to a user it matched
+const countGuess = (user) => ({
+  ...user,
+  otpAttempts: user.otpAttempts + 1,
+  otpFailures: user.otpFailures + 1,
+});
+
+test("a guess is only claimed while the code has attempts left", () => {
+  const filter = guessFilter("user@example.com", CONFIG, NOW);
+  assert.deepEqual(filter.otpAttempts, { $lt: 5 });
+  assert.deepEqual(filter.otpExpires, { $gt: NOW });
+  assert.deepEqual(filter.$or, [{ lockedUntil: null }, { lockedUntil: { $lte: NOW } }]);
+});
+
+test("wrong guesses use up the code", () => {
+  let user = freshCode();
+  const remaining = [];
+  for (let i = 0; i < CONFIG.maxAttemptsPerCode; i += 1) {
+    user = countGuess(user);
+    const outcome = wrongGuessOutcome(user, CONFIG, NOW);
+    assert.equal(outcome.lockedUntil, null);
+    remaining.push(outcome.attemptsRemaining);
+  }
+  assert.deepEqual(remaining, [4, 3, 2, 1, 0]);
+
+  // The next guess matches nothing and is told to request a new code
+  assert.equal(user.otpAttempts < CONFIG.maxAttemptsPerCode, false);
+  const rejection = guessRejection(user, CONFIG, NOW);
+  assert.equal(rejection.status, 400);
+  assert.equal(rejection.body.attemptsRemaining, 0);
+  assert.match(rejection.body.message, /request a new code/);
+});
+
+test("wrong guesses across codes lock the address", () => {
+  let user = freshCode();
+  let outcome;
+  for (let i = 0; i < CONFIG.maxFailuresPerEmail; i += 1) {
+    if (user.otpAttempts === CONFIG.maxAttemptsPerCode) user = freshCode(user);
+    user = countGuess(user);
+    outcome = wrongGuessOutcome(user, CONFIG, NOW);
+    if (i < CONFIG.maxFailuresPerEmail - 1) assert.equal(outcome.lockedUntil, null);
+  }
+  assert.deepEqual(outcome.lockedUntil, later(CONFIG.lockoutMs));
+
+  const locked = { ...user, lockedUntil: outcome.lockedUntil };
+  assert.equal(isLocked(locked, NOW), true);
+  assert.equal(guessRejection(locked, CONFIG, NOW).status, 423);
+  assert.equal(isLocked(locked, later(CONFIG.lockoutMs)), false);
+});
+
+test("expired codes and unknown addresses are rejected", () => {
+  const expired = { ...freshCode(), otpExpires: later(-1) };
+  assert.deepEqual(guessRejection(expired, CONFIG, NOW), {
+    status: 400,
+    body: { message: "Invalid or expired OTP" },
+  });
+  assert.equal(guessRejection(null, CONFIG, NOW).status, 404);
+});
+
+test("a new code waits for the resend cooldown", () => {
+  const user = freshCode();
+  assert.equal(resendWait(null, CONFIG, NOW), 0);
+  assert.equal(resendWait(user, CONFIG, NOW), 60);
+  assert.equal(resendWait(user, CONFIG, later(59500)), 1);
+  assert.equal(resendWait(user, CONFIG, later(60 * 1000)), 0);
+});
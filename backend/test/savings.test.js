@@ -0,0 +1,106 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateConsumption, WEEKS_PER_MONTH } = require("../../shared/calculations.mjs");
+const { proposedMonthlyConsumption, evaluateScenario, rankByPayback } = require("../savings");
+const { DEFAULT_TARIFFS } = require("../tariff");
+
+// An appliance as stored: its inputs plus the figures calculateConsumption gives them
+const appliance = (inputs) => ({ ...inputs, ...calculateConsumption(inputs) });
+
+// 2 units of 1.5 kW for 8 h, 7 days, 5 W standby each, ₹8 / kWh
+const ac = appliance({
+  rating: 1.5,
+  hourlyUsage: 8,
+  quantity: 2,
+  dayFrequency: 7,
+  unitRate: 8,
+  standbyWatts: 5,
+});
+
+test("a proposal at the same rating and hours uses what the appliance does now", () => {
+  assert.equal(proposedMonthlyConsumption(ac, { proposedRating: 1.5 }), ac.consumptionPerMonth);
+});
+
+test("a lower rating only cuts the active energy", () => {
+  const proposed = proposedMonthlyConsumption(ac, { proposedRating: 1 });
+  const active = 1 * 8 * 2 * 7 * WEEKS_PER_MONTH;
+  assert.ok(Math.abs(proposed - (active + ac.standbyPerMonth)) < 1e-9);
+});
+
+test("fewer proposed hours draw standby for the extra idle hours", () => {
+  const proposed = proposedMonthlyConsumption(ac, { proposedRating: 1.5, proposedHourlyUsage: 4 });
+  const standbyKW = 0.005 * 2;
+  const expected = (1.5 * 4 * 2 + standbyKW * 20) * 7 * WEEKS_PER_MONTH;
+  assert.ok(Math.abs(proposed - expected) < 1e-9);
+  assert.ok(proposed - 1.5 * 4 * 2 * 7 * WEEKS_PER_MONTH > ac.standbyPerMonth);
+});
+
+test("proposals keep the duty cycle and the idle days", () => {
+  const fridge = appliance({
+    rating: 0.2,
+    hourlyUsage: 24,
+    quantity: 1,
+    dayFrequency: 5,
+    unitRate: 6,
+    dutyCycle: 40,
+    standbyWatts: 2,
+  });
+  const proposed = proposedMonthlyConsumption(fridge, { proposedRating: 0.1 });
+  const expected = (0.1 * 24 * 0.4 * 5 + 0.002 * 24 * 2) * WEEKS_PER_MONTH;
+  assert.ok(Math.abs(proposed - expected) < 1e-9);
+});
+
+test("without a tariff savings and payback use the appliance's unit rate", () => {
+  const result = evaluateScenario({
+    appliance: ac,
+    scenario: { proposedRating: 1, purchaseCost: 30000 },
+  });
+  const kWhSaved = 0.5 * 8 * 2 * 7 * WEEKS_PER_MONTH;
+  assert.equal(result.monthlyKWhSaved, Math.round(kWhSaved * 100) / 100);
+  assert.equal(result.monthlySavings, Math.round(kWhSaved * 8 * 100) / 100);
+  assert.equal(result.paybackMonths, Math.round((30000 / (kWhSaved * 8)) * 100) / 100);
+  assert.equal(result.roiPercent, Math.round(((kWhSaved * 8 * 12) / 30000) * 10000) / 100);
+});
+
+test("with a tariff savings are the drop in the bill at the top slab rates", () => {
+  const tariff = DEFAULT_TARIFFS[0];
+  const result = evaluateScenario({
+    appliance: ac,
+    scenario: { proposedRating: 1, purchaseCost: 30000 },
+    tariff,
+    totalUnits: 700,
+    sanctionedLoadKW: 3,
+  });
+  // Every unit saved comes off the ₹7.50 slab, plus fuel surcharge and 5% duty
+  const kWhSaved = 0.5 * 8 * 2 * 7 * WEEKS_PER_MONTH;
+  const expected = kWhSaved * (7.5 * 1.05 + 0.25);
+  assert.ok(Math.abs(result.monthlySavings - expected) < 0.01);
+});
+
+test("a proposal that uses more never pays back", () => {
+  const result = evaluateScenario({
+    appliance: ac,
+    scenario: { proposedRating: 2, purchaseCost: 1000 },
+  });
+  assert.ok(result.monthlySavings < 0);
+  assert.equal(result.paybackMonths, null);
+  assert.equal(result.paybackYears, null);
+});
+
+test("emissions avoided use the given grid factor", () => {
+  const result = evaluateScenario({
+    appliance: ac,
+    scenario: { proposedRating: 1, purchaseCost: 0 },
+    gridFactor: 0.5,
+  });
+  assert.equal(result.monthlyCO2Avoided, Math.round(result.monthlyKWhSaved * 0.5 * 100) / 100);
+  assert.equal(result.roiPercent, null);
+});
+
+test("ranking puts the shortest payback first and never-paying last", () => {
+  const ranked = rankByPayback([{ paybackMonths: null }, { paybackMonths: 30 }, { paybackMonths: 6 }]);
+  assert.deepEqual(
+    ranked.map((r) => r.paybackMonths),
+    [6, 30, null]
+  );
+});
@@ -0,0 +1,108 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_TARIFFS, computeEnergyCharge, estimateBill, splitBill } = require("../tariff");
+
+const domestic = DEFAULT_TARIFFS[0]; // 100 @ 3, 200 @ 4.5, 400 @ 6, then 7.5
+const flat = { name: "Flat", slabs: [{ upTo: null, rate: 5 }] };
+
+test("telescopic slabs bill each unit at the rate of the slab it falls in", () => {
+  const { energyCharge, breakdown } = computeEnergyCharge(domestic.slabs, 250);
+  assert.equal(energyCharge, 100 * 3 + 100 * 4.5 + 50 * 6);
+  assert.deepEqual(
+    breakdown.map((s) => [s.from, s.upTo, s.units]),
+    [
+      [0, 100, 100],
+      [100, 200, 100],
+      [200, 400, 50],
+    ]
+  );
+});
+
+test("units landing exactly on a slab edge stay in the lower slab", () => {
+  const { energyCharge, breakdown } = computeEnergyCharge(domestic.slabs, 200);
+  assert.equal(energyCharge, 100 * 3 + 100 * 4.5);
+  assert.equal(breakdown.length, 2);
+
+  const above = computeEnergyCharge(domestic.slabs, 200.5);
+  assert.equal(above.breakdown.length, 3);
+  assert.equal(above.breakdown[2].units, 0.5);
+});
+
+test("the open-ended top slab takes every unit above the last bound", () => {
+  const { energyCharge, breakdown } = computeEnergyCharge(domestic.slabs, 500);
+  assert.equal(energyCharge, 300 + 450 + 200 * 6 + 100 * 7.5);
+  assert.deepEqual(breakdown.at(-1), { from: 400, upTo: null, rate: 7.5, units: 100, amount: 750 });
+});
+
+test("slabs given out of order are billed in order of their bounds", () => {
+  const shuffled = [domestic.slabs[3], domestic.slabs[1], domestic.slabs[0], domestic.slabs[2]];
+  assert.equal(
+    computeEnergyCharge(shuffled, 450).energyCharge,
+    computeEnergyCharge(domestic.slabs, 450).energyCharge
+  );
+});
+
+test("a flat tariff bills every unit at one rate", () => {
+  const bill = estimateBill(flat, 321, 0);
+  assert.equal(bill.energyCharge, 1605);
+  assert.equal(bill.total, 1605);
+  assert.equal(bill.averageRate, 5);
+});
+
+test("0 units leaves only the fixed charge", () => {
+  const bill = estimateBill(domestic, 0, 2);
+  assert.deepEqual(bill.slabs, []);
+  assert.equal(bill.energyCharge, 0);
+  assert.equal(bill.fuelSurcharge, 0);
+  assert.equal(bill.electricityDuty, 0);
+  assert.equal(bill.fixedCharge, 100);
+  assert.equal(bill.total, 100);
+  assert.equal(bill.averageRate, 0);
+});
+
+test("negative or missing units are billed as 0", () => {
+  assert.equal(estimateBill(domestic, -20, 1).totalUnits, 0);
+  assert.equal(estimateBill(domestic, undefined, 1).totalUnits, 0);
+});
+
+test("the bill adds fixed charge, fuel surcharge and duty on the energy charge", () => {
+  const bill = estimateBill(domestic, 150, 3);
+  const energy = 100 * 3 + 50 * 4.5;
+  assert.equal(bill.energyCharge, energy);
+  assert.equal(bill.fixedCharge, 150);
+  assert.equal(bill.fuelSurcharge, 37.5);
+  assert.equal(bill.electricityDuty, energy * 0.05);
+  assert.equal(bill.total, energy + 150 + 37.5 + energy * 0.05);
+});
+
+test("bill shares are proportional to kWh and add up to the total exactly", () => {
+  const appliances = [1, 1, 1].map((kWh, i) => ({ _id: `a${i}`, consumptionPerMonth: kWh }));
+  const shares = splitBill({ total: 100 }, appliances);
+  assert.deepEqual(
+    shares.map((s) => s.billShare),
+    [33.34, 33.33, 33.33]
+  );
+  assert.equal(Math.round(shares.reduce((sum, s) => sum + s.billShare, 0) * 100), 10000);
+  assert.deepEqual(
+    shares.map((s) => s.share),
+    [33.33, 33.33, 33.33]
+  );
+});
+
+test("uneven shares still sum to the total", () => {
+  const appliances = [12.7, 3.3, 81.19, 0.01, 40].map((kWh, i) => ({ _id: i, consumptionPerMonth: kWh }));
+  const bill = estimateBill(domestic, 137.2, 1);
+  const paise = splitBill(bill, appliances).reduce((sum, s) => sum + Math.round(s.billShare * 100), 0);
+  assert.equal(paise, Math.round(bill.total * 100));
+});
+
+test("without any consumption every share is 0", () => {
+  const shares = splitBill({ total: 50 }, [{ _id: 1 }, { _id: 2, consumptionPerMonth: 0 }]);
+  assert.deepEqual(
+    shares.map((s) => [s.share, s.billShare]),
+    [
+      [0, 0],
+      [0, 0],
+    ]
+  );
+});
@@ -0,0 +1,7 @@
+// ---------- Text ----------
+// String helpers shared by the routes and the sales console.
+
+// Escapes regex metacharacters so user input can be matched literally in a $regex query
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = { escapeRegex };
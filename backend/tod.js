@@ -0,0 +1,138 @@
+// ---------- Time-of-Day Load Profile ----------
+// Spreads each appliance's energy over the hours it runs and prices it by TOD band.
+// Windows and bands are { start, end } in hours (0–24); end < start wraps past midnight,
+// so { start: 22, end: 6 } is 10 pm to 6 am.
+const { windowHours, round2 } = require("../shared/calculations.mjs");
+
+const HOURS = 24;
+const SLOTS_PER_HOUR = 4; // 15-minute resolution, enough for half-hour band boundaries
+const SLOTS = HOURS * SLOTS_PER_HOUR;
+const NORMAL_BAND = "normal";
+
+// [[from, to]] pieces of a window that does not cross midnight
+function segments({ start, end }) {
+  if (start === end) return [[0, HOURS]];
+  return end > start ? [[start, end]] : [[start, HOURS], [0, end]];
+}
+
+const inWindow = (window, hour) => segments(window).some(([from, to]) => hour >= from && hour < to);
+
+// Fraction of the appliance's daily energy used in each 15-minute slot.
+// Appliances without windows are spread evenly over the day.
+function slotShares(appliance) {
+  const windows = appliance.usageWindows || [];
+  const weights = Array.from({ length: SLOTS }, (_, i) => {
+    if (windows.length === 0) return 1;
+    const midpoint = (i + 0.5) / SLOTS_PER_HOUR;
+    return windows.some((w) => inWindow(w, midpoint)) ? 1 : 0;
+  });
+  const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+  return weights.map((w) => w / total);
+}
+
+// Band covering each slot; hours outside every band are billed as "normal"
+function slotBands(bands = []) {
+  return Array.from({ length: SLOTS }, (_, i) => {
+    const midpoint = (i + 0.5) / SLOTS_PER_HOUR;
+    return bands.find((b) => inWindow(b, midpoint)) || null;
+  });
+}
+
+const bandRate = (band, baseRate) => baseRate * (1 + (band ? band.adjustmentPercent || 0 : 0) / 100);
+
+// kWh per hour for an average day (a week's consumption over seven days)
+function hourlyProfile(appliances, bands = []) {
+  const bandBySlot = slotBands(bands);
+  const profile = Array.from({ length: HOURS }, (_, hour) => ({
+    hour,
+    kWh: 0,
+    band: (bandBySlot[hour * SLOTS_PER_HOUR] || { name: NORMAL_BAND }).name,
+  }));
+
+  for (const a of appliances) {
+    const perDay = (a.consumptionPerWeek || 0) / 7;
+    slotShares(a).forEach((share, slot) => {
+      profile[Math.floor(slot / SLOTS_PER_HOUR)].kWh += perDay * share;
+    });
+  }
+
+  return profile.map((p) => ({ ...p, kWh: round2(p.kWh) }));
+}
+
+// Monthly kWh and cost in each band. `baseRateFor(appliance)` is the ₹/kWh the
+// appliance pays outside any band (the tariff's energy rate or its own unit rate).
+function costByBand({ appliances, bands = [], baseRateFor }) {
+  const bandBySlot = slotBands(bands);
+  const totals = new Map(
+    [...bands.map((b) => b.name), NORMAL_BAND].map((name) => [name, { kWh: 0, cost: 0 }])
+  );
+
+  for (const a of appliances) {
+    const monthly = a.consumptionPerMonth || 0;
+    const baseRate = baseRateFor(a);
+    slotShares(a).forEach((share, slot) => {
+      const band = bandBySlot[slot];
+      const entry = totals.get(band ? band.name : NORMAL_BAND);
+      entry.kWh += monthly * share;
+      entry.cost += monthly * share * bandRate(band, baseRate);
+    });
+  }
+
+  return [...totals.entries()]
+    .map(([name, t]) => {
+      const band = bands.find((b) => b.name === name);
+      return {
+        name,
+        start: band ? band.start : null,
+        end: band ? band.end : null,
+        adjustmentPercent: band ? band.adjustmentPercent || 0 : 0,
+        kWhPerMonth: round2(t.kWh),
+        costPerMonth: round2(t.cost),
+      };
+    })
+    .filter((b) => b.start !== null || b.kWhPerMonth > 0);
+}
+
+const runHours = (a) => (a.usageWindows?.length ? windowHours(a.usageWindows) : a.hourlyUsage || 0);
+
+// For each flexible appliance, the monthly saving from running it entirely in the
+// cheapest hours (the lowest rebate band, or normal hours when every band is a
+// surcharge) instead of its current windows. Best savings first.
+function shiftingSuggestions({ appliances, bands = [], baseRateFor }) {
+  if (bands.length === 0) return [];
+
+  const bandBySlot = slotBands(bands);
+  const cheapest = bands.reduce(
+    (best, b) => ((b.adjustmentPercent || 0) < (best ? best.adjustmentPercent || 0 : 0) ? b : best),
+    null
+  );
+  const targetHours = bandBySlot.filter((b) => b === cheapest).length / SLOTS_PER_HOUR;
+  if (targetHours === 0) return [];
+
+  return appliances
+    .filter((a) => a.flexible)
+    .map((a) => {
+      const monthly = a.consumptionPerMonth || 0;
+      const baseRate = baseRateFor(a);
+      const currentCost = slotShares(a).reduce(
+        (sum, share, slot) => sum + monthly * share * bandRate(bandBySlot[slot], baseRate),
+        0
+      );
+      const shiftedCost = monthly * bandRate(cheapest, baseRate);
+      return {
+        applianceId: a._id,
+        applianceName: a.applianceName,
+        targetBand: cheapest ? cheapest.name : NORMAL_BAND,
+        targetWindow: cheapest ? { start: cheapest.start, end: cheapest.end } : null,
+        fitsWindow: runHours(a) <= targetHours,
+        currentCostPerMonth: round2(currentCost),
+        shiftedCostPerMonth: round2(shiftedCost),
+        monthlySavings: round2(currentCost - shiftedCost),
+        annualSavings: round2((currentCost - shiftedCost) * 12),
+      };
+    })
+    .filter((s) => s.monthlySavings > 0)
+    .sort((a, b) => b.monthlySavings - a.monthlySavings);
+}
+
+module.exports = { NORMAL_BAND, hourlyProfile, costByBand, shiftingSuggestions };
@@ -1,11 +1,27 @@
 import React from "react";
 import { Routes, Route, Navigate } from "react-router-dom";
 import Home from "./components/Home";
+import GuestCalculator from "./components/GuestCalculator";
 import Calculator from "./components/Calculator";
+import Savings from "./components/Savings";
+import Reports from "./components/Reports";
+import LoadProfile from "./components/LoadProfile";
+import Reconciliation from "./components/Reconciliation";
+import Devices from "./components/Devices";
+import Solar from "./components/Solar";
+import LoadCheck from "./components/LoadCheck";
+import AdminConsole from "./components/AdminConsole";
+import SharedView from "./components/SharedView";
+import Team from "./components/Team";
+import InventoryHistory from "./components/InventoryHistory";
 
-const ProtectedRoute = ({ children }) => {
+// With `roles`, users without one of them are sent back to the calculator;
+// the API checks the role again on every request
+const ProtectedRoute = ({ children, roles }) => {
   const token = sessionStorage.getItem("token");
   if (!token) return <Navigate to="/" replace />;
+  if (roles && !roles.includes(sessionStorage.getItem("role")))
+    return <Navigate to="/calculator" replace />;
   return children;
 };
 
@@ -13,6 +29,8 @@ function App() {
   return ( 
     <Routes>
       <Route path="/" element={<Home />} />
+      <Route path="/guest" element={<GuestCalculator />} />
+      <Route path="/shared/:token" element={<SharedView />} />
       <Route
         path="/calculator"
         element={
@@ -21,6 +39,86 @@ function App() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/savings"
+        element={
+          <ProtectedRoute>
+            <Savings />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/reports"
+        element={
+          <ProtectedRoute>
+            <Reports />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/load-profile"
+        element={
+          <ProtectedRoute>
+            <LoadProfile />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/reconciliation"
+        element={
+          <ProtectedRoute>
+            <Reconciliation />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/devices"
+        element={
+          <ProtectedRoute>
+            <Devices />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/solar"
+        element={
+          <ProtectedRoute>
+            <Solar />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/load-check"
+        element={
+          <ProtectedRoute>
+            <LoadCheck />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/team"
+        element={
+          <ProtectedRoute>
+            <Team />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/history"
+        element={
+          <ProtectedRoute>
+            <InventoryHistory />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/admin"
+        element={
+          <ProtectedRoute roles={["sales", "admin"]}>
+            <AdminConsole />
+          </ProtectedRoute>
+        }
+      />
     </Routes>
   );
 }
@@ -2,13 +2,61 @@
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "http://localhost:3000/api";
 //const API_BASE_URL = "http://localhost:3000/api";
 
+let refreshPromise = null;
+
+// Swaps the refresh token for a new token pair; concurrent 401s share one call
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = sessionStorage.getItem("refreshToken");
+      if (!refreshToken) return false;
+      try {
+        const res = await fetch(`${API_BASE_URL}/refresh`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refreshToken }),
+        });
+        if (!res.ok) return false;
+        const data = await res.json();
+        sessionStorage.setItem("token", data.token);
+        sessionStorage.setItem("refreshToken", data.refreshToken);
+        return true;
+      } catch {
+        return false;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+// fetch with the access token; on a 401 the session is refreshed once and the
+// request retried. If that fails the user is sent back to the login page.
+async function authorizedFetch(path, options = {}, headers = {}) {
+  const send = () => {
+    const token = sessionStorage.getItem("token");
+    const h = { ...headers };
+    if (token) h["Authorization"] = `Bearer ${token}`;
+    return fetch(`${API_BASE_URL}${path}`, { ...options, headers: h });
+  };
+
+  const res = await send();
+  if (res.status !== 401 || !sessionStorage.getItem("refreshToken")) return res;
+
+  if (await refreshSession()) return send();
+
+  sessionStorage.clear();
+  window.location.href = "/";
+  return res;
+}
+
 async function apiFetch(path, options = {}) {
-  const token = sessionStorage.getItem("token");
   const headers = options.headers || {};
-  headers["Content-Type"] = "application/json";
-  if (token) headers["Authorization"] = `Bearer ${token}`;
+  // FormData bodies need the browser to set the multipart boundary itself
+  if (!(options.body instanceof FormData)) headers["Content-Type"] = "application/json";
 
-  const res = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+  const res = await authorizedFetch(path, options, headers);
   // try to parse JSON safely
   const contentType = res.headers.get("content-type") || "";
   const data = contentType.includes("application/json") ? await res.json() : await res.text();
@@ -22,5 +70,24 @@ async function apiFetch(path, options = {}) {
   return data;
 }
 
-export { API_BASE_URL, apiFetch };
+// Fetches a file (CSV, XLSX, PDF, ...) and saves it through a temporary link
+async function apiDownload(path, filename) {
+  const res = await authorizedFetch(path);
+  if (!res.ok) {
+    const contentType = res.headers.get("content-type") || "";
+    const data = contentType.includes("application/json") ? await res.json() : null;
+    const err = new Error(data && data.message ? data.message : "Download failed");
+    err.status = res.status;
+    throw err;
+  }
+
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export { API_BASE_URL, apiFetch, apiDownload };
 
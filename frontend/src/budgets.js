@@ -0,0 +1,16 @@
+// Budgets are ₹ ("cost") or kWh per month; thresholds are typed as "80, 100" (% of the budget)
+
+// Grouped the Indian way with two decimals, e.g. "₹1,25,000.00" or "310.00 kWh"
+const amountText = (value) =>
+  value.toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+export const formatBudgetValue = (unit, value) =>
+  unit === "kWh" ? `${amountText(value)} kWh` : `₹${amountText(value)}`;
+
+// Anything unparseable is left to the server to reject
+export const parseThresholds = (text) =>
+  text
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .map(Number);
@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft, Users, Download, Eye, X, ChevronLeft, ChevronRight } from "lucide-react";
+import { apiFetch, apiDownload } from "../api";
+
+const ROLES = ["user", "sales", "admin"];
+const SORTS = [
+  { key: "potentialSavings", label: "Potential savings" },
+  { key: "monthlyCost", label: "Monthly cost" },
+  { key: "monthlyKWh", label: "Monthly kWh" },
+  { key: "applianceCount", label: "Appliances" },
+  { key: "lastSeenAt", label: "Last active" },
+  { key: "joinedAt", label: "Joined" },
+  { key: "name", label: "Name" },
+];
+const EMPTY_FILTERS = { q: "", role: "", minKWh: "", sort: "potentialSavings", order: "desc" };
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString("en-IN") : "-");
+
+// Query string for the filters that are set
+const filterQuery = (filters) =>
+  new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== "")).toString();
+
+// Leads console for Antar IoT sales and admins: every user's usage and what they could save
+const AdminConsole = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [inventory, setInventory] = useState(null); // read-only view of one user
+  const [refreshKey, setRefreshKey] = useState(0);
+  const isAdmin = sessionStorage.getItem("role") === "admin";
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchLeads = async () => {
+      try {
+        const result = await apiFetch(`/admin/leads?${filterQuery({ ...filters, page })}`, {
+          method: "GET",
+        });
+        setData(result);
+      } catch (error) {
+        console.error("Error fetching leads:", error);
+        alert(error.message || "Error fetching leads.");
+      }
+    };
+    fetchLeads();
+  }, [filters, page, refreshKey]);
+
+  // New filters or sort order start again from the first page
+  const changeFilters = (next) => {
+    setFilters(next);
+    setPage(1);
+  };
+
+  const exportLeads = async () => {
+    try {
+      await apiDownload(`/admin/leads/export?${filterQuery(filters)}`, "leads.csv");
+    } catch (error) {
+      console.error("Export failed:", error);
+      alert(error.message || "Failed to export leads.");
+    }
+  };
+
+  const openInventory = async (lead) => {
+    try {
+      const result = await apiFetch(`/admin/users/${lead._id}`, { method: "GET" });
+      setInventory(result);
+    } catch (error) {
+      console.error("Error fetching inventory:", error);
+      alert(error.message || "Error fetching inventory.");
+    }
+  };
+
+  const changeRole = async (lead, role) => {
+    if (!window.confirm(`Make ${lead.name || lead.mail} a ${role}?`)) return;
+    try {
+      await apiFetch(`/admin/users/${lead._id}/role`, {
+        method: "PUT",
+        body: JSON.stringify({ role }),
+      });
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Changing role failed:", error);
+      alert(error.message || "Failed to change role.");
+    }
+  };
+
+  const toggleSort = (key) =>
+    changeFilters({
+      ...filters,
+      sort: key,
+      order: filters.sort === key && filters.order === "desc" ? "asc" : "desc",
+    });
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+  const sortHeader = (key, label) => (
+    <th key={key} className="p-3 cursor-pointer select-none" onClick={() => toggleSort(key)}>
+      {label}
+      {filters.sort === key && (filters.order === "desc" ? " ↓" : " ↑")}
+    </th>
+  );
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-6xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <Users className="text-yellow-400" /> Leads Console
+          </h1>
+          <button
+            onClick={() => navigate("/calculator")}
+            className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+          >
+            <ArrowLeft size={16} /> Calculator
+          </button>
+        </header>
+
+        {/* Filters */}
+        <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+          <input
+            placeholder="Search name or email"
+            className={`${inputClass} md:col-span-2`}
+            value={filters.q}
+            onChange={(e) => changeFilters({ ...filters, q: e.target.value })}
+          />
+          <select
+            className={inputClass}
+            value={filters.role}
+            onChange={(e) => changeFilters({ ...filters, role: e.target.value })}
+          >
+            <option value="" className="text-black">All roles</option>
+            {ROLES.map((r) => (
+              <option key={r} value={r} className="text-black">
+                {r}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            placeholder="Min kWh / month"
+            className={inputClass}
+            value={filters.minKWh}
+            onChange={(e) => changeFilters({ ...filters, minKWh: e.target.value })}
+          />
+          <button
+            onClick={exportLeads}
+            className="bg-green-500/80 hover:bg-green-600 text-white py-2 text-sm rounded-lg transition-all duration-300 flex items-center justify-center gap-2"
+          >
+            <Download size={16} /> Export CSV
+          </button>
+        </div>
+
+        {data && (
+          <p className="text-sm text-gray-300">
+            {data.total} user(s), {data.totals.monthlyKWh.toFixed(0)} kWh a month, ₹
+            {data.totals.potentialSavings.toFixed(0)} a month in potential savings (standby cut with smart
+            plugs, plus each appliance's best saved scenario or else an upgrade to the best star-rated
+            model).
+          </p>
+        )}
+
+        {/* Lead List */}
+        <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 overflow-x-auto rounded-xl">
+          <table className="min-w-full text-left border-collapse rounded-md">
+            <thead className="bg-sky-600/80 text-white rounded-md">
+              <tr>
+                {sortHeader("name", "User")}
+                <th className="p-3">Role</th>
+                {SORTS.filter((s) => !["name", "joinedAt"].includes(s.key)).map((s) =>
+                  sortHeader(s.key, s.label)
+                )}
+                {sortHeader("joinedAt", "Joined")}
+                <th className="p-3 text-center">Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data?.leads.map((l) => (
+                <tr key={l._id} className="border-b border-white/20 hover:bg-white/10">
+                  <td className="p-3 font-medium">
+                    {l.name || "-"}
+                    <span className="block text-xs font-normal text-gray-300">{l.mail}</span>
+                  </td>
+                  <td className="p-3">
+                    {isAdmin ? (
+                      <select
+                        className="border border-white/30 bg-white/20 text-white rounded px-2 py-1 text-sm outline-none"
+                        value={l.role}
+                        onChange={(e) => changeRole(l, e.target.value)}
+                      >
+                        {ROLES.map((r) => (
+                          <option key={r} value={r} className="text-black">
+                            {r}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      l.role
+                    )}
+                  </td>
+                  <td
+                    className="p-3"
+                    title={`Standby ₹${l.savingsBreakdown.standby} · Upgrades ₹${l.savingsBreakdown.upgrades} · Scenarios ₹${l.savingsBreakdown.scenarios}`}
+                  >
+                    ₹{l.potentialSavings.toFixed(2)}
+                  </td>
+                  <td className="p-3">₹{l.monthlyCost.toFixed(2)}</td>
+                  <td className="p-3">{l.monthlyKWh.toFixed(2)}</td>
+                  <td className="p-3">{l.applianceCount}</td>
+                  <td className="p-3 text-sm">{formatDate(l.lastSeenAt)}</td>
+                  <td className="p-3 text-sm">{formatDate(l.joinedAt)}</td>
+                  <td className="p-3 text-center">
+                    <button
+                      onClick={() => openInventory(l)}
+                      title="View inventory"
+                      className="text-sky-300 hover:text-sky-100"
+                    >
+                      <Eye size={18} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {data?.leads.length === 0 && (
+                <tr>
+                  <td colSpan="9" className="text-center py-6 text-gray-300">
+                    No users match these filters.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          {data && data.total > data.pageSize && (
+            <div className="flex justify-end items-center gap-3 pt-4 text-sm text-gray-300">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="p-1 rounded hover:bg-white/20 disabled:opacity-40 disabled:hover:bg-transparent"
+                title="Previous page"
+              >
+                <ChevronLeft size={18} />
+              </button>
+              Page {data.page} of {Math.ceil(data.total / data.pageSize)}
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page * data.pageSize >= data.total}
+                className="p-1 rounded hover:bg-white/20 disabled:opacity-40 disabled:hover:bg-transparent"
+                title="Next page"
+              >
+                <ChevronRight size={18} />
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Read-only Inventory */}
+        {inventory && (
+          <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl space-y-4">
+            <div className="flex justify-between items-start">
+              <div>
+                <h2 className="text-xl font-semibold text-sky-300">
+                  {inventory.lead.name || inventory.lead.mail}
+                </h2>
+                <p className="text-sm text-gray-300">
+                  {inventory.lead.mail} · {inventory.tariffName || "No tariff"}
+                  {inventory.bill && ` · bill ₹${inventory.bill.total.toFixed(2)} / month`} · potential savings ₹
+                  {inventory.lead.potentialSavings.toFixed(2)} / month
+                </p>
+              </div>
+              <button onClick={() => setInventory(null)} title="Close" className="text-gray-300 hover:text-white">
+                <X size={20} />
+              </button>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-left border-collapse rounded-md text-sm">
+                <thead className="bg-sky-600/80 text-white rounded-md">
+                  <tr>
+                    <th className="p-2">Appliance</th>
+                    <th className="p-2">Site / Room</th>
+                    <th className="p-2">Rating (W)</th>
+                    <th className="p-2">Usage</th>
+                    <th className="p-2">kWh / Month</th>
+                    <th className="p-2">Cost / Month</th>
+                    <th className="p-2">Standby / Month</th>
+                    <th className="p-2">CO₂ / Month</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {inventory.appliances.map((a) => (
+                    <tr key={a._id} className="border-b border-white/20">
+                      <td className="p-2">
+                        {a.applianceName}
+                        {a.quantity > 1 && <span className="text-gray-300"> × {a.quantity}</span>}
+                      </td>
+                      <td className="p-2">{[a.site, a.room].filter(Boolean).join(" / ") || "-"}</td>
+                      <td className="p-2">{+(a.rating * 1000).toFixed(2)}</td>
+                      <td className="p-2">
+                        {a.hourlyUsage} h × {a.dayFrequency} days
+                      </td>
+                      <td className="p-2">{(a.consumptionPerMonth || 0).toFixed(2)}</td>
+                      <td className="p-2">₹{(a.monthlyCost || 0).toFixed(2)}</td>
+                      <td className="p-2">{(a.standbyPerMonth || 0).toFixed(2)} kWh</td>
+                      <td className="p-2">{a.co2PerMonth} kg</td>
+                    </tr>
+                  ))}
+                  {inventory.appliances.length === 0 && (
+                    <tr>
+                      <td colSpan="8" className="text-center py-4 text-gray-300">
+                        No appliances yet.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from "react";
+import { Target, X } from "lucide-react";
+import { apiFetch } from "../api";
+import { formatBudgetValue, parseThresholds } from "../budgets";
+
+const EMPTY_FORM = { siteId: "", unit: "cost", amount: "", thresholds: "80, 100" };
+
+// Setting and removing monthly budgets, and choosing which emails to receive
+const BudgetDialog = ({ sites, budgets, onClose, onChanged }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [prefs, setPrefs] = useState(null);
+
+  useEffect(() => {
+    fetchPrefs();
+  }, []);
+
+  const fetchPrefs = async () => {
+    try {
+      const data = await apiFetch("/notification-preferences", { method: "GET" });
+      setPrefs(data);
+    } catch (error) {
+      console.error("Error fetching notification preferences:", error);
+    }
+  };
+
+  // Picking a scope that already has a budget loads it for editing
+  const selectScope = (siteId) => {
+    const existing = budgets.find((b) => (b.siteId || "") === siteId);
+    setForm(
+      existing
+        ? {
+            siteId,
+            unit: existing.unit,
+            amount: existing.amount,
+            thresholds: existing.thresholds.join(", "),
+          }
+        : { ...EMPTY_FORM, siteId }
+    );
+  };
+
+  const saveBudget = async () => {
+    if (!form.amount) return alert("Enter a budget amount.");
+    try {
+      await apiFetch("/budgets", {
+        method: "PUT",
+        body: JSON.stringify({
+          siteId: form.siteId || null,
+          unit: form.unit,
+          amount: parseFloat(form.amount),
+          thresholds: parseThresholds(form.thresholds),
+        }),
+      });
+      setForm(EMPTY_FORM);
+      onChanged();
+    } catch (error) {
+      console.error("Saving budget failed:", error);
+      alert(error.message || "Failed to save budget.");
+    }
+  };
+
+  const deleteBudget = async (budget) => {
+    if (!window.confirm(`Remove the budget for ${budget.siteName || "the whole account"}?`)) return;
+    try {
+      await apiFetch(`/budgets/${budget._id}`, { method: "DELETE" });
+      onChanged();
+    } catch (error) {
+      console.error("Error deleting budget:", error);
+      alert(error.message || "Failed to delete budget.");
+    }
+  };
+
+  const updatePrefs = async (changes) => {
+    try {
+      const data = await apiFetch("/notification-preferences", {
+        method: "PUT",
+        body: JSON.stringify(changes),
+      });
+      setPrefs(data);
+    } catch (error) {
+      console.error("Updating notification preferences failed:", error);
+      alert(error.message || "Failed to update notification preferences.");
+    }
+  };
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60">
+      <div className="w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 rounded-2xl shadow-2xl bg-slate-900/95 border border-white/20 text-white space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-xl font-semibold text-sky-300 flex items-center gap-2">
+            <Target size={20} /> Monthly Budgets
+          </h2>
+          <button onClick={onClose} className="text-gray-300 hover:text-white">
+            <X size={20} />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-300">
+          Budgets are checked against metered use where your devices report it, otherwise against the estimate
+          from your appliances. An email is sent once a month for each threshold passed.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+          <select className={inputClass} value={form.siteId} onChange={(e) => selectScope(e.target.value)}>
+            <option value="" className="text-black">Whole account</option>
+            {sites.map((s) => (
+              <option key={s._id} value={s._id} className="text-black">
+                {s.name}
+              </option>
+            ))}
+          </select>
+          <select
+            className={inputClass}
+            value={form.unit}
+            onChange={(e) => setForm({ ...form, unit: e.target.value })}
+          >
+            <option value="cost" className="text-black">₹ per month</option>
+            <option value="kWh" className="text-black">kWh per month</option>
+          </select>
+          <input
+            type="number"
+            min="0"
+            placeholder="Amount"
+            className={inputClass}
+            value={form.amount}
+            onChange={(e) => setForm({ ...form, amount: e.target.value })}
+          />
+          <input
+            placeholder="Alerts at %, e.g. 80, 100"
+            title="Alert thresholds as % of the budget"
+            className={inputClass}
+            value={form.thresholds}
+            onChange={(e) => setForm({ ...form, thresholds: e.target.value })}
+          />
+          <button
+            onClick={saveBudget}
+            className="bg-sky-500/80 hover:bg-sky-600 text-white py-2 text-sm rounded-lg transition-all duration-300"
+          >
+            Save Budget
+          </button>
+        </div>
+
+        <ul className="space-y-2">
+          {budgets.map((b) => (
+            <li
+              key={b._id}
+              className="flex justify-between items-center bg-white/10 border border-white/20 rounded-lg px-4 py-3"
+            >
+              <div>
+                <p className="font-medium">
+                  {b.siteName || "Whole account"} · {formatBudgetValue(b.unit, b.amount)}
+                </p>
+                <p className="text-xs text-gray-300">
+                  {b.progress.percent.toFixed(0)}% used this month · alerts at {b.thresholds.join("%, ")}%
+                </p>
+              </div>
+              <div className="flex gap-4 text-sm">
+                <button onClick={() => selectScope(b.siteId || "")} className="text-sky-300 hover:text-sky-500">
+                  Edit
+                </button>
+                <button onClick={() => deleteBudget(b)} className="text-red-400 hover:text-red-600">
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+          {budgets.length === 0 && <li className="text-center py-4 text-gray-300">No budgets set.</li>}
+        </ul>
+
+        {prefs && (
+          <div className="border-t border-white/20 pt-4 space-y-2 text-sm">
+            <h3 className="font-semibold text-sky-300">Email notifications</h3>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={prefs.budgetAlerts}
+                onChange={(e) => updatePrefs({ budgetAlerts: e.target.checked })}
+              />
+              Budget alerts when a threshold is passed
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={prefs.monthlyDigest}
+                onChange={(e) => updatePrefs({ monthlyDigest: e.target.checked })}
+              />
+              Monthly summary of consumption and budgets
+            </label>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BudgetDialog;
@@ -0,0 +1,59 @@
+import React from "react";
+import { Target } from "lucide-react";
+import { formatBudgetValue } from "../budgets";
+
+const STATUS_COLORS = { ok: "bg-green-400", warning: "bg-yellow-400", over: "bg-red-500" };
+
+// This month's use against each budget from GET /api/budgets
+const BudgetProgress = ({ budgets, onManage }) => (
+  <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl space-y-4">
+    <div className="flex justify-between items-center">
+      <h2 className="text-xl font-semibold text-sky-300 flex items-center gap-2">
+        <Target size={20} /> Monthly Budget
+      </h2>
+      <button
+        onClick={onManage}
+        className="bg-sky-500/80 hover:bg-sky-600 text-white px-4 py-2 text-sm rounded-lg transition-all duration-300"
+      >
+        {budgets.length > 0 ? "Manage" : "Set Budget"}
+      </button>
+    </div>
+
+    {budgets.length === 0 && (
+      <p className="text-sm text-gray-300">
+        Set a monthly budget in ₹ or kWh to track this month's use and get an email as it fills up.
+      </p>
+    )}
+
+    {budgets.map(({ _id, siteName, unit, amount, thresholds, progress }) => (
+      <div key={_id} className="space-y-1">
+        <div className="flex justify-between text-sm">
+          <span className="font-medium">{siteName || "Whole account"}</span>
+          <span>
+            {formatBudgetValue(unit, progress.used)} of {formatBudgetValue(unit, amount)} ·{" "}
+            <strong>{progress.percent.toFixed(0)}%</strong>
+          </span>
+        </div>
+        <div className="relative h-3 rounded-full bg-white/10 overflow-hidden">
+          <div
+            className={`h-full ${STATUS_COLORS[progress.status]}`}
+            style={{ width: `${Math.min(progress.percent, 100)}%` }}
+          />
+          {thresholds
+            .filter((t) => t < 100)
+            .map((t) => (
+              <div key={t} className="absolute top-0 h-full w-px bg-white/60" style={{ left: `${t}%` }} />
+            ))}
+        </div>
+        <p className="text-xs text-gray-300">
+          {progress.basis === "actual"
+            ? `Metered so far this month; on track for ${formatBudgetValue(unit, progress.projected)} (${progress.projectedPercent.toFixed(0)}%).`
+            : "Estimated from your appliances; connect devices to track metered use."}{" "}
+          Alerts at {thresholds.join("%, ")}%.
+        </p>
+      </div>
+    ))}
+  </div>
+);
+
+export default BudgetProgress;
@@ -1,6 +1,59 @@
-import React, { useState, useEffect } from "react";
-import { PlusCircle, Zap, Trash2, Info } from "lucide-react";
-import { apiFetch } from "../api";
+import React, { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  PlusCircle,
+  Zap,
+  Trash2,
+  Info,
+  PiggyBank,
+  Building2,
+  Upload,
+  Download,
+  FileText,
+  MonitorSmartphone,
+  Leaf,
+  Pencil,
+  Check,
+  X,
+  Undo2,
+  Clock,
+  Receipt,
+  Cpu,
+  Sun,
+  Gauge,
+  Users,
+  Share2,
+  UserPlus,
+  HistoryIcon,
+} from "lucide-react";
+import { apiFetch, apiDownload } from "../api";
+import { parseWindows, formatWindows, windowHours } from "../usageWindows";
+import { calculateConsumption } from "../../../shared/calculations.mjs";
+import ImportDialog from "./ImportDialog";
+import SessionsDialog from "./SessionsDialog";
+import SharesDialog from "./SharesDialog";
+import BudgetDialog from "./BudgetDialog";
+import BudgetProgress from "./BudgetProgress";
+import Dashboard from "./Dashboard";
+import Projection from "./Projection";
+
+const EDIT_FIELDS = [
+  { key: "applianceName", label: "Name", type: "text" },
+  { key: "rating", label: "Rating (W)", type: "number" },
+  { key: "hourlyUsage", label: "Hours / Day", type: "number" },
+  { key: "quantity", label: "Qty", type: "number" },
+  { key: "dayFrequency", label: "Days / Week", type: "number" },
+  { key: "unitRate", label: "Unit Rate (₹)", type: "number" },
+  { key: "dutyCycle", label: "Duty Cycle (%)", type: "number" },
+  { key: "standbyWatts", label: "Standby (W)", type: "number" },
+  { key: "usageWindows", label: "Usage Windows", type: "text" },
+];
+const UNDO_WINDOW_MS = 8000;
+
+const DEFAULT_ADVANCED = { open: false, dutyCycle: 100, standbyWatts: 0 };
+
+// The server's own formulas, so an edit shows up before the PATCH returns
+const recalculate = (a) => ({ ...a, ...calculateConsumption(a) });
 
 const Calculator = () => {
   const [appliances, setAppliances] = useState([]);
@@ -13,11 +66,235 @@ const Calculator = () => {
     unitRate: "", // new field
   });
   const [showTooltip, setShowTooltip] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [catalogEntry, setCatalogEntry] = useState(null);
+  const [starVariant, setStarVariant] = useState("");
+  const searchTimer = useRef(null);
+  const [sites, setSites] = useState([]);
+  const [zones, setZones] = useState([]);
+  const [siteSummary, setSiteSummary] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [measured, setMeasured] = useState({}); // applianceId → metered consumption
+  const [selectedSite, setSelectedSite] = useState(""); // "" = all sites
+  const [zoneId, setZoneId] = useState("");
+  const [schedule, setSchedule] = useState({ windows: "", flexible: false, season: "" });
+  const [advanced, setAdvanced] = useState(DEFAULT_ADVANCED);
+  const [seasonalPresets, setSeasonalPresets] = useState([]);
+  const [showImport, setShowImport] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const [showShares, setShowShares] = useState(false);
+  const [showBudgets, setShowBudgets] = useState(false);
+  const [budgets, setBudgets] = useState([]);
+  const [tariffs, setTariffs] = useState([]);
+  const [bill, setBill] = useState(null);
+  const [billShares, setBillShares] = useState({});
+  const [tariffForm, setTariffForm] = useState({ tariffId: "", sanctionedLoadKW: "" });
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState({});
+  const [lastDeleted, setLastDeleted] = useState(null);
+  const undoTimer = useRef(null);
+  const navigate = useNavigate();
 
   useEffect(() => {
     fetchAppliances();
+    fetchTariffs();
+    fetchSeasonalPresets();
+    fetchBill();
+    fetchSites();
+    fetchSiteSummary();
+    fetchSummary();
+    fetchMeasured();
+    fetchBudgets();
   }, []);
 
+  const fetchSites = async () => {
+    try {
+      const [siteData, zoneData] = await Promise.all([
+        apiFetch("/sites", { method: "GET" }),
+        apiFetch("/zones", { method: "GET" }),
+      ]);
+      setSites(siteData);
+      setZones(zoneData);
+    } catch (error) {
+      console.error("Error fetching sites:", error);
+    }
+  };
+
+  const fetchSiteSummary = async () => {
+    try {
+      const data = await apiFetch("/sites/summary", { method: "GET" });
+      setSiteSummary(data);
+    } catch (error) {
+      console.error("Error fetching site summary:", error);
+    }
+  };
+
+  const fetchSummary = async () => {
+    try {
+      const data = await apiFetch("/appliances/summary", { method: "GET" });
+      setSummary(data);
+    } catch (error) {
+      console.error("Error fetching summary:", error);
+    }
+  };
+
+  const fetchMeasured = async () => {
+    try {
+      const data = await apiFetch("/appliances/measured", { method: "GET" });
+      setMeasured(Object.fromEntries(data.map((m) => [m.applianceId, m])));
+    } catch (error) {
+      console.error("Error fetching measured consumption:", error);
+    }
+  };
+
+  const addSite = async () => {
+    const name = window.prompt("Site name (e.g., Head Office, Home):");
+    if (!name || !name.trim()) return;
+    try {
+      const site = await apiFetch("/sites", {
+        method: "POST",
+        body: JSON.stringify({ name: name.trim() }),
+      });
+      setSelectedSite(site._id);
+      setZoneId("");
+      fetchSites();
+      fetchSiteSummary();
+    } catch (error) {
+      console.error("Add site failed:", error);
+      alert(error.message || "Failed to add site.");
+    }
+  };
+
+  const addZone = async () => {
+    if (!selectedSite) return alert("Please select a site first!");
+    const name = window.prompt("Room / zone name (e.g., Kitchen, 2nd Floor):");
+    if (!name || !name.trim()) return;
+    try {
+      const zone = await apiFetch("/zones", {
+        method: "POST",
+        body: JSON.stringify({ siteId: selectedSite, name: name.trim() }),
+      });
+      setZoneId(zone._id);
+      fetchSites();
+      fetchSiteSummary();
+    } catch (error) {
+      console.error("Add zone failed:", error);
+      alert(error.message || "Failed to add room.");
+    }
+  };
+
+  // State picks the state grid factor; a custom factor overrides it for this site
+  const editSiteEmissions = async () => {
+    const site = sites.find((s) => s._id === selectedSite);
+    if (!site) return alert("Please select a site first!");
+    const state = window.prompt("State (leave blank for the national grid factor):", site.state || "");
+    if (state === null) return;
+    const factor = window.prompt(
+      "Custom grid factor in kg CO₂e per kWh (leave blank to use the state or national factor):",
+      site.gridFactor ?? ""
+    );
+    if (factor === null) return;
+    try {
+      await apiFetch(`/sites/${site._id}`, {
+        method: "PUT",
+        body: JSON.stringify({
+          state: state.trim(),
+          gridFactor: factor.trim() === "" ? null : parseFloat(factor),
+        }),
+      });
+      fetchSites();
+      fetchAppliances();
+      fetchSiteSummary();
+    } catch (error) {
+      console.error("Update site failed:", error);
+      alert(error.message || "Failed to update emission factor.");
+    }
+  };
+
+  const fetchSeasonalPresets = async () => {
+    try {
+      const data = await apiFetch("/seasonal-presets", { method: "GET" });
+      setSeasonalPresets(data);
+    } catch (error) {
+      console.error("Error fetching seasonal presets:", error);
+    }
+  };
+
+  // Twelve comma-separated factors, January first; 1 = the hours entered
+  const addSeasonalPreset = async () => {
+    const name = window.prompt("Preset name (e.g., Office AC):");
+    if (!name || !name.trim()) return;
+    const factors = window.prompt(
+      "Usage factor for each month Jan–Dec, e.g. 0,0,0.5,1,1,1,0.8,0.8,0.8,0.5,0,0"
+    );
+    if (!factors) return;
+    const months = factors.split(",").map((f) => parseFloat(f));
+    if (months.length !== 12 || months.some((m) => isNaN(m) || m < 0))
+      return alert("Please enter 12 numbers, one per month.");
+    try {
+      const preset = await apiFetch("/seasonal-presets", {
+        method: "POST",
+        body: JSON.stringify({ name: name.trim(), months }),
+      });
+      setSchedule({ ...schedule, season: preset.key });
+      fetchSeasonalPresets();
+    } catch (error) {
+      console.error("Add preset failed:", error);
+      alert(error.message || "Failed to add preset.");
+    }
+  };
+
+  const fetchTariffs = async () => {
+    try {
+      const data = await apiFetch("/tariffs", { method: "GET" });
+      setTariffs(data);
+    } catch (error) {
+      console.error("Error fetching tariffs:", error);
+    }
+  };
+
+  const fetchBudgets = async () => {
+    try {
+      const data = await apiFetch("/budgets", { method: "GET" });
+      setBudgets(data);
+    } catch (error) {
+      console.error("Error fetching budgets:", error);
+    }
+  };
+
+  const fetchBill = async () => {
+    try {
+      const data = await apiFetch("/bill", { method: "GET" });
+      setBill(data.bill);
+      setBillShares(
+        Object.fromEntries(data.appliances.map((s) => [s.applianceId, s]))
+      );
+      setTariffForm({
+        tariffId: data.bill.tariffId || "",
+        sanctionedLoadKW: data.bill.sanctionedLoadKW ?? "",
+      });
+    } catch (error) {
+      console.error("Error fetching bill estimate:", error);
+    }
+  };
+
+  const saveTariff = async () => {
+    if (!tariffForm.tariffId) return alert("Please select a tariff!");
+    try {
+      await apiFetch("/users/me/tariff", {
+        method: "PUT",
+        body: JSON.stringify({
+          tariffId: tariffForm.tariffId,
+          sanctionedLoadKW: parseFloat(tariffForm.sanctionedLoadKW) || 0,
+        }),
+      });
+      fetchBill();
+    } catch (error) {
+      console.error("Tariff update failed:", error);
+      alert(error.message || "Failed to update tariff.");
+    }
+  };
+
   const fetchAppliances = async () => {
     try {
       const data = await apiFetch("/appliances", { method: "GET" });
@@ -28,10 +305,64 @@ const Calculator = () => {
     }
   };
 
+  // Debounced catalog lookup for the appliance name autocomplete
+  const searchCatalog = (q) => {
+    clearTimeout(searchTimer.current);
+    if (q.trim().length < 2) return setSuggestions([]);
+    searchTimer.current = setTimeout(async () => {
+      try {
+        const data = await apiFetch(`/catalog?q=${encodeURIComponent(q.trim())}`, {
+          method: "GET",
+        });
+        setSuggestions(data);
+      } catch (error) {
+        console.error("Catalog search failed:", error);
+      }
+    }, 250);
+  };
+
+  const applyCatalogEntry = (entry) => {
+    setCatalogEntry(entry);
+    setStarVariant("");
+    setSuggestions([]);
+    setForm({
+      ...form,
+      applianceName: entry.name,
+      rating: entry.typicalWatts,
+      hourlyUsage: entry.defaultHoursPerDay,
+      quantity: form.quantity || 1,
+      dayFrequency: entry.defaultDaysPerWeek,
+    });
+    setSchedule({ ...schedule, season: entry.seasonalPreset || "" });
+    setAdvanced({
+      ...advanced,
+      dutyCycle: entry.dutyCycle ?? DEFAULT_ADVANCED.dutyCycle,
+      standbyWatts: entry.standbyWatts ?? DEFAULT_ADVANCED.standbyWatts,
+    });
+  };
+
+  const applyStarVariant = (index) => {
+    setStarVariant(index);
+    if (index === "") return setForm({ ...form, rating: catalogEntry.typicalWatts });
+    setForm({ ...form, rating: catalogEntry.starVariants[index].watts });
+  };
+
   const addAppliance = async () => {
     if (Object.values(form).some((f) => f === "" || f === null))
       return alert("Please fill all fields!");
 
+    let usageWindows;
+    try {
+      usageWindows = parseWindows(schedule.windows);
+    } catch (error) {
+      return alert(error.message);
+    }
+
+    const dutyCycle = parseFloat(advanced.dutyCycle);
+    const standbyWatts = parseFloat(advanced.standbyWatts);
+    if (isNaN(dutyCycle) || isNaN(standbyWatts))
+      return alert("Please fill the duty cycle and standby power, or reset them to the defaults.");
+
     // Convert watts → kilowatts
     const ratingKW = parseFloat(form.rating) / 1000;
 
@@ -42,6 +373,17 @@ const Calculator = () => {
       quantity: parseInt(form.quantity),
       dayFrequency: parseInt(form.dayFrequency),
       unitRate: parseFloat(form.unitRate), // include unit rate
+      catalogId: catalogEntry?._id,
+      starRating:
+        catalogEntry && starVariant !== ""
+          ? catalogEntry.starVariants[starVariant].stars
+          : undefined,
+      zoneId: zoneId || undefined,
+      usageWindows,
+      flexible: schedule.flexible,
+      seasonalPreset: schedule.season || undefined,
+      dutyCycle,
+      standbyWatts,
     };
 
     try {
@@ -57,41 +399,187 @@ const Calculator = () => {
         dayFrequency: "",
         unitRate: "",
       });
+      setCatalogEntry(null);
+      setStarVariant("");
+      setSchedule({ windows: "", flexible: false, season: "" });
+      setAdvanced(DEFAULT_ADVANCED);
       fetchAppliances();
+      refreshTotals();
     } catch (error) {
       console.error("Add failed:", error);
       alert(error.message || "Failed to add appliance.");
     }
   };
 
-  const deleteAppliance = async (applianceId) => {
-    if (!window.confirm("Are you sure you want to delete this appliance?"))
-      return;
+  // Rows and totals derived from appliances are refreshed after any change
+  const refreshTotals = () => {
+    fetchBill();
+    fetchSiteSummary();
+    fetchSummary();
+    fetchBudgets();
+  };
+
+  const startEdit = (a) => {
+    setEditingId(a._id);
+    setEditForm({
+      applianceName: a.applianceName,
+      rating: +(a.rating * 1000).toFixed(2), // kW → W
+      hourlyUsage: a.hourlyUsage,
+      quantity: a.quantity,
+      dayFrequency: a.dayFrequency,
+      unitRate: a.unitRate,
+      dutyCycle: a.dutyCycle ?? 100,
+      standbyWatts: a.standbyWatts ?? 0,
+      usageWindows: formatWindows(a.usageWindows),
+      flexible: !!a.flexible,
+      seasonalPreset: a.seasonalPreset || "",
+    });
+  };
+
+  const saveEdit = async (original) => {
+    const { usageWindows: windowsText, flexible, seasonalPreset, ...fields } = editForm;
+    if (Object.values(fields).some((f) => f === "" || f === null))
+      return alert("Please fill all fields!");
+
+    let usageWindows;
     try {
-      await apiFetch(`/appliances/${applianceId}`, {
+      usageWindows = parseWindows(windowsText);
+    } catch (error) {
+      return alert(error.message);
+    }
+
+    const changes = {
+      applianceName: editForm.applianceName.trim(),
+      rating: parseFloat(editForm.rating) / 1000,
+      hourlyUsage: parseFloat(editForm.hourlyUsage),
+      quantity: parseInt(editForm.quantity),
+      dayFrequency: parseInt(editForm.dayFrequency),
+      unitRate: parseFloat(editForm.unitRate),
+      dutyCycle: parseFloat(editForm.dutyCycle),
+      standbyWatts: parseFloat(editForm.standbyWatts),
+      flexible,
+      seasonalPreset: seasonalPreset || null,
+    };
+    // Send only what changed
+    const patch = Object.fromEntries(
+      Object.entries(changes).filter(([key, value]) => value !== (original[key] ?? null))
+    );
+    if (formatWindows(usageWindows) !== formatWindows(original.usageWindows)) {
+      patch.usageWindows = usageWindows;
+      if (usageWindows.length > 0) patch.hourlyUsage = windowHours(usageWindows);
+    } else if (patch.hourlyUsage !== undefined && original.usageWindows?.length > 0) {
+      patch.usageWindows = []; // the server drops windows that no longer match the hours
+    }
+    setEditingId(null);
+    if (Object.keys(patch).length === 0) return;
+
+    // Optimistic: show the edit now, roll back if the server rejects it
+    setAppliances((list) =>
+      list.map((a) => (a._id === original._id ? recalculate({ ...a, ...patch }) : a))
+    );
+    try {
+      const updated = await apiFetch(`/appliances/${original._id}`, {
+        method: "PATCH",
+        body: JSON.stringify(patch),
+      });
+      setAppliances((list) => list.map((a) => (a._id === updated._id ? updated : a)));
+      refreshTotals();
+    } catch (error) {
+      console.error("Update failed:", error);
+      setAppliances((list) => list.map((a) => (a._id === original._id ? original : a)));
+      alert(error.message || "Failed to update appliance.");
+    }
+  };
+
+  const deleteAppliance = async (appliance) => {
+    setAppliances((list) => list.filter((a) => a._id !== appliance._id));
+    try {
+      await apiFetch(`/appliances/${appliance._id}`, {
         method: "DELETE",
       });
-      fetchAppliances();
+      refreshTotals();
+
+      clearTimeout(undoTimer.current);
+      setLastDeleted(appliance);
+      undoTimer.current = setTimeout(() => setLastDeleted(null), UNDO_WINDOW_MS);
     } catch (error) {
       console.error("Error deleting appliance:", error);
+      fetchAppliances();
       alert(error.message || "Failed to delete appliance.");
     }
   };
 
-  const handleLogout = () => {
+  // Brings the deleted appliance back as it was, with its scenarios and devices
+  const undoDelete = async () => {
+    const a = lastDeleted;
+    clearTimeout(undoTimer.current);
+    setLastDeleted(null);
+    try {
+      await apiFetch(`/appliances/${a._id}/restore`, { method: "POST" });
+      fetchAppliances();
+      refreshTotals();
+    } catch (error) {
+      console.error("Undo failed:", error);
+      alert(error.message || "Failed to restore appliance.");
+    }
+  };
+
+
+  const exportAppliances = async (format) => {
+    try {
+      await apiDownload(`/appliances/export?format=${format}`, `appliances.${format}`);
+    } catch (error) {
+      console.error("Export failed:", error);
+      alert(error.message || "Failed to export appliances.");
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch("/logout", { method: "POST" });
+    } catch (error) {
+      console.error("Logout failed:", error);
+    }
     sessionStorage.clear();
     window.location.href = "/";
   };
 
   const tooltips = {
     applianceName: "Enter the name of the appliance (e.g., Fan, TV, Fridge)",
-    rating: "Enter the power rating in watts (max 5000 W = 5 kW)",
+    rating: "Enter the power rating in watts (max 5000 W = 5 kW, or the catalog maximum)",
     hourlyUsage: "Enter how many hours per day the appliance is used (max 24)",
     quantity: "Enter the number of identical appliances",
     dayFrequency: "Enter how many days per week the appliance is used (max 7)",
     unitRate: "Enter the electricity unit rate in ₹/kWh",
   };
 
+  const ratingMax = catalogEntry ? catalogEntry.maxWatts : 5000;
+
+  // Table groups: one per room of the visible site(s), then unassigned appliances
+  const siteNames = Object.fromEntries(sites.map((s) => [s._id, s.name]));
+  const zoneTotals = Object.fromEntries(
+    (siteSummary?.sites || []).flatMap((s) => s.zones.map((z) => [z.zoneId, z]))
+  );
+  const visibleZones = zones.filter((z) => !selectedSite || z.siteId === selectedSite);
+  const visibleAppliances = appliances.filter(
+    (a) => !selectedSite || a.siteId === selectedSite
+  );
+  const groups = [
+    ...visibleZones.map((z) => ({
+      key: z._id,
+      label: selectedSite ? z.name : `${siteNames[z.siteId] || "Site"} › ${z.name}`,
+      items: visibleAppliances.filter((a) => a.zoneId === z._id),
+      totals: zoneTotals[z._id],
+    })),
+    {
+      key: "unassigned",
+      label: "Unassigned",
+      items: visibleAppliances.filter((a) => !a.zoneId),
+      totals: selectedSite ? null : siteSummary?.unassigned,
+    },
+  ].filter((g) => g.items.length > 0);
+  const currentSiteTotals = siteSummary?.sites.find((s) => s.siteId === selectedSite);
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
       <div className="absolute bottom-4 w-full flex justify-center items-center gap-2">
@@ -128,15 +616,144 @@ const Calculator = () => {
               </div>
             </div>
 
-            <button
-              onClick={handleLogout}
-              className="px-5 py-2 border border-red-500 bg-red-600 font-medium rounded-md hover:bg-red-500 text-white transition-all duration-300"
-            >
-              Logout
-            </button>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={() => navigate("/savings")}
+                className="px-5 py-2 border border-green-500 bg-green-600 font-medium rounded-md hover:bg-green-500 text-white transition-all duration-300 flex items-center gap-2"
+              >
+                <PiggyBank size={16} /> Savings
+              </button>
+              <button
+                onClick={() => navigate("/reports")}
+                className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+              >
+                <FileText size={16} /> Reports
+              </button>
+              <button
+                onClick={() => navigate("/load-profile")}
+                className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+              >
+                <Clock size={16} /> Load Profile
+              </button>
+              <button
+                onClick={() => navigate("/reconciliation")}
+                className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+              >
+                <Receipt size={16} /> Bills
+              </button>
+              <button
+                onClick={() => navigate("/devices")}
+                className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+              >
+                <Cpu size={16} /> Devices
+              </button>
+              <button
+                onClick={() => navigate("/solar")}
+                className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+              >
+                <Sun size={16} /> Solar
+              </button>
+              <button
+                onClick={() => navigate("/load-check")}
+                className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+              >
+                <Gauge size={16} /> Load
+              </button>
+              <button
+                onClick={() => navigate("/team")}
+                className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+              >
+                <UserPlus size={16} /> Team
+              </button>
+              <button
+                onClick={() => navigate("/history")}
+                className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+              >
+                <HistoryIcon size={16} /> History
+              </button>
+              {["sales", "admin"].includes(sessionStorage.getItem("role")) && (
+                <button
+                  onClick={() => navigate("/admin")}
+                  className="px-5 py-2 border border-yellow-500 bg-yellow-600 font-medium rounded-md hover:bg-yellow-500 text-white transition-all duration-300 flex items-center gap-2"
+                >
+                  <Users size={16} /> Leads
+                </button>
+              )}
+              <button
+                onClick={() => setShowShares(true)}
+                title="Share links"
+                className="px-3 py-2 border border-white/30 bg-white/10 font-medium rounded-md hover:bg-white/20 text-white transition-all duration-300"
+              >
+                <Share2 size={18} />
+              </button>
+              <button
+                onClick={() => setShowSessions(true)}
+                title="Active sessions"
+                className="px-3 py-2 border border-white/30 bg-white/10 font-medium rounded-md hover:bg-white/20 text-white transition-all duration-300"
+              >
+                <MonitorSmartphone size={18} />
+              </button>
+              <button
+                onClick={handleLogout}
+                className="px-5 py-2 border border-red-500 bg-red-600 font-medium rounded-md hover:bg-red-500 text-white transition-all duration-300"
+              >
+                Logout
+              </button>
+            </div>
           </div>
         </header>
 
+        {/* Site Section */}
+        <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 flex flex-col md:flex-row md:items-end gap-4">
+          <div className="flex flex-col">
+            <label htmlFor="siteId" className="text-sm font-semibold mb-1 text-gray-200">
+              <Building2 size={14} className="inline mr-1" /> Site
+            </label>
+            <select
+              id="siteId"
+              className="border border-white/30 bg-white/20 text-white rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none"
+              value={selectedSite}
+              onChange={(e) => {
+                setSelectedSite(e.target.value);
+                setZoneId("");
+              }}
+            >
+              <option value="" className="text-black">All sites</option>
+              {sites.map((s) => (
+                <option key={s._id} value={s._id} className="text-black">
+                  {s.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={addSite}
+            className="bg-sky-500/80 hover:bg-sky-600 text-white px-4 py-2 text-sm rounded-lg transition-all duration-300"
+          >
+            + Site
+          </button>
+          <button
+            onClick={addZone}
+            className="bg-sky-500/80 hover:bg-sky-600 text-white px-4 py-2 text-sm rounded-lg transition-all duration-300"
+          >
+            + Room
+          </button>
+          <button
+            onClick={editSiteEmissions}
+            title="Grid emission factor used for this site"
+            className="bg-white/20 hover:bg-white/30 text-white px-4 py-2 text-sm rounded-lg flex items-center gap-2 transition-all duration-300"
+          >
+            <Leaf size={16} /> Emission Factor
+          </button>
+          {currentSiteTotals && (
+            <p className="text-sm text-gray-200 md:ml-auto">
+              Site total: <strong>{currentSiteTotals.consumptionPerMonth.toFixed(2)} kWh</strong> /
+              month · <strong>₹{currentSiteTotals.monthlyCost.toFixed(2)}</strong> ·{" "}
+              <strong>{currentSiteTotals.co2PerMonth.toFixed(2)} kg CO₂e</strong>
+            </p>
+          )}
+        </div>
+
         {/* Form Section */}
         <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 mb-8 grid grid-cols-1 md:grid-cols-6 gap-4">
           {[
@@ -147,7 +764,7 @@ const Calculator = () => {
             { key: "dayFrequency", label: "Days Used / Week" },
             { key: "unitRate", label: "Unit Rate (₹)" }, // new input
           ].map(({ key, label }, i) => (
-            <div key={i} className="flex flex-col">
+            <div key={i} className="flex flex-col relative">
               <label
                 htmlFor={key}
                 className="text-sm font-semibold mb-1 text-gray-200"
@@ -164,15 +781,21 @@ const Calculator = () => {
                 value={form[key]}
                 onChange={(e) => {
                   let value = e.target.value;
-                  if (key === "rating" && value > 5000) value = 5000;
+                  if (key === "rating" && value > ratingMax) value = ratingMax;
                   if (key === "hourlyUsage" && value > 24) value = 24;
                   if (key === "dayFrequency" && value > 7) value = 7;
+                  if (key === "applianceName") {
+                    if (catalogEntry && value !== catalogEntry.name) setCatalogEntry(null);
+                    searchCatalog(value);
+                  }
                   setForm({ ...form, [key]: value });
                 }}
+                onBlur={() => key === "applianceName" && setTimeout(() => setSuggestions([]), 150)}
+                autoComplete={key === "applianceName" ? "off" : undefined}
                 min={0}
                 max={
                   key === "rating"
-                    ? 5000
+                    ? ratingMax
                     : key === "hourlyUsage"
                     ? 24
                     : key === "dayFrequency"
@@ -180,9 +803,174 @@ const Calculator = () => {
                     : undefined
                 }
               />
+
+              {key === "applianceName" && suggestions.length > 0 && (
+                <ul className="absolute top-full left-0 z-20 mt-1 w-64 max-h-60 overflow-y-auto bg-white text-black rounded-lg shadow-lg">
+                  {suggestions.map((entry) => (
+                    <li
+                      key={entry._id}
+                      onMouseDown={() => applyCatalogEntry(entry)}
+                      className="px-3 py-2 cursor-pointer hover:bg-sky-100"
+                    >
+                      <p className="font-medium">{entry.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {entry.category} · {entry.minWatts}–{entry.maxWatts} W
+                      </p>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           ))}
 
+          <div className="flex flex-col">
+            <label htmlFor="zoneId" className="text-sm font-semibold mb-1 text-gray-200">
+              Room
+            </label>
+            <select
+              id="zoneId"
+              className="border border-white/30 bg-white/20 text-white rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none"
+              value={zoneId}
+              onChange={(e) => setZoneId(e.target.value)}
+            >
+              <option value="" className="text-black">Unassigned</option>
+              {visibleZones.map((z) => (
+                <option key={z._id} value={z._id} className="text-black">
+                  {selectedSite ? z.name : `${siteNames[z.siteId] || "Site"} › ${z.name}`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex flex-col md:col-span-2">
+            <label htmlFor="usageWindows" className="text-sm font-semibold mb-1 text-gray-200">
+              Usage Windows
+            </label>
+            <input
+              id="usageWindows"
+              type="text"
+              placeholder="e.g. 6-8, 22-6"
+              title="When the appliance runs, in 24-hour clock. Sets the hours per day."
+              className="border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none"
+              value={schedule.windows}
+              onChange={(e) => {
+                setSchedule({ ...schedule, windows: e.target.value });
+                try {
+                  const windows = parseWindows(e.target.value);
+                  if (windows.length > 0) setForm({ ...form, hourlyUsage: windowHours(windows) });
+                } catch {
+                  // still typing
+                }
+              }}
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-200 md:mt-6">
+            <input
+              type="checkbox"
+              checked={schedule.flexible}
+              onChange={(e) => setSchedule({ ...schedule, flexible: e.target.checked })}
+            />
+            Flexible (can run off-peak)
+          </label>
+          <div className="flex flex-col md:col-span-2">
+            <label htmlFor="season" className="text-sm font-semibold mb-1 text-gray-200">
+              Seasonal Usage
+            </label>
+            <div className="flex gap-2">
+              <select
+                id="season"
+                title="How usage varies month to month"
+                className="flex-1 border border-white/30 bg-white/20 text-white rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none"
+                value={schedule.season}
+                onChange={(e) => setSchedule({ ...schedule, season: e.target.value })}
+              >
+                <option value="" className="text-black">Same every month</option>
+                {seasonalPresets.map((p) => (
+                  <option key={p.key} value={p.key} className="text-black">
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={addSeasonalPreset}
+                title="Define your own monthly profile"
+                className="bg-white/20 hover:bg-white/30 text-white px-3 rounded-lg text-sm"
+              >
+                + Preset
+              </button>
+            </div>
+          </div>
+
+          <button
+            type="button"
+            onClick={() => setAdvanced({ ...advanced, open: !advanced.open })}
+            className="col-span-full text-left text-sm text-sky-300 hover:text-sky-100"
+          >
+            {advanced.open ? "▾" : "▸"} Advanced: duty cycle {advanced.dutyCycle}% · standby {advanced.standbyWatts} W
+          </button>
+          {advanced.open && (
+            <>
+              <div className="flex flex-col">
+                <label htmlFor="dutyCycle" className="text-sm font-semibold mb-1 text-gray-200">
+                  Duty Cycle (%)
+                </label>
+                <input
+                  id="dutyCycle"
+                  type="number"
+                  min="1"
+                  max="100"
+                  title="Share of the running hours it draws full power, e.g. about 40% for a fridge compressor"
+                  className="border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none"
+                  value={advanced.dutyCycle}
+                  onChange={(e) => setAdvanced({ ...advanced, dutyCycle: e.target.value })}
+                />
+              </div>
+              <div className="flex flex-col">
+                <label htmlFor="standbyWatts" className="text-sm font-semibold mb-1 text-gray-200">
+                  Standby (W)
+                </label>
+                <input
+                  id="standbyWatts"
+                  type="number"
+                  min="0"
+                  title="Power drawn per unit while switched off at the remote or idle"
+                  className="border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none"
+                  value={advanced.standbyWatts}
+                  onChange={(e) => setAdvanced({ ...advanced, standbyWatts: e.target.value })}
+                />
+              </div>
+            </>
+          )}
+
+          {catalogEntry && (
+            <div className="col-span-full flex flex-col md:flex-row md:items-end gap-4">
+              {catalogEntry.starVariants?.length > 0 && (
+                <div className="flex flex-col">
+                  <label htmlFor="starVariant" className="text-sm font-semibold mb-1 text-gray-200">
+                    BEE Star Rating
+                  </label>
+                  <select
+                    id="starVariant"
+                    className="border border-white/30 bg-white/20 text-white rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none"
+                    value={starVariant}
+                    onChange={(e) => applyStarVariant(e.target.value)}
+                  >
+                    <option value="" className="text-black">Typical ({catalogEntry.typicalWatts} W)</option>
+                    {catalogEntry.starVariants.map((v, i) => (
+                      <option key={i} value={i} className="text-black">
+                        {v.label || `${v.stars}-star`} ({v.watts} W)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <p className="text-xs text-gray-300">
+                From catalog: {catalogEntry.category} · typical {catalogEntry.minWatts}–
+                {catalogEntry.maxWatts} W · standby {catalogEntry.standbyWatts} W
+              </p>
+            </div>
+          )}
+
           <button
             onClick={addAppliance}
             className="col-span-full bg-sky-500/80 hover:bg-sky-600 text-white py-2 text-sm rounded-lg items-center justify-center gap-2 transition-all duration-300 flex"
@@ -191,8 +979,71 @@ const Calculator = () => {
           </button>
         </div>
 
+        {/* Tariff Section */}
+        <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div className="flex flex-col">
+            <label htmlFor="tariffId" className="text-sm font-semibold mb-1 text-gray-200">
+              Electricity Tariff
+            </label>
+            <select
+              id="tariffId"
+              className="border border-white/30 bg-white/20 text-white rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none"
+              value={tariffForm.tariffId}
+              onChange={(e) => setTariffForm({ ...tariffForm, tariffId: e.target.value })}
+            >
+              <option value="" className="text-black">Select tariff</option>
+              {tariffs.map((t) => (
+                <option key={t._id} value={t._id} className="text-black">
+                  {t.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-col">
+            <label htmlFor="sanctionedLoadKW" className="text-sm font-semibold mb-1 text-gray-200">
+              Sanctioned Load (kW)
+            </label>
+            <input
+              id="sanctionedLoadKW"
+              type="number"
+              min={0}
+              placeholder="Sanctioned Load (kW)"
+              title="Connected load sanctioned by your DISCOM, used for fixed charges"
+              className="border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none"
+              value={tariffForm.sanctionedLoadKW}
+              onChange={(e) => setTariffForm({ ...tariffForm, sanctionedLoadKW: e.target.value })}
+            />
+          </div>
+          <button
+            onClick={saveTariff}
+            className="bg-sky-500/80 hover:bg-sky-600 text-white py-2 text-sm rounded-lg transition-all duration-300"
+          >
+            Apply Tariff
+          </button>
+        </div>
+
         {/* Table Section */}
         <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 overflow-x-auto rounded-xl">
+          <div className="flex justify-end gap-3 mb-4">
+            <button
+              onClick={() => setShowImport(true)}
+              className="px-4 py-2 text-sm bg-sky-500/80 hover:bg-sky-600 rounded-lg flex items-center gap-2 transition-all duration-300"
+            >
+              <Upload size={16} /> Import
+            </button>
+            <button
+              onClick={() => exportAppliances("csv")}
+              className="px-4 py-2 text-sm bg-white/20 hover:bg-white/30 rounded-lg flex items-center gap-2 transition-all duration-300"
+            >
+              <Download size={16} /> CSV
+            </button>
+            <button
+              onClick={() => exportAppliances("xlsx")}
+              className="px-4 py-2 text-sm bg-white/20 hover:bg-white/30 rounded-lg flex items-center gap-2 transition-all duration-300"
+            >
+              <Download size={16} /> XLSX
+            </button>
+          </div>
           <table className="min-w-full text-left border-collapse rounded-md">
             <thead className="bg-sky-600/80 text-white rounded-md">
               <tr>
@@ -201,46 +1052,280 @@ const Calculator = () => {
                 <th className="p-3">Consumption / Week (kWh)</th>
                 <th className="p-3">Monthly Consumption (kWh)</th>
                 <th className="p-3">Monthly Cost</th>
+                <th className="p-3">Standby Waste / Month</th>
+                <th className="p-3">Bill Share (Tariff)</th>
+                <th className="p-3">CO₂e / Month (kg)</th>
                 <th className="p-3 text-center">Action</th>
               </tr>
             </thead>
             <tbody>
-              {appliances.map((a) => {
-                const dailyConsumption = a.rating * a.hourlyUsage * a.quantity;
-                const weeklyConsumption = dailyConsumption * a.dayFrequency;
-                const monthlyCost = (a.unitRate || 0) * a.consumptionPerMonth; // calculate cost
-                return (
-                  <tr
-                    key={a._id}
-                    className="border-b border-white/20 hover:bg-white/10"
-                  >
-                    <td className="p-3 font-medium">{a.applianceName}</td>
-                    <td className="p-3">{dailyConsumption.toFixed(2)}</td>
-                    <td className="p-3">{weeklyConsumption.toFixed(2)}</td>
-                    <td className="p-3">{a.consumptionPerMonth.toFixed(2)}</td>
-                    <td className="p-3">₹{monthlyCost.toFixed(2)}</td>
-                    <td className="p-3 text-center">
-                      <button
-                        onClick={() => deleteAppliance(a._id)}
-                        className="text-red-400 hover:text-red-600"
-                      >
-                        <Trash2 size={18} />
-                      </button>
+              {groups.map((g) => (
+                <React.Fragment key={g.key}>
+                  <tr className="bg-white/10">
+                    <td colSpan="9" className="p-2 pl-3 font-semibold text-sky-200">
+                      {g.label}
                     </td>
                   </tr>
-                );
-              })}
-              {appliances.length === 0 && (
+                  {g.items.map((a) => {
+                    const monthlyCost = (a.unitRate || 0) * a.consumptionPerMonth; // calculate cost
+                    const metered = measured[a._id];
+                    if (editingId === a._id)
+                      return (
+                        <tr key={a._id} className="border-b border-white/20 bg-white/10">
+                          <td colSpan="8" className="p-3">
+                            <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                              {EDIT_FIELDS.map(({ key, label, type }) => (
+                                <label key={key} className="flex flex-col text-xs text-gray-300">
+                                  {label}
+                                  <input
+                                    type={type}
+                                    min={type === "number" ? 0 : undefined}
+                                    className="border border-white/30 bg-white/20 text-white rounded px-2 py-1 text-sm focus:ring-2 focus:ring-sky-400 outline-none"
+                                    value={editForm[key]}
+                                    onChange={(e) => setEditForm({ ...editForm, [key]: e.target.value })}
+                                    onKeyDown={(e) => {
+                                      if (e.key === "Enter") saveEdit(a);
+                                      if (e.key === "Escape") setEditingId(null);
+                                    }}
+                                  />
+                                </label>
+                              ))}
+                            </div>
+                            <div className="flex items-center gap-4 mt-2 text-xs text-gray-300">
+                              <label className="flex items-center gap-2">
+                                <input
+                                  type="checkbox"
+                                  checked={editForm.flexible}
+                                  onChange={(e) => setEditForm({ ...editForm, flexible: e.target.checked })}
+                                />
+                                Flexible (can run off-peak)
+                              </label>
+                              <select
+                                title="Seasonal usage"
+                                className="border border-white/30 bg-white/20 text-white rounded px-2 py-1 text-sm outline-none"
+                                value={editForm.seasonalPreset}
+                                onChange={(e) => setEditForm({ ...editForm, seasonalPreset: e.target.value })}
+                              >
+                                <option value="" className="text-black">Same every month</option>
+                                {seasonalPresets.map((p) => (
+                                  <option key={p.key} value={p.key} className="text-black">
+                                    {p.name}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                          </td>
+                          <td className="p-3">
+                            <div className="flex justify-center gap-3">
+                              <button
+                                onClick={() => saveEdit(a)}
+                                title="Save"
+                                className="text-green-400 hover:text-green-600"
+                              >
+                                <Check size={18} />
+                              </button>
+                              <button
+                                onClick={() => setEditingId(null)}
+                                title="Cancel"
+                                className="text-gray-300 hover:text-white"
+                              >
+                                <X size={18} />
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    return (
+                      <tr
+                        key={a._id}
+                        className="border-b border-white/20 hover:bg-white/10"
+                      >
+                        <td className="p-3 font-medium">
+                          {a.applianceName}
+                          {a.usageWindows?.length > 0 && (
+                            <span className="block text-xs font-normal text-gray-300">
+                              {formatWindows(a.usageWindows)}
+                              {a.flexible && " · flexible"}
+                            </span>
+                          )}
+                        </td>
+                        <td className="p-3">
+                          {a.consumptionPerDay.toFixed(2)}
+                          {metered && (
+                            <span className="block text-xs text-green-300">
+                              measured {metered.kWhPerDay.toFixed(2)}
+                            </span>
+                          )}
+                        </td>
+                        <td className="p-3">{a.consumptionPerWeek.toFixed(2)}</td>
+                        <td className="p-3">
+                          {a.consumptionPerMonth.toFixed(2)}
+                          {metered && (
+                            <span
+                              className="block text-xs text-green-300"
+                              title={`Average of ${metered.days} metered day(s), peak ${metered.maxPowerW} W`}
+                            >
+                              measured {metered.kWhPerMonth.toFixed(2)}
+                              {a.consumptionPerMonth > 0 &&
+                                ` (${metered.kWhPerMonth >= a.consumptionPerMonth ? "+" : ""}${(
+                                  ((metered.kWhPerMonth - a.consumptionPerMonth) / a.consumptionPerMonth) *
+                                  100
+                                ).toFixed(0)}%)`}
+                            </span>
+                          )}
+                        </td>
+                        <td className="p-3">₹{monthlyCost.toFixed(2)}</td>
+                        <td
+                          className="p-3"
+                          title={`${a.standbyWatts || 0} W standby · duty cycle ${a.dutyCycle ?? 100}%`}
+                        >
+                          {a.standbyPerMonth > 0
+                            ? `${a.standbyPerMonth.toFixed(2)} kWh (₹${(a.standbyPerMonth * (a.unitRate || 0)).toFixed(2)})`
+                            : "-"}
+                        </td>
+                        <td className="p-3">
+                          {billShares[a._id]
+                            ? `₹${billShares[a._id].billShare.toFixed(2)} (${billShares[a._id].share}%)`
+                            : "-"}
+                        </td>
+                        <td
+                          className="p-3"
+                          title={`${a.co2PerDay} kg/day · ${a.co2PerWeek} kg/week · ${a.co2PerYear} kg/year (${a.gridFactor} kg/kWh)`}
+                        >
+                          {a.co2PerMonth?.toFixed(2) ?? "-"}
+                        </td>
+                        <td className="p-3">
+                          <div className="flex justify-center gap-3">
+                            <button
+                              onClick={() => startEdit(a)}
+                              title="Edit"
+                              className="text-sky-300 hover:text-sky-100"
+                            >
+                              <Pencil size={18} />
+                            </button>
+                            <button
+                              onClick={() => deleteAppliance(a)}
+                              title="Delete"
+                              className="text-red-400 hover:text-red-600"
+                            >
+                              <Trash2 size={18} />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                  {g.totals && (
+                    <tr className="border-b border-white/30 text-sky-100 italic">
+                      <td className="p-3">Subtotal</td>
+                      <td className="p-3">{g.totals.consumptionPerDay.toFixed(2)}</td>
+                      <td className="p-3">{g.totals.consumptionPerWeek.toFixed(2)}</td>
+                      <td className="p-3">{g.totals.consumptionPerMonth.toFixed(2)}</td>
+                      <td className="p-3">₹{g.totals.monthlyCost.toFixed(2)}</td>
+                      <td className="p-3">{(g.totals.standbyPerMonth ?? 0).toFixed(2)} kWh</td>
+                      <td className="p-3">₹{g.totals.billShare.toFixed(2)}</td>
+                      <td className="p-3">{g.totals.co2PerMonth.toFixed(2)}</td>
+                      <td />
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+              {visibleAppliances.length === 0 && (
                 <tr>
-                  <td colSpan="6" className="text-center py-6 text-gray-300">
+                  <td colSpan="9" className="text-center py-6 text-gray-300">
                     No appliances added yet.
                   </td>
                 </tr>
               )}
             </tbody>
+            {!selectedSite && summary?.applianceCount > 0 && (
+              <tfoot>
+                <tr className="font-bold text-yellow-300 border-t-2 border-white/40">
+                  <td className="p-3">Total</td>
+                  <td className="p-3">{summary.totals.consumptionPerDay.toFixed(2)}</td>
+                  <td className="p-3">{summary.totals.consumptionPerWeek.toFixed(2)}</td>
+                  <td className="p-3">{summary.totals.consumptionPerMonth.toFixed(2)}</td>
+                  <td className="p-3">₹{summary.totals.costPerMonth.toFixed(2)}</td>
+                  <td className="p-3">
+                    {summary.totals.standbyPerMonth.toFixed(2)} kWh (₹{summary.totals.standbyCostPerMonth.toFixed(2)})
+                  </td>
+                  <td className="p-3">{bill ? `₹${bill.total.toFixed(2)}` : "-"}</td>
+                  <td className="p-3">
+                    {siteSummary
+                      ? (
+                          siteSummary.unassigned.co2PerMonth +
+                          siteSummary.sites.reduce((sum, s) => sum + s.co2PerMonth, 0)
+                        ).toFixed(2)
+                      : "-"}
+                  </td>
+                  <td />
+                </tr>
+              </tfoot>
+            )}
           </table>
         </div>
+
+        <Dashboard summary={summary} />
+
+        <Projection appliances={appliances} />
+
+        <BudgetProgress budgets={budgets} onManage={() => setShowBudgets(true)} />
+
+        {/* Bill Estimate Section */}
+        {bill && (
+          <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl">
+            <h2 className="text-xl font-semibold text-sky-300 mb-4">
+              Estimated Monthly Bill — {bill.tariffName}
+            </h2>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm">
+              <p>Total Consumption: <strong>{bill.totalUnits.toFixed(2)} kWh</strong></p>
+              <p>Energy Charge: <strong>₹{bill.energyCharge.toFixed(2)}</strong></p>
+              <p>Fixed Charge: <strong>₹{bill.fixedCharge.toFixed(2)}</strong></p>
+              <p>Fuel Surcharge: <strong>₹{bill.fuelSurcharge.toFixed(2)}</strong></p>
+              <p>Electricity Duty: <strong>₹{bill.electricityDuty.toFixed(2)}</strong></p>
+              <p>Average Rate: <strong>₹{bill.averageRate.toFixed(2)}/kWh</strong></p>
+            </div>
+            <p className="mt-4 text-lg font-bold text-yellow-300">
+              Total: ₹{bill.total.toFixed(2)}
+            </p>
+          </div>
+        )}
       </div>
+
+      {showImport && (
+        <ImportDialog
+          onClose={() => setShowImport(false)}
+          onImported={() => {
+            fetchAppliances();
+            refreshTotals();
+          }}
+        />
+      )}
+
+      {showSessions && <SessionsDialog onClose={() => setShowSessions(false)} />}
+      {showShares && <SharesDialog sites={sites} onClose={() => setShowShares(false)} />}
+      {showBudgets && (
+        <BudgetDialog
+          sites={sites}
+          budgets={budgets}
+          onClose={() => setShowBudgets(false)}
+          onChanged={fetchBudgets}
+        />
+      )}
+
+      {lastDeleted && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-5 py-3 rounded-lg shadow-2xl bg-slate-900/95 border border-white/20 text-white text-sm">
+          <span>
+            Deleted <strong>{lastDeleted.applianceName}</strong>
+          </span>
+          <button
+            onClick={undoDelete}
+            className="flex items-center gap-1 text-sky-300 hover:text-sky-100 font-semibold"
+          >
+            <Undo2 size={16} /> Undo
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,138 @@
+import React from "react";
+import { BarChart3 } from "lucide-react";
+
+const COLORS = ["#38bdf8", "#facc15", "#4ade80", "#f472b6", "#a78bfa", "#fb923c", "#2dd4bf", "#94a3b8"];
+const MAX_SLICES = 7; // the rest are grouped as "Others"
+
+// Share-of-consumption slices, smallest appliances folded into "Others"
+const buildSlices = (appliances) => {
+  const slices = appliances.slice(0, MAX_SLICES).map((a) => ({
+    label: a.applianceName,
+    share: a.share,
+  }));
+  const rest = appliances.slice(MAX_SLICES).reduce((sum, a) => sum + a.share, 0);
+  if (rest > 0) slices.push({ label: "Others", share: rest });
+  return slices;
+};
+
+const DonutChart = ({ slices }) => {
+  const radius = 60;
+  const circumference = 2 * Math.PI * radius;
+  let offset = 0;
+
+  return (
+    <svg viewBox="0 0 160 160" className="w-44 h-44 -rotate-90">
+      <circle cx="80" cy="80" r={radius} fill="none" stroke="rgba(255,255,255,0.1)" strokeWidth="24" />
+      {slices.map((s, i) => {
+        const length = (s.share / 100) * circumference;
+        const circle = (
+          <circle
+            key={s.label}
+            cx="80"
+            cy="80"
+            r={radius}
+            fill="none"
+            stroke={COLORS[i % COLORS.length]}
+            strokeWidth="24"
+            strokeDasharray={`${length} ${circumference - length}`}
+            strokeDashoffset={-offset}
+          >
+            <title>{`${s.label}: ${s.share.toFixed(1)}%`}</title>
+          </circle>
+        );
+        offset += length;
+        return circle;
+      })}
+    </svg>
+  );
+};
+
+// Headline totals and breakdown charts from GET /api/appliances/summary
+const Dashboard = ({ summary }) => {
+  if (!summary || summary.applianceCount === 0) return null;
+
+  const { totals } = summary;
+  const slices = buildSlices(summary.appliances);
+  const byCost = [...summary.appliances]
+    .sort((a, b) => b.monthlyCost - a.monthlyCost)
+    .slice(0, MAX_SLICES);
+  const maxCost = byCost[0]?.monthlyCost || 0;
+
+  const headline = [
+    { label: "Per Day", kWh: totals.consumptionPerDay, cost: totals.costPerDay },
+    { label: "Per Week", kWh: totals.consumptionPerWeek, cost: totals.costPerWeek },
+    { label: "Per Month", kWh: totals.consumptionPerMonth, cost: totals.costPerMonth },
+    { label: "Per Year", kWh: totals.consumptionPerYear, cost: totals.costPerYear },
+  ];
+
+  return (
+    <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl space-y-6">
+      <h2 className="text-xl font-semibold text-sky-300 flex items-center gap-2">
+        <BarChart3 size={20} /> Consumption Dashboard
+      </h2>
+
+      {/* Headline Totals */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {headline.map((h) => (
+          <div key={h.label} className="bg-white/10 border border-white/20 rounded-lg p-4">
+            <p className="text-sm text-gray-300">{h.label}</p>
+            <p className="text-lg font-bold">{h.kWh.toFixed(2)} kWh</p>
+            <p className="text-yellow-300 font-semibold">₹{h.cost.toFixed(2)}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Share of Consumption */}
+        <div>
+          <h3 className="font-semibold text-gray-200 mb-3">Share of Consumption</h3>
+          <div className="flex items-center gap-6">
+            <DonutChart slices={slices} />
+            <ul className="space-y-1 text-sm">
+              {slices.map((s, i) => (
+                <li key={s.label} className="flex items-center gap-2">
+                  <span
+                    className="inline-block w-3 h-3 rounded-sm"
+                    style={{ backgroundColor: COLORS[i % COLORS.length] }}
+                  />
+                  {s.label} <span className="text-gray-300">{s.share.toFixed(1)}%</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        {/* Monthly Cost */}
+        <div>
+          <h3 className="font-semibold text-gray-200 mb-3">Monthly Cost by Appliance</h3>
+          <div className="space-y-2">
+            {byCost.map((a) => (
+              <div key={a.applianceId} className="flex items-center gap-2 text-sm">
+                <span className="w-32 truncate" title={a.applianceName}>
+                  {a.applianceName}
+                </span>
+                <span className="flex-1 bg-white/10 rounded h-3">
+                  <span
+                    className="block h-3 rounded bg-sky-400"
+                    style={{ width: `${maxCost > 0 ? Math.max((a.monthlyCost / maxCost) * 100, 1) : 0}%` }}
+                  />
+                </span>
+                <span className="w-24 text-right">₹{a.monthlyCost.toFixed(2)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Top Consumers */}
+      <p className="text-sm text-gray-200">
+        Top consumers:{" "}
+        {summary.topConsumers
+          .map((a) => `${a.applianceName} (${a.share.toFixed(1)}%)`)
+          .join(", ")}
+      </p>
+    </div>
+  );
+};
+
+export default Dashboard;
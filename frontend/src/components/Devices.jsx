@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft, Cpu, KeyRound, Trash2, BarChart3, Copy } from "lucide-react";
+import { API_BASE_URL, apiFetch } from "../api";
+
+// Registry of Antar IoT meters and smart plugs, each bound to an appliance
+const Devices = () => {
+  const [devices, setDevices] = useState([]);
+  const [appliances, setAppliances] = useState([]);
+  const [form, setForm] = useState({ name: "", serial: "", applianceId: "" });
+  const [newKey, setNewKey] = useState(null); // { device, apiKey } shown once
+  const [chart, setChart] = useState(null); // { device, periods }
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchDevices();
+    fetchAppliances();
+  }, []);
+
+  const fetchDevices = async () => {
+    try {
+      const data = await apiFetch("/devices", { method: "GET" });
+      setDevices(data);
+    } catch (error) {
+      console.error("Error fetching devices:", error);
+      alert(error.message || "Error fetching devices.");
+    }
+  };
+
+  const fetchAppliances = async () => {
+    try {
+      const data = await apiFetch("/appliances", { method: "GET" });
+      setAppliances(data);
+    } catch (error) {
+      console.error("Error fetching appliances:", error);
+    }
+  };
+
+  const addDevice = async () => {
+    if (!form.name.trim() || !form.serial.trim()) return alert("Please enter a name and serial!");
+    try {
+      const device = await apiFetch("/devices", {
+        method: "POST",
+        body: JSON.stringify({
+          name: form.name.trim(),
+          serial: form.serial.trim(),
+          applianceId: form.applianceId || null,
+        }),
+      });
+      setNewKey({ device, apiKey: device.apiKey });
+      setForm({ name: "", serial: "", applianceId: "" });
+      fetchDevices();
+    } catch (error) {
+      console.error("Registering device failed:", error);
+      alert(error.message || "Failed to register device.");
+    }
+  };
+
+  const bindAppliance = async (device, applianceId) => {
+    try {
+      await apiFetch(`/devices/${device._id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ applianceId: applianceId || null }),
+      });
+      fetchDevices();
+    } catch (error) {
+      console.error("Updating device failed:", error);
+      alert(error.message || "Failed to update device.");
+    }
+  };
+
+  const rotateKey = async (device) => {
+    if (!window.confirm(`Issue a new key for ${device.name}? The current key stops working.`)) return;
+    try {
+      const { apiKey } = await apiFetch(`/devices/${device._id}/key`, { method: "POST" });
+      setNewKey({ device, apiKey });
+      fetchDevices();
+    } catch (error) {
+      console.error("Rotating key failed:", error);
+      alert(error.message || "Failed to issue a new key.");
+    }
+  };
+
+  const deleteDevice = async (device) => {
+    if (!window.confirm(`Remove ${device.name} and its measured history?`)) return;
+    try {
+      await apiFetch(`/devices/${device._id}`, { method: "DELETE" });
+      if (chart?.device._id === device._id) setChart(null);
+      fetchDevices();
+    } catch (error) {
+      console.error("Error deleting device:", error);
+      alert(error.message || "Failed to delete device.");
+    }
+  };
+
+  const showChart = async (device) => {
+    try {
+      const data = await apiFetch(`/devices/${device._id}/telemetry?granularity=hour&days=2`, {
+        method: "GET",
+      });
+      setChart({ device, periods: data.periods });
+    } catch (error) {
+      console.error("Error fetching telemetry:", error);
+      alert(error.message || "Error fetching telemetry.");
+    }
+  };
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+  const applianceNames = Object.fromEntries(appliances.map((a) => [a._id, a.applianceName]));
+  const maxKWh = chart ? Math.max(...chart.periods.map((p) => p.kWh), 0) : 0;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-5xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <Cpu className="text-yellow-400" /> Devices
+          </h1>
+          <button
+            onClick={() => navigate("/calculator")}
+            className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+          >
+            <ArrowLeft size={16} /> Calculator
+          </button>
+        </header>
+
+        {/* Register Device */}
+        <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 space-y-3">
+          <h2 className="text-xl font-semibold text-sky-300">Register a Device</h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <input
+              placeholder="Name (e.g. Geyser plug)"
+              className={inputClass}
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+            />
+            <input
+              placeholder="Serial number"
+              className={inputClass}
+              value={form.serial}
+              onChange={(e) => setForm({ ...form, serial: e.target.value })}
+            />
+            <select
+              className={inputClass}
+              value={form.applianceId}
+              onChange={(e) => setForm({ ...form, applianceId: e.target.value })}
+            >
+              <option value="" className="text-black">Not bound to an appliance</option>
+              {appliances.map((a) => (
+                <option key={a._id} value={a._id} className="text-black">
+                  {a.applianceName}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={addDevice}
+              className="bg-sky-500/80 hover:bg-sky-600 text-white py-2 text-sm rounded-lg transition-all duration-300"
+            >
+              Register
+            </button>
+          </div>
+        </div>
+
+        {newKey && (
+          <div className="bg-yellow-500/20 border border-yellow-400/40 rounded-xl p-4 space-y-2 text-sm">
+            <p>
+              API key for <strong>{newKey.device.name}</strong>. Copy it now, it will not be shown again.
+            </p>
+            <div className="flex items-center gap-2">
+              <code className="bg-black/40 rounded px-3 py-2 break-all">{newKey.apiKey}</code>
+              <button
+                onClick={() => navigator.clipboard.writeText(newKey.apiKey)}
+                title="Copy"
+                className="text-yellow-200 hover:text-white"
+              >
+                <Copy size={18} />
+              </button>
+            </div>
+            <p className="text-gray-300">
+              Devices POST {"{ readings: [{ timestamp, powerW, energyKWh }] }"} to {API_BASE_URL}/telemetry
+              with the key in the X-Api-Key header, or publish the same JSON with an "apiKey" field to the
+              MQTT topic antar/{newKey.device.serial}/telemetry.
+            </p>
+            <button onClick={() => setNewKey(null)} className="text-sky-300 hover:text-sky-100">
+              Done
+            </button>
+          </div>
+        )}
+
+        {/* Device List */}
+        <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 overflow-x-auto rounded-xl">
+          <table className="min-w-full text-left border-collapse rounded-md">
+            <thead className="bg-sky-600/80 text-white rounded-md">
+              <tr>
+                <th className="p-3">Device</th>
+                <th className="p-3">Appliance</th>
+                <th className="p-3">Key</th>
+                <th className="p-3">Last Reading</th>
+                <th className="p-3 text-center">Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {devices.map((d) => (
+                <tr key={d._id} className="border-b border-white/20 hover:bg-white/10">
+                  <td className="p-3 font-medium">
+                    {d.name}
+                    <span className="block text-xs font-normal text-gray-300">{d.serial}</span>
+                  </td>
+                  <td className="p-3">
+                    <select
+                      title={d.applianceId ? applianceNames[d.applianceId] : "Not bound"}
+                      className="border border-white/30 bg-white/20 text-white rounded px-2 py-1 text-sm outline-none"
+                      value={d.applianceId || ""}
+                      onChange={(e) => bindAppliance(d, e.target.value)}
+                    >
+                      <option value="" className="text-black">Not bound</option>
+                      {appliances.map((a) => (
+                        <option key={a._id} value={a._id} className="text-black">
+                          {a.applianceName}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="p-3 font-mono text-sm">…{d.apiKeyHint}</td>
+                  <td className="p-3 text-sm">
+                    {d.lastSeenAt ? (
+                      <>
+                        {new Date(d.lastReading?.timestamp || d.lastSeenAt).toLocaleString()}
+                        {d.lastReading?.powerW != null && (
+                          <span className="block text-xs text-gray-300">{d.lastReading.powerW} W</span>
+                        )}
+                      </>
+                    ) : (
+                      <span className="text-gray-300">No data yet</span>
+                    )}
+                  </td>
+                  <td className="p-3">
+                    <div className="flex justify-center gap-3">
+                      <button
+                        onClick={() => showChart(d)}
+                        title="Last 48 hours"
+                        className="text-sky-300 hover:text-sky-100"
+                      >
+                        <BarChart3 size={18} />
+                      </button>
+                      <button
+                        onClick={() => rotateKey(d)}
+                        title="New API key"
+                        className="text-yellow-300 hover:text-yellow-100"
+                      >
+                        <KeyRound size={18} />
+                      </button>
+                      <button
+                        onClick={() => deleteDevice(d)}
+                        title="Delete"
+                        className="text-red-400 hover:text-red-600"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+              {devices.length === 0 && (
+                <tr>
+                  <td colSpan="5" className="text-center py-6 text-gray-300">
+                    No devices registered yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Hourly Chart */}
+        {chart && (
+          <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl">
+            <h2 className="text-xl font-semibold text-sky-300 mb-4">
+              {chart.device.name}: kWh per hour, last 48 hours
+            </h2>
+            {chart.periods.length === 0 ? (
+              <p className="text-gray-300">No readings in the last 48 hours.</p>
+            ) : (
+              <div className="flex items-end gap-0.5 h-40">
+                {chart.periods.map((p) => (
+                  <div key={p.periodStart} className="flex-1 flex flex-col justify-end h-full">
+                    <div
+                      className="w-full rounded-t bg-green-400"
+                      style={{ height: `${maxKWh > 0 ? (p.kWh / maxKWh) * 100 : 0}%` }}
+                      title={`${new Date(p.periodStart).toLocaleString()}: ${p.kWh.toFixed(3)} kWh${
+                        p.avgPowerW !== null ? `, avg ${p.avgPowerW} W` : ""
+                      }`}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Devices;
@@ -0,0 +1,199 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Zap, PlusCircle, Trash2, LogIn } from "lucide-react";
+import {
+  MAX_GUEST_APPLIANCES,
+  withCalculations,
+  loadGuestAppliances,
+  saveGuestAppliances,
+} from "../guestInventory";
+
+const EMPTY_FORM = {
+  applianceName: "",
+  rating: "", // in watts
+  hourlyUsage: "",
+  quantity: "",
+  dayFrequency: "",
+  unitRate: "",
+};
+
+const FIELDS = [
+  { key: "applianceName", label: "Appliance Name", type: "text" },
+  { key: "rating", label: "Rating (W)", type: "number", min: 1, max: 5000 },
+  { key: "hourlyUsage", label: "Hours / Day", type: "number", min: 0, max: 24 },
+  { key: "quantity", label: "Quantity", type: "number", min: 1 },
+  { key: "dayFrequency", label: "Days / Week", type: "number", min: 0, max: 7 },
+  { key: "unitRate", label: "Unit Rate (₹ / kWh)", type: "number", min: 0 },
+];
+
+// Calculator without an account: appliances stay in this browser and every figure is
+// computed locally. Logging in merges them into the account (see Home).
+const GuestCalculator = () => {
+  const [appliances, setAppliances] = useState(loadGuestAppliances);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const navigate = useNavigate();
+
+  const update = (next) => {
+    setAppliances(next);
+    saveGuestAppliances(next);
+  };
+
+  const addAppliance = () => {
+    if (FIELDS.some((f) => String(form[f.key]).trim() === ""))
+      return alert("Please fill all fields!");
+    if (appliances.length >= MAX_GUEST_APPLIANCES)
+      return alert(`A guest inventory holds at most ${MAX_GUEST_APPLIANCES} appliances. Log in to add more.`);
+
+    const appliance = {
+      id: crypto.randomUUID(),
+      applianceName: form.applianceName.trim(),
+      rating: parseFloat(form.rating) / 1000, // watts → kilowatts, as the API stores it
+      hourlyUsage: parseFloat(form.hourlyUsage),
+      quantity: parseInt(form.quantity),
+      dayFrequency: parseInt(form.dayFrequency),
+      unitRate: parseFloat(form.unitRate),
+    };
+    if (
+      !(appliance.rating > 0) ||
+      !(appliance.hourlyUsage >= 0 && appliance.hourlyUsage <= 24) ||
+      !(appliance.quantity >= 1) ||
+      !(appliance.dayFrequency >= 0 && appliance.dayFrequency <= 7) ||
+      !(appliance.unitRate >= 0)
+    )
+      return alert("Please check the values: hours 0–24, days 0–7, quantity at least 1.");
+
+    update([...appliances, withCalculations(appliance)]);
+    setForm(EMPTY_FORM);
+  };
+
+  const deleteAppliance = (id) => update(appliances.filter((a) => a.id !== id));
+
+  const totals = appliances.reduce(
+    (sum, a) => ({
+      perDay: sum.perDay + a.consumptionPerDay,
+      perMonth: sum.perMonth + a.consumptionPerMonth,
+      cost: sum.cost + a.monthlyCost,
+      co2: sum.co2 + a.co2PerMonth,
+    }),
+    { perDay: 0, perMonth: 0, cost: 0, co2: 0 }
+  );
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-6xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <Zap className="text-yellow-400" /> Energy Calculator
+          </h1>
+          <button
+            onClick={() => navigate("/")}
+            className="px-5 py-2 border border-green-500 bg-green-600 font-medium rounded-md hover:bg-green-500 text-white transition-all duration-300 flex items-center gap-2"
+          >
+            <LogIn size={16} /> Log in to save
+          </button>
+        </header>
+
+        <p className="text-sm text-gray-300">
+          You are using the calculator as a guest. Appliances are kept in this browser only; log in with your
+          email to keep them, compare tariffs, find savings and download reports.
+        </p>
+
+        {/* Add Appliance */}
+        <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 grid grid-cols-1 md:grid-cols-7 gap-4 items-end">
+          {FIELDS.map((f) => (
+            <div key={f.key} className="flex flex-col">
+              <label htmlFor={`guest-${f.key}`} className="text-sm font-semibold mb-1 text-gray-200">
+                {f.label}
+              </label>
+              <input
+                id={`guest-${f.key}`}
+                type={f.type}
+                min={f.min}
+                max={f.max}
+                className={inputClass}
+                value={form[f.key]}
+                onChange={(e) => setForm({ ...form, [f.key]: e.target.value })}
+              />
+            </div>
+          ))}
+          <button
+            onClick={addAppliance}
+            className="bg-sky-500/80 hover:bg-sky-600 text-white py-2 rounded-lg transition-all duration-300 flex items-center justify-center gap-2"
+          >
+            <PlusCircle size={16} /> Add
+          </button>
+        </div>
+
+        {/* Appliance List */}
+        <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 overflow-x-auto rounded-xl">
+          <table className="min-w-full text-left border-collapse rounded-md">
+            <thead className="bg-sky-600/80 text-white rounded-md">
+              <tr>
+                <th className="p-3">Appliance</th>
+                <th className="p-3">Rating (W)</th>
+                <th className="p-3">Usage</th>
+                <th className="p-3">kWh / Day</th>
+                <th className="p-3">kWh / Month</th>
+                <th className="p-3">Cost / Month</th>
+                <th className="p-3">CO₂ / Month</th>
+                <th className="p-3 text-center">Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {appliances.map((a) => (
+                <tr key={a.id} className="border-b border-white/20 hover:bg-white/10">
+                  <td className="p-3 font-medium">
+                    {a.applianceName}
+                    {a.quantity > 1 && <span className="text-gray-300"> × {a.quantity}</span>}
+                  </td>
+                  <td className="p-3">{+(a.rating * 1000).toFixed(2)}</td>
+                  <td className="p-3">
+                    {a.hourlyUsage} h × {a.dayFrequency} days
+                  </td>
+                  <td className="p-3">{a.consumptionPerDay.toFixed(2)}</td>
+                  <td className="p-3">{a.consumptionPerMonth.toFixed(2)}</td>
+                  <td className="p-3">₹{a.monthlyCost.toFixed(2)}</td>
+                  <td className="p-3">{a.co2PerMonth} kg</td>
+                  <td className="p-3 text-center">
+                    <button
+                      onClick={() => deleteAppliance(a.id)}
+                      title="Delete"
+                      className="text-red-400 hover:text-red-600"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {appliances.length === 0 ? (
+                <tr>
+                  <td colSpan="8" className="text-center py-6 text-gray-300">
+                    No appliances added yet.
+                  </td>
+                </tr>
+              ) : (
+                <tr className="font-semibold">
+                  <td className="p-3" colSpan="3">
+                    Total
+                  </td>
+                  <td className="p-3">{totals.perDay.toFixed(2)}</td>
+                  <td className="p-3">{totals.perMonth.toFixed(2)}</td>
+                  <td className="p-3">₹{totals.cost.toFixed(2)}</td>
+                  <td className="p-3">{totals.co2.toFixed(2)} kg</td>
+                  <td />
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GuestCalculator;
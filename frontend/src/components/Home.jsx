@@ -1,7 +1,8 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { Mail, User, ShieldCheck, Eye, EyeOff } from "lucide-react";
 import { apiFetch } from "../api";
+import { syncGuestAppliances } from "../guestInventory";
 
 const Home = () => {
   const [name, setName] = useState("");
@@ -9,19 +10,39 @@ const Home = () => {
   const [otp, setOtp] = useState("");
   const [isOtpSent, setIsOtpSent] = useState(false);
   const [showOtp, setShowOtp] = useState(false); // 👁️ toggle state
+  const [otpLength, setOtpLength] = useState(6);
+  const [cooldown, setCooldown] = useState(0); // seconds until a resend is allowed
+  const [notice, setNotice] = useState("");
   const navigate = useNavigate();
 
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timer = setTimeout(() => setCooldown((c) => c - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  const lockedNotice = (error) =>
+    `${error.message}. Try again after ${new Date(error.data.lockedUntil).toLocaleTimeString()}.`;
+
   const send_otp = async () => {
     if (!name || !mail) return alert("Please enter your name and email!");
     try {
-      await apiFetch("/send-otp", {
+      const result = await apiFetch("/send-otp", {
         method: "POST",
         body: JSON.stringify({ mail, name }),
       });
       setIsOtpSent(true);
+      setOtpLength(result.otpLength || otpLength);
+      setCooldown(result.resendAvailableIn || 0);
+      setNotice("");
       alert("OTP sent successfully!");
     } catch (error) {
       console.error(error);
+      if (error.status === 423) return setNotice(lockedNotice(error));
+      if (error.status === 429) {
+        if (error.data?.retryAfter) setCooldown(error.data.retryAfter);
+        return setNotice(error.message);
+      }
       alert(error.message || "Network error while sending OTP.");
     }
   };
@@ -36,13 +57,38 @@ const Home = () => {
 
       // store jwt & user info
       sessionStorage.setItem("token", result.token);
+      sessionStorage.setItem("refreshToken", result.refreshToken);
       sessionStorage.setItem("userId", result.userId);
       sessionStorage.setItem("name", result.name);
       sessionStorage.setItem("mail", result.mail);
+      sessionStorage.setItem("role", result.role || "user");
+
+      // Appliances added as a guest join the account; on failure they stay in the browser
+      try {
+        const synced = await syncGuestAppliances();
+        if (synced && (synced.created > 0 || synced.rejected.length > 0))
+          alert(
+            `${synced.created} appliance(s) from your guest session were added to your account.` +
+              (synced.rejected.length > 0
+                ? ` ${synced.rejected.length} could not be added and stay in this browser; correct them in the guest calculator.`
+                : "")
+          );
+      } catch (error) {
+        console.error("Syncing guest appliances failed:", error);
+        alert("Your guest appliances could not be added yet. They stay in this browser for your next login.");
+      }
 
       navigate("/calculator");
     } catch (error) {
       console.error(error);
+      if (error.status === 423) return setNotice(lockedNotice(error));
+      if (error.data?.attemptsRemaining !== undefined) {
+        return setNotice(
+          error.data.attemptsRemaining > 0
+            ? `${error.message}. ${error.data.attemptsRemaining} attempt(s) remaining.`
+            : error.message
+        );
+      }
       alert(error.message || "Network error while verifying OTP.");
     }
   };
@@ -106,7 +152,9 @@ const Home = () => {
                 <ShieldCheck className="absolute left-3 top-3 text-gray-300" />
                 <input
                   type={showOtp ? "text" : "password"} // 👁️ toggle type
-                  placeholder="Enter OTP"
+                  placeholder={`Enter ${otpLength}-digit OTP`}
+                  inputMode="numeric"
+                  maxLength={otpLength}
                   className="w-full bg-white/20 text-white placeholder-gray-300 border border-white/30 rounded-lg pl-10 pr-10 py-2 focus:ring-2 focus:ring-green-400 outline-none"
                   value={otp}
                   onChange={(e) => setOtp(e.target.value)}
@@ -126,8 +174,38 @@ const Home = () => {
               >
                 Verify OTP
               </button>
+
+              <p className="text-center text-sm text-gray-300">
+                {cooldown > 0 ? (
+                  `Resend code in ${cooldown}s`
+                ) : (
+                  <button
+                    type="button"
+                    onClick={send_otp}
+                    className="text-sky-300 hover:text-sky-200 underline"
+                  >
+                    Resend code
+                  </button>
+                )}
+              </p>
             </>
           )}
+
+          <p className="text-center text-sm text-gray-300">
+            <button
+              type="button"
+              onClick={() => navigate("/guest")}
+              className="text-sky-300 hover:text-sky-200 underline"
+            >
+              Try the calculator without logging in
+            </button>
+          </p>
+
+          {notice && (
+            <p className="text-center text-sm text-red-300 bg-red-900/30 border border-red-400/40 rounded-lg px-3 py-2">
+              {notice}
+            </p>
+          )}
         </div>
       </div>
     </div>
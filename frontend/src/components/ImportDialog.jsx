@@ -0,0 +1,148 @@
+import React, { useState } from "react";
+import { Upload, X } from "lucide-react";
+import { apiFetch } from "../api";
+
+// Two-step import: a dry run shows the computed rows and rejected rows,
+// then the valid rows are committed. `workspaceId` imports into a shared workspace.
+const ImportDialog = ({ workspaceId, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const upload = async (dryRun) => {
+    if (!file) return alert("Please choose a CSV or XLSX file!");
+    const formData = new FormData();
+    formData.append("file", file);
+
+    setBusy(true);
+    try {
+      const workspace = workspaceId ? `&workspaceId=${workspaceId}` : "";
+      const data = await apiFetch(`/appliances/import?dryRun=${dryRun}${workspace}`, {
+        method: "POST",
+        body: formData,
+      });
+      setResult(data);
+      if (!dryRun) {
+        alert(`${data.imported} appliance(s) imported.`);
+        onImported();
+        if (data.rejected.length === 0) onClose();
+      }
+    } catch (error) {
+      console.error("Import failed:", error);
+      alert(error.message || "Failed to import file.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60">
+      <div className="w-full max-w-4xl max-h-[90vh] overflow-y-auto p-6 rounded-2xl shadow-2xl bg-slate-900/95 border border-white/20 text-white space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-xl font-semibold text-sky-300 flex items-center gap-2">
+            <Upload size={20} /> Import Appliances
+          </h2>
+          <button onClick={onClose} className="text-gray-300 hover:text-white">
+            <X size={20} />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-300">
+          Columns: Appliance, Rating (W), Hourly Usage (hrs), Quantity, Days Used / Week,
+          Unit Rate (₹/kWh), and optionally Site and Room.
+        </p>
+
+        <div className="flex flex-col md:flex-row gap-3 md:items-center">
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={(e) => {
+              setFile(e.target.files[0] || null);
+              setResult(null);
+            }}
+            className="text-sm text-gray-200"
+          />
+          <button
+            onClick={() => upload(true)}
+            disabled={busy}
+            className="bg-sky-500/80 hover:bg-sky-600 disabled:opacity-50 text-white px-4 py-2 text-sm rounded-lg transition-all duration-300"
+          >
+            Preview
+          </button>
+          {result?.dryRun && result.valid > 0 && (
+            <button
+              onClick={() => upload(false)}
+              disabled={busy}
+              className="bg-green-500/80 hover:bg-green-600 disabled:opacity-50 text-white px-4 py-2 text-sm rounded-lg transition-all duration-300"
+            >
+              Import {result.valid} row(s)
+            </button>
+          )}
+        </div>
+
+        {result && (
+          <p className="text-sm">
+            {result.total} row(s) read · <span className="text-green-400">{result.valid} valid</span>{" "}
+            · <span className="text-red-400">{result.rejected.length} rejected</span>
+          </p>
+        )}
+
+        {result?.rejected.length > 0 && (
+          <div className="overflow-x-auto">
+            <h3 className="font-semibold text-red-300 mb-2">Rejected rows</h3>
+            <table className="min-w-full text-left text-sm border-collapse">
+              <thead className="bg-red-600/60">
+                <tr>
+                  <th className="p-2">Row</th>
+                  <th className="p-2">Appliance</th>
+                  <th className="p-2">Errors</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.rejected.map((r) => (
+                  <tr key={r.row} className="border-b border-white/20">
+                    <td className="p-2">{r.row}</td>
+                    <td className="p-2">{r.applianceName || "-"}</td>
+                    <td className="p-2">{r.errors.join("; ")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {result?.dryRun && result.preview.length > 0 && (
+          <div className="overflow-x-auto">
+            <h3 className="font-semibold text-green-300 mb-2">Preview</h3>
+            <table className="min-w-full text-left text-sm border-collapse">
+              <thead className="bg-sky-600/80">
+                <tr>
+                  <th className="p-2">Row</th>
+                  <th className="p-2">Appliance</th>
+                  <th className="p-2">Rating (W)</th>
+                  <th className="p-2">Qty</th>
+                  <th className="p-2">kWh / Month</th>
+                  <th className="p-2">Monthly Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.preview.map((a) => (
+                  <tr key={a.row} className="border-b border-white/20">
+                    <td className="p-2">{a.row}</td>
+                    <td className="p-2">{a.applianceName}</td>
+                    <td className="p-2">{(a.rating * 1000).toFixed(0)}</td>
+                    <td className="p-2">{a.quantity}</td>
+                    <td className="p-2">{a.consumptionPerMonth.toFixed(2)}</td>
+                    <td className="p-2">₹{a.monthlyCost.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
@@ -0,0 +1,427 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft, HistoryIcon, Camera, GitCompareArrows, Trash2 } from "lucide-react";
+import { apiFetch } from "../api";
+
+const FIELD_LABELS = {
+  applianceName: "Name",
+  siteId: "Site",
+  zoneId: "Room",
+  rating: "Rating",
+  hourlyUsage: "Hours / day",
+  quantity: "Quantity",
+  dayFrequency: "Days / week",
+  unitRate: "Unit rate",
+  catalogId: "Catalog model",
+  starRating: "Stars",
+  usageWindows: "Usage windows",
+  flexible: "Flexible",
+  seasonalPreset: "Seasonal preset",
+  dutyCycle: "Duty cycle",
+  standbyWatts: "Standby",
+  consumptionPerMonth: "kWh / month",
+  monthlyCost: "Cost / month",
+  site: "Site",
+  room: "Room",
+};
+const ACTION_STYLES = {
+  create: "bg-green-500/30 text-green-200",
+  update: "bg-sky-500/30 text-sky-200",
+  delete: "bg-red-500/30 text-red-200",
+  restore: "bg-yellow-500/30 text-yellow-200",
+};
+
+const formatDate = (date) => new Date(date).toLocaleString("en-IN");
+const signed = (n, digits = 2) => `${n > 0 ? "+" : ""}${n.toFixed(digits)}`;
+
+// Readable value of one audited or snapshot field
+function formatValue(field, value) {
+  if (value === null || value === undefined || value === "") return "-";
+  if (field === "rating") return `${+(value * 1000).toFixed(2)} W`;
+  if (field === "monthlyCost") return `₹${value.toFixed(2)}`;
+  if (field === "consumptionPerMonth") return value.toFixed(2);
+  if (field === "unitRate") return `₹${value}`;
+  if (field === "standbyWatts") return `${value} W`;
+  if (field === "dutyCycle") return `${value}%`;
+  if (field === "usageWindows") return value.map((w) => `${w.start}–${w.end}`).join(", ") || "-";
+  if (field === "siteId" || field === "zoneId" || field === "catalogId") return "changed";
+  return String(value);
+}
+
+// "Rating: 1500 W → 1000 W; Quantity: 2 → 3" for the given fields
+const describeFields = (fields, before, after) =>
+  fields
+    .map((f) => `${FIELD_LABELS[f] || f}: ${formatValue(f, before[f])} → ${formatValue(f, after[f])}`)
+    .join("; ");
+
+// Rating, quantity and monthly kWh of one appliance
+const summarise = (a) =>
+  `${formatValue("rating", a.rating)} × ${a.quantity}, ${formatValue(
+    "consumptionPerMonth",
+    a.consumptionPerMonth
+  )} kWh / month`;
+
+const signedRupees = (n) => `${n > 0 ? "+" : n < 0 ? "-" : ""}₹${Math.abs(n).toFixed(2)}`;
+
+// Appliance change log, named snapshots of the inventory and the difference between two of them
+const InventoryHistory = () => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [selected, setSelected] = useState(""); // "" = the user's own workspace
+  const [snapshots, setSnapshots] = useState([]);
+  const [changes, setChanges] = useState([]);
+  const [name, setName] = useState("");
+  const [pair, setPair] = useState({ base: "", target: "current" });
+  const [comparison, setComparison] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const navigate = useNavigate();
+
+  const workspace = workspaces.find((w) => w.workspaceId === selected) || null;
+  const query = selected ? `?workspaceId=${selected}` : "";
+  const canEdit = !workspace || ["owner", "editor"].includes(workspace.role);
+
+  useEffect(() => {
+    const fetchWorkspaces = async () => {
+      try {
+        const shared = await apiFetch("/workspaces", { method: "GET" });
+        // History covers the whole workspace, so site-only memberships are left out
+        setWorkspaces(shared.filter((w) => w.role));
+      } catch (error) {
+        console.error("Error fetching workspaces:", error);
+      }
+    };
+    fetchWorkspaces();
+  }, []);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const [snapshotList, changeList] = await Promise.all([
+          apiFetch(`/snapshots${query}`, { method: "GET" }),
+          apiFetch(`/appliances/history${query}`, { method: "GET" }),
+        ]);
+        setSnapshots(snapshotList);
+        setChanges(changeList);
+      } catch (error) {
+        console.error("Error fetching history:", error);
+        alert(error.message || "Error fetching history.");
+      }
+    };
+    fetchHistory();
+  }, [query, refreshKey]);
+
+  const selectWorkspace = (workspaceId) => {
+    setSelected(workspaceId);
+    setPair({ base: "", target: "current" });
+    setComparison(null);
+  };
+
+  const takeSnapshot = async () => {
+    if (!name.trim()) return alert("Please name the snapshot, e.g. Pre-audit Jan 2026.");
+    try {
+      await apiFetch("/snapshots", {
+        method: "POST",
+        body: JSON.stringify({ name: name.trim(), workspaceId: selected || undefined }),
+      });
+      setName("");
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Taking snapshot failed:", error);
+      alert(error.message || "Failed to take snapshot.");
+    }
+  };
+
+  const deleteSnapshot = async (snapshot) => {
+    if (!window.confirm(`Delete the snapshot "${snapshot.name}"?`)) return;
+    try {
+      await apiFetch(`/snapshots/${snapshot._id}`, { method: "DELETE" });
+      if ([pair.base, pair.target].includes(snapshot._id)) {
+        setPair({ base: "", target: "current" });
+        setComparison(null);
+      }
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Deleting snapshot failed:", error);
+      alert(error.message || "Failed to delete snapshot.");
+    }
+  };
+
+  const compare = async () => {
+    if (!pair.base) return alert("Please pick the snapshot to compare from.");
+    try {
+      const params = new URLSearchParams({ base: pair.base, target: pair.target });
+      if (selected) params.set("workspaceId", selected);
+      const result = await apiFetch(`/snapshots/compare?${params}`, { method: "GET" });
+      setComparison(result);
+    } catch (error) {
+      console.error("Comparing snapshots failed:", error);
+      alert(error.message || "Failed to compare snapshots.");
+    }
+  };
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-6xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <HistoryIcon className="text-yellow-400" /> Inventory History
+          </h1>
+          <button
+            onClick={() => navigate("/calculator")}
+            className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+          >
+            <ArrowLeft size={16} /> Calculator
+          </button>
+        </header>
+
+        {workspaces.length > 0 && (
+          <div className="flex items-center gap-3">
+            <label htmlFor="history-workspace" className="text-sm font-semibold text-gray-200">
+              Workspace
+            </label>
+            <select
+              id="history-workspace"
+              className={inputClass}
+              value={selected}
+              onChange={(e) => selectWorkspace(e.target.value)}
+            >
+              <option value="" className="text-black">My workspace</option>
+              {workspaces.map((w) => (
+                <option key={w.workspaceId} value={w.workspaceId} className="text-black">
+                  {w.name}'s workspace
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Snapshots */}
+        <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-sky-300 flex items-center gap-2">
+            <Camera size={18} /> Snapshots
+          </h2>
+          {canEdit && (
+            <div className="flex flex-col md:flex-row gap-3">
+              <input
+                placeholder="Snapshot name, e.g. Pre-audit Jan 2026"
+                maxLength={80}
+                className={`${inputClass} flex-1`}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+              <button
+                onClick={takeSnapshot}
+                className="bg-sky-500/80 hover:bg-sky-600 text-white px-5 py-2 text-sm rounded-lg transition-all duration-300"
+              >
+                Take Snapshot
+              </button>
+            </div>
+          )}
+          <ul className="space-y-2">
+            {snapshots.map((s) => (
+              <li
+                key={s._id}
+                className="flex justify-between items-center bg-white/10 border border-white/20 rounded-lg px-4 py-3"
+              >
+                <div>
+                  <p className="font-medium">{s.name}</p>
+                  <p className="text-xs text-gray-300">
+                    {formatDate(s.createdAt)}
+                    {s.createdBy && ` by ${s.createdBy}`} · {s.totals.applianceCount} appliances ·{" "}
+                    {s.totals.consumptionPerMonth.toFixed(2)} kWh · ₹{s.totals.monthlyCost.toFixed(2)} a month
+                  </p>
+                </div>
+                {canEdit && (
+                  <button
+                    onClick={() => deleteSnapshot(s)}
+                    title="Delete"
+                    className="text-red-400 hover:text-red-600"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                )}
+              </li>
+            ))}
+            {snapshots.length === 0 && (
+              <li className="text-center py-4 text-gray-300">
+                No snapshots yet. Take one before an audit to keep the "before" picture.
+              </li>
+            )}
+          </ul>
+        </div>
+
+        {/* Compare */}
+        {snapshots.length > 0 && (
+          <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-sky-300 flex items-center gap-2">
+              <GitCompareArrows size={18} /> Compare
+            </h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <select
+                className={inputClass}
+                value={pair.base}
+                onChange={(e) => setPair({ ...pair, base: e.target.value })}
+              >
+                <option value="" className="text-black">From…</option>
+                {snapshots.map((s) => (
+                  <option key={s._id} value={s._id} className="text-black">
+                    {s.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                className={inputClass}
+                value={pair.target}
+                onChange={(e) => setPair({ ...pair, target: e.target.value })}
+              >
+                <option value="current" className="text-black">Current inventory</option>
+                {snapshots.map((s) => (
+                  <option key={s._id} value={s._id} className="text-black">
+                    {s.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={compare}
+                className="bg-sky-500/80 hover:bg-sky-600 text-white py-2 text-sm rounded-lg transition-all duration-300"
+              >
+                Compare
+              </button>
+            </div>
+
+            {comparison && (
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  {[
+                    ["kWh / Month", signed(comparison.totals.kWhChange)],
+                    ["Change", `${signed(comparison.totals.kWhChangePercent, 1)}%`],
+                    ["Cost / Month", signedRupees(comparison.totals.costChange)],
+                    ["Saved / Year", `₹${comparison.totals.annualSavings.toFixed(0)}`],
+                  ].map(([label, value]) => (
+                    <div key={label} className="bg-white/10 border border-white/20 rounded-xl p-4">
+                      <p className="text-sm text-gray-300">{label}</p>
+                      <p className="text-2xl font-bold text-yellow-300">{value}</p>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-sm text-gray-300">
+                  From <strong>{comparison.base.name}</strong> ({comparison.base.totals.consumptionPerMonth.toFixed(2)}{" "}
+                  kWh) to <strong>{comparison.target.name}</strong> (
+                  {comparison.target.totals.consumptionPerMonth.toFixed(2)} kWh): {comparison.added.length} added,{" "}
+                  {comparison.removed.length} removed, {comparison.changed.length} changed, {comparison.unchanged}{" "}
+                  unchanged.
+                </p>
+
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-left border-collapse rounded-md text-sm">
+                    <thead className="bg-sky-600/80 text-white rounded-md">
+                      <tr>
+                        <th className="p-2">Appliance</th>
+                        <th className="p-2">Change</th>
+                        <th className="p-2">Details</th>
+                        <th className="p-2">kWh / Month</th>
+                        <th className="p-2">Cost / Month</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.removed.map((a) => (
+                        <tr key={`removed-${a.applianceId}`} className="border-b border-white/20">
+                          <td className="p-2">{a.applianceName}</td>
+                          <td className="p-2 text-red-300">Removed</td>
+                          <td className="p-2">{summarise(a)}</td>
+                          <td className="p-2">{signed(-a.consumptionPerMonth)}</td>
+                          <td className="p-2">{signedRupees(-a.monthlyCost)}</td>
+                        </tr>
+                      ))}
+                      {comparison.added.map((a) => (
+                        <tr key={`added-${a.applianceId}`} className="border-b border-white/20">
+                          <td className="p-2">{a.applianceName}</td>
+                          <td className="p-2 text-green-300">Added</td>
+                          <td className="p-2">{summarise(a)}</td>
+                          <td className="p-2">{signed(a.consumptionPerMonth)}</td>
+                          <td className="p-2">{signedRupees(a.monthlyCost)}</td>
+                        </tr>
+                      ))}
+                      {comparison.changed.map((c) => (
+                        <tr key={`changed-${c.applianceId}`} className="border-b border-white/20">
+                          <td className="p-2">{c.applianceName}</td>
+                          <td className="p-2 text-sky-300">Changed</td>
+                          <td className="p-2">
+                            {describeFields(
+                              c.fields.filter((f) => !["consumptionPerMonth", "monthlyCost"].includes(f)),
+                              c.before,
+                              c.after
+                            ) || "Usage recalculated"}
+                          </td>
+                          <td className="p-2">{signed(c.kWhChange)}</td>
+                          <td className="p-2">{signedRupees(c.costChange)}</td>
+                        </tr>
+                      ))}
+                      {comparison.added.length + comparison.removed.length + comparison.changed.length === 0 && (
+                        <tr>
+                          <td colSpan="5" className="text-center py-4 text-gray-300">
+                            No differences.
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Change Log */}
+        <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl space-y-4">
+          <h2 className="text-lg font-semibold text-sky-300">Change Log</h2>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-left border-collapse rounded-md text-sm">
+              <thead className="bg-sky-600/80 text-white rounded-md">
+                <tr>
+                  <th className="p-2">When</th>
+                  <th className="p-2">Appliance</th>
+                  <th className="p-2">Action</th>
+                  <th className="p-2">By</th>
+                  <th className="p-2">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map((c) => (
+                  <tr key={c._id} className="border-b border-white/20">
+                    <td className="p-2 whitespace-nowrap">{formatDate(c.createdAt)}</td>
+                    <td className="p-2">{c.applianceName}</td>
+                    <td className="p-2">
+                      <span className={`text-xs rounded-full px-2 py-0.5 ${ACTION_STYLES[c.action]}`}>
+                        {c.action}
+                      </span>
+                    </td>
+                    <td className="p-2">{c.actorName || "-"}</td>
+                    <td className="p-2">
+                      {c.action === "update"
+                        ? describeFields(c.changedFields, c.before, c.after)
+                        : summarise(c.after || c.before)}
+                    </td>
+                  </tr>
+                ))}
+                {changes.length === 0 && (
+                  <tr>
+                    <td colSpan="5" className="text-center py-4 text-gray-300">
+                      No changes recorded yet.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InventoryHistory;
@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft, Gauge, AlertTriangle, Pencil } from "lucide-react";
+import { apiFetch } from "../api";
+
+const STATUS_STYLES = {
+  overload: "bg-red-500/30 text-red-200",
+  "at-risk": "bg-yellow-500/30 text-yellow-200",
+  oversized: "bg-sky-500/30 text-sky-200",
+  ok: "bg-green-500/30 text-green-200",
+  unknown: "bg-white/10 text-gray-300",
+};
+const STATUS_LABELS = {
+  overload: "Overload",
+  "at-risk": "At risk",
+  oversized: "Oversized",
+  ok: "Within limit",
+  unknown: "No sanctioned load",
+};
+const BAR_COLOURS = {
+  overload: "bg-red-400",
+  "at-risk": "bg-yellow-400",
+  oversized: "bg-sky-400",
+  ok: "bg-green-400",
+  unknown: "bg-gray-400",
+};
+
+const formatRupees = (n) => `₹${n.toFixed(2)}`;
+const signedRupees = (n) => `${n > 0 ? "+" : n < 0 ? "-" : ""}₹${Math.abs(n).toFixed(2)}`;
+
+// What the connection's status means for the user
+function warningFor(c, atRiskPercent) {
+  switch (c.status) {
+    case "overload":
+      return `Estimated maximum demand is ${c.excessKW} kW above the sanctioned load. The main breaker may trip and the DISCOM may bill up to ${formatRupees(
+        c.penaltyRisk
+      )} a month in excess-demand penalties.`;
+    case "at-risk":
+      return `Maximum demand is above ${atRiskPercent}% of the sanctioned load, leaving little headroom when heavy loads run together.`;
+    case "oversized":
+      return `The sanctioned load is well above the estimated demand. Lowering it to ${c.recommendedKW} kW would change fixed charges by ${signedRupees(
+        c.fixedCharge.monthlyChange
+      )} a month.`;
+    case "unknown":
+      return c.maxDemandKW > 0 ? "Enter the sanctioned load from the electricity bill to check it." : null;
+    default:
+      return null;
+  }
+}
+
+// Connected load and diversified maximum demand against the sanctioned load
+const LoadCheck = () => {
+  const [data, setData] = useState(null);
+  const [factors, setFactors] = useState({});
+  const [proposal, setProposal] = useState(null); // { siteId, proposedKW }
+  const [refreshKey, setRefreshKey] = useState(0);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchLoadCheck = async () => {
+      try {
+        const query = proposal ? `?siteId=${proposal.siteId}&proposedKW=${proposal.proposedKW}` : "";
+        const result = await apiFetch(`/load-check${query}`, { method: "GET" });
+        setData(result);
+        setFactors(result.factors);
+      } catch (error) {
+        console.error("Error fetching load check:", error);
+        alert(error.message || "Error fetching load check.");
+      }
+    };
+    fetchLoadCheck();
+  }, [proposal, refreshKey]);
+
+  const connectionKey = (c) => c.siteId || "account";
+
+  // The account's load is saved with its tariff; a site's on the site
+  const editSanctionedLoad = async (c) => {
+    const value = window.prompt(
+      `Sanctioned load for ${c.name} in kW, as printed on the bill${c.siteId ? " (blank if it has no own connection)" : ""}:`,
+      c.sanctionedLoadKW ?? ""
+    );
+    if (value === null) return;
+    const kW = value.trim() === "" ? null : parseFloat(value);
+    if (kW !== null && !(kW >= 0)) return alert("Please enter the load in kW!");
+    if (kW === null && !c.siteId) return alert("The account needs a sanctioned load!");
+
+    try {
+      if (c.siteId) {
+        await apiFetch(`/sites/${c.siteId}`, {
+          method: "PUT",
+          body: JSON.stringify({ sanctionedLoadKW: kW }),
+        });
+      } else {
+        if (!data.tariffId) return alert("Please select a tariff in the calculator first!");
+        await apiFetch("/users/me/tariff", {
+          method: "PUT",
+          body: JSON.stringify({ tariffId: data.tariffId, sanctionedLoadKW: kW }),
+        });
+      }
+      setProposal(null);
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Update sanctioned load failed:", error);
+      alert(error.message || "Failed to update sanctioned load.");
+    }
+  };
+
+  const compareLoad = (c) => {
+    const value = window.prompt(`Compare ${c.name} with a sanctioned load of (kW):`, c.recommendedKW ?? "");
+    if (value === null) return;
+    const kW = parseFloat(value);
+    if (!(kW >= 0)) return alert("Please enter the load in kW!");
+    setProposal({ siteId: connectionKey(c), proposedKW: kW });
+  };
+
+  const saveFactors = async (next) => {
+    try {
+      await apiFetch("/diversity-factors", {
+        method: "PUT",
+        body: JSON.stringify({ factors: next }),
+      });
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Saving diversity factors failed:", error);
+      alert(error.message || "Failed to save diversity factors.");
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-5xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <Gauge className="text-yellow-400" /> Load Check
+          </h1>
+          <button
+            onClick={() => navigate("/calculator")}
+            className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+          >
+            <ArrowLeft size={16} /> Calculator
+          </button>
+        </header>
+
+        {data && (
+          <p className="text-sm text-gray-300">
+            Connected load counts every appliance at full rating. Maximum demand applies the diversity factors
+            below, since appliances in a category rarely all run at once.
+            {data.tariff ? ` Fixed charges use ${data.tariff}.` : " Select a tariff to see fixed charges."}
+          </p>
+        )}
+
+        {data?.connections.map((c) => {
+          const warning = warningFor(c, data.atRiskPercent);
+          return (
+            <div
+              key={connectionKey(c)}
+              className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl space-y-4"
+            >
+              <div className="flex flex-wrap justify-between items-center gap-3">
+                <h2 className="text-xl font-semibold text-sky-300">{c.name}</h2>
+                <span className={`px-3 py-1 rounded-full text-sm ${STATUS_STYLES[c.status]}`}>
+                  {STATUS_LABELS[c.status]}
+                </span>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div>
+                  <p className="text-sm text-gray-300">Sanctioned Load</p>
+                  <p className="text-2xl font-bold text-yellow-300 flex items-center gap-2">
+                    {c.sanctionedLoadKW !== null ? `${c.sanctionedLoadKW} kW` : "-"}
+                    <button
+                      onClick={() => editSanctionedLoad(c)}
+                      title="Edit sanctioned load"
+                      className="text-sky-300 hover:text-sky-100"
+                    >
+                      <Pencil size={16} />
+                    </button>
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-300">Connected Load</p>
+                  <p className="text-2xl font-bold text-yellow-300">{c.connectedLoadKW} kW</p>
+                  {c.connectedExceedsSanctioned && (
+                    <p className="text-xs text-gray-300">above the sanctioned load</p>
+                  )}
+                </div>
+                <div>
+                  <p className="text-sm text-gray-300">Maximum Demand</p>
+                  <p className="text-2xl font-bold text-yellow-300">{c.maxDemandKW} kW</p>
+                  {c.diversityPercent !== null && (
+                    <p className="text-xs text-gray-300">{c.diversityPercent}% of connected load</p>
+                  )}
+                </div>
+                <div>
+                  <p className="text-sm text-gray-300">Fixed Charge / Month</p>
+                  <p className="text-2xl font-bold text-yellow-300">
+                    {c.fixedCharge.current !== null ? formatRupees(c.fixedCharge.current) : "-"}
+                  </p>
+                  <p className="text-xs text-gray-300">₹{c.fixedCharge.ratePerKW} per kW</p>
+                </div>
+              </div>
+
+              {c.utilisationPercent !== null && (
+                <div>
+                  <div className="h-3 rounded-full bg-white/10 overflow-hidden">
+                    <div
+                      className={`h-full ${BAR_COLOURS[c.status]}`}
+                      style={{ width: `${Math.min(100, c.utilisationPercent)}%` }}
+                    />
+                  </div>
+                  <p className="text-xs text-gray-300 mt-1">
+                    Maximum demand is {c.utilisationPercent}% of the sanctioned load
+                  </p>
+                </div>
+              )}
+
+              {warning && (
+                <p className="flex items-start gap-2 text-sm text-yellow-200">
+                  <AlertTriangle size={16} className="mt-0.5 shrink-0" /> {warning}
+                </p>
+              )}
+
+              {c.recommendedKW !== null && (
+                <div className="text-sm text-gray-200 space-y-1">
+                  <p>
+                    Recommended sanctioned load: <strong>{c.recommendedKW} kW</strong> (10% above the maximum
+                    demand)
+                    {c.fixedCharge.monthlyChange !== null &&
+                      `, fixed charges ${signedRupees(c.fixedCharge.monthlyChange)} a month, ${signedRupees(
+                        c.fixedCharge.monthlyChange * 12
+                      )} a year`}
+                    .
+                  </p>
+                  {c.proposal && (
+                    <p>
+                      At <strong>{c.proposal.sanctionedLoadKW} kW</strong>: fixed charge{" "}
+                      {formatRupees(c.proposal.fixedCharge)} a month
+                      {c.proposal.monthlyChange !== null && ` (${signedRupees(c.proposal.monthlyChange)})`},
+                      demand at {c.proposal.utilisationPercent ?? "-"}% of it
+                      {c.proposal.excessKW > 0 &&
+                        `, ${c.proposal.excessKW} kW over with up to ${formatRupees(
+                          c.proposal.penaltyRisk
+                        )} a month in penalties`}
+                      .
+                    </p>
+                  )}
+                  <button onClick={() => compareLoad(c)} className="text-sky-300 hover:text-sky-100">
+                    Compare another sanctioned load
+                  </button>
+                </div>
+              )}
+
+              {c.categories.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-left border-collapse rounded-md text-sm">
+                    <thead className="bg-sky-600/80 text-white rounded-md">
+                      <tr>
+                        <th className="p-2">Category</th>
+                        <th className="p-2">Units</th>
+                        <th className="p-2">Connected (kW)</th>
+                        <th className="p-2">Diversity Factor</th>
+                        <th className="p-2">Demand (kW)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {c.categories.map((row) => (
+                        <tr key={row.category} className="border-b border-white/20">
+                          <td className="p-2">{row.category}</td>
+                          <td className="p-2">{row.appliances}</td>
+                          <td className="p-2">{row.connectedKW}</td>
+                          <td className="p-2">{row.factor}</td>
+                          <td className="p-2">{row.demandKW}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          );
+        })}
+
+        {/* Diversity Factors */}
+        {data && (
+          <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 space-y-4">
+            <h2 className="text-xl font-semibold text-sky-300">Diversity Factors</h2>
+            <p className="text-sm text-gray-300">
+              Share of each category's connected load expected to run at the same time, from 0 to 1.
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {Object.keys(data.defaultFactors).map((category) => (
+                <div key={category} className="flex flex-col">
+                  <label htmlFor={`factor-${category}`} className="text-sm font-semibold mb-1 text-gray-200">
+                    {category}
+                  </label>
+                  <input
+                    id={`factor-${category}`}
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    className="border border-white/30 bg-white/20 text-white rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none"
+                    value={factors[category] ?? ""}
+                    onChange={(e) => setFactors({ ...factors, [category]: e.target.value })}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={() => saveFactors(factors)}
+                className="bg-green-500/80 hover:bg-green-600 text-white px-4 py-2 text-sm rounded-lg transition-all duration-300"
+              >
+                Save Factors
+              </button>
+              <button
+                onClick={() => saveFactors({})}
+                className="bg-white/20 hover:bg-white/30 text-white px-4 py-2 text-sm rounded-lg transition-all duration-300"
+              >
+                Reset to Defaults
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoadCheck;
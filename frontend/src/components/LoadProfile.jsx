@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft, Clock, Plus, Trash2 } from "lucide-react";
+import { apiFetch } from "../api";
+import { parseWindows, formatWindows } from "../usageWindows";
+
+const BAND_COLORS = { peak: "bg-red-400", "off-peak": "bg-green-400", normal: "bg-sky-400" };
+const bandColor = (name) => BAND_COLORS[name.toLowerCase()] || "bg-yellow-400";
+
+const LoadProfile = () => {
+  const [data, setData] = useState(null);
+  const [bands, setBands] = useState([]);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchProfile();
+  }, []);
+
+  const fetchProfile = async () => {
+    try {
+      const result = await apiFetch("/load-profile", { method: "GET" });
+      setData(result);
+      setBands(
+        result.todBands.map((b) => ({
+          name: b.name,
+          hours: formatWindows([b]),
+          adjustmentPercent: b.adjustmentPercent,
+        }))
+      );
+    } catch (error) {
+      console.error(error);
+      alert(error.message || "Error fetching load profile.");
+    }
+  };
+
+  const updateBand = (index, changes) =>
+    setBands(bands.map((b, i) => (i === index ? { ...b, ...changes } : b)));
+
+  // Built-in tariffs are shared, so bands on them are saved to a personal copy
+  const saveBands = async () => {
+    if (!data.tariffId) return alert("Please select a tariff on the Calculator first!");
+
+    let todBands;
+    try {
+      todBands = bands.map((b) => {
+        const [window] = parseWindows(b.hours);
+        if (!b.name.trim() || !window) throw new Error("Every band needs a name and hours like 18-22");
+        return { name: b.name.trim(), ...window, adjustmentPercent: parseFloat(b.adjustmentPercent) || 0 };
+      });
+    } catch (error) {
+      return alert(error.message);
+    }
+
+    try {
+      const tariffs = await apiFetch("/tariffs", { method: "GET" });
+      const tariff = tariffs.find((t) => t._id === data.tariffId);
+      const payload = { ...tariff, todBands };
+
+      if (tariff.ownerId) {
+        await apiFetch(`/tariffs/${tariff._id}`, { method: "PUT", body: JSON.stringify(payload) });
+      } else {
+        const copy = await apiFetch("/tariffs", {
+          method: "POST",
+          body: JSON.stringify({ ...payload, name: `${tariff.name} (TOD)` }),
+        });
+        await apiFetch("/users/me/tariff", {
+          method: "PUT",
+          body: JSON.stringify({ tariffId: copy._id }),
+        });
+      }
+      fetchProfile();
+    } catch (error) {
+      console.error("Saving TOD bands failed:", error);
+      alert(error.message || "Failed to save TOD bands.");
+    }
+  };
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+  const maxKWh = data ? Math.max(...data.profile.map((p) => p.kWh), 0) : 0;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-5xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <Clock className="text-yellow-400" /> Load Profile
+          </h1>
+          <button
+            onClick={() => navigate("/calculator")}
+            className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+          >
+            <ArrowLeft size={16} /> Calculator
+          </button>
+        </header>
+
+        {data && (
+          <>
+            {/* Hourly Profile */}
+            <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl">
+              <h2 className="text-xl font-semibold text-sky-300 mb-4">Typical Day (kWh per hour)</h2>
+              <div className="flex items-end gap-1 h-48">
+                {data.profile.map((p) => (
+                  <div key={p.hour} className="flex-1 flex flex-col items-center justify-end h-full">
+                    <div
+                      className={`w-full rounded-t ${bandColor(p.band)}`}
+                      style={{ height: `${maxKWh > 0 ? (p.kWh / maxKWh) * 100 : 0}%` }}
+                      title={`${p.hour}:00 · ${p.kWh} kWh · ${p.band}`}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex gap-1 mt-1 text-[10px] text-gray-300">
+                {data.profile.map((p) => (
+                  <span key={p.hour} className="flex-1 text-center">
+                    {p.hour % 3 === 0 ? p.hour : ""}
+                  </span>
+                ))}
+              </div>
+            </div>
+
+            {/* Cost per Band */}
+            <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 overflow-x-auto rounded-xl">
+              <h2 className="text-xl font-semibold text-sky-300 mb-4">
+                Energy Cost by Band {data.tariffName && `— ${data.tariffName}`}
+              </h2>
+              <table className="min-w-full text-left border-collapse rounded-md">
+                <thead className="bg-sky-600/80 text-white rounded-md">
+                  <tr>
+                    <th className="p-3">Band</th>
+                    <th className="p-3">Hours</th>
+                    <th className="p-3">Rate Adjustment</th>
+                    <th className="p-3">kWh / Month</th>
+                    <th className="p-3">Cost / Month</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.bands.map((b) => (
+                    <tr key={b.name} className="border-b border-white/20 hover:bg-white/10">
+                      <td className="p-3 font-medium capitalize">{b.name}</td>
+                      <td className="p-3">{b.start === null ? "Other hours" : formatWindows([b])}</td>
+                      <td className="p-3">
+                        {b.adjustmentPercent > 0 && "+"}
+                        {b.adjustmentPercent}%
+                      </td>
+                      <td className="p-3">{b.kWhPerMonth.toFixed(2)}</td>
+                      <td className="p-3">₹{b.costPerMonth.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="mt-4 font-bold text-yellow-300">
+                Energy cost: ₹{data.energyCostPerMonth.toFixed(2)} / month
+              </p>
+            </div>
+
+            {/* Shifting Suggestions */}
+            <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl">
+              <h2 className="text-xl font-semibold text-sky-300 mb-4">Load Shifting</h2>
+              {data.suggestions.length === 0 ? (
+                <p className="text-gray-300">
+                  {data.todBands.length === 0
+                    ? "Your tariff has no time-of-day bands."
+                    : "No savings found. Mark appliances such as geysers, pumps or EV chargers as flexible to see suggestions."}
+                </p>
+              ) : (
+                <ul className="space-y-2">
+                  {data.suggestions.map((s) => (
+                    <li key={s.applianceId} className="bg-white/10 border border-white/20 rounded-lg px-4 py-3">
+                      Run <strong>{s.applianceName}</strong> during{" "}
+                      <strong>
+                        {s.targetBand}
+                        {s.targetWindow && ` (${formatWindows([s.targetWindow])})`}
+                      </strong>{" "}
+                      to save <strong className="text-green-300">₹{s.monthlySavings.toFixed(2)}</strong> / month
+                      (₹{s.annualSavings.toFixed(2)} / year).
+                      {!s.fitsWindow && (
+                        <span className="text-yellow-300"> Its run time is longer than the band.</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* TOD Bands */}
+            <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 space-y-3">
+              <h2 className="text-xl font-semibold text-sky-300">Time-of-Day Bands</h2>
+              <p className="text-sm text-gray-300">
+                Energy in a band costs the normal rate adjusted by its percentage, e.g. peak 18-22 at +20%,
+                off-peak 22-6 at -20%.
+              </p>
+              {bands.map((b, i) => (
+                <div key={i} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-center">
+                  <input
+                    placeholder="Name (e.g. peak)"
+                    className={inputClass}
+                    value={b.name}
+                    onChange={(e) => updateBand(i, { name: e.target.value })}
+                  />
+                  <input
+                    placeholder="Hours (e.g. 18-22)"
+                    className={inputClass}
+                    value={b.hours}
+                    onChange={(e) => updateBand(i, { hours: e.target.value })}
+                  />
+                  <input
+                    type="number"
+                    placeholder="Adjustment %"
+                    className={inputClass}
+                    value={b.adjustmentPercent}
+                    onChange={(e) => updateBand(i, { adjustmentPercent: e.target.value })}
+                  />
+                  <button
+                    onClick={() => setBands(bands.filter((_, j) => j !== i))}
+                    className="text-red-400 hover:text-red-600 justify-self-start"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              ))}
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setBands([...bands, { name: "", hours: "", adjustmentPercent: "" }])}
+                  className="bg-white/20 hover:bg-white/30 text-white px-4 py-2 text-sm rounded-lg flex items-center gap-2 transition-all duration-300"
+                >
+                  <Plus size={16} /> Add Band
+                </button>
+                <button
+                  onClick={saveBands}
+                  className="bg-sky-500/80 hover:bg-sky-600 text-white px-4 py-2 text-sm rounded-lg transition-all duration-300"
+                >
+                  Save Bands
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoadProfile;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from "react";
+import { CalendarDays, ChevronLeft, ChevronRight } from "lucide-react";
+import { apiFetch } from "../api";
+
+// 12-month projection from GET /api/projection. Refetches whenever the
+// appliance list changes so seasonal edits show up straight away.
+const Projection = ({ appliances }) => {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [projection, setProjection] = useState(null);
+
+  useEffect(() => {
+    const fetchProjection = async () => {
+      try {
+        const data = await apiFetch(`/projection?year=${year}`, { method: "GET" });
+        setProjection(data);
+      } catch (error) {
+        console.error("Error fetching projection:", error);
+      }
+    };
+    fetchProjection();
+  }, [year, appliances]);
+
+  if (!projection || appliances.length === 0) return null;
+
+  const maxKWh = Math.max(...projection.months.map((m) => m.kWh), 0);
+  const hasBill = projection.totals.bill !== null;
+
+  return (
+    <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold text-sky-300 flex items-center gap-2">
+          <CalendarDays size={20} /> 12-Month Projection
+        </h2>
+        <div className="flex items-center gap-2">
+          <button onClick={() => setYear(year - 1)} className="text-gray-300 hover:text-white">
+            <ChevronLeft size={18} />
+          </button>
+          <span className="font-semibold">{year}</span>
+          <button onClick={() => setYear(year + 1)} className="text-gray-300 hover:text-white">
+            <ChevronRight size={18} />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex items-end gap-2 h-40">
+        {projection.months.map((m) => (
+          <div key={m.month} className="flex-1 flex flex-col items-center justify-end h-full">
+            <div
+              className="w-full rounded-t bg-sky-400"
+              style={{ height: `${maxKWh > 0 ? (m.kWh / maxKWh) * 100 : 0}%` }}
+              title={`${m.label}: ${m.kWh} kWh over ${m.days} days`}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm text-center border-collapse">
+          <thead>
+            <tr className="text-gray-300">
+              <th className="p-1 text-left" />
+              {projection.months.map((m) => (
+                <th key={m.month} className="p-1 font-medium">
+                  {m.label}
+                </th>
+              ))}
+              <th className="p-1 font-semibold">Year</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td className="p-1 text-left text-gray-300">kWh</td>
+              {projection.months.map((m) => (
+                <td key={m.month} className="p-1">{m.kWh.toFixed(0)}</td>
+              ))}
+              <td className="p-1 font-semibold">{projection.totals.kWh.toFixed(0)}</td>
+            </tr>
+            <tr>
+              <td className="p-1 text-left text-gray-300">Cost</td>
+              {projection.months.map((m) => (
+                <td key={m.month} className="p-1">₹{m.cost.toFixed(0)}</td>
+              ))}
+              <td className="p-1 font-semibold">₹{projection.totals.cost.toFixed(0)}</td>
+            </tr>
+            {hasBill && (
+              <tr className="text-yellow-300">
+                <td className="p-1 text-left">Bill</td>
+                {projection.months.map((m) => (
+                  <td key={m.month} className="p-1">₹{m.bill.toFixed(0)}</td>
+                ))}
+                <td className="p-1 font-semibold">₹{projection.totals.bill.toFixed(0)}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {hasBill && (
+        <p className="text-xs text-gray-300">Bill: each month priced under {projection.tariffName}.</p>
+      )}
+    </div>
+  );
+};
+
+export default Projection;
@@ -0,0 +1,356 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft, Receipt, Trash2, Upload, AlertTriangle } from "lucide-react";
+import { apiFetch } from "../api";
+
+const STATUS_STYLES = {
+  unaccounted: "bg-red-500/30 text-red-200",
+  overestimated: "bg-yellow-500/30 text-yellow-200",
+  ok: "bg-green-500/30 text-green-200",
+  unknown: "bg-white/10 text-gray-300",
+};
+const STATUS_LABELS = {
+  unaccounted: "Unaccounted load",
+  overestimated: "Over-estimated",
+  ok: "Matches",
+  unknown: "Needs previous reading",
+};
+const EMPTY_READING = { period: "", kWh: "", meterReading: "", amount: "", note: "" };
+
+const formatPeriod = (period) =>
+  new Date(`${period}-01T00:00:00`).toLocaleDateString("en-IN", { month: "short", year: "numeric" });
+const orDash = (value, format) => (value === null || value === undefined ? "-" : format(value));
+const signed = (n) => `${n > 0 ? "+" : ""}${n.toFixed(2)}`;
+
+// Monthly meter readings or bills compared with the inventory's estimate
+const Reconciliation = () => {
+  const [sites, setSites] = useState([]);
+  const [siteId, setSiteId] = useState(""); // "" = account meter
+  const [data, setData] = useState(null);
+  const [reading, setReading] = useState(EMPTY_READING);
+  const [file, setFile] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchSites();
+  }, []);
+
+  useEffect(() => {
+    const fetchReconciliation = async () => {
+      try {
+        const result = await apiFetch(`/reconciliation?siteId=${siteId}`, { method: "GET" });
+        setData(result);
+      } catch (error) {
+        console.error("Error fetching reconciliation:", error);
+        alert(error.message || "Error fetching reconciliation.");
+      }
+    };
+    fetchReconciliation();
+  }, [siteId, refreshKey]);
+
+  const fetchSites = async () => {
+    try {
+      const data = await apiFetch("/sites", { method: "GET" });
+      setSites(data);
+    } catch (error) {
+      console.error("Error fetching sites:", error);
+    }
+  };
+
+  const numberOrNull = (value) => (value === "" ? null : parseFloat(value));
+
+  const saveReading = async () => {
+    if (!reading.period) return alert("Please choose the month!");
+    if (!reading.kWh && !reading.meterReading && !reading.amount)
+      return alert("Please enter the units used, the meter reading or the bill amount!");
+
+    try {
+      await apiFetch("/meter-readings", {
+        method: "POST",
+        body: JSON.stringify({
+          siteId: siteId || null,
+          period: reading.period,
+          kWh: numberOrNull(reading.kWh),
+          meterReading: numberOrNull(reading.meterReading),
+          amount: numberOrNull(reading.amount),
+          note: reading.note.trim() || undefined,
+        }),
+      });
+      setReading(EMPTY_READING);
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Saving reading failed:", error);
+      alert(error.message || "Failed to save reading.");
+    }
+  };
+
+  const deleteReading = async (id) => {
+    if (!window.confirm("Delete this reading?")) return;
+    try {
+      await apiFetch(`/meter-readings/${id}`, { method: "DELETE" });
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Error deleting reading:", error);
+      alert(error.message || "Failed to delete reading.");
+    }
+  };
+
+  const importReadings = async () => {
+    if (!file) return alert("Please choose a CSV or XLSX file!");
+    const formData = new FormData();
+    formData.append("file", file);
+
+    try {
+      const result = await apiFetch(`/meter-readings/import?siteId=${siteId}`, {
+        method: "POST",
+        body: formData,
+      });
+      const problems = result.rejected.map((r) => `Row ${r.row}: ${r.errors.join("; ")}`);
+      alert([`${result.imported} reading(s) imported.`, ...problems].join("\n"));
+      setFile(null);
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Import failed:", error);
+      alert(error.message || "Failed to import file.");
+    }
+  };
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+  const maxKWh = data
+    ? Math.max(...data.rows.flatMap((r) => [r.estimatedKWh, r.actualKWh || 0]), 0)
+    : 0;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-6xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <Receipt className="text-yellow-400" /> Bill Reconciliation
+          </h1>
+          <button
+            onClick={() => navigate("/calculator")}
+            className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+          >
+            <ArrowLeft size={16} /> Calculator
+          </button>
+        </header>
+
+        <div className="flex flex-col md:flex-row md:items-center gap-3">
+          <label htmlFor="meterSite" className="text-sm font-semibold text-gray-200">
+            Meter
+          </label>
+          <select
+            id="meterSite"
+            className="border border-white/30 bg-white/20 text-white rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none"
+            value={siteId}
+            onChange={(e) => setSiteId(e.target.value)}
+          >
+            <option value="" className="text-black">Whole account</option>
+            {sites.map((s) => (
+              <option key={s._id} value={s._id} className="text-black">
+                {s.name}
+              </option>
+            ))}
+          </select>
+          {data && (
+            <p className="text-sm text-gray-300">
+              Compared with {data.applianceCount} appliance(s)
+              {data.tariffName ? `, priced under ${data.tariffName}` : ", priced at each appliance's unit rate"}.
+            </p>
+          )}
+        </div>
+
+        {/* Record Reading */}
+        <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 space-y-3">
+          <h2 className="text-xl font-semibold text-sky-300">Record a Month</h2>
+          <p className="text-sm text-gray-300">
+            Enter the units from the bill, or the meter reading each month and the units are worked out
+            from the previous month. Saving a month again replaces it.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-6 gap-3">
+            <input
+              type="month"
+              title="Billing month"
+              className={inputClass}
+              value={reading.period}
+              onChange={(e) => setReading({ ...reading, period: e.target.value })}
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Units (kWh)"
+              className={inputClass}
+              value={reading.kWh}
+              onChange={(e) => setReading({ ...reading, kWh: e.target.value })}
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Meter reading"
+              className={inputClass}
+              value={reading.meterReading}
+              onChange={(e) => setReading({ ...reading, meterReading: e.target.value })}
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Bill amount (₹)"
+              className={inputClass}
+              value={reading.amount}
+              onChange={(e) => setReading({ ...reading, amount: e.target.value })}
+            />
+            <input
+              placeholder="Note"
+              className={inputClass}
+              value={reading.note}
+              onChange={(e) => setReading({ ...reading, note: e.target.value })}
+            />
+            <button
+              onClick={saveReading}
+              className="bg-sky-500/80 hover:bg-sky-600 text-white py-2 text-sm rounded-lg transition-all duration-300"
+            >
+              Save
+            </button>
+          </div>
+          <div className="flex flex-col md:flex-row gap-3 md:items-center pt-2">
+            <input
+              type="file"
+              accept=".csv,.xlsx"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="text-sm text-gray-200"
+            />
+            <button
+              onClick={importReadings}
+              className="bg-white/20 hover:bg-white/30 text-white px-4 py-2 text-sm rounded-lg flex items-center gap-2 transition-all duration-300"
+            >
+              <Upload size={16} /> Import CSV / XLSX
+            </button>
+            <span className="text-xs text-gray-300">
+              Columns: Month, and Units, Meter Reading or Bill Amount; optionally Site and Note.
+            </span>
+          </div>
+        </div>
+
+        {data && data.unaccountedMonths > 0 && (
+          <div className="flex items-start gap-3 bg-red-500/20 border border-red-400/40 rounded-xl p-4">
+            <AlertTriangle className="text-red-300 shrink-0" />
+            <p className="text-sm">
+              Actual use was more than {data.thresholdPercent}% above the estimate in{" "}
+              <strong>{data.unaccountedMonths}</strong> month(s), about{" "}
+              <strong>{data.totals.unaccountedKWhPerMonth.toFixed(0)} kWh</strong> a month on average. Some
+              appliances may be missing from the inventory, or their hours may be too low.
+            </p>
+          </div>
+        )}
+
+        {/* Estimated vs Actual */}
+        {data && data.rows.length > 0 && (
+          <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 overflow-x-auto rounded-xl space-y-4">
+            <h2 className="text-xl font-semibold text-sky-300">Estimated vs Actual</h2>
+            <div className="flex items-end gap-2 h-40">
+              {[...data.rows].reverse().map((r) => (
+                <div key={r.period} className="flex-1 flex items-end justify-center gap-0.5 h-full">
+                  <div
+                    className="w-1/2 rounded-t bg-sky-400"
+                    style={{ height: `${maxKWh > 0 ? (r.estimatedKWh / maxKWh) * 100 : 0}%` }}
+                    title={`${formatPeriod(r.period)} estimated: ${r.estimatedKWh} kWh`}
+                  />
+                  <div
+                    className="w-1/2 rounded-t bg-yellow-400"
+                    style={{ height: `${maxKWh > 0 ? ((r.actualKWh || 0) / maxKWh) * 100 : 0}%` }}
+                    title={`${formatPeriod(r.period)} actual: ${orDash(r.actualKWh, (v) => `${v} kWh`)}`}
+                  />
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-300">
+              <span className="inline-block w-3 h-3 bg-sky-400 rounded-sm mr-1" /> Estimated
+              <span className="inline-block w-3 h-3 bg-yellow-400 rounded-sm ml-4 mr-1" /> Actual
+            </p>
+
+            <table className="min-w-full text-left border-collapse rounded-md">
+              <thead className="bg-sky-600/80 text-white rounded-md">
+                <tr>
+                  <th className="p-3">Month</th>
+                  <th className="p-3">Estimated kWh</th>
+                  <th className="p-3">Actual kWh</th>
+                  <th className="p-3">Variance</th>
+                  <th className="p-3">Estimated Cost</th>
+                  <th className="p-3">Actual Cost</th>
+                  <th className="p-3">Cost Variance</th>
+                  <th className="p-3">Status</th>
+                  <th className="p-3 text-center">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.rows.map((r) => (
+                  <tr key={r.period} className="border-b border-white/20 hover:bg-white/10">
+                    <td className="p-3 font-medium">
+                      {formatPeriod(r.period)}
+                      {(r.note || r.source === "import") && (
+                        <span className="block text-xs font-normal text-gray-300">
+                          {[r.source === "import" && "imported", r.note].filter(Boolean).join(" · ")}
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-3">{r.estimatedKWh.toFixed(2)}</td>
+                    <td className="p-3" title={r.meterReading !== null ? `Meter reading ${r.meterReading}` : undefined}>
+                      {orDash(r.actualKWh, (v) => v.toFixed(2))}
+                    </td>
+                    <td className="p-3">
+                      {orDash(r.varianceKWh, signed)}
+                      {r.variancePercent !== null && ` (${signed(r.variancePercent)}%)`}
+                    </td>
+                    <td className="p-3">₹{r.estimatedCost.toFixed(2)}</td>
+                    <td className="p-3">{orDash(r.actualCost, (v) => `₹${v.toFixed(2)}`)}</td>
+                    <td className="p-3">{orDash(r.costVariance, (v) => `₹${signed(v)}`)}</td>
+                    <td className="p-3">
+                      <span className={`px-2 py-1 rounded text-xs ${STATUS_STYLES[r.status]}`}>
+                        {STATUS_LABELS[r.status]}
+                      </span>
+                    </td>
+                    <td className="p-3 text-center">
+                      <button
+                        onClick={() => deleteReading(r.readingId)}
+                        title="Delete"
+                        className="text-red-400 hover:text-red-600"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              {data.totals.months > 0 && (
+                <tfoot>
+                  <tr className="font-bold text-yellow-300 border-t-2 border-white/40">
+                    <td className="p-3">Total ({data.totals.months} mo)</td>
+                    <td className="p-3">{data.totals.estimatedKWh.toFixed(2)}</td>
+                    <td className="p-3">{data.totals.actualKWh.toFixed(2)}</td>
+                    <td className="p-3">
+                      {signed(data.totals.varianceKWh)}
+                      {data.totals.variancePercent !== null && ` (${signed(data.totals.variancePercent)}%)`}
+                    </td>
+                    <td colSpan="5" />
+                  </tr>
+                </tfoot>
+              )}
+            </table>
+          </div>
+        )}
+
+        {data && data.rows.length === 0 && (
+          <p className="text-center text-gray-300">
+            No readings in the last {data.months} months. Record a month or import your bill history.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Reconciliation;
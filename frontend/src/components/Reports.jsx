@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft, FileText, Download, Mail, Trash2 } from "lucide-react";
+import { apiFetch, apiDownload } from "../api";
+import { roleOn, canEdit } from "../workspaces";
+
+const Reports = () => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [selected, setSelected] = useState(""); // "" = the user's own workspace
+  const [reports, setReports] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [form, setForm] = useState({ title: "", siteId: "" });
+  const [busy, setBusy] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const navigate = useNavigate();
+
+  const workspace = workspaces.find((w) => w.workspaceId === selected) || null;
+  const query = selected ? `?workspaceId=${selected}` : "";
+  const editable = (siteId) => !workspace || canEdit(roleOn(workspace, siteId || null));
+
+  useEffect(() => {
+    const fetchWorkspaces = async () => {
+      try {
+        setWorkspaces(await apiFetch("/workspaces", { method: "GET" }));
+      } catch (error) {
+        console.error("Error fetching workspaces:", error);
+      }
+    };
+    fetchWorkspaces();
+  }, []);
+
+  useEffect(() => {
+    const fetchReports = async () => {
+      try {
+        const data = await apiFetch(`/reports${query}`, { method: "GET" });
+        setReports(data);
+      } catch (error) {
+        console.error(error);
+        alert(error.message || "Error fetching reports.");
+      }
+    };
+    fetchReports();
+  }, [query, refreshKey]);
+
+  useEffect(() => {
+    const fetchSites = async () => {
+      try {
+        const data = await apiFetch(`/sites${query}`, { method: "GET" });
+        setSites(data);
+      } catch (error) {
+        console.error("Error fetching sites:", error);
+      }
+    };
+    fetchSites();
+  }, [query]);
+
+  const selectWorkspace = (workspaceId) => {
+    setSelected(workspaceId);
+    setForm({ title: "", siteId: "" });
+  };
+
+  const generateReport = async () => {
+    const payload = {};
+    if (form.title.trim()) payload.title = form.title.trim();
+    if (form.siteId) payload.siteId = form.siteId;
+    if (selected) payload.workspaceId = selected;
+
+    setBusy(true);
+    try {
+      await apiFetch("/reports", {
+        method: "POST",
+        body: JSON.stringify(payload),
+      });
+      setForm({ title: "", siteId: "" });
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Report generation failed:", error);
+      alert(error.message || "Failed to generate report.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const downloadReport = async (report, format) => {
+    try {
+      await apiDownload(
+        `/reports/${report._id}?format=${format}`,
+        `energy-report-${report._id}.${format}`
+      );
+    } catch (error) {
+      console.error("Download failed:", error);
+      alert(error.message || "Failed to download report.");
+    }
+  };
+
+  const emailReport = async (report) => {
+    const to = window.prompt("Send report to:", sessionStorage.getItem("mail") || "");
+    if (!to) return;
+    try {
+      await apiFetch(`/reports/${report._id}/email`, {
+        method: "POST",
+        body: JSON.stringify({ to }),
+      });
+      alert("Report sent successfully!");
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Email failed:", error);
+      alert(error.message || "Failed to send report.");
+    }
+  };
+
+  const deleteReport = async (reportId) => {
+    if (!window.confirm("Are you sure you want to delete this report?"))
+      return;
+    try {
+      await apiFetch(`/reports/${reportId}`, { method: "DELETE" });
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Error deleting report:", error);
+      alert(error.message || "Failed to delete report.");
+    }
+  };
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-5xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <FileText className="text-yellow-400" /> Audit Reports
+          </h1>
+          <button
+            onClick={() => navigate("/calculator")}
+            className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+          >
+            <ArrowLeft size={16} /> Calculator
+          </button>
+        </header>
+
+        {workspaces.length > 0 && (
+          <div className="flex items-center gap-3">
+            <label htmlFor="reports-workspace" className="text-sm font-semibold text-gray-200">
+              Workspace
+            </label>
+            <select
+              id="reports-workspace"
+              className={inputClass}
+              value={selected}
+              onChange={(e) => selectWorkspace(e.target.value)}
+            >
+              <option value="" className="text-black">My workspace</option>
+              {workspaces.map((w) => (
+                <option key={w.workspaceId} value={w.workspaceId} className="text-black">
+                  {w.name}'s workspace
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Generate Form */}
+        <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div className="flex flex-col">
+            <label htmlFor="title" className="text-sm font-semibold mb-1 text-gray-200">
+              Title
+            </label>
+            <input
+              id="title"
+              type="text"
+              placeholder="Energy Audit Report"
+              className={inputClass}
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+            />
+          </div>
+          <div className="flex flex-col">
+            <label htmlFor="siteId" className="text-sm font-semibold mb-1 text-gray-200">
+              Site
+            </label>
+            <select
+              id="siteId"
+              className={inputClass}
+              value={form.siteId}
+              onChange={(e) => setForm({ ...form, siteId: e.target.value })}
+            >
+              <option value="" className="text-black">All appliances</option>
+              {sites.map((s) => (
+                <option key={s._id} value={s._id} className="text-black">
+                  {s.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={generateReport}
+            disabled={busy || !editable(form.siteId)}
+            className="bg-sky-500/80 hover:bg-sky-600 disabled:opacity-50 text-white py-2 text-sm rounded-lg transition-all duration-300"
+          >
+            {busy ? "Generating..." : "Generate Report"}
+          </button>
+        </div>
+
+        {/* Stored Reports */}
+        <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 overflow-x-auto rounded-xl">
+          <table className="min-w-full text-left border-collapse rounded-md">
+            <thead className="bg-sky-600/80 text-white rounded-md">
+              <tr>
+                <th className="p-3">Title</th>
+                <th className="p-3">Generated</th>
+                <th className="p-3">Last Emailed</th>
+                <th className="p-3 text-center">Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reports.map((r) => {
+                const lastEmail = r.emailedTo?.[r.emailedTo.length - 1];
+                return (
+                  <tr key={r._id} className="border-b border-white/20 hover:bg-white/10">
+                    <td className="p-3 font-medium">{r.title}</td>
+                    <td className="p-3">{new Date(r.createdAt).toLocaleString("en-IN")}</td>
+                    <td className="p-3">
+                      {lastEmail
+                        ? `${lastEmail.mail} (${new Date(lastEmail.sentAt).toLocaleDateString("en-IN")})`
+                        : "-"}
+                    </td>
+                    <td className="p-3">
+                      <div className="flex justify-center gap-3">
+                        <button
+                          onClick={() => downloadReport(r, "pdf")}
+                          title="Download PDF"
+                          className="text-sky-300 hover:text-sky-100 flex items-center gap-1 text-sm"
+                        >
+                          <Download size={16} /> PDF
+                        </button>
+                        <button
+                          onClick={() => downloadReport(r, "html")}
+                          title="Download HTML"
+                          className="text-sky-300 hover:text-sky-100 flex items-center gap-1 text-sm"
+                        >
+                          <Download size={16} /> HTML
+                        </button>
+                        {editable(r.siteId) && (
+                          <>
+                            <button
+                              onClick={() => emailReport(r)}
+                              title="Email report"
+                              className="text-green-300 hover:text-green-100"
+                            >
+                              <Mail size={18} />
+                            </button>
+                            <button
+                              onClick={() => deleteReport(r._id)}
+                              title="Delete report"
+                              className="text-red-400 hover:text-red-600"
+                            >
+                              <Trash2 size={18} />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+              {reports.length === 0 && (
+                <tr>
+                  <td colSpan="4" className="text-center py-6 text-gray-300">
+                    No reports generated yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Reports;
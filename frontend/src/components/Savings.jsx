@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft, PiggyBank, PlusCircle, Trash2 } from "lucide-react";
+import { apiFetch } from "../api";
+
+const emptyForm = {
+  applianceId: "",
+  proposedName: "",
+  proposedRating: "", // in watts
+  proposedHourlyUsage: "",
+  purchaseCost: "",
+};
+
+const Savings = () => {
+  const [appliances, setAppliances] = useState([]);
+  const [scenarios, setScenarios] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchAppliances();
+    fetchScenarios();
+  }, []);
+
+  const fetchAppliances = async () => {
+    try {
+      const data = await apiFetch("/appliances", { method: "GET" });
+      setAppliances(data);
+    } catch (error) {
+      console.error(error);
+      alert(error.message || "Error fetching appliances.");
+    }
+  };
+
+  const fetchScenarios = async () => {
+    try {
+      const data = await apiFetch("/scenarios", { method: "GET" });
+      setScenarios(data);
+    } catch (error) {
+      console.error(error);
+      alert(error.message || "Error fetching savings scenarios.");
+    }
+  };
+
+  const addScenario = async () => {
+    if (!form.applianceId || !form.proposedName || form.proposedRating === "" || form.purchaseCost === "")
+      return alert("Please fill all mandatory fields!");
+
+    const payload = {
+      applianceId: form.applianceId,
+      proposedName: form.proposedName.trim(),
+      proposedRating: parseFloat(form.proposedRating) / 1000, // watts → kilowatts
+      purchaseCost: parseFloat(form.purchaseCost),
+    };
+    if (form.proposedHourlyUsage !== "")
+      payload.proposedHourlyUsage = parseFloat(form.proposedHourlyUsage);
+
+    try {
+      await apiFetch("/scenarios", {
+        method: "POST",
+        body: JSON.stringify(payload),
+      });
+      setForm(emptyForm);
+      fetchScenarios();
+    } catch (error) {
+      console.error("Add scenario failed:", error);
+      alert(error.message || "Failed to add scenario.");
+    }
+  };
+
+  const deleteScenario = async (scenarioId) => {
+    if (!window.confirm("Are you sure you want to delete this scenario?"))
+      return;
+    try {
+      await apiFetch(`/scenarios/${scenarioId}`, { method: "DELETE" });
+      fetchScenarios();
+    } catch (error) {
+      console.error("Error deleting scenario:", error);
+      alert(error.message || "Failed to delete scenario.");
+    }
+  };
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-6xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <PiggyBank className="text-yellow-400" /> Savings
+          </h1>
+          <button
+            onClick={() => navigate("/calculator")}
+            className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+          >
+            <ArrowLeft size={16} /> Calculator
+          </button>
+        </header>
+
+        {/* Proposal Form */}
+        <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div className="flex flex-col">
+            <label htmlFor="applianceId" className="text-sm font-semibold mb-1 text-gray-200">
+              Current Appliance <span className="text-red-400">*</span>
+            </label>
+            <select
+              id="applianceId"
+              className={inputClass}
+              value={form.applianceId}
+              onChange={(e) => setForm({ ...form, applianceId: e.target.value })}
+            >
+              <option value="" className="text-black">Select appliance</option>
+              {appliances.map((a) => (
+                <option key={a._id} value={a._id} className="text-black">
+                  {a.applianceName} ({(a.rating * 1000).toFixed(0)} W × {a.quantity})
+                </option>
+              ))}
+            </select>
+          </div>
+          {[
+            { key: "proposedName", label: "Replacement", required: true },
+            { key: "proposedRating", label: "Rating (W)", required: true },
+            { key: "proposedHourlyUsage", label: "Hourly Usage (hrs)" },
+            { key: "purchaseCost", label: "Purchase Cost (₹)", required: true },
+          ].map(({ key, label, required }) => (
+            <div key={key} className="flex flex-col">
+              <label htmlFor={key} className="text-sm font-semibold mb-1 text-gray-200">
+                {label} {required && <span className="text-red-400">*</span>}
+              </label>
+              <input
+                id={key}
+                type={key === "proposedName" ? "text" : "number"}
+                placeholder={key === "proposedHourlyUsage" ? "Same as current" : label}
+                className={inputClass}
+                value={form[key]}
+                min={0}
+                onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+              />
+            </div>
+          ))}
+
+          <button
+            onClick={addScenario}
+            className="col-span-full bg-sky-500/80 hover:bg-sky-600 text-white py-2 text-sm rounded-lg items-center justify-center gap-2 transition-all duration-300 flex"
+          >
+            <PlusCircle size={16} /> Propose Upgrade
+          </button>
+        </div>
+
+        {/* Ranked Scenarios */}
+        <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 overflow-x-auto rounded-xl">
+          <table className="min-w-full text-left border-collapse rounded-md">
+            <thead className="bg-sky-600/80 text-white rounded-md">
+              <tr>
+                <th className="p-3">#</th>
+                <th className="p-3">Upgrade</th>
+                <th className="p-3">kWh Saved / Month</th>
+                <th className="p-3">kWh Saved / Year</th>
+                <th className="p-3">Savings / Month</th>
+                <th className="p-3">Savings / Year</th>
+                <th className="p-3">CO₂e Avoided / Year (kg)</th>
+                <th className="p-3">Cost</th>
+                <th className="p-3">Payback</th>
+                <th className="p-3">ROI</th>
+                <th className="p-3 text-center">Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scenarios.map((s, i) => (
+                <tr key={s._id} className="border-b border-white/20 hover:bg-white/10">
+                  <td className="p-3">{i + 1}</td>
+                  <td className="p-3 font-medium">
+                    {s.applianceName} → {s.proposedName}
+                  </td>
+                  <td className="p-3">{s.monthlyKWhSaved.toFixed(2)}</td>
+                  <td className="p-3">{s.annualKWhSaved.toFixed(2)}</td>
+                  <td className="p-3">₹{s.monthlySavings.toFixed(2)}</td>
+                  <td className="p-3">₹{s.annualSavings.toFixed(2)}</td>
+                  <td className="p-3">{s.annualCO2Avoided.toFixed(2)}</td>
+                  <td className="p-3">₹{s.purchaseCost.toFixed(2)}</td>
+                  <td className="p-3">
+                    {s.paybackMonths === null
+                      ? "Never"
+                      : s.paybackMonths < 12
+                      ? `${s.paybackMonths.toFixed(1)} months`
+                      : `${s.paybackYears.toFixed(1)} years`}
+                  </td>
+                  <td className="p-3">{s.roiPercent === null ? "-" : `${s.roiPercent.toFixed(1)}%`}</td>
+                  <td className="p-3 text-center">
+                    <button
+                      onClick={() => deleteScenario(s._id)}
+                      className="text-red-400 hover:text-red-600"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {scenarios.length === 0 && (
+                <tr>
+                  <td colSpan="11" className="text-center py-6 text-gray-300">
+                    No upgrades proposed yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Savings;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from "react";
+import { MonitorSmartphone, X, LogOut } from "lucide-react";
+import { apiFetch } from "../api";
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\//, "Opera"],
+  [/Chrome\//, "Chrome"],
+  [/Firefox\//, "Firefox"],
+  [/Safari\//, "Safari"],
+];
+const SYSTEMS = [
+  [/Android/, "Android"],
+  [/iPhone|iPad/, "iOS"],
+  [/Windows/, "Windows"],
+  [/Mac OS X/, "macOS"],
+  [/Linux/, "Linux"],
+];
+
+// Rough "Browser on OS" label from a user-agent string
+const describeDevice = (userAgent = "") => {
+  const match = (list, fallback) =>
+    (list.find(([pattern]) => pattern.test(userAgent)) || [null, fallback])[1];
+  return `${match(BROWSERS, "Unknown browser")} on ${match(SYSTEMS, "unknown OS")}`;
+};
+
+const SessionsDialog = ({ onClose }) => {
+  const [sessions, setSessions] = useState([]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const data = await apiFetch("/sessions", { method: "GET" });
+      setSessions(data);
+    } catch (error) {
+      console.error(error);
+      alert(error.message || "Error fetching sessions.");
+    }
+  };
+
+  const revokeSession = async (session) => {
+    if (session.current) return alert("Use Logout to end this session.");
+    try {
+      await apiFetch(`/sessions/${session._id}`, { method: "DELETE" });
+      fetchSessions();
+    } catch (error) {
+      console.error("Error revoking session:", error);
+      alert(error.message || "Failed to revoke session.");
+    }
+  };
+
+  const logoutAll = async () => {
+    if (!window.confirm("Log out of all devices, including this one?")) return;
+    try {
+      await apiFetch("/logout-all", { method: "POST" });
+    } catch (error) {
+      console.error("Logout all failed:", error);
+    }
+    sessionStorage.clear();
+    window.location.href = "/";
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60">
+      <div className="w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 rounded-2xl shadow-2xl bg-slate-900/95 border border-white/20 text-white space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-xl font-semibold text-sky-300 flex items-center gap-2">
+            <MonitorSmartphone size={20} /> Active Sessions
+          </h2>
+          <button onClick={onClose} className="text-gray-300 hover:text-white">
+            <X size={20} />
+          </button>
+        </div>
+
+        <ul className="space-y-2">
+          {sessions.map((s) => (
+            <li
+              key={s._id}
+              className="flex justify-between items-center bg-white/10 border border-white/20 rounded-lg px-4 py-3"
+            >
+              <div>
+                <p className="font-medium">
+                  {describeDevice(s.userAgent)}
+                  {s.current && <span className="ml-2 text-xs text-green-300">(this device)</span>}
+                </p>
+                <p className="text-xs text-gray-300">
+                  {s.ip} · last seen {new Date(s.lastSeenAt).toLocaleString("en-IN")}
+                </p>
+              </div>
+              {!s.current && (
+                <button
+                  onClick={() => revokeSession(s)}
+                  className="text-sm text-red-400 hover:text-red-600"
+                >
+                  Revoke
+                </button>
+              )}
+            </li>
+          ))}
+          {sessions.length === 0 && (
+            <li className="text-center py-4 text-gray-300">No active sessions.</li>
+          )}
+        </ul>
+
+        <button
+          onClick={logoutAll}
+          className="w-full bg-red-600 hover:bg-red-500 text-white py-2 text-sm rounded-lg flex items-center justify-center gap-2 transition-all duration-300"
+        >
+          <LogOut size={16} /> Log out all devices
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SessionsDialog;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from "react";
+import { useParams } from "react-router-dom";
+import { Zap } from "lucide-react";
+import { apiFetch } from "../api";
+
+// Public, read-only appliance breakdown opened from a share link
+const SharedView = () => {
+  const { token } = useParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchShare = async () => {
+      try {
+        const result = await apiFetch(`/shares/${encodeURIComponent(token)}`, { method: "GET" });
+        setData(result);
+      } catch (err) {
+        console.error("Error opening share:", err);
+        setError(err.message || "This link could not be opened.");
+      }
+    };
+    fetchShare();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-6xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <Zap className="text-yellow-400" /> {data ? data.title : "Shared Calculation"}
+          </h1>
+          <div className="flex items-center gap-2">
+            <img src="/antar-logo-removebg.png" alt="Antar IoT" className="h-8 w-8" />
+            <span className="text-sm font-semibold">Antar IoT Energy Calculator</span>
+          </div>
+        </header>
+
+        {error && <p className="text-center text-red-300">{error}</p>}
+
+        {data && (
+          <>
+            <p className="text-sm text-gray-300">
+              Read-only view as of {new Date(data.generatedAt).toLocaleString("en-IN")}. This link expires on{" "}
+              {new Date(data.expiresAt).toLocaleDateString("en-IN")}.
+            </p>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                ["Appliances", data.totals.applianceCount],
+                ["kWh / Month", data.totals.consumptionPerMonth.toFixed(2)],
+                ["Cost / Month", `₹${data.totals.monthlyCost.toFixed(2)}`],
+                ["CO₂ / Month", `${data.totals.co2PerMonth.toFixed(2)} kg`],
+              ].map(([label, value]) => (
+                <div key={label} className="bg-white/10 border border-white/20 rounded-xl p-4">
+                  <p className="text-sm text-gray-300">{label}</p>
+                  <p className="text-2xl font-bold text-yellow-300">{value}</p>
+                </div>
+              ))}
+            </div>
+
+            {data.bill && (
+              <p className="text-sm text-gray-200">
+                Estimated bill under {data.bill.tariffName}: <strong>₹{data.bill.total.toFixed(2)}</strong> a
+                month for {data.bill.totalUnits} kWh, including ₹{data.bill.fixedCharge.toFixed(2)} fixed charges.
+              </p>
+            )}
+
+            <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 overflow-x-auto rounded-xl">
+              <table className="min-w-full text-left border-collapse rounded-md">
+                <thead className="bg-sky-600/80 text-white rounded-md">
+                  <tr>
+                    <th className="p-3">Appliance</th>
+                    <th className="p-3">Room</th>
+                    <th className="p-3">Rating (W)</th>
+                    <th className="p-3">Usage</th>
+                    <th className="p-3">kWh / Day</th>
+                    <th className="p-3">kWh / Month</th>
+                    <th className="p-3">Cost / Month</th>
+                    <th className="p-3">Share</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.appliances.map((a, i) => (
+                    <tr key={i} className="border-b border-white/20">
+                      <td className="p-3 font-medium">
+                        {a.applianceName}
+                        {a.quantity > 1 && <span className="text-gray-300"> × {a.quantity}</span>}
+                      </td>
+                      <td className="p-3">{a.room || "-"}</td>
+                      <td className="p-3">{+(a.rating * 1000).toFixed(2)}</td>
+                      <td className="p-3">
+                        {a.hourlyUsage} h × {a.dayFrequency} days
+                      </td>
+                      <td className="p-3">{a.consumptionPerDay.toFixed(2)}</td>
+                      <td className="p-3">{a.consumptionPerMonth.toFixed(2)}</td>
+                      <td className="p-3">₹{a.monthlyCost.toFixed(2)}</td>
+                      <td className="p-3">{a.share}%</td>
+                    </tr>
+                  ))}
+                  {data.appliances.length === 0 && (
+                    <tr>
+                      <td colSpan="8" className="text-center py-6 text-gray-300">
+                        No appliances yet.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedView;
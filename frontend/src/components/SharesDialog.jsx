@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from "react";
+import { Share2, X, Copy } from "lucide-react";
+import { apiFetch } from "../api";
+
+const EMPTY_FORM = { siteId: "", label: "", expiresInDays: 7 };
+
+const shareUrl = (token) => `${window.location.origin}/shared/${token}`;
+
+// Read-only links to the appliance list or one site, and revoking them
+const SharesDialog = ({ sites, onClose }) => {
+  const [shares, setShares] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [created, setCreated] = useState(null); // the new link, shown once
+
+  useEffect(() => {
+    fetchShares();
+  }, []);
+
+  const fetchShares = async () => {
+    try {
+      const data = await apiFetch("/shares", { method: "GET" });
+      setShares(data);
+    } catch (error) {
+      console.error("Error fetching shares:", error);
+      alert(error.message || "Error fetching share links.");
+    }
+  };
+
+  const createShare = async () => {
+    try {
+      const share = await apiFetch("/shares", {
+        method: "POST",
+        body: JSON.stringify({
+          siteId: form.siteId || null,
+          label: form.label.trim() || undefined,
+          expiresInDays: parseInt(form.expiresInDays),
+        }),
+      });
+      setCreated(share);
+      setForm(EMPTY_FORM);
+      fetchShares();
+    } catch (error) {
+      console.error("Creating share failed:", error);
+      alert(error.message || "Failed to create share link.");
+    }
+  };
+
+  const revokeShare = async (share) => {
+    if (!window.confirm("Revoke this link? Anyone who has it will no longer see your appliances.")) return;
+    try {
+      await apiFetch(`/shares/${share._id}`, { method: "DELETE" });
+      if (created?._id === share._id) setCreated(null);
+      fetchShares();
+    } catch (error) {
+      console.error("Error revoking share:", error);
+      alert(error.message || "Failed to revoke share link.");
+    }
+  };
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60">
+      <div className="w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 rounded-2xl shadow-2xl bg-slate-900/95 border border-white/20 text-white space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-xl font-semibold text-sky-300 flex items-center gap-2">
+            <Share2 size={20} /> Share Links
+          </h2>
+          <button onClick={onClose} className="text-gray-300 hover:text-white">
+            <X size={20} />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-300">
+          Anyone with a link sees your appliance table and totals, but not your email, until it expires or you
+          revoke it.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <select
+            className={inputClass}
+            value={form.siteId}
+            onChange={(e) => setForm({ ...form, siteId: e.target.value })}
+          >
+            <option value="" className="text-black">All appliances</option>
+            {sites.map((s) => (
+              <option key={s._id} value={s._id} className="text-black">
+                {s.name}
+              </option>
+            ))}
+          </select>
+          <input
+            placeholder="Label (optional)"
+            className={inputClass}
+            value={form.label}
+            onChange={(e) => setForm({ ...form, label: e.target.value })}
+          />
+          <select
+            className={inputClass}
+            value={form.expiresInDays}
+            onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+          >
+            {[1, 7, 30, 90].map((days) => (
+              <option key={days} value={days} className="text-black">
+                Expires in {days} day{days > 1 ? "s" : ""}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={createShare}
+            className="bg-sky-500/80 hover:bg-sky-600 text-white py-2 text-sm rounded-lg transition-all duration-300"
+          >
+            Create Link
+          </button>
+        </div>
+
+        {created && (
+          <div className="bg-yellow-500/20 border border-yellow-400/40 rounded-xl p-4 space-y-2 text-sm">
+            <p>Copy the link now, it will not be shown again.</p>
+            <div className="flex items-center gap-2">
+              <code className="bg-black/40 rounded px-3 py-2 break-all">{shareUrl(created.token)}</code>
+              <button
+                onClick={() => navigator.clipboard.writeText(shareUrl(created.token))}
+                title="Copy"
+                className="text-yellow-200 hover:text-white"
+              >
+                <Copy size={18} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <ul className="space-y-2">
+          {shares.map((s) => (
+            <li
+              key={s._id}
+              className="flex justify-between items-center bg-white/10 border border-white/20 rounded-lg px-4 py-3"
+            >
+              <div>
+                <p className="font-medium">
+                  {s.label || s.siteName || "All appliances"}
+                  <span className="ml-2 text-xs font-mono text-gray-300">…{s.tokenHint}</span>
+                </p>
+                <p className="text-xs text-gray-300">
+                  {s.siteName && s.label ? `${s.siteName} · ` : ""}
+                  expires {new Date(s.expiresAt).toLocaleString("en-IN")} · viewed {s.viewCount} time
+                  {s.viewCount === 1 ? "" : "s"}
+                </p>
+              </div>
+              <button onClick={() => revokeShare(s)} className="text-sm text-red-400 hover:text-red-600">
+                Revoke
+              </button>
+            </li>
+          ))}
+          {shares.length === 0 && <li className="text-center py-4 text-gray-300">No active links.</li>}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default SharesDialog;
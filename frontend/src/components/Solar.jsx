@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft, Sun } from "lucide-react";
+import { apiFetch } from "../api";
+
+const LIMIT_LABELS = {
+  consumption: "sized to cover your consumption",
+  roof: "limited by roof area",
+  sanctionedLoad: "limited by your sanctioned load",
+};
+
+const formatRupees = (n) => `₹${Math.round(n).toLocaleString("en-IN")}`;
+
+// Rooftop solar sizing and payback from GET/POST /api/solar
+const Solar = () => {
+  const [presets, setPresets] = useState([]);
+  const [inputs, setInputs] = useState(null);
+  const [estimate, setEstimate] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [appliances, setAppliances] = useState([]);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchSolar();
+    fetchAppliances();
+  }, []);
+
+  const fetchSolar = async () => {
+    try {
+      const data = await apiFetch("/solar", { method: "GET" });
+      setPresets(data.presets);
+      setInputs(data.inputs);
+      setEstimate(data.estimate);
+      setSaved(data.saved);
+    } catch (error) {
+      console.error("Error fetching solar estimate:", error);
+      alert(error.message || "Error fetching solar estimate.");
+    }
+  };
+
+  const fetchAppliances = async () => {
+    try {
+      const data = await apiFetch("/appliances", { method: "GET" });
+      setAppliances(data);
+    } catch (error) {
+      console.error("Error fetching appliances:", error);
+    }
+  };
+
+  const update = (changes) => setInputs({ ...inputs, ...changes });
+  const updateBattery = (changes) => update({ battery: { ...inputs.battery, ...changes } });
+
+  const toggleBackup = (id) => {
+    const ids = inputs.battery.backupApplianceIds || [];
+    updateBattery({
+      backupApplianceIds: ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id],
+    });
+  };
+
+  // POST only estimates; PUT also saves the inputs for reports
+  const submit = async (save) => {
+    try {
+      const data = await apiFetch(save ? "/solar" : "/solar/estimate", {
+        method: save ? "PUT" : "POST",
+        body: JSON.stringify(inputs),
+      });
+      setEstimate(save ? data.estimate : data);
+      if (save) {
+        setSaved(true);
+        alert("Saved. New reports will include this solar estimate.");
+      }
+    } catch (error) {
+      console.error("Solar estimate failed:", error);
+      alert(error.message || "Failed to estimate solar.");
+    }
+  };
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+  const labelClass = "text-sm font-semibold mb-1 text-gray-200";
+  const maxCumulative = estimate
+    ? Math.max(...estimate.years.map((y) => Math.abs(y.cumulative)), 1)
+    : 1;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-5xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <Sun className="text-yellow-400" /> Rooftop Solar
+          </h1>
+          <button
+            onClick={() => navigate("/calculator")}
+            className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+          >
+            <ArrowLeft size={16} /> Calculator
+          </button>
+        </header>
+
+        {inputs && (
+          <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="flex flex-col">
+                <label htmlFor="roofArea" className={labelClass}>
+                  Shadow-free Roof Area (m²)
+                </label>
+                <input
+                  id="roofArea"
+                  type="number"
+                  min="0"
+                  className={inputClass}
+                  value={inputs.roofAreaM2}
+                  onChange={(e) => update({ roofAreaM2: e.target.value })}
+                />
+              </div>
+              <div className="flex flex-col">
+                <label htmlFor="irradiance" className={labelClass}>
+                  Location
+                </label>
+                <select
+                  id="irradiance"
+                  className={inputClass}
+                  value={inputs.irradiancePreset}
+                  onChange={(e) => update({ irradiancePreset: e.target.value })}
+                >
+                  {presets.map((p) => (
+                    <option key={p.key} value={p.key} className="text-black">
+                      {p.name} ({p.peakSunHours} sun hours)
+                    </option>
+                  ))}
+                  <option value="custom" className="text-black">Custom</option>
+                </select>
+              </div>
+              {inputs.irradiancePreset === "custom" && (
+                <div className="flex flex-col">
+                  <label htmlFor="peakSunHours" className={labelClass}>
+                    Peak Sun Hours / Day
+                  </label>
+                  <input
+                    id="peakSunHours"
+                    type="number"
+                    min="1"
+                    max="8"
+                    step="0.1"
+                    className={inputClass}
+                    value={inputs.peakSunHours ?? ""}
+                    onChange={(e) => update({ peakSunHours: e.target.value })}
+                  />
+                </div>
+              )}
+              <div className="flex flex-col">
+                <label htmlFor="costPerKW" className={labelClass}>
+                  System Cost (₹ / kW)
+                </label>
+                <input
+                  id="costPerKW"
+                  type="number"
+                  min="0"
+                  className={inputClass}
+                  value={inputs.costPerKW}
+                  onChange={(e) => update({ costPerKW: e.target.value })}
+                />
+              </div>
+              <div className="flex flex-col">
+                <label htmlFor="exportRate" className={labelClass}>
+                  Net-metering Export Rate (₹ / kWh)
+                </label>
+                <input
+                  id="exportRate"
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  className={inputClass}
+                  value={inputs.exportRate}
+                  onChange={(e) => update({ exportRate: e.target.value })}
+                />
+              </div>
+              <div className="flex flex-col">
+                <label htmlFor="subsidy" className={labelClass}>
+                  Subsidy (₹)
+                </label>
+                <input
+                  id="subsidy"
+                  type="number"
+                  min="0"
+                  className={inputClass}
+                  value={inputs.subsidy}
+                  onChange={(e) => update({ subsidy: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-200">
+              <input
+                type="checkbox"
+                checked={inputs.battery.enabled}
+                onChange={(e) => updateBattery({ enabled: e.target.checked })}
+              />
+              Add a battery for backup loads
+            </label>
+            {inputs.battery.enabled && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="flex flex-col">
+                  <label htmlFor="backupHours" className={labelClass}>
+                    Backup Hours
+                  </label>
+                  <input
+                    id="backupHours"
+                    type="number"
+                    min="0"
+                    className={inputClass}
+                    value={inputs.battery.backupHours}
+                    onChange={(e) => updateBattery({ backupHours: e.target.value })}
+                  />
+                </div>
+                <div className="flex flex-col">
+                  <label htmlFor="batteryCost" className={labelClass}>
+                    Battery Cost (₹ / kWh)
+                  </label>
+                  <input
+                    id="batteryCost"
+                    type="number"
+                    min="0"
+                    className={inputClass}
+                    value={inputs.battery.costPerKWh}
+                    onChange={(e) => updateBattery({ costPerKWh: e.target.value })}
+                  />
+                </div>
+                <div className="flex flex-col md:col-span-3">
+                  <span className={labelClass}>Backup Loads</span>
+                  <div className="flex flex-wrap gap-3">
+                    {appliances.map((a) => (
+                      <label key={a._id} className="flex items-center gap-2 text-sm">
+                        <input
+                          type="checkbox"
+                          checked={(inputs.battery.backupApplianceIds || []).includes(a._id)}
+                          onChange={() => toggleBackup(a._id)}
+                        />
+                        {a.applianceName} ({Math.round(a.rating * a.quantity * 1000)} W)
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <div className="flex gap-3">
+              <button
+                onClick={() => submit(false)}
+                className="bg-sky-500/80 hover:bg-sky-600 text-white px-4 py-2 text-sm rounded-lg transition-all duration-300"
+              >
+                Estimate
+              </button>
+              <button
+                onClick={() => submit(true)}
+                className="bg-green-500/80 hover:bg-green-600 text-white px-4 py-2 text-sm rounded-lg transition-all duration-300"
+              >
+                Save for Reports
+              </button>
+              {saved && <span className="text-xs text-gray-300 self-center">Included in new reports</span>}
+            </div>
+          </div>
+        )}
+
+        {estimate && estimate.systemKW === 0 && (
+          <p className="text-center text-gray-300">
+            Add appliances and a roof area to size a system.
+          </p>
+        )}
+
+        {estimate && estimate.systemKW > 0 && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                ["System", `${estimate.systemKW.toFixed(1)} kWp`, LIMIT_LABELS[estimate.limitedBy]],
+                [
+                  "Generation / Year",
+                  `${Math.round(estimate.annualGenerationKWh).toLocaleString("en-IN")} kWh`,
+                  `${estimate.offsetPercent.toFixed(0)}% of ${estimate.monthlyKWh.toFixed(0)} kWh / month`,
+                ],
+                [
+                  "Bill / Month",
+                  formatRupees(estimate.monthlyBillAfter),
+                  `from ${formatRupees(estimate.monthlyBillBefore)}`,
+                ],
+                [
+                  "Payback",
+                  estimate.paybackYears === null ? "Never" : `${estimate.paybackYears.toFixed(1)} years`,
+                  `${formatRupees(estimate.netCost)} after subsidy`,
+                ],
+              ].map(([label, value, detail]) => (
+                <div key={label} className="bg-white/10 border border-white/20 rounded-xl p-4">
+                  <p className="text-sm text-gray-300">{label}</p>
+                  <p className="text-2xl font-bold text-yellow-300">{value}</p>
+                  <p className="text-xs text-gray-300">{detail}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl space-y-3">
+              <h2 className="text-xl font-semibold text-sky-300">
+                {estimate.lifetimeYears}-Year Savings: {formatRupees(estimate.netLifetimeSavings)}
+              </h2>
+              <p className="text-sm text-gray-300">
+                {formatRupees(estimate.annualSavings)} saved in the first year
+                {estimate.pricedWith ? ` under ${estimate.pricedWith}` : ""}, with panels losing 0.5% a year.
+                {estimate.battery &&
+                  ` Includes a ${estimate.battery.kWh} kWh battery (${formatRupees(
+                    estimate.battery.cost
+                  )}), replaced every 10 years.`}{" "}
+                Avoids {Math.round(estimate.annualCO2Avoided).toLocaleString("en-IN")} kg CO₂e a year.
+              </p>
+              <div className="flex items-center gap-1 h-40">
+                {estimate.years.map((y) => (
+                  <div key={y.year} className="flex-1 flex flex-col h-full">
+                    <div className="flex-1 flex items-end">
+                      {y.cumulative > 0 && (
+                        <div
+                          className="w-full rounded-t bg-green-400"
+                          style={{ height: `${(y.cumulative / maxCumulative) * 100}%` }}
+                          title={`Year ${y.year}: ${formatRupees(y.cumulative)}`}
+                        />
+                      )}
+                    </div>
+                    <div className="flex-1 flex items-start">
+                      {y.cumulative < 0 && (
+                        <div
+                          className="w-full rounded-b bg-red-400"
+                          style={{ height: `${(-y.cumulative / maxCumulative) * 100}%` }}
+                          title={`Year ${y.year}: ${formatRupees(y.cumulative)}`}
+                        />
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-300">
+                Cumulative savings after the system cost, year 1 to {estimate.lifetimeYears}.
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Solar;
@@ -0,0 +1,572 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft, UserPlus, Trash2, Mail, Check, X, Upload, Download } from "lucide-react";
+import { apiFetch, apiDownload } from "../api";
+import { roleOn, canEdit } from "../workspaces";
+import ImportDialog from "./ImportDialog";
+
+const ROLES = ["owner", "editor", "viewer"];
+const STATUS_STYLES = {
+  active: "bg-green-500/30 text-green-200",
+  pending: "bg-yellow-500/30 text-yellow-200",
+  expired: "bg-white/10 text-gray-300",
+};
+const EMPTY_INVITE = { mail: "", role: "editor", siteId: "" };
+const EMPTY_APPLIANCE = {
+  applianceName: "",
+  rating: "", // in watts
+  hourlyUsage: "",
+  quantity: "",
+  dayFrequency: "",
+  unitRate: "",
+  zoneId: "",
+};
+
+// Invitations, the people working on the user's inventory, and the workspaces shared with them
+const Team = () => {
+  const [invitations, setInvitations] = useState([]);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [selected, setSelected] = useState(""); // "" = the user's own workspace
+  const [members, setMembers] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [zones, setZones] = useState([]);
+  const [appliances, setAppliances] = useState([]);
+  const [invite, setInvite] = useState(EMPTY_INVITE);
+  const [form, setForm] = useState(EMPTY_APPLIANCE);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [showImport, setShowImport] = useState(false);
+  const navigate = useNavigate();
+
+  const workspace = workspaces.find((w) => w.workspaceId === selected) || null;
+  const query = selected ? `?workspaceId=${selected}` : "";
+  // Own workspace: everything; shared: wherever the user was made an owner
+  const manageableSites = workspace ? sites.filter((s) => roleOn(workspace, s._id) === "owner") : sites;
+  const canManageWorkspace = !workspace || workspace.role === "owner";
+  const canAddWorkspaceWide = !workspace || canEdit(workspace.role);
+
+  useEffect(() => {
+    const fetchShared = async () => {
+      try {
+        const [invites, shared] = await Promise.all([
+          apiFetch("/invitations", { method: "GET" }),
+          apiFetch("/workspaces", { method: "GET" }),
+        ]);
+        setInvitations(invites);
+        setWorkspaces(shared);
+      } catch (error) {
+        console.error("Error fetching workspaces:", error);
+        alert(error.message || "Error fetching workspaces.");
+      }
+    };
+    fetchShared();
+  }, [refreshKey]);
+
+  useEffect(() => {
+    const fetchWorkspace = async () => {
+      try {
+        const [memberList, siteList, zoneList, applianceList] = await Promise.all([
+          apiFetch(`/members${query}`, { method: "GET" }),
+          apiFetch(`/sites${query}`, { method: "GET" }),
+          selected ? apiFetch(`/zones${query}`, { method: "GET" }) : [],
+          selected ? apiFetch(`/appliances${query}`, { method: "GET" }) : [],
+        ]);
+        setMembers(memberList);
+        setSites(siteList);
+        setZones(zoneList);
+        setAppliances(applianceList);
+      } catch (error) {
+        console.error("Error fetching workspace:", error);
+        alert(error.message || "Error fetching workspace.");
+      }
+    };
+    fetchWorkspace();
+  }, [selected, query, refreshKey]);
+
+  const exportWorkspace = async () => {
+    try {
+      await apiDownload(`/appliances/export?format=csv&workspaceId=${selected}`, "appliances.csv");
+    } catch (error) {
+      console.error("Export failed:", error);
+      alert(error.message || "Failed to export appliances.");
+    }
+  };
+
+  const respond = async (invitation, accept) => {
+    try {
+      if (accept) {
+        const result = await apiFetch(`/invitations/${invitation._id}/accept`, { method: "POST" });
+        setSelected(result.workspaceId);
+      } else {
+        await apiFetch(`/invitations/${invitation._id}`, { method: "DELETE" });
+      }
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Answering invitation failed:", error);
+      alert(error.message || "Failed to answer the invitation.");
+    }
+  };
+
+  const sendInvite = async () => {
+    if (!invite.mail.trim()) return alert("Please enter an email address.");
+    if (!invite.siteId && !canManageWorkspace) return alert("Please pick a site.");
+    try {
+      await apiFetch("/members", {
+        method: "POST",
+        body: JSON.stringify({
+          mail: invite.mail.trim(),
+          role: invite.role,
+          siteId: invite.siteId || null,
+          workspaceId: selected || undefined,
+        }),
+      });
+      alert(`Invitation sent to ${invite.mail.trim()}.`);
+      setInvite(EMPTY_INVITE);
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Invite failed:", error);
+      alert(error.message || "Failed to send the invitation.");
+    }
+  };
+
+  const changeRole = async (member, role) => {
+    try {
+      await apiFetch(`/members/${member._id}`, { method: "PUT", body: JSON.stringify({ role }) });
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Changing role failed:", error);
+      alert(error.message || "Failed to change role.");
+    }
+  };
+
+  // Resolves true once removed
+  const removeMember = async (membershipId, message) => {
+    if (!window.confirm(message)) return false;
+    try {
+      await apiFetch(`/members/${membershipId}`, { method: "DELETE" });
+      setRefreshKey((k) => k + 1);
+      return true;
+    } catch (error) {
+      console.error("Removing member failed:", error);
+      alert(error.message || "Failed to remove member.");
+      return false;
+    }
+  };
+
+  // Leaving the last membership of a workspace takes the user back to their own
+  const leave = async (membershipId) => {
+    const left = await removeMember(membershipId, "Leave? You will need a new invitation to get access again.");
+    if (left && workspace.sites.length + (workspace.membershipId ? 1 : 0) === 1) setSelected("");
+  };
+
+  const addAppliance = async () => {
+    const { zoneId, ...fields } = form;
+    if (Object.values(fields).some((v) => String(v).trim() === "")) return alert("Please fill all fields!");
+    if (!zoneId && !canAddWorkspaceWide) return alert("Please pick a room in a site you can edit.");
+    try {
+      await apiFetch("/appliances", {
+        method: "POST",
+        body: JSON.stringify({
+          workspaceId: selected,
+          applianceName: fields.applianceName.trim(),
+          rating: parseFloat(fields.rating) / 1000, // watts → kilowatts
+          hourlyUsage: parseFloat(fields.hourlyUsage),
+          quantity: parseInt(fields.quantity),
+          dayFrequency: parseInt(fields.dayFrequency),
+          unitRate: parseFloat(fields.unitRate),
+          zoneId: zoneId || null,
+        }),
+      });
+      setForm(EMPTY_APPLIANCE);
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Adding appliance failed:", error);
+      alert(error.message || "Failed to add appliance.");
+    }
+  };
+
+  const updateAppliance = async (appliance, field, value) => {
+    if (value === "" || +value === appliance[field]) return;
+    try {
+      await apiFetch(`/appliances/${appliance._id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ [field]: +value }),
+      });
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Updating appliance failed:", error);
+      alert(error.message || "Failed to update appliance.");
+    }
+  };
+
+  const deleteAppliance = async (appliance) => {
+    if (!window.confirm(`Delete ${appliance.applianceName}?`)) return;
+    try {
+      await apiFetch(`/appliances/${appliance._id}`, { method: "DELETE" });
+      setRefreshKey((k) => k + 1);
+    } catch (error) {
+      console.error("Deleting appliance failed:", error);
+      alert(error.message || "Failed to delete appliance.");
+    }
+  };
+
+  const siteName = (siteId) => sites.find((s) => s._id === siteId)?.name;
+  const editableZones = workspace ? zones.filter((z) => canEdit(roleOn(workspace, z.siteId))) : zones;
+
+  const inputClass =
+    "border border-white/30 bg-white/20 text-white placeholder-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-sky-400 outline-none";
+  const cellInputClass =
+    "w-20 border border-white/30 bg-white/20 text-white rounded px-2 py-1 text-sm outline-none";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[url('/calculator-bg-image.jpeg')] bg-cover bg-center bg-no-repeat relative">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="relative z-10 w-full max-w-6xl mx-auto p-8 rounded-2xl shadow-2xl bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-8">
+        <header className="flex justify-between items-center w-full">
+          <h1 className="text-3xl font-bold text-sky-300 flex items-center gap-2 drop-shadow-lg">
+            <UserPlus className="text-yellow-400" /> Team
+          </h1>
+          <button
+            onClick={() => navigate("/calculator")}
+            className="px-5 py-2 border border-sky-500 bg-sky-600 font-medium rounded-md hover:bg-sky-500 text-white transition-all duration-300 flex items-center gap-2"
+          >
+            <ArrowLeft size={16} /> Calculator
+          </button>
+        </header>
+
+        {/* Invitations */}
+        {invitations.length > 0 && (
+          <div className="bg-yellow-500/10 border border-yellow-400/40 rounded-xl p-6 space-y-3">
+            <h2 className="text-lg font-semibold text-yellow-200 flex items-center gap-2">
+              <Mail size={18} /> Invitations
+            </h2>
+            {invitations.map((i) => (
+              <div key={i._id} className="flex justify-between items-center bg-white/10 rounded-lg px-4 py-3">
+                <p className="text-sm">
+                  <strong>{i.invitedBy}</strong> invited you to{" "}
+                  {i.siteName ? `${i.siteName} in ${i.workspaceName}'s workspace` : `${i.workspaceName}'s workspace`}{" "}
+                  as <strong>{i.role}</strong>
+                  <span className="block text-xs text-gray-300">
+                    Expires {new Date(i.expiresAt).toLocaleDateString("en-IN")}
+                  </span>
+                </p>
+                <div className="flex gap-3">
+                  <button
+                    onClick={() => respond(i, true)}
+                    title="Accept"
+                    className="text-green-300 hover:text-green-100"
+                  >
+                    <Check size={20} />
+                  </button>
+                  <button onClick={() => respond(i, false)} title="Decline" className="text-red-400 hover:text-red-600">
+                    <X size={20} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Workspace */}
+        <div className="flex flex-wrap items-center gap-3">
+          <label htmlFor="team-workspace" className="text-sm font-semibold text-gray-200">
+            Workspace
+          </label>
+          <select
+            id="team-workspace"
+            className={inputClass}
+            value={selected}
+            onChange={(e) => setSelected(e.target.value)}
+          >
+            <option value="" className="text-black">My workspace</option>
+            {workspaces.map((w) => (
+              <option key={w.workspaceId} value={w.workspaceId} className="text-black">
+                {w.name}'s workspace
+              </option>
+            ))}
+          </select>
+          {workspace && (
+            <div className="flex flex-wrap gap-2 text-xs">
+              {workspace.role && (
+                <span className="bg-white/10 rounded-full px-3 py-1">
+                  {workspace.role} of everything
+                  <button
+                    onClick={() => leave(workspace.membershipId)}
+                    className="ml-2 text-red-300 hover:text-red-500"
+                  >
+                    Leave
+                  </button>
+                </span>
+              )}
+              {workspace.sites.map((s) => (
+                <span key={s.membershipId} className="bg-white/10 rounded-full px-3 py-1">
+                  {s.role} of {s.name}
+                  <button onClick={() => leave(s.membershipId)} className="ml-2 text-red-300 hover:text-red-500">
+                    Leave
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Members */}
+        {(canManageWorkspace || manageableSites.length > 0) && (
+          <div className="bg-white/5 backdrop-blur-sm border border-white/20 shadow-lg rounded-xl p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-sky-300">Members</h2>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+              <input
+                type="email"
+                placeholder="Email address"
+                className={inputClass}
+                value={invite.mail}
+                onChange={(e) => setInvite({ ...invite, mail: e.target.value })}
+              />
+              <select
+                className={inputClass}
+                value={invite.role}
+                onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+              >
+                {ROLES.map((r) => (
+                  <option key={r} value={r} className="text-black">
+                    {r}
+                  </option>
+                ))}
+              </select>
+              <select
+                className={inputClass}
+                value={invite.siteId}
+                onChange={(e) => setInvite({ ...invite, siteId: e.target.value })}
+              >
+                {canManageWorkspace && (
+                  <option value="" className="text-black">Whole workspace</option>
+                )}
+                {!canManageWorkspace && (
+                  <option value="" disabled className="text-black">Pick a site</option>
+                )}
+                {manageableSites.map((s) => (
+                  <option key={s._id} value={s._id} className="text-black">
+                    {s.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={sendInvite}
+                className="bg-sky-500/80 hover:bg-sky-600 text-white py-2 text-sm rounded-lg transition-all duration-300 flex items-center justify-center gap-2"
+              >
+                <Mail size={16} /> Send Invite
+              </button>
+            </div>
+            <p className="text-xs text-gray-300">
+              Viewers can look, editors can also add, change and delete appliances, owners can also invite
+              others.
+            </p>
+
+            <ul className="space-y-2">
+              {members.map((m) => (
+                <li
+                  key={m._id}
+                  className="flex justify-between items-center bg-white/10 border border-white/20 rounded-lg px-4 py-3"
+                >
+                  <div>
+                    <p className="font-medium">
+                      {m.mail}
+                      <span className={`ml-2 text-xs rounded-full px-2 py-0.5 ${STATUS_STYLES[m.status]}`}>
+                        {m.status}
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-300">{m.siteName || "Whole workspace"}</p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <select
+                      className="border border-white/30 bg-white/20 text-white rounded px-2 py-1 text-sm outline-none"
+                      value={m.role}
+                      onChange={(e) => changeRole(m, e.target.value)}
+                    >
+                      {ROLES.map((r) => (
+                        <option key={r} value={r} className="text-black">
+                          {r}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => removeMember(m._id, `Remove ${m.mail}?`)}
+                      title="Remove"
+                      className="text-red-400 hover:text-red-600"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </div>
+                </li>
+              ))}
+              {members.length === 0 && (
+                <li className="text-center py-4 text-gray-300">Nobody has been invited yet.</li>
+              )}
+            </ul>
+          </div>
+        )}
+
+        {/* Shared Inventory */}
+        {workspace && (
+          <div className="bg-white/10 backdrop-blur-sm border border-white/20 shadow-lg p-6 rounded-xl space-y-4">
+            <div className="flex justify-between items-center">
+              <h2 className="text-lg font-semibold text-sky-300">{workspace.name}'s appliances</h2>
+              <div className="flex gap-2">
+                {(canAddWorkspaceWide || editableZones.length > 0) && (
+                  <button
+                    onClick={() => setShowImport(true)}
+                    className="bg-sky-500/80 hover:bg-sky-600 text-white px-3 py-1 text-sm rounded-lg transition-all duration-300 flex items-center gap-2"
+                  >
+                    <Upload size={14} /> Import
+                  </button>
+                )}
+                <button
+                  onClick={exportWorkspace}
+                  className="bg-green-500/80 hover:bg-green-600 text-white px-3 py-1 text-sm rounded-lg transition-all duration-300 flex items-center gap-2"
+                >
+                  <Download size={14} /> Export CSV
+                </button>
+              </div>
+            </div>
+
+            {(canAddWorkspaceWide || editableZones.length > 0) && (
+              <div className="grid grid-cols-1 md:grid-cols-8 gap-3 items-end">
+                <input
+                  placeholder="Appliance"
+                  className={`${inputClass} md:col-span-2`}
+                  value={form.applianceName}
+                  onChange={(e) => setForm({ ...form, applianceName: e.target.value })}
+                />
+                {[
+                  ["rating", "Watts"],
+                  ["hourlyUsage", "Hours / day"],
+                  ["quantity", "Qty"],
+                  ["dayFrequency", "Days / wk"],
+                  ["unitRate", "₹ / kWh"],
+                ].map(([key, placeholder]) => (
+                  <input
+                    key={key}
+                    type="number"
+                    min="0"
+                    placeholder={placeholder}
+                    className={inputClass}
+                    value={form[key]}
+                    onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                  />
+                ))}
+                <select
+                  className={inputClass}
+                  value={form.zoneId}
+                  onChange={(e) => setForm({ ...form, zoneId: e.target.value })}
+                >
+                  <option value="" className="text-black">
+                    {canAddWorkspaceWide ? "No room" : "Pick a room"}
+                  </option>
+                  {editableZones.map((z) => (
+                    <option key={z._id} value={z._id} className="text-black">
+                      {siteName(z.siteId)} / {z.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={addAppliance}
+                  className="md:col-span-8 bg-sky-500/80 hover:bg-sky-600 text-white py-2 text-sm rounded-lg transition-all duration-300"
+                >
+                  Add Appliance
+                </button>
+              </div>
+            )}
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-left border-collapse rounded-md text-sm">
+                <thead className="bg-sky-600/80 text-white rounded-md">
+                  <tr>
+                    <th className="p-2">Appliance</th>
+                    <th className="p-2">Site</th>
+                    <th className="p-2">Rating (W)</th>
+                    <th className="p-2">Hours / Day</th>
+                    <th className="p-2">Quantity</th>
+                    <th className="p-2">kWh / Month</th>
+                    <th className="p-2">Cost / Month</th>
+                    <th className="p-2">Last Changed By</th>
+                    <th className="p-2 text-center">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {appliances.map((a) => {
+                    const editable = canEdit(roleOn(workspace, a.siteId));
+                    return (
+                      <tr key={a._id} className="border-b border-white/20">
+                        <td className="p-2 font-medium">{a.applianceName}</td>
+                        <td className="p-2">{siteName(a.siteId) || "-"}</td>
+                        <td className="p-2">{+(a.rating * 1000).toFixed(2)}</td>
+                        <td className="p-2">
+                          {editable && a.usageWindows.length === 0 ? (
+                            <input
+                              type="number"
+                              min="0"
+                              max="24"
+                              defaultValue={a.hourlyUsage}
+                              className={cellInputClass}
+                              onBlur={(e) => updateAppliance(a, "hourlyUsage", e.target.value)}
+                            />
+                          ) : (
+                            a.hourlyUsage
+                          )}
+                        </td>
+                        <td className="p-2">
+                          {editable ? (
+                            <input
+                              type="number"
+                              min="1"
+                              defaultValue={a.quantity}
+                              className={cellInputClass}
+                              onBlur={(e) => updateAppliance(a, "quantity", e.target.value)}
+                            />
+                          ) : (
+                            a.quantity
+                          )}
+                        </td>
+                        <td className="p-2">{(a.consumptionPerMonth || 0).toFixed(2)}</td>
+                        <td className="p-2">₹{(a.monthlyCost || 0).toFixed(2)}</td>
+                        <td className="p-2">{a.updatedByName || "-"}</td>
+                        <td className="p-2 text-center">
+                          {editable && (
+                            <button
+                              onClick={() => deleteAppliance(a)}
+                              title="Delete"
+                              className="text-red-400 hover:text-red-600"
+                            >
+                              <Trash2 size={18} />
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                  {appliances.length === 0 && (
+                    <tr>
+                      <td colSpan="9" className="text-center py-4 text-gray-300">
+                        No appliances yet.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {showImport && (
+        <ImportDialog
+          workspaceId={selected}
+          onClose={() => setShowImport(false)}
+          onImported={() => setRefreshKey((k) => k + 1)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Team;
@@ -0,0 +1,64 @@
+// Appliances a guest adds before logging in, kept in localStorage and merged
+// into their account through POST /appliances/bulk after the OTP login.
+import { apiFetch } from "./api";
+import { calculateConsumption, calculateEmissions, NATIONAL_GRID_FACTOR } from "../../shared/calculations.mjs";
+
+const STORAGE_KEY = "guestAppliances";
+export const MAX_GUEST_APPLIANCES = 200; // the bulk endpoint's limit
+
+// Appliance with the same computed fields the API returns, at the national grid factor
+export const withCalculations = (a) => {
+  const consumption = calculateConsumption(a);
+  return { ...a, ...consumption, ...calculateEmissions(consumption, NATIONAL_GRID_FACTOR) };
+};
+
+export const loadGuestAppliances = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored.map(withCalculations) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Only the entered fields are stored; everything else is recomputed on load
+export const saveGuestAppliances = (appliances) =>
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify(
+      appliances.map(({ id, applianceName, rating, hourlyUsage, quantity, dayFrequency, unitRate }) => ({
+        id,
+        applianceName,
+        rating,
+        hourlyUsage,
+        quantity,
+        dayFrequency,
+        unitRate,
+      }))
+    )
+  );
+
+// Sends the guest inventory to the logged-in account and forgets what was merged;
+// appliances the API rejected stay stored for the next login. Returns the API's { created, skipped, rejected }, or null when there was nothing to sync.
+export async function syncGuestAppliances() {
+  const appliances = loadGuestAppliances();
+  if (appliances.length === 0) return null;
+
+  const result = await apiFetch("/appliances/bulk", {
+    method: "POST",
+    body: JSON.stringify({
+      appliances: appliances.map(({ applianceName, rating, hourlyUsage, quantity, dayFrequency, unitRate }) => ({
+        applianceName,
+        rating,
+        hourlyUsage,
+        quantity,
+        dayFrequency,
+        unitRate,
+      })),
+    }),
+  });
+  const rejected = new Set(result.rejected.map((r) => r.index));
+  if (rejected.size > 0) saveGuestAppliances(appliances.filter((_, index) => rejected.has(index)));
+  else localStorage.removeItem(STORAGE_KEY);
+  return result;
+}
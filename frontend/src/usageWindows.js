@@ -0,0 +1,34 @@
+// Usage windows are typed as "6-8, 22-6" (hours, optionally "6:30") and sent
+// to the API as [{ start, end }] in decimal hours. End before start wraps past midnight.
+
+const parseHour = (text) => {
+  const match = text.trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!match) return null;
+  const hour = parseInt(match[1]) + (match[2] ? parseInt(match[2]) / 60 : 0);
+  return hour >= 0 && hour <= 24 ? hour : null;
+};
+
+// Returns the windows, or throws with a message suitable for alert()
+export const parseWindows = (text) => {
+  if (!text || !text.trim()) return [];
+  return text.split(",").map((part) => {
+    const [from, to] = part.split(/[-–]/);
+    const start = from !== undefined ? parseHour(from) : null;
+    const end = to !== undefined ? parseHour(to) : null;
+    if (start === null || end === null)
+      throw new Error(`"${part.trim()}" is not a window like 6-8 or 22:30-6`);
+    return { start, end };
+  });
+};
+
+const formatHour = (hour) => {
+  const h = Math.floor(hour);
+  const m = Math.round((hour - h) * 60);
+  return m ? `${h}:${String(m).padStart(2, "0")}` : String(h);
+};
+
+export const formatWindows = (windows = []) =>
+  windows.map((w) => `${formatHour(w.start)}-${formatHour(w.end)}`).join(", ");
+
+// Same hours the API derives from the windows
+export { windowHours } from "../../shared/calculations.mjs";
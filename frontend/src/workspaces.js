@@ -0,0 +1,12 @@
+// Shared workspaces as listed by /workspaces: a whole-workspace `role` (null for site-only
+// members) and per-site `sites` memberships
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Strongest role a shared workspace gives on a site ("" or null for the whole workspace)
+export function roleOn(workspace, siteId) {
+  const roles = [workspace.role, ...workspace.sites.filter((s) => s.siteId === siteId).map((s) => s.role)];
+  return roles.filter(Boolean).sort((a, b) => ROLE_RANK[b] - ROLE_RANK[a])[0] || null;
+}
+
+export const canEdit = (role) => role === "owner" || role === "editor";
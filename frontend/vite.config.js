@@ -4,4 +4,6 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  // shared/ (calculations used by both the API and the browser) sits next to frontend/
+  server: { fs: { allow: ['..'] } },
 })
@@ -0,0 +1,70 @@
+// ---------- Shared Energy Calculations ----------
+// Used by the API (backend/server.js) and the browser (guest calculator and
+// optimistic edits), so both always compute the same figures. No dependencies.
+
+export const WEEKS_PER_MONTH = 4.33;
+
+// Weighted average for the Indian grid from the CEA CO2 Baseline Database.
+export const NATIONAL_GRID_FACTOR = 0.716;
+
+export const round2 = (n) => Math.round(n * 100) / 100;
+
+// Hours covered by one { start, end } window; end before start wraps past midnight
+// and equal ends are the whole day.
+const windowLength = ({ start, end }) => {
+  if (start === end) return 24;
+  return end > start ? end - start : 24 - start + end;
+};
+
+// Total hours covered by a set of windows, capped at a full day
+export const windowHours = (windows = []) =>
+  Math.min(
+    24,
+    windows.reduce((sum, w) => sum + windowLength(w), 0)
+  );
+
+// Active energy is the nameplate rating (kW) for the running hours scaled by the duty
+// cycle; standby power is drawn for every other hour, including days it is not used.
+// Per-day figures are for a day the appliance is used; weeks and months include the
+// standby-only days.
+export function calculateConsumption({
+  rating,
+  hourlyUsage,
+  quantity,
+  dayFrequency,
+  unitRate,
+  dutyCycle = 100,
+  standbyWatts = 0,
+}) {
+  const hours = Number(hourlyUsage);
+  const days = Number(dayFrequency);
+  const activePerDay = (rating * hours * quantity * (dutyCycle ?? 100)) / 100;
+  const standbyKW = ((standbyWatts || 0) / 1000) * quantity;
+  const standbyPerDay = standbyKW * (24 - hours);
+  const standbyPerWeek = standbyPerDay * days + standbyKW * 24 * (7 - days);
+
+  const consumptionPerDay = activePerDay + standbyPerDay;
+  const consumptionPerWeek = activePerDay * days + standbyPerWeek;
+  const consumptionPerMonth = consumptionPerWeek * WEEKS_PER_MONTH;
+  const standbyPerMonth = standbyPerWeek * WEEKS_PER_MONTH;
+  return {
+    consumptionPerDay,
+    consumptionPerWeek,
+    consumptionPerMonth,
+    monthlyCost: consumptionPerMonth * unitRate,
+    standbyPerDay,
+    standbyPerMonth,
+    standbyCost: standbyPerMonth * unitRate,
+  };
+}
+
+// kg CO2e for the same periods as the consumption fields; a year is twelve months
+export function calculateEmissions({ consumptionPerDay, consumptionPerWeek, consumptionPerMonth }, gridFactor) {
+  return {
+    gridFactor,
+    co2PerDay: round2((consumptionPerDay || 0) * gridFactor),
+    co2PerWeek: round2((consumptionPerWeek || 0) * gridFactor),
+    co2PerMonth: round2((consumptionPerMonth || 0) * gridFactor),
+    co2PerYear: round2((consumptionPerMonth || 0) * 12 * gridFactor),
+  };
+}